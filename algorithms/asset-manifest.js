@@ -0,0 +1,135 @@
+// Runtime and model assets of the pages, and face-api weight-manifest checks (pure, no DOM)
+// Every runtime script, its wasm and data files, and every face-api model has a fixed path
+// below an asset base, so a lab machine without internet can serve them all from one folder
+// (see src/asset-loader.js). Runtimes also name the CDN they are loaded from when no local
+// base is configured; models are always served from the site.
+
+/**
+ * Runtimes by name: `dir` below the asset base, the script to load, every file the runtime
+ * fetches (the script included), the CDN folder of the same version and the global the
+ * script defines.
+ */
+export const RUNTIME_ASSETS = {
+  opencv: {
+    label: 'OpenCV.js 4.x',
+    dir: 'opencv',
+    script: 'opencv.js',
+    files: ['opencv.js'],
+    cdn: 'https://docs.opencv.org/4.x',
+    global: 'cv',
+  },
+  faceMesh: {
+    label: 'MediaPipe FaceMesh 0.4',
+    dir: 'mediapipe/face_mesh',
+    script: 'face_mesh.js',
+    // FaceMesh picks the SIMD or plain wasm build at run time, so both must be present
+    files: [
+      'face_mesh.js',
+      'face_mesh.binarypb',
+      'face_mesh_solution_packed_assets.data',
+      'face_mesh_solution_packed_assets_loader.js',
+      'face_mesh_solution_simd_wasm_bin.js',
+      'face_mesh_solution_simd_wasm_bin.wasm',
+      'face_mesh_solution_wasm_bin.js',
+      'face_mesh_solution_wasm_bin.wasm',
+    ],
+    cdn: 'https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4',
+    global: 'FaceMesh',
+  },
+  cameraUtils: {
+    label: 'MediaPipe Camera Utils 0.3',
+    dir: 'mediapipe/camera_utils',
+    script: 'camera_utils.js',
+    files: ['camera_utils.js'],
+    cdn: 'https://cdn.jsdelivr.net/npm/@mediapipe/camera_utils@0.3',
+    global: 'Camera',
+  },
+  faceApi: {
+    label: 'face-api.js 0.22.2',
+    dir: 'face-api',
+    script: 'face-api.min.js',
+    files: ['face-api.min.js'],
+    cdn: 'https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/dist',
+    global: 'faceapi',
+  },
+};
+
+/** Folder of the face-api models below the asset base (the site's `models/` by default). */
+export const MODELS_DIR = 'models';
+
+/** Where the face-api.js 0.22.2 weights can be downloaded from. */
+export const MODELS_SOURCE = 'https://raw.githubusercontent.com/justadudewhohacks/face-api.js/0.22.2/weights';
+
+/** face-api nets used by the pages, by net name, with their weight-file prefix. */
+export const FACE_API_MODELS = {
+  tinyFaceDetector: 'tiny_face_detector_model',
+  ssdMobilenetv1: 'ssd_mobilenetv1_model',
+  faceLandmark68Net: 'face_landmark_68_model',
+};
+
+/**
+ * File name of the weight manifest of a face-api net.
+ * @param {string} net - key of FACE_API_MODELS
+ * @returns {string}
+ */
+export function weightsManifestFile(net) {
+  const prefix = FACE_API_MODELS[net];
+  if (!prefix) throw new RangeError(`Unknown face-api model "${net}"`);
+  return `${prefix}-weights_manifest.json`;
+}
+
+// Bytes per value of the stored dtype (quantized weights are stored in the quantization dtype)
+const DTYPE_BYTES = { float32: 4, int32: 4, bool: 1 };
+const QUANTIZATION_BYTES = { uint8: 1, uint16: 2, float16: 2 };
+
+/**
+ * Validate a TensorFlow.js weight manifest as face-api.js reads it: a non-empty array of
+ * groups, each with shard file names (`paths`, plain names next to the manifest) and weight
+ * specs (`name`, integer `shape`, `dtype`, optional `quantization`).
+ * @param {any} manifest - parsed JSON
+ * @param {string} [owner] - name used in error messages
+ * @returns {{ paths:string[], bytes:number }} the shard files, in order, and the total size they must have
+ */
+export function validateWeightsManifest(manifest, owner = 'weights manifest') {
+  const fail = (msg) => { throw new TypeError(`${owner}: ${msg}`); };
+  if (!Array.isArray(manifest) || !manifest.length) fail('expected a non-empty array of weight groups');
+  const paths = [];
+  let bytes = 0;
+  manifest.forEach((group, g) => {
+    if (!group || typeof group !== 'object') fail(`group ${g} is not an object`);
+    if (!Array.isArray(group.paths) || !group.paths.length) fail(`group ${g} lists no shard paths`);
+    for (const p of group.paths) {
+      if (typeof p !== 'string' || !p || p.includes('/') || p.includes('\\')) fail(`group ${g} has an invalid shard path ${JSON.stringify(p)}`);
+      paths.push(p);
+    }
+    if (!Array.isArray(group.weights) || !group.weights.length) fail(`group ${g} lists no weights`);
+    group.weights.forEach((w, i) => {
+      const where = `group ${g} weight ${i}${w && typeof w.name === 'string' ? ` (${w.name})` : ''}`;
+      if (!w || typeof w.name !== 'string' || !w.name) fail(`${where} has no name`);
+      if (!Array.isArray(w.shape) || !w.shape.every(d => Number.isInteger(d) && d >= 0)) fail(`${where} has an invalid shape`);
+      if (!(w.dtype in DTYPE_BYTES)) fail(`${where} has an unsupported dtype ${JSON.stringify(w.dtype)}`);
+      let size = DTYPE_BYTES[w.dtype];
+      if (w.quantization !== undefined) {
+        const q = w.quantization;
+        if (!q || !(q.dtype in QUANTIZATION_BYTES)) fail(`${where} has an unsupported quantization`);
+        if (q.dtype !== 'float16' && !(Number.isFinite(q.scale) && Number.isFinite(q.min))) fail(`${where} quantization needs a finite scale and min`);
+        size = QUANTIZATION_BYTES[q.dtype];
+      }
+      bytes += w.shape.reduce((n, d) => n * d, 1) * size;
+    });
+  });
+  return { paths, bytes };
+}
+
+/**
+ * One line per problem of an asset check (src/asset-loader.js checkAssets), for the
+ * status line of a page; '' when nothing is missing or invalid.
+ * @param {{ base:string, missing:Array<{ file:string }>, invalid:Array<{ file:string, reason:string }> }} report
+ * @returns {string}
+ */
+export function formatAssetReport({ base, missing, invalid }) {
+  const lines = [];
+  if (missing.length) lines.push(`Missing under ${base}: ${missing.map(m => m.file).join(', ')}`);
+  for (const { file, reason } of invalid) lines.push(`Invalid ${file}: ${reason}`);
+  return lines.join('\n');
+}
@@ -0,0 +1,105 @@
+// Threshold calibration from labeled measures (pure, no DOM)
+// Sweeps candidate thresholds over { measure, truth } samples with the detectors' decision
+// rule (glasses when measure > threshold; non-finite measures never count as glasses) and
+// picks the best threshold by accuracy, Youden's J and balanced error rate.
+
+/**
+ * Selection criteria: the metric key on a sweep point and whether higher is better.
+ * Youden's J and balanced error are related by J = 1 - 2 * BER, so they always agree;
+ * both are reported because papers quote one or the other.
+ */
+export const CALIBRATION_CRITERIA = {
+  accuracy: { label: 'Accuracy', higherIsBetter: true },
+  youden: { label: "Youden's J", higherIsBetter: true },
+  balancedError: { label: 'Balanced error', higherIsBetter: false },
+};
+
+/**
+ * Evenly spaced thresholds from min to max (inclusive), e.g. the positions of a range slider.
+ * Values are rounded to 1e-6 so they round-trip through an <input type="range">.
+ * @param {number} min
+ * @param {number} max
+ * @param {number} step
+ * @returns {number[]}
+ */
+export function gridThresholds(min, max, step) {
+  if (!(step > 0) || !(max >= min)) throw new RangeError('gridThresholds: need step > 0 and max >= min');
+  const n = Math.floor((max - min) / step + 1e-9);
+  const out = [];
+  for (let i = 0; i <= n; i++) out.push(Number((min + i * step).toFixed(6)));
+  return out;
+}
+
+// Midpoints between consecutive distinct finite measures, plus one value below the
+// smallest (everything positive) and the largest (everything negative).
+function midpointThresholds(samples) {
+  const values = Array.from(new Set(samples.map(s => s.measure).filter(Number.isFinite))).sort((a, b) => a - b);
+  if (values.length === 0) return [0];
+  const out = [values[0] - 1e-6];
+  for (let i = 1; i < values.length; i++) out.push((values[i - 1] + values[i]) / 2);
+  out.push(values[values.length - 1]);
+  return out;
+}
+
+/**
+ * Confusion counts and derived metrics at one threshold.
+ * @param {Array<{measure:number, truth:boolean}>} samples
+ * @param {number} threshold
+ * @returns {{ threshold:number, tp:number, fp:number, tn:number, fn:number, accuracy:number, tpr:number, tnr:number, youden:number, balancedError:number }}
+ */
+export function confusionAt(samples, threshold) {
+  let tp = 0; let fp = 0; let tn = 0; let fn = 0;
+  for (const { measure, truth } of samples) {
+    const predicted = Number.isFinite(measure) && measure > threshold;
+    if (truth) { if (predicted) tp++; else fn++; } else if (predicted) fp++; else tn++;
+  }
+  const total = tp + fp + tn + fn;
+  const tpr = tp + fn > 0 ? tp / (tp + fn) : NaN;
+  const tnr = tn + fp > 0 ? tn / (tn + fp) : NaN;
+  return {
+    threshold, tp, fp, tn, fn,
+    accuracy: total > 0 ? (tp + tn) / total : NaN,
+    tpr, tnr,
+    youden: tpr + tnr - 1,
+    balancedError: 1 - (tpr + tnr) / 2,
+  };
+}
+
+// Best point for one criterion. Neighbouring thresholds often tie; take the middle of the
+// first run of tied points so the chosen threshold sits away from the nearest samples.
+function pickBest(points, key, higherIsBetter) {
+  const better = (a, b) => (higherIsBetter ? a > b : a < b);
+  let bestIdx = 0;
+  for (let i = 1; i < points.length; i++) if (better(points[i][key], points[bestIdx][key])) bestIdx = i;
+  let end = bestIdx;
+  while (end + 1 < points.length && points[end + 1][key] === points[bestIdx][key]) end++;
+  return points[Math.floor((bestIdx + end) / 2)];
+}
+
+/**
+ * Sweep thresholds over labeled measures and report the best one per criterion.
+ * Throws a RangeError unless the samples contain both classes.
+ *
+ * @param {Array<{measure:number, truth:boolean}>} samples - one per labeled image/face
+ * @param {{ thresholds?: number[] }} [options] - candidates to try (ascending); defaults to
+ *   midpoints between the observed measures
+ * @returns {{ positives:number, negatives:number, points:Array<ReturnType<typeof confusionAt>>, best:{ accuracy:object, youden:object, balancedError:object } }}
+ */
+export function sweepThresholds(samples, options = {}) {
+  const positives = samples.filter(s => s.truth).length;
+  const negatives = samples.length - positives;
+  if (positives === 0 || negatives === 0) {
+    throw new RangeError('sweepThresholds: need labeled samples of both classes (glasses and no_glasses)');
+  }
+  const candidates = options.thresholds && options.thresholds.length
+    ? options.thresholds.slice().sort((a, b) => a - b)
+    : midpointThresholds(samples);
+  const points = candidates.map(t => confusionAt(samples, t));
+  const best = {};
+  for (const [key, { higherIsBetter }] of Object.entries(CALIBRATION_CRITERIA)) {
+    best[key] = pickBest(points, key, higherIsBetter);
+  }
+  return { positives, negatives, points, best };
+}
+
+export default sweepThresholds;
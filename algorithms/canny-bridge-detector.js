@@ -0,0 +1,76 @@
+// Canny center-column glasses detector as a pure function (no DOM, no OpenCV)
+// Port of the notebook algorithm used by src/edge-batch.js: crop the nasal-bridge strip
+// of the aligned face, blur 3x3, Canny(100, 200) and look for edges on the center column.
+
+import { cropRgba, rgbaToGrayU8, gaussianBlurU8, cannyU8 } from './image-buffer.js';
+import { getImageSize, locateEyes, computeAlignmentMatrix, getAlignedFaceBuffer } from './face-alignment.js';
+import { resolveOptions } from './options.js';
+import { MARGIN_OPTIONS } from './uncertainty.js';
+import { POSE_OPTIONS } from './head-pose.js';
+import { ILLUMINATION_OPTIONS, normalizeIllumination } from './illumination.js';
+import { GLASSES_TYPE_OPTIONS, measureLensFeatures, classifyGlassesType } from './glasses-type.js';
+
+/**
+ * Options accepted by detectGlassesCanny (schema format from options.js).
+ * `threshold` and `uncertainMargin` are accepted for registry calls; the detector's own
+ * withGlasses stays the notebook's any-edge check.
+ */
+export const CANNY_OPTIONS = {
+  threshold: { type: 'number', default: 0, min: 0, max: 1, description: 'Decision threshold: glasses when measure > threshold' },
+  ...MARGIN_OPTIONS,
+  ...POSE_OPTIONS,
+  ...ILLUMINATION_OPTIONS,
+  ...GLASSES_TYPE_OPTIONS,
+};
+
+/**
+ * Measure the fraction of Canny edge pixels on the center column of the bridge strip.
+ * @param {{width:number,height:number,data:Uint8ClampedArray}} aligned - RGBA buffer
+ * @returns {{ measure:number, edgeCount:number }}
+ */
+export function computeCannyBridgeMeasure(aligned) {
+  const W = aligned.width; const H = aligned.height;
+  const stripW = Math.max(4, Math.round(W * 0.08));
+  const x0 = Math.round(W * 0.5 - stripW * 0.5);
+  const y0 = Math.round(H * 0.30);
+  const h0 = Math.max(8, Math.round(H * 0.35));
+  const roi = cropRgba(aligned, x0, y0, Math.min(stripW, W - x0), Math.min(h0, H - y0));
+  const gray = rgbaToGrayU8(roi.data, roi.width, roi.height);
+  const blurred = gaussianBlurU8(gray, roi.width, roi.height, 3);
+  const edges = cannyU8(blurred, roi.width, roi.height, 100, 200);
+  // Presence of a bright edge pixel along the center column indicates a glasses bridge
+  const centerX = Math.floor(roi.width / 2);
+  let edgeCount = 0;
+  for (let y = 0; y < roi.height; y++) if (edges[y * roi.width + centerX]) edgeCount++;
+  return { measure: edgeCount / (roi.height || 1), edgeCount };
+}
+
+/**
+ * Detect eyeglasses using the Canny center-column check from the notebook.
+ * Same signature and return shape as detectGlasses; withGlasses mirrors the notebook's
+ * binary check (any edge pixel on the center column).
+ *
+ * @param {string} landmark_provider - "mediapipe", "faceapi" or another registered provider (landmark-registry.js)
+ * @param {any} landmarks - provider-specific landmarks (see detectGlasses)
+ * @param {HTMLCanvasElement|HTMLImageElement|ImageData|{width:number,height:number,data:ArrayLike<number>}} src - source image
+ * @param {object} [options] - overrides for CANNY_OPTIONS (pose gate, illumination)
+ * @returns {{ measure:number, withGlasses:boolean, decision:string|null, glassesType:string|null, lens:object|null, reason:string, pose:object|null, illumination:string }} decision
+ *   is binary here; the registry applies `uncertainMargin`. glassesType tells clear glasses by
+ *   the same any-edge check
+ */
+export function detectGlassesCanny(landmark_provider, landmarks, src, options) {
+  const opts = resolveOptions(CANNY_OPTIONS, options, 'detectGlassesCanny options');
+  const { width: imgW, height: imgH } = getImageSize(src);
+  const eyes = locateEyes(landmark_provider, landmarks, imgW, imgH, opts);
+  const { illumination } = opts;
+  if (eyes.reason !== 'ok') return { measure: NaN, withGlasses: false, decision: null, glassesType: null, lens: null, reason: eyes.reason, pose: eyes.pose, illumination };
+  const { leftCenter, rightCenter } = eyes;
+
+  const aligned = getAlignedFaceBuffer(src, leftCenter, rightCenter, 256, 256);
+  const { measure, edgeCount } = computeCannyBridgeMeasure(normalizeIllumination(aligned, opts));
+  const lens = measureLensFeatures(aligned, { provider: landmark_provider, landmarks, imgW, imgH, matrix: computeAlignmentMatrix(leftCenter, rightCenter, 256, 256) });
+  const glassesType = classifyGlassesType(lens, measure, 0, opts);
+  return { measure, withGlasses: edgeCount > 0, decision: edgeCount > 0 ? 'glasses' : 'no_glasses', glassesType, lens, reason: 'ok', pose: eyes.pose, illumination };
+}
+
+export default detectGlassesCanny;
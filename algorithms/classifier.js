@@ -0,0 +1,315 @@
+// Trainable glasses classifier on aligned-face features (pure, no DOM)
+// Logistic regression or a one-hidden-layer MLP over the vector from face-features.js,
+// trained with mini-batch Adam on a stratified train/validation split, keeping the weights
+// with the lowest validation loss. Models are plain JSON objects, like probability models
+// (probability.js), and are passed to detectGlasses as `classifierModel`.
+
+import { resolveOptions } from './options.js';
+import { ILLUMINATION_OPTIONS } from './illumination.js';
+import { FEATURE_VERSION, FEATURE_SIZE } from './face-features.js';
+
+export const CLASSIFIER_MODEL_FORMAT = 'glasses-classifier';
+export const CLASSIFIER_MODEL_VERSION = 1;
+
+/** Model types, in the order the pages list them. */
+export const CLASSIFIER_TYPES = ['logistic', 'mlp'];
+
+/** Options accepted by trainClassifier (schema format from options.js). */
+export const TRAINING_OPTIONS = {
+  type: { type: 'string', default: 'logistic', values: CLASSIFIER_TYPES, description: 'Logistic regression or a one-hidden-layer MLP' },
+  hiddenUnits: { type: 'integer', default: 8, min: 1, max: 256, description: "Hidden units of the 'mlp' (tanh)" },
+  epochs: { type: 'integer', default: 100, min: 1, max: 10000, description: 'Passes over the training set' },
+  patience: { type: 'integer', default: 20, min: 1, max: 10000, description: 'Stop after this many epochs without a lower validation loss' },
+  batchSize: { type: 'integer', default: 32, min: 1, max: 65536, description: 'Mini-batch size' },
+  learningRate: { type: 'number', default: 0.01, min: 1e-6, max: 1, description: 'Adam step size' },
+  l2: { type: 'number', default: 1e-3, min: 0, max: 10, description: 'L2 penalty on the weights (not the biases)' },
+  validationFraction: { type: 'number', default: 0.2, min: 0, max: 0.9, description: 'Share of each class held out for validation' },
+  seed: { type: 'integer', default: 1, min: 0, description: 'Seed of the split, the initial weights and the batch order' },
+  illumination: { ...ILLUMINATION_OPTIONS.illumination, description: 'Illumination normalization the features were computed with; recorded in the model' },
+};
+
+const sigmoid = (z) => (z >= 0 ? 1 / (1 + Math.exp(-z)) : Math.exp(z) / (1 + Math.exp(z)));
+
+// Small seeded PRNG (mulberry32), so a split and a training run can be reproduced
+function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, rng) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+/**
+ * Stratified train/validation split: `validationFraction` of each class, at random.
+ * @param {Array<{ truth:boolean }>} samples
+ * @param {{ validationFraction?:number, seed?:number }} [options]
+ * @returns {{ train:Array<object>, validation:Array<object> }}
+ */
+export function splitSamples(samples, { validationFraction = 0.2, seed = 1 } = {}) {
+  const rng = createRng(seed);
+  const train = []; const validation = [];
+  for (const cls of [true, false]) {
+    const group = shuffle(samples.filter(s => !!s.truth === cls), rng);
+    const held = Math.round(group.length * validationFraction);
+    validation.push(...group.slice(0, held));
+    train.push(...group.slice(held));
+  }
+  return { train, validation };
+}
+
+// Network state: `hidden` is null for logistic regression, whose output reads the inputs
+function createNet(type, inputs, hiddenUnits, rng) {
+  const uniform = (n, limit) => Float64Array.from({ length: n }, () => (rng() * 2 - 1) * limit);
+  if (type === 'logistic') return { hidden: null, output: { weights: new Float64Array(inputs), bias: new Float64Array(1) } };
+  return {
+    // Glorot-uniform initialization for the tanh layer
+    hidden: { weights: uniform(hiddenUnits * inputs, Math.sqrt(6 / (inputs + hiddenUnits))), bias: new Float64Array(hiddenUnits) },
+    output: { weights: uniform(hiddenUnits, Math.sqrt(6 / (hiddenUnits + 1))), bias: new Float64Array(1) },
+  };
+}
+
+// Forward pass on standardized inputs; returns the hidden activations (or the inputs) and P(glasses)
+function forward(net, x) {
+  let h = x;
+  if (net.hidden) {
+    const { weights, bias } = net.hidden;
+    const units = bias.length; const d = x.length;
+    h = new Float64Array(units);
+    for (let j = 0; j < units; j++) {
+      let z = bias[j];
+      for (let i = 0, o = j * d; i < d; i++) z += weights[o + i] * x[i];
+      h[j] = Math.tanh(z);
+    }
+  }
+  let z = net.output.bias[0];
+  for (let j = 0; j < h.length; j++) z += net.output.weights[j] * h[j];
+  return { h, p: sigmoid(z) };
+}
+
+function parameters(net) {
+  return net.hidden
+    ? [net.hidden.weights, net.hidden.bias, net.output.weights, net.output.bias]
+    : [net.output.weights, net.output.bias];
+}
+
+function cloneNet(net) {
+  return {
+    hidden: net.hidden ? { weights: net.hidden.weights.slice(), bias: net.hidden.bias.slice() } : null,
+    output: { weights: net.output.weights.slice(), bias: net.output.bias.slice() },
+  };
+}
+
+function evaluate(net, data) {
+  if (data.length === 0) return null;
+  let correct = 0; let logLoss = 0;
+  for (const { x, t } of data) {
+    const p = Math.min(1 - 1e-12, Math.max(1e-12, forward(net, x).p));
+    if ((p > 0.5) === (t === 1)) correct++;
+    logLoss -= t * Math.log(p) + (1 - t) * Math.log(1 - p);
+  }
+  return { n: data.length, positives: data.reduce((n, s) => n + s.t, 0), accuracy: correct / data.length, logLoss: logLoss / data.length };
+}
+
+/**
+ * Train a classifier on labeled feature vectors (extractFaceFeatures) and wrap it as an
+ * exportable JSON object. Samples with a missing or non-finite feature vector are skipped;
+ * throws a RangeError unless the training part has both classes.
+ * @param {Array<{ features:ArrayLike<number>|null, truth:boolean }>} samples
+ * @param {object} [options] - overrides for TRAINING_OPTIONS
+ * @returns {object} model with `training: { epochs, bestEpoch, train, validation }`, where
+ *   train/validation are { n, positives, accuracy, logLoss } (validation null without a split)
+ */
+export function trainClassifier(samples, options) {
+  const opts = resolveOptions(TRAINING_OPTIONS, options, 'trainClassifier options');
+  const usable = samples.filter(s => s.features && s.features.length === FEATURE_SIZE && Array.prototype.every.call(s.features, Number.isFinite));
+  const split = splitSamples(usable, opts);
+  const positives = split.train.filter(s => s.truth).length;
+  if (positives === 0 || positives === split.train.length) {
+    throw new RangeError('classifier training: need faces of both classes (glasses and no_glasses) with features');
+  }
+
+  // Standardize every feature with the training statistics; constant features are left centered
+  const d = FEATURE_SIZE;
+  const mean = new Float64Array(d); const std = new Float64Array(d);
+  for (const s of split.train) for (let i = 0; i < d; i++) mean[i] += s.features[i] / split.train.length;
+  for (const s of split.train) for (let i = 0; i < d; i++) std[i] += (s.features[i] - mean[i]) ** 2 / split.train.length;
+  for (let i = 0; i < d; i++) std[i] = std[i] > 1e-12 ? Math.sqrt(std[i]) : 1;
+  const prepare = (list) => list.map(s => ({ x: Float64Array.from(s.features, (v, i) => (v - mean[i]) / std[i]), t: s.truth ? 1 : 0 }));
+  const train = prepare(split.train);
+  const validation = prepare(split.validation);
+
+  const rng = createRng(opts.seed + 1);
+  const net = createNet(opts.type, d, opts.hiddenUnits, rng);
+  const params = parameters(net);
+  const grads = params.map(p => new Float64Array(p.length));
+  const m = params.map(p => new Float64Array(p.length));
+  const v = params.map(p => new Float64Array(p.length));
+  const [beta1, beta2, eps] = [0.9, 0.999, 1e-8];
+  let step = 0;
+  let best = { loss: Infinity, net: cloneNet(net), epoch: 0 };
+  let epoch = 0;
+
+  const order = train.map((_, i) => i);
+  for (epoch = 1; epoch <= opts.epochs; epoch++) {
+    shuffle(order, rng);
+    for (let start = 0; start < order.length; start += opts.batchSize) {
+      const batch = order.slice(start, start + opts.batchSize);
+      for (const g of grads) g.fill(0);
+      for (const idx of batch) {
+        const { x, t } = train[idx];
+        const { h, p } = forward(net, x);
+        const dz = p - t;
+        const [gOutW, gOutB] = net.hidden ? [grads[2], grads[3]] : [grads[0], grads[1]];
+        for (let j = 0; j < h.length; j++) gOutW[j] += dz * h[j];
+        gOutB[0] += dz;
+        if (net.hidden) {
+          for (let j = 0; j < h.length; j++) {
+            const dh = dz * net.output.weights[j] * (1 - h[j] * h[j]);
+            if (dh === 0) continue;
+            for (let i = 0, o = j * d; i < d; i++) grads[0][o + i] += dh * x[i];
+            grads[1][j] += dh;
+          }
+        }
+      }
+      // Adam update on the batch mean gradient plus the L2 term (weights only)
+      step++;
+      const lr = opts.learningRate * Math.sqrt(1 - beta2 ** step) / (1 - beta1 ** step);
+      params.forEach((p, k) => {
+        const isWeights = p === net.output.weights || (net.hidden && p === net.hidden.weights);
+        for (let i = 0; i < p.length; i++) {
+          const g = grads[k][i] / batch.length + (isWeights ? opts.l2 * p[i] : 0);
+          m[k][i] = beta1 * m[k][i] + (1 - beta1) * g;
+          v[k][i] = beta2 * v[k][i] + (1 - beta2) * g * g;
+          p[i] -= lr * m[k][i] / (Math.sqrt(v[k][i]) + eps);
+        }
+      });
+    }
+    // Early stopping on the validation loss (the training loss without a split)
+    const loss = evaluate(net, validation.length ? validation : train).logLoss;
+    if (loss < best.loss - 1e-9) best = { loss, net: cloneNet(net), epoch };
+    else if (epoch - best.epoch >= opts.patience) break;
+  }
+
+  const chosen = best.net;
+  const model = {
+    format: CLASSIFIER_MODEL_FORMAT,
+    version: CLASSIFIER_MODEL_VERSION,
+    type: opts.type,
+    features: { version: FEATURE_VERSION, size: d, illumination: opts.illumination },
+    threshold: 0.5,
+    mean: Array.from(mean),
+    std: Array.from(std),
+    output: { weights: Array.from(chosen.output.weights), bias: chosen.output.bias[0] },
+  };
+  if (chosen.hidden) {
+    model.hidden = {
+      weights: Array.from({ length: opts.hiddenUnits }, (_, j) => Array.from(chosen.hidden.weights.subarray(j * d, (j + 1) * d))),
+      bias: Array.from(chosen.hidden.bias),
+    };
+  }
+  // Quality on both parts, for the UI and for anyone reading the JSON later
+  model.training = {
+    epochs: Math.min(epoch, opts.epochs),
+    bestEpoch: best.epoch,
+    options: { hiddenUnits: opts.type === 'mlp' ? opts.hiddenUnits : 0, learningRate: opts.learningRate, l2: opts.l2, batchSize: opts.batchSize, validationFraction: opts.validationFraction, seed: opts.seed },
+    train: evaluate(chosen, train),
+    validation: evaluate(chosen, validation),
+  };
+  return model;
+}
+
+/**
+ * P(glasses) of one feature vector.
+ * @param {object} model - a validated classifier model
+ * @param {ArrayLike<number>} features - extractFaceFeatures output
+ * @returns {number} NaN when a feature is not finite
+ */
+export function predictClassifier(model, features) {
+  const { mean, std } = model;
+  const x = new Float64Array(mean.length);
+  for (let i = 0; i < x.length; i++) {
+    if (!Number.isFinite(features[i])) return NaN;
+    x[i] = (features[i] - mean[i]) / std[i];
+  }
+  let h = x;
+  if (model.hidden) {
+    h = new Float64Array(model.hidden.bias.length);
+    for (let j = 0; j < h.length; j++) {
+      const w = model.hidden.weights[j];
+      let z = model.hidden.bias[j];
+      for (let i = 0; i < x.length; i++) z += w[i] * x[i];
+      h[j] = Math.tanh(z);
+    }
+  }
+  let z = model.output.bias;
+  for (let j = 0; j < h.length; j++) z += model.output.weights[j] * h[j];
+  return sigmoid(z);
+}
+
+/**
+ * Check a classifier model's structure. Throws TypeError describing the first problem.
+ * @param {any} model
+ * @param {string} [owner] - name used in error messages
+ * @returns {object} the model itself
+ */
+export function validateClassifierModel(model, owner = 'classifierModel') {
+  const fail = (msg) => { throw new TypeError(`${owner}: ${msg}`); };
+  const finiteArray = (a, n) => Array.isArray(a) && a.length === n && a.every(Number.isFinite);
+  if (!model || typeof model !== 'object' || Array.isArray(model)) fail('must be an object');
+  if (model.format !== CLASSIFIER_MODEL_FORMAT) fail(`format must be "${CLASSIFIER_MODEL_FORMAT}"`);
+  if (model.version !== CLASSIFIER_MODEL_VERSION) fail(`unsupported version ${model.version}`);
+  if (!CLASSIFIER_TYPES.includes(model.type)) fail(`type must be one of ${CLASSIFIER_TYPES.join(', ')}`);
+  const f = model.features;
+  if (!f || typeof f !== 'object') fail('features missing');
+  if (f.version !== FEATURE_VERSION || f.size !== FEATURE_SIZE) fail(`trained on feature version ${f.version} (${f.size} values); this build computes version ${FEATURE_VERSION} (${FEATURE_SIZE} values)`);
+  if (!ILLUMINATION_OPTIONS.illumination.values.includes(f.illumination)) fail(`features.illumination must be one of ${ILLUMINATION_OPTIONS.illumination.values.join(', ')}`);
+  if (!Number.isFinite(model.threshold) || model.threshold < 0 || model.threshold > 1) fail('threshold must be a number in [0, 1]');
+  if (!finiteArray(model.mean, FEATURE_SIZE)) fail(`mean must hold ${FEATURE_SIZE} finite numbers`);
+  if (!finiteArray(model.std, FEATURE_SIZE) || model.std.some(s => s <= 0)) fail(`std must hold ${FEATURE_SIZE} positive numbers`);
+  let inputs = FEATURE_SIZE;
+  if (model.type === 'mlp') {
+    const h = model.hidden;
+    if (!h || !Array.isArray(h.bias) || h.bias.length === 0 || !h.bias.every(Number.isFinite)) fail('hidden.bias must be a non-empty array of finite numbers');
+    if (!Array.isArray(h.weights) || h.weights.length !== h.bias.length || !h.weights.every(row => finiteArray(row, FEATURE_SIZE))) {
+      fail(`hidden.weights must hold ${h.bias.length} rows of ${FEATURE_SIZE} finite numbers`);
+    }
+    inputs = h.bias.length;
+  }
+  const o = model.output;
+  if (!o || !finiteArray(o.weights, inputs) || !Number.isFinite(o.bias)) fail(`output needs ${inputs} finite weights and a finite bias`);
+  return model;
+}
+
+/**
+ * Load a classifier model from JSON text (or an already parsed object) and validate it.
+ * @param {string|object} json
+ * @returns {object}
+ */
+export function loadClassifierModel(json) {
+  let model = json;
+  if (typeof json === 'string') {
+    try { model = JSON.parse(json); } catch (err) { throw new TypeError(`classifierModel: invalid JSON (${err.message})`); }
+  }
+  return validateClassifierModel(model);
+}
+
+/**
+ * Serialize a classifier model for download or storage. Compact JSON: an MLP has
+ * thousands of weights.
+ * @param {object} model
+ * @returns {string}
+ */
+export function exportClassifierModel(model) {
+  return JSON.stringify(validateClassifierModel(model));
+}
@@ -0,0 +1,91 @@
+// Ensemble glasses detector as a pure function (no DOM, no OpenCV)
+// Aligns the face once and scores it with the nasal-bridge strip (glasses-detector.js),
+// the frame rims (rim-detector.js) and the Sobel/Otsu ROIs (sobel-otsu-detector.js), then
+// fuses the three scores with configurable weights or a fitted model (fusion.js).
+
+import { getImageSize, locateEyes, computeAlignmentMatrix, getAlignedFaceBuffer } from './face-alignment.js';
+import { resolveOptions } from './options.js';
+import { MARGIN_OPTIONS, OCCLUSION_OPTIONS, checkOcclusion, decide } from './uncertainty.js';
+import { POSE_OPTIONS } from './head-pose.js';
+import { ILLUMINATION_OPTIONS } from './illumination.js';
+import { GLASSES_TYPE_OPTIONS, measureLensFeatures, classifyGlassesType } from './glasses-type.js';
+import { BRIDGE_OPTIONS, resolveBridgeOptions, computeBridgeMeasureNormalized } from './glasses-detector.js';
+import { computeSobelY, otsuAndMeasure } from './sobel-otsu-detector.js';
+import { RIM_OPTIONS, computeRimMeasure } from './rim-detector.js';
+import { fuseWeighted, predictFusion, validateFusionModel } from './fusion.js';
+
+/**
+ * Options accepted by detectGlassesEnsemble (schema format from options.js).
+ * With `fusionModel` the weights are ignored. The occlusion check looks at the bridge strip.
+ */
+export const ENSEMBLE_OPTIONS = {
+  threshold: { type: 'number', default: 0.5, min: 0, max: 1, description: 'Decision threshold: glasses when measure > threshold' },
+  bridgeWeight: { type: 'number', default: 1, min: 0, max: 100, description: 'Weight of the nasal-bridge score in the weighted fusion' },
+  rimWeight: { type: 'number', default: 1, min: 0, max: 100, description: 'Weight of the rim score in the weighted fusion' },
+  sobelOtsuWeight: { type: 'number', default: 1, min: 0, max: 100, description: 'Weight of the Sobel/Otsu score in the weighted fusion' },
+  fusionModel: { type: 'object', validate: validateFusionModel, description: 'Fitted fusion model (fusion.js); replaces the weights' },
+  gradientThreshold: BRIDGE_OPTIONS.gradientThreshold,
+  rimGradientThreshold: RIM_OPTIONS.rimGradientThreshold,
+  ...MARGIN_OPTIONS,
+  ...OCCLUSION_OPTIONS,
+  ...POSE_OPTIONS,
+  ...ILLUMINATION_OPTIONS,
+  ...GLASSES_TYPE_OPTIONS,
+};
+
+/**
+ * Detect eyeglasses by fusing the bridge, rim and Sobel/Otsu scores.
+ * Same signature and return shape as detectGlasses in glasses-detector.js, plus
+ * `components: { bridge, rim, sobelOtsu }` (each component's own measure), `rimScores`
+ * (see detectGlassesRim) and `fusion` ('weights' or 'model'); the first two are null
+ * without a measure. `measure` is the fused score in [0, 1].
+ *
+ * @param {string} landmark_provider - "mediapipe", "faceapi" or another registered provider (landmark-registry.js)
+ * @param {any} landmarks - provider-specific landmarks (see detectGlasses)
+ * @param {HTMLCanvasElement|HTMLImageElement|ImageData|{width:number,height:number,data:ArrayLike<number>}} src - source image
+ * @param {object} [options] - overrides for ENSEMBLE_OPTIONS (weights or fusion model, component gradient thresholds, uncertain margin, occlusion check, pose gate, illumination)
+ * @returns {{ measure:number, withGlasses:boolean, decision:string|null, glassesType:string|null, lens:object|null, components:{bridge:number, rim:number, sobelOtsu:number}|null, rimScores:{underEye:number, temple:number}|null, fusion:string, occluded:boolean, reason:string, pose:object|null, illumination:string }}
+ */
+export function detectGlassesEnsemble(landmark_provider, landmarks, src, options) {
+  const opts = resolveOptions(ENSEMBLE_OPTIONS, options, 'detectGlassesEnsemble options');
+  const weights = { bridge: opts.bridgeWeight, rim: opts.rimWeight, sobelOtsu: opts.sobelOtsuWeight };
+  const fusion = opts.fusionModel ? 'model' : 'weights';
+  if (fusion === 'weights' && weights.bridge + weights.rim + weights.sobelOtsu === 0) {
+    throw new RangeError('detectGlassesEnsemble options: at least one component weight must be positive');
+  }
+  const { width: imgW, height: imgH } = getImageSize(src);
+  const eyes = locateEyes(landmark_provider, landmarks, imgW, imgH, opts);
+  const { illumination } = opts;
+  if (eyes.reason !== 'ok') return { measure: NaN, withGlasses: false, decision: null, glassesType: null, lens: null, components: null, rimScores: null, fusion, occluded: false, reason: eyes.reason, pose: eyes.pose, illumination };
+  const { leftCenter, rightCenter } = eyes;
+
+  const aligned = getAlignedFaceBuffer(src, leftCenter, rightCenter, 256, 256);
+  // One normalization for all three scores; the bridge's occlusion stats stay on raw pixels
+  const illuminationOpts = Object.fromEntries(Object.keys(ILLUMINATION_OPTIONS).map(k => [k, opts[k]]));
+  const { res: bridge, normalized } = computeBridgeMeasureNormalized(aligned, resolveBridgeOptions({ gradientThreshold: opts.gradientThreshold, ...illuminationOpts }));
+  const rim = computeRimMeasure(normalized, opts);
+  const sobelOtsu = otsuAndMeasure(computeSobelY(normalized), aligned.width, aligned.height);
+  const components = { bridge: bridge.measure, rim: rim.measure, sobelOtsu: sobelOtsu.measure };
+
+  const measure = fusion === 'model' ? predictFusion(opts.fusionModel, components) : fuseWeighted(components, weights);
+  const { occluded } = checkOcclusion(bridge.regionStats, opts);
+  const decision = decide(measure, opts.threshold, { uncertainMargin: opts.uncertainMargin, occluded });
+  const lens = measureLensFeatures(aligned, { provider: landmark_provider, landmarks, imgW, imgH, matrix: computeAlignmentMatrix(leftCenter, rightCenter, 256, 256) });
+  const glassesType = classifyGlassesType(lens, measure, opts.threshold, opts);
+  return {
+    measure,
+    withGlasses: measure > opts.threshold,
+    decision,
+    glassesType,
+    lens,
+    components,
+    rimScores: { underEye: rim.underEye, temple: rim.temple },
+    fusion,
+    occluded,
+    reason: 'ok',
+    pose: eyes.pose,
+    illumination,
+  };
+}
+
+export default detectGlassesEnsemble;
@@ -0,0 +1,186 @@
+// Landmark geometry and face alignment shared by the pure algorithms (no DOM interactions)
+// Eye corners -> eye-line fit -> eye centers -> alignment matrix / aligned RGBA buffer
+
+import { toRgbaBuffer, warpAffineBilinear } from './image-buffer.js';
+import { poseWithinLimits } from './head-pose.js';
+import { hasLandmarkProvider, getProviderEyeCorners, getProviderFaceBox, estimateHeadPose } from './landmark-registry.js';
+
+/**
+ * Derive image dimensions from any supported source.
+ * @param {HTMLCanvasElement|HTMLImageElement|ImageData|{width:number,height:number}} src
+ * @returns {{width:number,height:number}}
+ */
+export function getImageSize(src) {
+  if (typeof HTMLCanvasElement !== 'undefined' && src instanceof HTMLCanvasElement) return { width: src.width, height: src.height };
+  if (typeof HTMLImageElement !== 'undefined' && src instanceof HTMLImageElement) return { width: src.naturalWidth || src.width, height: src.naturalHeight || src.height };
+  if (typeof ImageData !== 'undefined' && src instanceof ImageData) return { width: src.width, height: src.height };
+  if (src && src.width && src.height) return { width: src.width, height: src.height };
+  throw new Error('Unsupported or missing src for size extraction');
+}
+
+/**
+ * Minimum eye distance in pixels for a face to be measured; rejects tiny/false faces.
+ * @param {number} imgW
+ * @param {number} imgH
+ * @param {number} [ratio] - fraction of min(imgW, imgH)
+ * @param {number} [minPx] - absolute floor in pixels
+ * @returns {number}
+ */
+export function getMinEyeDistance(imgW, imgH, ratio = 0.055, minPx = 40) {
+  return Math.max(minPx, Math.round(ratio * Math.min(imgW, imgH)));
+}
+
+/**
+ * Compute least-squares line y = kx + b through a set of 2D points.
+ * @param {Array<[number, number]>} points
+ * @returns {{k:number,b:number}}
+ */
+export function leastSquaresKAndB(points) {
+  const n = points.length;
+  let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+  for (const [x, y] of points) { sumX += x; sumY += y; sumXY += x * y; sumXX += x * x; }
+  const denom = (n * sumXX - sumX * sumX) + 1e-6;
+  const k = (n * sumXY - sumX * sumY) / denom;
+  const b = (sumY - k * sumX) / n;
+  return { k, b };
+}
+
+/**
+ * Eye corner points in pixels, from the provider's declaration (see landmark-registry.js).
+ * Built in: mediapipe (FaceMesh, normalized), faceapi and dlib-68 (68 points, pixels),
+ * dlib-5 (5 points, pixels) and eyes (a generic { leftEye, rightEye } object).
+ * @param {string} provider - a registered landmark provider
+ * @param {any} landmarks
+ * @param {number} imgW
+ * @param {number} imgH
+ * @returns {{ rOuter:[number,number], rInner:[number,number], lInner:[number,number], lOuter:[number,number] }}
+ */
+export function getEyeCornerPoints(provider, landmarks, imgW, imgH) {
+  return getProviderEyeCorners(provider, landmarks, imgW, imgH);
+}
+
+/**
+ * Compute left/right eye centers by projecting the midpoints to the eye-line fit.
+ * @param {number} imgW
+ * @param {number} imgH
+ * @param {{ rOuter:[number,number], rInner:[number,number], lInner:[number,number], lOuter:[number,number] }} corners
+ */
+export function getCentersFromCorners(imgW, imgH, corners) {
+  const { rOuter, rInner, lInner, lOuter } = corners;
+  const pts = [rOuter, rInner, lInner, lOuter];
+  const { k, b } = leastSquaresKAndB(pts);
+  const xLeft = (lOuter[0] + lInner[0]) / 2;
+  const xRight = (rOuter[0] + rInner[0]) / 2;
+  const leftCenter = [Math.round(xLeft), Math.round(xLeft * k + b)];
+  const rightCenter = [Math.round(xRight), Math.round(xRight * k + b)];
+  return { leftCenter, rightCenter, k, b };
+}
+
+/**
+ * Axis-aligned face bounding box in pixels: the provider's own box, else the extent of all
+ * landmarks (see landmark-registry.js).
+ * @param {string} provider - a registered landmark provider
+ * @param {any} landmarks
+ * @param {number} imgW
+ * @param {number} imgH
+ * @returns {{x:number,y:number,width:number,height:number}|null} null if no usable points
+ */
+export function getFaceBox(provider, landmarks, imgW, imgH) {
+  return getProviderFaceBox(provider, landmarks, imgW, imgH);
+}
+
+/**
+ * Locate the eyes and apply the eye-distance and head-pose gates, without throwing on bad
+ * landmarks. Returns a machine-readable `reason`:
+ * - 'ok': eyes found, far enough apart, pose within the limits
+ * - 'degenerate_landmarks': missing or non-finite eye corners, or both eyes on one point
+ * - 'face_too_small': eye distance below the gate (see getMinEyeDistance)
+ * - 'pose_out_of_range': yaw, pitch or roll beyond the limits (see head-pose.js)
+ * `pose` ({ yaw, pitch, roll } in degrees, or null) is returned whatever the reason.
+ * Unregistered providers still throw, since that is a caller error.
+ * @param {string} provider - a registered landmark provider (see landmark-registry.js)
+ * @param {any} landmarks
+ * @param {number} imgW
+ * @param {number} imgH
+ * @param {{ minEyeDistRatio?:number, minEyeDistPx?:number, poseCheck?:boolean, maxYaw?:number, maxPitch?:number, maxRoll?:number }} [gate]
+ * @returns {{ reason:'ok'|'degenerate_landmarks'|'face_too_small'|'pose_out_of_range', pose:object|null, corners?:object, leftCenter?:[number,number], rightCenter?:[number,number], k?:number, b?:number, eyeDist?:number, minEyeDist:number }}
+ */
+export function locateEyes(provider, landmarks, imgW, imgH, gate = {}) {
+  if (!hasLandmarkProvider(provider)) throw new Error(`Unsupported landmark_provider: ${provider}`);
+  const minEyeDist = getMinEyeDistance(imgW, imgH, gate.minEyeDistRatio, gate.minEyeDistPx);
+  const pose = estimateHeadPose(provider, landmarks, imgW, imgH);
+  let corners;
+  try {
+    corners = getEyeCornerPoints(provider, landmarks, imgW, imgH);
+  } catch (_) {
+    return { reason: 'degenerate_landmarks', pose, minEyeDist };
+  }
+  const coords = Object.values(corners).flat();
+  if (!coords.every(v => typeof v === 'number' && isFinite(v))) return { reason: 'degenerate_landmarks', pose, corners, minEyeDist };
+  const { leftCenter, rightCenter, k, b } = getCentersFromCorners(imgW, imgH, corners);
+  const eyeDist = Math.hypot(rightCenter[0] - leftCenter[0], rightCenter[1] - leftCenter[1]);
+  const base = { pose, corners, leftCenter, rightCenter, k, b, eyeDist, minEyeDist };
+  if (!isFinite(eyeDist) || eyeDist === 0) return { reason: 'degenerate_landmarks', ...base };
+  if (eyeDist < minEyeDist) return { reason: 'face_too_small', ...base };
+  if (!poseWithinLimits(pose, gate)) return { reason: 'pose_out_of_range', ...base };
+  return { reason: 'ok', ...base };
+}
+
+/**
+ * Eye centers in pixels, as used for alignment; kept for faces the size gate rejects.
+ * @param {string} provider
+ * @param {any} landmarks
+ * @param {number} imgW
+ * @param {number} imgH
+ * @returns {{ left:[number,number], right:[number,number] }|null} null for degenerate landmarks
+ */
+export function getEyeCenters(provider, landmarks, imgW, imgH) {
+  const eyes = locateEyes(provider, landmarks, imgW, imgH);
+  return eyes.leftCenter && eyes.reason !== 'degenerate_landmarks' ? { left: eyes.leftCenter, right: eyes.rightCenter } : null;
+}
+
+/**
+ * Forward affine matrix that aligns a face about its eye centers, in Canvas
+ * setTransform layout [a,b,c,d,e,f]. Equivalent to OpenCV's
+ * getRotationMatrix2D(eyesCenter, angle, scale) + recentering + vertical flip,
+ * as done by the OpenCV pages, so the eye line ends up horizontal.
+ * @param {[number,number]} leftCenter
+ * @param {[number,number]} rightCenter
+ * @param {number} desiredW
+ * @param {number} desiredH
+ * @returns {number[]}
+ */
+export function computeAlignmentMatrix(leftCenter, rightCenter, desiredW = 256, desiredH = 256) {
+  const dx = rightCenter[0] - leftCenter[0];
+  const dy = rightCenter[1] - leftCenter[1];
+  const dist = Math.hypot(dx, dy);
+  const desiredDist = desiredW * 0.5;
+  const scale = desiredDist / (dist || 1);
+  const angle = Math.atan2(dy, dx); // radians
+  const eyesCenterX = (leftCenter[0] + rightCenter[0]) * 0.5;
+  const eyesCenterY = (leftCenter[1] + rightCenter[1]) * 0.5;
+  const alpha = scale * Math.cos(angle);
+  const beta = scale * Math.sin(angle);
+  // translate(W/2,H/2) * scale(1,-1) * rotate(-angle) * scale(s) * translate(-eyesCenter)
+  return [
+    alpha, beta,
+    beta, -alpha,
+    desiredW / 2 - alpha * eyesCenterX - beta * eyesCenterY,
+    desiredH / 2 - beta * eyesCenterX + alpha * eyesCenterY,
+  ];
+}
+
+/**
+ * Align a face on typed arrays (pure counterpart of the Canvas alignment in glasses-detector.js):
+ * same matrix, bilinear sampling. Output is desiredW x desiredH RGBA.
+ * @param {HTMLCanvasElement|ImageData|{width:number,height:number,data:ArrayLike<number>}} src
+ * @param {[number,number]} leftCenter
+ * @param {[number,number]} rightCenter
+ * @param {number} desiredW
+ * @param {number} desiredH
+ * @returns {{width:number,height:number,data:Uint8ClampedArray}}
+ */
+export function getAlignedFaceBuffer(src, leftCenter, rightCenter, desiredW = 256, desiredH = 256) {
+  const matrix = computeAlignmentMatrix(leftCenter, rightCenter, desiredW, desiredH);
+  return warpAffineBilinear(toRgbaBuffer(src), matrix, desiredW, desiredH);
+}
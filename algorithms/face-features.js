@@ -0,0 +1,138 @@
+// Feature vector of an aligned face for trained classifiers (pure, no DOM)
+// HOG over the eye and nasal-bridge regions, gradient histograms of the whole face, and the
+// existing scalar measures. The layout is fixed by FEATURE_VERSION: a model trained on one
+// version cannot read another (see classifier.js).
+
+import { rgbaToGray } from './image-buffer.js';
+import { computeSobelY, otsuAndMeasure } from './sobel-otsu-detector.js';
+import { computeRimMeasure } from './rim-detector.js';
+
+export const FEATURE_VERSION = 1;
+
+/** Side of the aligned face the features are computed on, px. */
+export const FEATURE_FACE_SIZE = 256;
+
+const CELL = 16;
+const BINS = 9;
+// Upper edges of the gradient-magnitude histogram bins (8-bit gray); the last bin is open
+const MAGNITUDE_EDGES = [4, 8, 16, 32, 64, 128, 256];
+const MEASURES = ['bridge', 'sobelOtsu', 'rim', 'rimUnderEye', 'rimTemple'];
+
+/**
+ * HOG regions on an aligned face of side S (eye centers at (S/4, S/2) and (3S/4, S/2)):
+ * a box around each eye and the nasal bridge between and below them. At S = 256 every
+ * side is a multiple of the 16 px cell and of the 2 x 2-cell block.
+ * @param {number} S
+ * @returns {{ leftEye:{x:number,y:number,width:number,height:number}, rightEye:{x:number,y:number,width:number,height:number}, bridge:{x:number,y:number,width:number,height:number} }}
+ */
+export function getFeatureRegions(S) {
+  const rect = (x, y, w, h) => ({ x: Math.round(S * x), y: Math.round(S * y), width: Math.round(S * w), height: Math.round(S * h) });
+  return {
+    leftEye: rect(0.0625, 0.375, 0.375, 0.25),
+    rightEye: rect(0.5625, 0.375, 0.375, 0.25),
+    bridge: rect(0.375, 0.3125, 0.25, 0.375),
+  };
+}
+
+// HOG length of one region: non-overlapping 2 x 2-cell blocks of BINS-bin cell histograms
+function regionLength(r) {
+  return Math.floor(r.width / (2 * CELL)) * Math.floor(r.height / (2 * CELL)) * 4 * BINS;
+}
+
+/** Length of the feature vector of FEATURE_VERSION. */
+export const FEATURE_SIZE = Object.values(getFeatureRegions(FEATURE_FACE_SIZE)).reduce((n, r) => n + regionLength(r), 0)
+  + BINS + MAGNITUDE_EDGES.length + 1 + MEASURES.length;
+
+// Central-difference gradient magnitude and unsigned orientation bin (fractional) per pixel
+function gradients(gray, width, height) {
+  const mag = new Float32Array(width * height);
+  const bin = new Float32Array(width * height);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const gx = gray[i + 1] - gray[i - 1];
+      const gy = gray[i + width] - gray[i - width];
+      mag[i] = Math.hypot(gx, gy);
+      let a = Math.atan2(gy, gx);
+      if (a < 0) a += Math.PI;
+      bin[i] = (a / Math.PI) * BINS;
+    }
+  }
+  return { mag, bin };
+}
+
+// Cell histograms of one region, bilinear in orientation, then L2-Hys per 2 x 2-cell block
+function regionHog(mag, bin, width, r, out, offset) {
+  const cellsX = Math.floor(r.width / (2 * CELL)) * 2;
+  const cellsY = Math.floor(r.height / (2 * CELL)) * 2;
+  const cells = new Float32Array(cellsX * cellsY * BINS);
+  for (let y = 0; y < cellsY * CELL; y++) {
+    for (let x = 0; x < cellsX * CELL; x++) {
+      const i = (r.y + y) * width + r.x + x;
+      const m = mag[i];
+      if (m === 0) continue;
+      const b = bin[i] - 0.5;
+      const b0 = Math.floor(b); const f = b - b0;
+      const c = ((y / CELL | 0) * cellsX + (x / CELL | 0)) * BINS;
+      cells[c + ((b0 + BINS) % BINS)] += m * (1 - f);
+      cells[c + ((b0 + 1) % BINS)] += m * f;
+    }
+  }
+  let k = offset;
+  for (let by = 0; by < cellsY; by += 2) {
+    for (let bx = 0; bx < cellsX; bx += 2) {
+      const block = [];
+      for (const [dx, dy] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+        const c = ((by + dy) * cellsX + bx + dx) * BINS;
+        for (let j = 0; j < BINS; j++) block.push(cells[c + j]);
+      }
+      // L2-Hys: normalize, clip at 0.2, normalize again
+      let norm = Math.sqrt(block.reduce((s, v) => s + v * v, 0) + 1e-6);
+      for (let j = 0; j < block.length; j++) block[j] = Math.min(0.2, block[j] / norm);
+      norm = Math.sqrt(block.reduce((s, v) => s + v * v, 0) + 1e-6);
+      for (const v of block) out[k++] = v / norm;
+    }
+  }
+  return k;
+}
+
+/**
+ * Feature vector of an aligned face, in this order:
+ * - HOG of the left-eye, right-eye and bridge regions (getFeatureRegions): 9 orientation
+ *   bins per 16 px cell, L2-Hys normalized per 2 x 2-cell block
+ * - the magnitude-weighted orientation histogram of the whole face (9 bins, sums to 1)
+ * - the share of pixels per gradient-magnitude bin (8 bins)
+ * - the measures: bridge (from the caller), Sobel/Otsu, rim and its under-eye and temple parts
+ * @param {{width:number,height:number,data:ArrayLike<number>}} aligned - RGBA buffer of side FEATURE_FACE_SIZE, already normalized for illumination
+ * @param {{ bridgeMeasure:number }} measures - the bridge measure, which depends on the caller's strip options
+ * @returns {Float32Array} FEATURE_SIZE values
+ */
+export function extractFaceFeatures(aligned, { bridgeMeasure }) {
+  const { width, height } = aligned;
+  if (width !== FEATURE_FACE_SIZE || height !== FEATURE_FACE_SIZE) {
+    throw new RangeError(`extractFaceFeatures: expected a ${FEATURE_FACE_SIZE}x${FEATURE_FACE_SIZE} aligned face, got ${width}x${height}`);
+  }
+  const out = new Float32Array(FEATURE_SIZE);
+  const { mag, bin } = gradients(rgbaToGray(aligned.data, width, height), width, height);
+  let k = 0;
+  for (const r of Object.values(getFeatureRegions(width))) k = regionHog(mag, bin, width, r, out, k);
+
+  const orientation = new Float64Array(BINS);
+  const magnitude = new Float64Array(MAGNITUDE_EDGES.length + 1);
+  let total = 0;
+  for (let i = 0; i < mag.length; i++) {
+    const m = mag[i];
+    orientation[Math.min(BINS - 1, bin[i] | 0)] += m;
+    total += m;
+    let j = 0;
+    while (j < MAGNITUDE_EDGES.length && m >= MAGNITUDE_EDGES[j]) j++;
+    magnitude[j]++;
+  }
+  for (const v of orientation) out[k++] = total > 0 ? v / total : 0;
+  for (const v of magnitude) out[k++] = v / mag.length;
+
+  const sobelOtsu = otsuAndMeasure(computeSobelY(aligned), width, height).measure;
+  const rim = computeRimMeasure(aligned);
+  for (const v of [bridgeMeasure, sobelOtsu, rim.measure, rim.underEye, rim.temple]) out[k++] = Number.isFinite(v) ? v : 0;
+  return out;
+}
@@ -0,0 +1,192 @@
+// Fusion of the bridge, rim and Sobel/Otsu measures into one score (pure, no DOM)
+// Either a weighted mean of the components, each scaled so its own default threshold
+// lands on 0.5, or a logistic model fitted on labeled component scores from a batch run.
+// Both give a score in [0, 1] where 0.5 is the natural threshold. Fusion models are plain
+// JSON objects, like probability models (probability.js).
+
+import { BRIDGE_OPTIONS } from './glasses-detector.js';
+import { SOBEL_OTSU_OPTIONS } from './sobel-otsu-detector.js';
+import { RIM_OPTIONS } from './rim-detector.js';
+
+export const FUSION_MODEL_FORMAT = 'glasses-fusion';
+export const FUSION_MODEL_VERSION = 1;
+
+/** Component scores, in the order models and exports list them. */
+export const FUSION_COMPONENTS = ['bridge', 'rim', 'sobelOtsu'];
+
+// Each component's own decision threshold, mapped to 0.5 by the weighted fusion
+const COMPONENT_THRESHOLDS = {
+  bridge: BRIDGE_OPTIONS.threshold.default,
+  rim: RIM_OPTIONS.threshold.default,
+  sobelOtsu: SOBEL_OTSU_OPTIONS.threshold.default,
+};
+
+// L2 penalty on the fitted weights; keeps separable training sets from diverging
+const RIDGE = 1e-3;
+
+const sigmoid = (z) => (z >= 0 ? 1 / (1 + Math.exp(-z)) : Math.exp(z) / (1 + Math.exp(z)));
+
+/**
+ * Weighted mean of the components, each scaled to [0, 1] by min(1, score / (2 * threshold))
+ * so that a component exactly at its own threshold contributes 0.5.
+ * @param {{ bridge:number, rim:number, sobelOtsu:number }} components
+ * @param {{ bridge?:number, rim?:number, sobelOtsu?:number }} weights - non-negative; missing ones count as 0
+ * @returns {number} NaN when a weighted component is not finite or all weights are 0
+ */
+export function fuseWeighted(components, weights) {
+  let sum = 0; let total = 0;
+  for (const name of FUSION_COMPONENTS) {
+    const w = weights[name] || 0;
+    if (w === 0) continue;
+    const s = components[name];
+    if (!Number.isFinite(s)) return NaN;
+    sum += w * Math.min(1, Math.max(0, s) / (2 * COMPONENT_THRESHOLDS[name]));
+    total += w;
+  }
+  return total > 0 ? sum / total : NaN;
+}
+
+/**
+ * Glasses probability from a fusion model: sigmoid(bias + sum of weight * component).
+ * @param {object} model - a validated fusion model
+ * @param {{ bridge:number, rim:number, sobelOtsu:number }} components
+ * @returns {number} NaN when a component is not finite
+ */
+export function predictFusion(model, components) {
+  let z = model.bias;
+  for (const name of FUSION_COMPONENTS) {
+    const s = components[name];
+    if (!Number.isFinite(s)) return NaN;
+    z += model.weights[name] * s;
+  }
+  return sigmoid(z);
+}
+
+// Solve the small dense system A x = b (Gaussian elimination with partial pivoting)
+function solve(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+    [M[c], M[p]] = [M[p], M[c]];
+    for (let r = c + 1; r < n; r++) {
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = M[r][n];
+    for (let k = r + 1; k < n; k++) s -= M[r][k] * x[k];
+    x[r] = s / M[r][r];
+  }
+  return x;
+}
+
+/**
+ * Fit a logistic fusion model on labeled component scores (Newton's method with a small
+ * ridge penalty) and wrap it as an exportable JSON object. Samples with a non-finite
+ * component are skipped; throws a RangeError unless both classes remain.
+ * @param {Array<{ components:{ bridge:number, rim:number, sobelOtsu:number }|null, truth:boolean }>} samples
+ * @returns {{ format:string, version:number, weights:{ bridge:number, rim:number, sobelOtsu:number }, bias:number, fit:{ n:number, positives:number, accuracy:number, logLoss:number } }}
+ */
+export function fitFusionModel(samples) {
+  const data = samples
+    .filter(s => s.components && FUSION_COMPONENTS.every(name => Number.isFinite(s.components[name])))
+    .map(s => ({ x: [1, ...FUSION_COMPONENTS.map(name => s.components[name])], t: s.truth ? 1 : 0 }));
+  const positives = data.reduce((n, s) => n + s.t, 0);
+  if (positives === 0 || positives === data.length) {
+    throw new RangeError('fusion fit: need samples of both classes (glasses and no_glasses) with all component scores');
+  }
+  const n = FUSION_COMPONENTS.length + 1;
+  // theta[0] is the bias, which is not penalized
+  const theta = new Array(n).fill(0);
+  theta[0] = Math.log(positives / (data.length - positives));
+  const loss = (th) => data.reduce((acc, s) => {
+    const z = s.x.reduce((v, xi, i) => v + xi * th[i], 0);
+    return acc + (z >= 0 ? (1 - s.t) * z + Math.log1p(Math.exp(-z)) : -s.t * z + Math.log1p(Math.exp(z)));
+  }, 0) + 0.5 * RIDGE * th.slice(1).reduce((v, w) => v + w * w, 0);
+  let current = loss(theta);
+  for (let iter = 0; iter < 100; iter++) {
+    const g = theta.map((w, i) => (i > 0 ? RIDGE * w : 0));
+    const H = theta.map((_, i) => theta.map((__, j) => (i === j ? (i > 0 ? RIDGE : 1e-12) : 0)));
+    for (const s of data) {
+      const p = sigmoid(s.x.reduce((v, xi, i) => v + xi * theta[i], 0));
+      const w = p * (1 - p);
+      for (let i = 0; i < n; i++) {
+        g[i] += (p - s.t) * s.x[i];
+        for (let j = 0; j < n; j++) H[i][j] += w * s.x[i] * s.x[j];
+      }
+    }
+    if (g.every(v => Math.abs(v) < 1e-9)) break;
+    const d = solve(H, g.map(v => -v));
+    const slope = g.reduce((v, gi, i) => v + gi * d[i], 0);
+    // Backtracking line search keeps every step a descent step
+    let step = 1; let next = loss(theta.map((w, i) => w + d[i]));
+    while (!(next <= current + 1e-4 * step * slope) && step > 1e-10) {
+      step /= 2; next = loss(theta.map((w, i) => w + step * d[i]));
+    }
+    if (step <= 1e-10) break;
+    for (let i = 0; i < n; i++) theta[i] += step * d[i];
+    const improved = current - next;
+    current = next;
+    if (improved < 1e-12 * Math.max(1, Math.abs(current))) break;
+  }
+  const model = {
+    format: FUSION_MODEL_FORMAT,
+    version: FUSION_MODEL_VERSION,
+    weights: Object.fromEntries(FUSION_COMPONENTS.map((name, i) => [name, theta[i + 1]])),
+    bias: theta[0],
+  };
+  // Training-set quality, for the UI and for anyone reading the JSON later
+  let correct = 0; let logLoss = 0;
+  for (const s of data) {
+    const p = Math.min(1 - 1e-12, Math.max(1e-12, sigmoid(s.x.reduce((v, xi, i) => v + xi * theta[i], 0))));
+    if ((p > 0.5) === (s.t === 1)) correct++;
+    logLoss -= s.t * Math.log(p) + (1 - s.t) * Math.log(1 - p);
+  }
+  model.fit = { n: data.length, positives, accuracy: correct / data.length, logLoss: logLoss / data.length };
+  return model;
+}
+
+/**
+ * Check a fusion model's structure. Throws TypeError describing the first problem.
+ * @param {any} model
+ * @param {string} [owner] - name used in error messages
+ * @returns {object} the model itself
+ */
+export function validateFusionModel(model, owner = 'fusionModel') {
+  const fail = (msg) => { throw new TypeError(`${owner}: ${msg}`); };
+  if (!model || typeof model !== 'object' || Array.isArray(model)) fail('must be an object');
+  if (model.format !== FUSION_MODEL_FORMAT) fail(`format must be "${FUSION_MODEL_FORMAT}"`);
+  if (model.version !== FUSION_MODEL_VERSION) fail(`unsupported version ${model.version}`);
+  if (!Number.isFinite(model.bias)) fail('bias must be a finite number');
+  if (!model.weights || typeof model.weights !== 'object') fail('weights missing');
+  for (const name of FUSION_COMPONENTS) {
+    if (!Number.isFinite(model.weights[name])) fail(`weights.${name} must be a finite number`);
+  }
+  return model;
+}
+
+/**
+ * Load a fusion model from JSON text (or an already parsed object) and validate it.
+ * @param {string|object} json
+ * @returns {object}
+ */
+export function loadFusionModel(json) {
+  let model = json;
+  if (typeof json === 'string') {
+    try { model = JSON.parse(json); } catch (err) { throw new TypeError(`fusionModel: invalid JSON (${err.message})`); }
+  }
+  return validateFusionModel(model);
+}
+
+/**
+ * Serialize a fusion model for download or storage.
+ * @param {object} model
+ * @returns {string}
+ */
+export function exportFusionModel(model) {
+  return JSON.stringify(validateFusionModel(model), null, 2);
+}
@@ -1,86 +1,82 @@
 // Edge-based glasses detector as a pure function (no DOM interactions)
 // Pure Canvas implementation (no OpenCV) of the nasal-bridge edge measure
-// Supports landmark providers: "mediapipe" (FaceMesh) and "faceapi" (68-point)
+// Supports every landmark provider of landmark-registry.js: "mediapipe" (FaceMesh), "faceapi"
+// and "dlib-68" (68-point), "dlib-5", and generic { leftEye, rightEye } objects ("eyes")
+// Runs on Canvas when available and falls back to pure typed arrays (e.g. plain Node)
+
+import { toRgbaBuffer, cropRgba, rgbaToGray, boxBlur3 } from './image-buffer.js';
+import { getImageSize, locateEyes, getFaceBox, computeAlignmentMatrix, getAlignedFaceBuffer } from './face-alignment.js';
+import { resolveOptions } from './options.js';
+import { validateProbabilityModel, predictProbability } from './probability.js';
+import { MARGIN_OPTIONS, OCCLUSION_OPTIONS, grayRegionStats, checkOcclusion, decide } from './uncertainty.js';
+import { POSE_OPTIONS } from './head-pose.js';
+import { ILLUMINATION_OPTIONS, normalizeIllumination } from './illumination.js';
+import { GLASSES_TYPE_OPTIONS, measureLensFeatures, classifyGlassesType } from './glasses-type.js';
+import { FEATURE_FACE_SIZE, extractFaceFeatures } from './face-features.js';
+import { validateClassifierModel, predictClassifier } from './classifier.js';
 
 /**
- * Compute least-squares line y = kx + b through a set of 2D points.
- * @param {Array<[number, number]>} points
- * @returns {{k:number,b:number}}
+ * Options accepted by detectGlasses (schema format from options.js).
+ * Defaults reproduce the original hardcoded constants.
  */
-function leastSquaresKAndB(points) {
-  const n = points.length;
-  let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
-  for (const [x, y] of points) { sumX += x; sumY += y; sumXY += x * y; sumXX += x * x; }
-  const denom = (n * sumXX - sumX * sumX) + 1e-6;
-  const k = (n * sumXY - sumX * sumY) / denom;
-  const b = (sumY - k * sumX) / n;
-  return { k, b };
-}
+export const BRIDGE_OPTIONS = {
+  alignedSize: { type: 'integer', default: 256, min: 32, max: 2048, description: 'Side of the square aligned face, px' },
+  stripWidth: { type: 'number', default: 0.08, min: 0.01, max: 1, description: 'Strip width as a fraction of the aligned width' },
+  stripTop: { type: 'number', default: 0.30, min: 0, max: 1, description: 'Strip top as a fraction of the aligned height' },
+  stripBottom: { type: 'number', default: 0.65, min: 0, max: 1, description: 'Strip bottom as a fraction of the aligned height' },
+  gradientThreshold: { type: 'number', default: 12, min: 0, max: 255, description: 'Min |vertical gradient| (8-bit gray) counted as an edge' },
+  threshold: { type: 'number', default: 0.07, min: 0, max: 1, description: 'Decision threshold: glasses when measure > threshold' },
+  minEyeDistRatio: { type: 'number', default: 0.055, min: 0, max: 1, description: 'Eye-distance gate as a fraction of min(image width, height)' },
+  minEyeDistPx: { type: 'number', default: 40, min: 0, description: 'Eye-distance gate floor, px' },
+  diagnostics: { type: 'boolean', default: false, description: 'Attach eye geometry, alignment matrix, strip profile and aligned image' },
+  probabilityModel: { type: 'object', validate: validateProbabilityModel, description: 'Calibration model (probability.js); adds result.probability' },
+  features: { type: 'boolean', default: false, description: 'Attach the face-features.js vector as result.features (classifier training)' },
+  classifierModel: { type: 'object', validate: validateClassifierModel, description: 'Trained classifier (classifier.js); its P(glasses) replaces the bridge measure' },
+  ...MARGIN_OPTIONS,
+  ...OCCLUSION_OPTIONS,
+  ...POSE_OPTIONS,
+  ...ILLUMINATION_OPTIONS,
+  ...GLASSES_TYPE_OPTIONS,
+};
 
 /**
- * Map eye corner points depending on provider.
- * - mediapipe: expects normalized landmarks (x,y in [0,1]) from FaceMesh
- * - faceapi: expects 68-point landmark array with pixel coordinates
- * @param {"mediapipe"|"faceapi"} provider
- * @param {any} landmarks
- * @param {number} imgW
- * @param {number} imgH
- * @returns {{ rOuter:[number,number], rInner:[number,number], lInner:[number,number], lOuter:[number,number] }}
+ * Validate detectGlasses options and fill in defaults. With a `classifierModel` and no
+ * explicit `threshold`, the threshold is the model's own (0.5 for trained models).
+ * @param {Partial<Record<keyof typeof BRIDGE_OPTIONS, number|boolean|string>>} [options]
+ * @returns {Record<keyof typeof BRIDGE_OPTIONS, number|boolean|string>}
  */
-function getEyeCornerPoints(provider, landmarks, imgW, imgH) {
-  if (provider === 'mediapipe') {
-    const idx = { rOuter: 33, rInner: 133, lInner: 362, lOuter: 263 };
-    const scale = p => ([p.x * imgW, p.y * imgH]);
-    const rOuter = scale(landmarks[idx.rOuter]);
-    const rInner = scale(landmarks[idx.rInner]);
-    const lInner = scale(landmarks[idx.lInner]);
-    const lOuter = scale(landmarks[idx.lOuter]);
-    return { rOuter, rInner, lInner, lOuter };
+export function resolveBridgeOptions(options) {
+  const resolved = resolveOptions(BRIDGE_OPTIONS, options, 'detectGlasses options');
+  if (resolved.stripTop >= resolved.stripBottom) {
+    throw new RangeError(`detectGlasses options: stripTop (${resolved.stripTop}) must be below stripBottom (${resolved.stripBottom})`);
   }
-  if (provider === 'faceapi') {
-    // dlib 68 landmarks indexing per face-api.js FaceLandmarks68
-    // Right eye: 36 (outer/temporal), 39 (inner)
-    // Left eye: 42 (inner), 45 (outer/temporal)
-    // Docs: https://justadudewhohacks.github.io/face-api.js/docs/index.html
-    const safePt = idx => {
-      const p = landmarks[idx];
-      // face-api.js returns pixels already; fall back to object with x,y
-      if (!p) throw new Error(`faceapi landmarks missing point ${idx}`);
-      const x = typeof p.x === 'number' ? p.x : p[0];
-      const y = typeof p.y === 'number' ? p.y : p[1];
-      return [x, y];
-    };
-    const rOuter = safePt(36);
-    const rInner = safePt(39);
-    const lInner = safePt(42);
-    const lOuter = safePt(45);
-    return { rOuter, rInner, lInner, lOuter };
+  const model = resolved.probabilityModel;
+  if (model && model.algorithm && model.algorithm !== 'bridge') {
+    throw new RangeError(`detectGlasses options: probabilityModel was fitted for "${model.algorithm}", not "bridge"`);
+  }
+  const classifier = resolved.classifierModel;
+  if (classifier) {
+    // Features depend on the normalization; a model only reads the kind it was trained on
+    if (classifier.features.illumination !== resolved.illumination) {
+      throw new RangeError(`detectGlasses options: classifierModel was trained with illumination "${classifier.features.illumination}", not "${resolved.illumination}"`);
+    }
+    if (!options || options.threshold === undefined) resolved.threshold = classifier.threshold;
   }
-  throw new Error(`Unsupported landmark_provider: ${provider}`);
+  return resolved;
 }
 
 /**
- * Compute left/right eye centers by projecting the midpoints to the eye-line fit.
- * @param {number} imgW
- * @param {number} imgH
- * @param {{ rOuter:[number,number], rInner:[number,number], lInner:[number,number], lOuter:[number,number] }} corners
+ * True if a 2D canvas can be created in this environment (browser or worker).
  */
-function getCentersFromCorners(imgW, imgH, corners) {
-  const { rOuter, rInner, lInner, lOuter } = corners;
-  const pts = [rOuter, rInner, lInner, lOuter];
-  const { k, b } = leastSquaresKAndB(pts);
-  const xLeft = (lOuter[0] + lInner[0]) / 2;
-  const xRight = (rOuter[0] + rInner[0]) / 2;
-  const leftCenter = [Math.round(xLeft), Math.round(xLeft * k + b)];
-  const rightCenter = [Math.round(xRight), Math.round(xRight * k + b)];
-  return { leftCenter, rightCenter };
+function hasCanvasSupport() {
+  return typeof OffscreenCanvas !== 'undefined' || (typeof document !== 'undefined' && typeof document.createElement === 'function');
 }
 
 /**
  * Create an aligned face by rotating/scaling about eye centers to desired size using Canvas.
  * Returns a Canvas (OffscreenCanvas if available) of size desiredW x desiredH, vertically flipped
  * to match the measurement orientation used previously.
- * @param {HTMLCanvasElement|HTMLImageElement|ImageData|{width:number,height:number,data?:Uint8ClampedArray}} src
+ * @param {HTMLCanvasElement|OffscreenCanvas|HTMLImageElement|ImageBitmap|ImageData|{width:number,height:number,data?:Uint8ClampedArray}} src
  * @param {[number,number]} leftCenter
  * @param {[number,number]} rightCenter
  * @param {number} desiredW
@@ -93,20 +89,18 @@ function getAlignedFaceCanvas(src, leftCenter, rightCenter, desiredW = 256, desi
     const c = document.createElement('canvas'); c.width = w; c.height = h; return c;
   }
   function ensureSourceCanvas(imageLike) {
-    // If it's an HTMLCanvasElement, return as-is
-    if (typeof HTMLCanvasElement !== 'undefined' && imageLike instanceof HTMLCanvasElement) return imageLike;
+    // Canvases (HTMLCanvasElement, or OffscreenCanvas in a worker) are used as-is
+    if (imageLike && typeof imageLike.getContext === 'function') return imageLike;
     // If ImageData or generic {width,height,data}
     if ((typeof ImageData !== 'undefined' && imageLike instanceof ImageData) || (imageLike && imageLike.width && imageLike.height && imageLike.data)) {
-      const c = createCanvas(imageLike.width, imageLike.height);
+      const { width, height, data } = toRgbaBuffer(imageLike);
+      const c = createCanvas(width, height);
       const ctx = c.getContext('2d');
-      const id = (typeof ImageData !== 'undefined' && imageLike instanceof ImageData)
-        ? imageLike
-        : new ImageData(new Uint8ClampedArray(imageLike.data), imageLike.width, imageLike.height);
-      ctx.putImageData(id, 0, 0);
+      ctx.putImageData(new ImageData(data, width, height), 0, 0);
       return c;
     }
-    // If HTMLImageElement
-    if (typeof HTMLImageElement !== 'undefined' && imageLike instanceof HTMLImageElement) {
+    // If HTMLImageElement or ImageBitmap
+    if ((typeof HTMLImageElement !== 'undefined' && imageLike instanceof HTMLImageElement) || (typeof ImageBitmap !== 'undefined' && imageLike instanceof ImageBitmap)) {
       const c = createCanvas(imageLike.naturalWidth || imageLike.width, imageLike.naturalHeight || imageLike.height);
       const ctx = c.getContext('2d');
       ctx.drawImage(imageLike, 0, 0);
@@ -118,113 +112,225 @@ function getAlignedFaceCanvas(src, leftCenter, rightCenter, desiredW = 256, desi
   const srcCanvas = ensureSourceCanvas(src);
   const imgW = srcCanvas.width; const imgH = srcCanvas.height;
 
-  const dx = rightCenter[0] - leftCenter[0];
-  const dy = rightCenter[1] - leftCenter[1];
-  const dist = Math.hypot(dx, dy);
-  const desiredDist = desiredW * 0.5;
-  const scale = desiredDist / (dist || 1);
-  const angle = Math.atan2(dy, dx); // radians
-  const eyesCenterX = (leftCenter[0] + rightCenter[0]) * 0.5;
-  const eyesCenterY = (leftCenter[1] + rightCenter[1]) * 0.5;
-
   const out = createCanvas(desiredW, desiredH);
   const ctx = out.getContext('2d');
-  // Flip vertically after drawing by applying scale(1,-1) and translating
-  ctx.translate(desiredW / 2, desiredH / 2);
-  ctx.scale(1, -1);
-  ctx.rotate(angle);
-  ctx.scale(scale, scale);
-  ctx.translate(-eyesCenterX, -eyesCenterY);
+  ctx.setTransform(...computeAlignmentMatrix(leftCenter, rightCenter, desiredW, desiredH));
   ctx.drawImage(srcCanvas, 0, 0, imgW, imgH);
   return out;
 }
 
 /**
- * Compute nasal-bridge edge measure on an aligned face image canvas (256x256 default).
+ * Strip geometry shared by the canvas and buffer paths: a narrow vertical strip
+ * centered horizontally, below the eyes.
+ * @param {number} W
+ * @param {number} H
+ * @param {{ stripWidth:number, stripTop:number, stripBottom:number }} opts
+ */
+function getBridgeStripRect(W, H, opts) {
+  const stripW = Math.max(4, Math.round(W * opts.stripWidth));
+  const x0 = Math.round(W * 0.5 - stripW * 0.5);
+  const y0 = Math.round(H * opts.stripTop);
+  const h0 = Math.max(8, Math.round(H * (opts.stripBottom - opts.stripTop)));
+  return { x: x0, y: y0, width: stripW, height: h0 };
+}
+
+/**
+ * Measure the nasal-bridge strip given its RGBA pixels.
  * - Convert to grayscale
- * - Crop a narrow vertical strip centered horizontally, below the eyes
  * - Apply a small box blur and compute vertical gradient
  * - Count pixels above a gradient threshold along the center column
- * @param {HTMLCanvasElement|OffscreenCanvas} alignedCanvas
- * @returns {{ measure:number, withGlasses:boolean }}
+ * @param {Uint8ClampedArray} data
+ * @param {number} width
+ * @param {number} height
+ * @param {{ gradientThreshold:number, threshold:number }} opts
+ * @returns {{ measure:number, withGlasses:boolean, rowProfile:Float32Array, regionStats:{mean:number,std:number,saturatedFraction:number} }}
+ *   rowProfile holds |gradient| per strip row; regionStats feed the occlusion check
  */
-function computeBridgeEdgeMeasureCanvas(alignedCanvas) {
-  const ctx = alignedCanvas.getContext('2d');
-  const W = alignedCanvas.width; const H = alignedCanvas.height;
-  const stripW = Math.max(4, Math.round(W * 0.08));
-  const x0 = Math.round(W * 0.5 - stripW * 0.5);
-  const y0 = Math.round(H * 0.30);
-  const h0 = Math.max(8, Math.round(H * 0.35));
-  const { data, width, height } = ctx.getImageData(x0, y0, stripW, h0);
-
-  // Convert to grayscale
-  const gray = new Float32Array(width * height);
-  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
-    gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
-  }
-
-  // Simple 3x3 box blur
-  const blur = new Float32Array(width * height);
-  for (let y = 1; y < height - 1; y++) {
-    for (let x = 1; x < width - 1; x++) {
-      let s = 0;
-      for (let ky = -1; ky <= 1; ky++) {
-        for (let kx = -1; kx <= 1; kx++) {
-          s += gray[(y + ky) * width + (x + kx)];
-        }
-      }
-      blur[y * width + x] = s / 9;
-    }
-  }
+function measureBridgeStrip(data, width, height, opts) {
+  const gray = rgbaToGray(data, width, height);
+  const blur = boxBlur3(gray, width, height);
 
   // Vertical gradient along the center column
   const cx = Math.floor(width / 2);
   let nz = 0; const denom = Math.max(0, height - 2);
-  // Adaptive threshold based on intensity scale
-  // Use a fixed threshold tuned for 8-bit grayscale
-  const threshold = 12; // tweak if needed
+  const rowProfile = new Float32Array(height);
+  // Gradient threshold tuned for 8-bit grayscale (default 12)
   for (let y = 1; y < height - 1; y++) {
     const gy = blur[(y - 1) * width + cx] - blur[(y + 1) * width + cx];
-    if (Math.abs(gy) > threshold) nz++;
+    rowProfile[y] = Math.abs(gy);
+    if (Math.abs(gy) > opts.gradientThreshold) nz++;
   }
   const measure = nz / (denom || 1);
-  // Classification threshold tuned empirically; see UI notes.
-  const withGlasses = measure > 0.07;
-  return { measure, withGlasses };
+  // Classification threshold tuned empirically (default 0.07); see UI notes.
+  const withGlasses = measure > opts.threshold;
+  const regionStats = grayRegionStats(gray, width, { x: 0, y: 0, width, height });
+  return { measure, withGlasses, rowProfile, regionStats };
+}
+
+/**
+ * Compute nasal-bridge edge measure on an aligned face RGBA buffer (256x256 default).
+ * @param {{width:number,height:number,data:Uint8ClampedArray}} aligned
+ * @param {object} opts - resolved options (see BRIDGE_OPTIONS)
+ * @returns {{ measure:number, withGlasses:boolean, rowProfile:Float32Array, strip:{x:number,y:number,width:number,height:number} }}
+ */
+function computeBridgeEdgeMeasureBuffer(aligned, opts) {
+  const rect = getBridgeStripRect(aligned.width, aligned.height, opts);
+  const { data, width, height } = cropRgba(aligned, rect.x, rect.y, rect.width, rect.height);
+  return { ...measureBridgeStrip(data, width, height, opts), strip: rect };
+}
+
+/**
+ * Measure an aligned face buffer after illumination normalization (opts.illumination).
+ * The occlusion statistics still come from the raw strip: normalization stretches a flat,
+ * covered strip back to full contrast. Also used by the ensemble detector.
+ * @param {{width:number,height:number,data:Uint8ClampedArray}} aligned
+ * @param {object} opts - resolved options (see BRIDGE_OPTIONS)
+ * @returns {{ res:object, normalized:{width:number,height:number,data:Uint8ClampedArray} }}
+ *   `normalized` is `aligned` itself for 'none'
+ */
+export function computeBridgeMeasureNormalized(aligned, opts) {
+  const normalized = normalizeIllumination(aligned, opts);
+  const res = computeBridgeEdgeMeasureBuffer(normalized, opts);
+  if (normalized !== aligned) {
+    const { x, y, width, height } = res.strip;
+    const raw = cropRgba(aligned, x, y, width, height);
+    res.regionStats = grayRegionStats(rgbaToGray(raw.data, width, height), width, { x: 0, y: 0, width, height });
+  }
+  return { res, normalized };
 }
 
 /**
  * Detect eyeglasses using an edge-based nasal-bridge measure.
- * Returns { measure, withGlasses }. Does not interact with any DOM.
+ * Returns { measure, withGlasses, decision, glassesType, lens, occluded, reason, pose, illumination, options }. Does not interact with any DOM.
+ * Uses Canvas for alignment when available; otherwise (plain Node, no OffscreenCanvas)
+ * warps and measures the pixels directly, so `src` must then be a {width,height,data} buffer.
+ *
+ * `reason` says why a measure is (or is not) available:
+ * 'ok' | 'face_too_small' | 'degenerate_landmarks' | 'pose_out_of_range'. `pose` is the head
+ * pose { yaw, pitch, roll } in degrees (null when it cannot be estimated); faces turned or
+ * tilted beyond `maxYaw` / `maxPitch` / `maxRoll` are not measured, since the central strip
+ * misses the nose on them (see head-pose.js). With `options.diagnostics`, the result also
+ * carries `diagnostics`: { leftCenter, rightCenter, eyeLine:{k,b}, eyeDist, minEyeDist, matrix,
+ * strip, rowProfile, aligned } (fields after `minEyeDist` only when the face was measured;
+ * `aligned` is a canvas on the Canvas path, a {width,height,data} buffer otherwise).
+ * With `options.probabilityModel` (see probability.js) the result also carries `probability`.
+ * With `options.classifierModel` (see classifier.js) `measure` is the classifier's P(glasses)
+ * on the face-features.js vector and the strip's own measure moves to `bridgeMeasure`; with
+ * `options.features` the result carries that vector as `features` (a Float32Array).
+ * `illumination` names the normalization applied to the aligned face before measuring
+ * (`options.illumination`, see illumination.js); the diagnostic `aligned` image is the
+ * normalized one.
+ *
+ * `decision` is 'glasses' | 'no_glasses' | 'uncertain' (null without a measure): uncertain
+ * when the measure is within `uncertainMargin` of the threshold or the strip looks occluded
+ * (`occluded`; see uncertainty.js). `withGlasses` stays the plain measure > threshold.
+ * `glassesType` is 'none' | 'clear' | 'sunglasses' (null without a measure), from the eye
+ * regions' `lens` features (see glasses-type.js); FaceMesh landmarks with refineLandmarks
+ * add the iris check.
  *
- * @param {"mediapipe"|"faceapi"} landmark_provider
+ * @param {string} landmark_provider - "mediapipe", "faceapi" or another registered provider (landmark-registry.js)
  * @param {any} landmarks - provider-specific landmarks
  *   - mediapipe: array of {x:[0..1], y:[0..1], z?}
- *   - faceapi: 68-point array with pixel coordinates ({ x:number, y:number } or [x,y])
+ *   - faceapi / dlib-68: 68-point array with pixel coordinates ({ x:number, y:number } or [x,y])
+ *   - dlib-5: 5-point array with pixel coordinates
+ *   - eyes: { leftEye, rightEye, noseBridge?, box?, pose?, coordinates? }, each eye a point or a contour
  * @param {HTMLCanvasElement|HTMLImageElement|ImageData|{width:number,height:number,data?:Uint8ClampedArray}} src - source image
- * @returns {{ measure:number, withGlasses:boolean }}
+ * @param {object} [options] - overrides for BRIDGE_OPTIONS (strip geometry, gradient and decision
+ *   thresholds, aligned size, eye-distance and pose gates, illumination, diagnostics, features, classifier model). Invalid values throw TypeError/RangeError.
+ * @returns {{ measure:number, withGlasses:boolean, decision:string|null, glassesType:string|null, lens:object|null, occluded:boolean, reason:string, pose:object|null, illumination:string, options:object, probability?:number, bridgeMeasure?:number, features?:Float32Array, diagnostics?:object }} `options` echoes the resolved options
  */
-export function detectGlasses(landmark_provider, landmarks, src) {
-  // Derive image dimensions from src
-  let imgW = 0, imgH = 0;
-  if (typeof HTMLCanvasElement !== 'undefined' && src instanceof HTMLCanvasElement) { imgW = src.width; imgH = src.height; }
-  else if (typeof HTMLImageElement !== 'undefined' && src instanceof HTMLImageElement) { imgW = src.naturalWidth || src.width; imgH = src.naturalHeight || src.height; }
-  else if (typeof ImageData !== 'undefined' && src instanceof ImageData) { imgW = src.width; imgH = src.height; }
-  else if (src && src.width && src.height) { imgW = src.width; imgH = src.height; }
-  else { throw new Error('Unsupported or missing src for size extraction'); }
-
-  const corners = getEyeCornerPoints(landmark_provider, landmarks, imgW, imgH);
-  const { leftCenter, rightCenter } = getCentersFromCorners(imgW, imgH, corners);
-  const eyeDx = rightCenter[0] - leftCenter[0];
-  const eyeDy = rightCenter[1] - leftCenter[1];
-  const eyeDist = Math.hypot(eyeDx, eyeDy);
-  const dynamicMinEyeDist = Math.max(40, Math.round(0.055 * Math.min(imgW, imgH)));
-  if (!isFinite(eyeDist) || eyeDist < dynamicMinEyeDist) {
-    return { measure: NaN, withGlasses: false };
+export function detectGlasses(landmark_provider, landmarks, src, options) {
+  const opts = resolveBridgeOptions(options);
+  const { width: imgW, height: imgH } = getImageSize(src);
+  const size = opts.alignedSize;
+
+  const eyes = locateEyes(landmark_provider, landmarks, imgW, imgH, opts);
+  const diagnostics = opts.diagnostics ? {
+    leftCenter: eyes.leftCenter || null,
+    rightCenter: eyes.rightCenter || null,
+    eyeLine: isFinite(eyes.k) ? { k: eyes.k, b: eyes.b } : null,
+    eyeDist: isFinite(eyes.eyeDist) ? eyes.eyeDist : NaN,
+    minEyeDist: eyes.minEyeDist,
+  } : null;
+  const finish = (res, lens = null) => {
+    const occlusion = checkOcclusion(res.regionStats, opts);
+    const out = {
+      measure: res.measure,
+      withGlasses: res.withGlasses,
+      decision: decide(res.measure, opts.threshold, { uncertainMargin: opts.uncertainMargin, occluded: occlusion.occluded }),
+      glassesType: classifyGlassesType(lens, res.measure, opts.threshold, opts),
+      lens,
+      occluded: occlusion.occluded,
+      reason: eyes.reason,
+      pose: eyes.pose,
+      illumination: opts.illumination,
+      options: opts,
+    };
+    if (opts.probabilityModel) out.probability = predictProbability(opts.probabilityModel, res.measure);
+    if (res.features) out.features = res.features;
+    if (opts.classifierModel) out.bridgeMeasure = res.bridgeMeasure ?? NaN;
+    if (diagnostics) {
+      if (res.strip) Object.assign(diagnostics, { strip: res.strip, rowProfile: res.rowProfile, occlusion: { ...res.regionStats, cause: occlusion.cause } });
+      out.diagnostics = diagnostics;
+    }
+    return out;
+  };
+  if (eyes.reason !== 'ok') return finish({ measure: NaN, withGlasses: false });
+
+  const { leftCenter, rightCenter } = eyes;
+  const matrix = computeAlignmentMatrix(leftCenter, rightCenter, size, size);
+  if (diagnostics) diagnostics.matrix = matrix;
+  let aligned; let alignedCanvas = null;
+  if (hasCanvasSupport()) {
+    // Read the whole face back once: normalization and the lens features need all of it
+    alignedCanvas = getAlignedFaceCanvas(src, leftCenter, rightCenter, size, size);
+    aligned = alignedCanvas.getContext('2d').getImageData(0, 0, size, size);
+  } else {
+    aligned = getAlignedFaceBuffer(src, leftCenter, rightCenter, size, size);
+  }
+  const { res, normalized } = computeBridgeMeasureNormalized(aligned, opts);
+  if (diagnostics) diagnostics.aligned = normalized === aligned && alignedCanvas ? alignedCanvas : normalized;
+  if (opts.features || opts.classifierModel) {
+    // Features are defined on a 256 px face; other aligned sizes warp the face once more
+    let face = normalized;
+    if (size !== FEATURE_FACE_SIZE) {
+      const s = FEATURE_FACE_SIZE;
+      const raw = hasCanvasSupport()
+        ? getAlignedFaceCanvas(src, leftCenter, rightCenter, s, s).getContext('2d').getImageData(0, 0, s, s)
+        : getAlignedFaceBuffer(src, leftCenter, rightCenter, s, s);
+      face = normalizeIllumination(raw, opts);
+    }
+    const features = extractFaceFeatures(face, { bridgeMeasure: res.measure });
+    if (opts.features) res.features = features;
+    if (opts.classifierModel) {
+      res.bridgeMeasure = res.measure;
+      res.measure = predictClassifier(opts.classifierModel, features);
+      res.withGlasses = res.measure > opts.threshold;
+    }
   }
+  // Lens darkness is judged on the raw pixels, before normalization
+  return finish(res, measureLensFeatures(aligned, { provider: landmark_provider, landmarks, imgW, imgH, matrix }));
+}
 
-  const alignedCanvas = getAlignedFaceCanvas(src, leftCenter, rightCenter, 256, 256);
-  return computeBridgeEdgeMeasureCanvas(alignedCanvas);
+/**
+ * Run detectGlasses on every face of an image.
+ * Returns one result per input face, in input order, each extended with `faceIndex`
+ * and `box` ({x,y,width,height} in pixels, from the landmark extent; null if unknown).
+ *
+ * @param {string} landmark_provider - "mediapipe", "faceapi" or another registered provider (landmark-registry.js)
+ * @param {any[]} facesLandmarks - one provider-specific landmark set per face
+ *   (e.g. FaceMesh multiFaceLandmarks, or face-api detections' landmarks.positions)
+ * @param {HTMLCanvasElement|HTMLImageElement|ImageData|{width:number,height:number,data?:Uint8ClampedArray}} src - source image
+ * @param {object} [options] - as for detectGlasses, applied to every face
+ * @returns {Array<{ faceIndex:number, box:{x:number,y:number,width:number,height:number}|null, measure:number, withGlasses:boolean, glassesType:string|null, reason:string, pose:object|null, illumination:string, options:object }>}
+ */
+export function detectGlassesAll(landmark_provider, facesLandmarks, src, options) {
+  const { width: imgW, height: imgH } = getImageSize(src);
+  return Array.from(facesLandmarks || [], (landmarks, faceIndex) => ({
+    faceIndex,
+    box: getFaceBox(landmark_provider, landmarks, imgW, imgH),
+    ...detectGlasses(landmark_provider, landmarks, src, options),
+  }));
 }
 
 export default detectGlasses;
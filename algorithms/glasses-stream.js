@@ -0,0 +1,136 @@
+// Streaming glasses state over a sequence of per-frame measures (pure, no DOM)
+// Smooths the measure (moving average, EMA or median), applies hysteresis between an
+// on and an off threshold, keeps the state through short face dropouts and reports
+// state flips through `onchange`. Works with any frame source: push one measure per
+// frame (NaN when no face was measured).
+
+import { resolveOptions } from './options.js';
+
+/**
+ * Options accepted by GlassesStream (schema format from options.js).
+ * Defaults match the realtime page: 7-frame moving average around the Sobel/Otsu threshold.
+ */
+export const STREAM_OPTIONS = {
+  smoothing: { type: 'string', default: 'moving-average', values: ['moving-average', 'ema', 'median', 'none'], description: 'Smoothing of the per-frame measure' },
+  window: { type: 'integer', default: 7, min: 1, max: 300, description: 'Frames averaged by moving-average / median smoothing' },
+  alpha: { type: 'number', default: 0.3, min: 0.001, max: 1, description: 'EMA weight of the newest frame' },
+  onThreshold: { type: 'number', default: 0.13, description: 'Switch to glasses when the smoothed measure rises above this' },
+  offThreshold: { type: 'number', default: 0.11, description: 'Switch to no glasses when the smoothed measure falls below this' },
+  graceFrames: { type: 'integer', default: 5, min: 0, max: 1000, description: 'Frames without a measure before the state is dropped' },
+};
+
+function resolveStreamOptions(options) {
+  const resolved = resolveOptions(STREAM_OPTIONS, options, 'GlassesStream options');
+  if (resolved.offThreshold > resolved.onThreshold) {
+    throw new RangeError(`GlassesStream options: offThreshold (${resolved.offThreshold}) must not exceed onThreshold (${resolved.onThreshold})`);
+  }
+  return resolved;
+}
+
+function median(values) {
+  const s = values.slice().sort((a, b) => a - b);
+  const mid = s.length >> 1;
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+/**
+ * Per-face streaming detector state.
+ *
+ * `withGlasses` is true/false once a face has been measured, and null before that or after
+ * more than `graceFrames` consecutive frames without a measure (smoothing restarts then).
+ * `onchange` is called with { withGlasses, previous, smoothed, frame } whenever
+ * `withGlasses` changes, including to and from null.
+ *
+ * @example
+ * const stream = new GlassesStream({ smoothing: 'ema', onThreshold: 0.09, offThreshold: 0.06 });
+ * stream.onchange = ({ withGlasses }) => console.log('glasses:', withGlasses);
+ * for each frame: stream.push(detect('bridge', ...).measure);
+ */
+export class GlassesStream {
+  /**
+   * @param {Partial<Record<keyof typeof STREAM_OPTIONS, number|string>>} [options]
+   */
+  constructor(options) {
+    this.options = resolveStreamOptions(options);
+    /** @type {null | ((event:{ withGlasses:boolean|null, previous:boolean|null, smoothed:number, frame:number }) => void)} */
+    this.onchange = null;
+    this.frame = 0;
+    this.reset();
+  }
+
+  /**
+   * Update options (e.g. thresholds from a slider) without losing the smoothing history.
+   * @param {object} options - partial options, merged over the current ones
+   */
+  configure(options) {
+    const next = resolveStreamOptions({ ...this.options, ...options });
+    if (next.smoothing !== this.options.smoothing) this._ema = NaN;
+    this.options = next;
+    if (this._history.length > next.window) this._history.splice(0, this._history.length - next.window);
+  }
+
+  /**
+   * Forget smoothing history and state. Fires onchange if a state was set.
+   */
+  reset() {
+    this._history = [];
+    this._ema = NaN;
+    this.missed = 0;
+    this.smoothed = NaN;
+    this._setState(null);
+  }
+
+  /**
+   * Feed one frame.
+   * @param {number} measure - this frame's measure; NaN/undefined when no face was measured
+   * @returns {{ withGlasses:boolean|null, smoothed:number, measure:number, missed:number, frame:number }}
+   */
+  push(measure) {
+    this.frame++;
+    if (!Number.isFinite(measure)) {
+      this.missed++;
+      // Within the grace period the last state (and history) is kept
+      if (this.missed > this.options.graceFrames) {
+        this._history = []; this._ema = NaN; this.smoothed = NaN;
+        this._setState(null);
+      }
+      return this._snapshot(NaN);
+    }
+    this.missed = 0;
+    this.smoothed = this._smooth(measure);
+    const { onThreshold, offThreshold } = this.options;
+    let next = this.withGlasses;
+    if (next === null) next = this.smoothed > onThreshold;
+    else if (next && this.smoothed < offThreshold) next = false;
+    else if (!next && this.smoothed > onThreshold) next = true;
+    this._setState(next);
+    return this._snapshot(measure);
+  }
+
+  _smooth(measure) {
+    const { smoothing, window, alpha } = this.options;
+    if (smoothing === 'none') return measure;
+    if (smoothing === 'ema') {
+      this._ema = Number.isFinite(this._ema) ? alpha * measure + (1 - alpha) * this._ema : measure;
+      return this._ema;
+    }
+    this._history.push(measure);
+    if (this._history.length > window) this._history.shift();
+    if (smoothing === 'median') return median(this._history);
+    return this._history.reduce((a, b) => a + b, 0) / this._history.length;
+  }
+
+  _setState(next) {
+    const previous = this.withGlasses === undefined ? null : this.withGlasses;
+    this.withGlasses = next;
+    if (next !== previous && typeof this.onchange === 'function') {
+      this.onchange({ withGlasses: next, previous, smoothed: this.smoothed, frame: this.frame });
+    }
+  }
+
+  _snapshot(measure) {
+    return { withGlasses: this.withGlasses, smoothed: this.smoothed, measure, missed: this.missed, frame: this.frame };
+  }
+}
+
+export default GlassesStream;
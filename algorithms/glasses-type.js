@@ -0,0 +1,126 @@
+// Glasses type from the aligned face (pure, no DOM): none, clear or sunglasses
+// The bridge measures only tell glasses from no glasses. Dark lenses are told apart by the
+// eye regions: their mean luminance, how much darker they are than the cheeks below them,
+// and, with FaceMesh refineLandmarks, whether the irises are visible at all.
+
+import { rgbaToGrayU8 } from './image-buffer.js';
+import { grayRegionStats } from './uncertainty.js';
+
+/** Glasses types, as reported in `glassesType`. */
+export const GLASSES_TYPES = ['none', 'clear', 'sunglasses'];
+
+/** Type options shared by the pure detectors (schema format from options.js). */
+export const GLASSES_TYPE_OPTIONS = {
+  sunglassesContrast: { type: 'number', default: 0.35, min: 0, max: 1, description: 'Min darkening of the eye regions against the cheeks, (cheek - eye) / cheek, for sunglasses' },
+  sunglassesLuminance: { type: 'number', default: 100, min: 0, max: 255, description: 'Max mean gray of the eye regions for sunglasses' },
+  minIrisVisibility: { type: 'number', default: 0.08, min: 0, max: 1, description: 'Iris contrast against its surround above which the eyes count as visible (not sunglasses)' },
+};
+
+// FaceMesh refineLandmarks iris points: center, then four on the rim, per eye
+const IRISES = [[468, 469, 470, 471, 472], [473, 474, 475, 476, 477]];
+
+/**
+ * Eye and cheek rectangles on an aligned face of side S. Eye centers are at (S/4, S/2)
+ * and (3S/4, S/2). With the providers' eye order (leftCenter is the subject's left eye, on
+ * the image's right) the flip in computeAlignmentMatrix cancels out with the half turn, so
+ * the face is upright (mirrored) and the cheeks sit below the eyes in the image too.
+ * @param {number} W
+ * @param {number} H
+ * @returns {{ eyes:Array<{x:number,y:number,width:number,height:number}>, cheeks:Array<{x:number,y:number,width:number,height:number}> }}
+ */
+export function getLensRois(W, H) {
+  const rect = (cx, cy, w, h) => {
+    const x = Math.max(0, Math.round(cx - w / 2)); const y = Math.max(0, Math.round(cy - h / 2));
+    return { x, y, width: Math.max(1, Math.min(Math.round(w), W - x)), height: Math.max(1, Math.min(Math.round(h), H - y)) };
+  };
+  const xs = [W * 0.25, W * 0.75];
+  return {
+    eyes: xs.map(cx => rect(cx, H * 0.5, W * 0.22, H * 0.12)),
+    // A third of the face width below the eye line, clear of large lenses
+    cheeks: xs.map(cx => rect(cx, H * 0.83, W * 0.2, H * 0.1)),
+  };
+}
+
+// Mean gray inside a disk and inside the ring from r1 to r2 around it
+function diskAndRing(gray, width, height, cx, cy, r, r1, r2) {
+  let inSum = 0; let inN = 0; let outSum = 0; let outN = 0;
+  const x0 = Math.max(0, Math.floor(cx - r2)); const x1 = Math.min(width - 1, Math.ceil(cx + r2));
+  const y0 = Math.max(0, Math.floor(cy - r2)); const y1 = Math.min(height - 1, Math.ceil(cy + r2));
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const d = Math.hypot(x - cx, y - cy);
+      const v = gray[y * width + x];
+      if (d <= r) { inSum += v; inN++; } else if (d >= r1 && d <= r2) { outSum += v; outN++; }
+    }
+  }
+  return inN && outN ? { inner: inSum / inN, outer: outSum / outN } : null;
+}
+
+/**
+ * Iris visibility: how much darker each iris is than its surround (sclera and lids), as
+ * (surround - iris) / surround averaged over both eyes. Near 0 behind dark lenses.
+ * @returns {number|null} null without FaceMesh refined iris landmarks
+ */
+function irisVisibility(gray, width, height, landmarks, imgW, imgH, matrix) {
+  if (!landmarks || landmarks.length < 478) return null;
+  const [a, b, c, d, e, f] = matrix;
+  const toAligned = (p) => {
+    const x = p.x * imgW; const y = p.y * imgH;
+    return [a * x + c * y + e, b * x + d * y + f];
+  };
+  const values = [];
+  for (const idx of IRISES) {
+    const pts = idx.map(i => landmarks[i]);
+    if (!pts.every(p => p && Number.isFinite(p.x) && Number.isFinite(p.y))) continue;
+    const [center, ...rim] = pts.map(toAligned);
+    const r = rim.reduce((s, p) => s + Math.hypot(p[0] - center[0], p[1] - center[1]), 0) / rim.length;
+    if (!(r >= 1)) continue;
+    const stats = diskAndRing(gray, width, height, center[0], center[1], r * 0.8, r * 1.3, r * 2);
+    if (stats) values.push((stats.outer - stats.inner) / Math.max(stats.outer, 1));
+  }
+  if (values.length === 0) return null;
+  return Math.max(-1, Math.min(1, values.reduce((s, v) => s + v, 0) / values.length));
+}
+
+/**
+ * Lens features of an aligned face, measured on the raw (not illumination-normalized) pixels.
+ * @param {{width:number,height:number,data:ArrayLike<number>}} aligned - RGBA buffer
+ * @param {{ provider?:string, landmarks?:any, imgW?:number, imgH?:number, matrix?:number[] }} [context] -
+ *   FaceMesh landmarks, source size and the alignment matrix (computeAlignmentMatrix) for
+ *   the iris check; without them `irisVisibility` is null
+ * @returns {{ eyeLuminance:number, cheekLuminance:number, eyeContrast:number, irisVisibility:number|null }}
+ */
+export function measureLensFeatures(aligned, context = {}) {
+  const { width, height } = aligned;
+  const gray = rgbaToGrayU8(aligned.data, width, height);
+  const { eyes, cheeks } = getLensRois(width, height);
+  const mean = (rects) => rects.reduce((s, r) => s + grayRegionStats(gray, width, r).mean, 0) / rects.length;
+  const eyeLuminance = mean(eyes);
+  const cheekLuminance = mean(cheeks);
+  const { provider, landmarks, imgW, imgH, matrix } = context;
+  return {
+    eyeLuminance,
+    cheekLuminance,
+    eyeContrast: (cheekLuminance - eyeLuminance) / Math.max(cheekLuminance, 1),
+    irisVisibility: provider === 'mediapipe' && matrix ? irisVisibility(gray, width, height, landmarks, imgW, imgH, matrix) : null,
+  };
+}
+
+/**
+ * Glasses type of one face. Sunglasses when the eye regions are dark (below
+ * `sunglassesLuminance`), clearly darker than the cheeks (`sunglassesContrast`) and, when
+ * known, the irises are not visible; otherwise 'clear' when measure > threshold, else 'none'.
+ * @param {{ eyeLuminance:number, eyeContrast:number, irisVisibility:number|null }|null|undefined} lens - measureLensFeatures()
+ * @param {number} measure
+ * @param {number} threshold
+ * @param {{ sunglassesContrast?:number, sunglassesLuminance?:number, minIrisVisibility?:number }} [opts] - defaults from GLASSES_TYPE_OPTIONS
+ * @returns {'none'|'clear'|'sunglasses'|null} null for faces that were not measured
+ */
+export function classifyGlassesType(lens, measure, threshold, opts = {}) {
+  if (!lens) return null;
+  const { sunglassesContrast = 0.35, sunglassesLuminance = 100, minIrisVisibility = 0.08 } = opts;
+  const irisHidden = !Number.isFinite(lens.irisVisibility) || lens.irisVisibility < minIrisVisibility;
+  if (lens.eyeLuminance <= sunglassesLuminance && lens.eyeContrast >= sunglassesContrast && irisHidden) return 'sunglasses';
+  if (!Number.isFinite(measure)) return null;
+  return measure > threshold ? 'clear' : 'none';
+}
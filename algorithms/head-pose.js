@@ -0,0 +1,115 @@
+// Head pose from face landmarks (pure, no DOM)
+// FaceMesh landmarks carry depth, so yaw/pitch/roll come from a face frame built on the
+// eye line and the chin-forehead axis; face-api's 68 points are 2D only, so yaw and pitch
+// there are approximations from where the nose tip sits within the face.
+// Angles are in degrees, 0 for a frontal upright face, in image terms: yaw > 0 when the
+// nose points to the image right, pitch > 0 when it points up, roll > 0 when the eye line
+// runs down to the image right (clockwise).
+
+/** Pose-gate options shared by the pure detectors (schema format from options.js). */
+export const POSE_OPTIONS = {
+  poseCheck: { type: 'boolean', default: true, description: 'Reject faces whose head pose is outside the limits (reason pose_out_of_range)' },
+  maxYaw: { type: 'number', default: 35, min: 0, max: 90, description: 'Largest |yaw| measured, degrees' },
+  maxPitch: { type: 'number', default: 30, min: 0, max: 90, description: 'Largest |pitch| measured, degrees' },
+  maxRoll: { type: 'number', default: 45, min: 0, max: 180, description: 'Largest |roll| measured, degrees (alignment removes roll, so this can be loose)' },
+};
+
+const DEG = 180 / Math.PI;
+
+// FaceMesh indices: eye outer corners (subject's right, left), forehead top, chin
+const MP = { rEye: 33, lEye: 263, top: 10, chin: 152 };
+// dlib 68 indices: jaw ends, chin, nose tip, eye corners
+const DLIB = { jawRight: 0, jawLeft: 16, chin: 8, nose: 30, rEye: [36, 39], lEye: [42, 45] };
+// Nose tip height between the eye line (0) and the chin (1) on a frontal face (dlib mean shape)
+const NEUTRAL_NOSE_HEIGHT = 0.4;
+// Change of that height for a 90° nod; the nose tip sits about half the eye-chin distance in front of the eyes
+const NOSE_DEPTH = 0.5;
+
+function point(p) {
+  if (!p) return null;
+  const x = typeof p.x === 'number' ? p.x : p[0];
+  const y = typeof p.y === 'number' ? p.y : p[1];
+  const z = typeof p.z === 'number' ? p.z : (typeof p[2] === 'number' ? p[2] : 0);
+  return [x, y, z].every(Number.isFinite) ? [x, y, z] : null;
+}
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+function normalize(v) {
+  const n = Math.hypot(v[0], v[1], v[2]);
+  return n > 0 ? [v[0] / n, v[1] / n, v[2] / n] : null;
+}
+const clamp1 = (v) => Math.max(-1, Math.min(1, v));
+
+/**
+ * Head pose from FaceMesh landmarks (normalized, with depth).
+ * @param {ArrayLike<{x:number,y:number,z?:number}>} landmarks
+ * @param {number} imgW
+ * @param {number} imgH
+ * @returns {{ yaw:number, pitch:number, roll:number }|null}
+ */
+export function poseFromFaceMesh(landmarks, imgW, imgH) {
+  // FaceMesh z is on the same scale as x (normalized by the image width)
+  const px = (i) => {
+    const p = point(landmarks[i]);
+    return p ? [p[0] * imgW, p[1] * imgH, p[2] * imgW] : null;
+  };
+  const rEye = px(MP.rEye); const lEye = px(MP.lEye); const top = px(MP.top); const chin = px(MP.chin);
+  if (!rEye || !lEye || !top || !chin) return null;
+  // Face frame: x along the eyes (image right when frontal), y up the face, z out of the nose
+  const ex = normalize(sub(lEye, rEye));
+  if (!ex) return null;
+  const up = sub(top, chin);
+  const ey = normalize(sub(up, ex.map(v => v * dot(up, ex))));
+  if (!ey) return null;
+  const ez = cross(ex, ey);
+  // Image y points down and FaceMesh z grows away from the camera
+  return {
+    yaw: Math.atan2(ez[0], -ez[2]) * DEG,
+    pitch: Math.atan2(-ez[1], Math.hypot(ez[0], ez[2])) * DEG,
+    roll: Math.atan2(ex[1], ex[0]) * DEG,
+  };
+}
+
+/**
+ * Head pose from dlib 68 points (pixels, 2D); yaw and pitch are approximate (about ±10°).
+ * @param {ArrayLike<{x:number,y:number}|[number,number]>} landmarks
+ * @returns {{ yaw:number, pitch:number, roll:number }|null}
+ */
+export function poseFromDlib68(landmarks) {
+  const pt = (i) => point(landmarks[i]);
+  const mean = (idx) => {
+    const ps = idx.map(pt);
+    return ps.every(Boolean) ? [(ps[0][0] + ps[1][0]) / 2, (ps[0][1] + ps[1][1]) / 2] : null;
+  };
+  const rEye = mean(DLIB.rEye); const lEye = mean(DLIB.lEye);
+  const jawR = pt(DLIB.jawRight); const jawL = pt(DLIB.jawLeft); const chin = pt(DLIB.chin); const nose = pt(DLIB.nose);
+  if (!rEye || !lEye || !jawR || !jawL || !chin || !nose) return null;
+  const rollRad = Math.atan2(lEye[1] - rEye[1], lEye[0] - rEye[0]);
+  // Undo the roll about the eye midpoint, then read the nose tip against the jaw and chin
+  const cx = (rEye[0] + lEye[0]) / 2; const cy = (rEye[1] + lEye[1]) / 2;
+  const cos = Math.cos(-rollRad); const sin = Math.sin(-rollRad);
+  const level = (p) => [cos * (p[0] - cx) - sin * (p[1] - cy), sin * (p[0] - cx) + cos * (p[1] - cy)];
+  const [jrx] = level(jawR); const [jlx] = level(jawL); const [nx, ny] = level(nose); const [, chy] = level(chin);
+  const halfWidth = (jlx - jrx) / 2;
+  if (!(halfWidth > 0) || !(chy > 0)) return null;
+  return {
+    yaw: Math.asin(clamp1((nx - (jrx + jlx) / 2) / halfWidth)) * DEG,
+    pitch: Math.asin(clamp1((NEUTRAL_NOSE_HEIGHT - ny / chy) / NOSE_DEPTH)) * DEG,
+    roll: rollRad * DEG,
+  };
+}
+
+/**
+ * Whether a pose is inside the limits. An unknown pose (null) passes: the eye gate already
+ * rejects landmarks too broken to measure.
+ * @param {{ yaw:number, pitch:number, roll:number }|null} pose
+ * @param {{ poseCheck?:boolean, maxYaw?:number, maxPitch?:number, maxRoll?:number }} [limits] - defaults from POSE_OPTIONS
+ * @returns {boolean}
+ */
+export function poseWithinLimits(pose, limits = {}) {
+  const { poseCheck = true, maxYaw = 35, maxPitch = 30, maxRoll = 45 } = limits;
+  if (!poseCheck || !pose) return true;
+  return Math.abs(pose.yaw) <= maxYaw && Math.abs(pose.pitch) <= maxPitch && Math.abs(pose.roll) <= maxRoll;
+}
@@ -0,0 +1,208 @@
+// Illumination normalization of aligned faces before edge measurement (pure, no DOM)
+// Backlight and dim rooms shift gradient magnitudes, so fixed gradient thresholds and the
+// Otsu split behave differently between scenes. Each method maps the aligned face's gray
+// levels to a scene-independent range: histogram equalization, CLAHE, gamma correction
+// and local contrast normalization.
+
+/** Normalization methods, in the order the pages list them. */
+export const ILLUMINATION_METHODS = ['none', 'equalize', 'clahe', 'gamma', 'local-contrast'];
+
+/** Normalization options shared by the pure detectors (schema format from options.js). */
+export const ILLUMINATION_OPTIONS = {
+  illumination: { type: 'string', default: 'none', values: ILLUMINATION_METHODS, description: 'Gray-level normalization of the aligned face before measuring' },
+  gamma: { type: 'number', default: 0, min: 0, max: 10, description: "Exponent for 'gamma' (out = in^gamma on [0, 1]); 0 picks one that maps the mean gray to mid-gray" },
+  claheClipLimit: { type: 'number', default: 2, min: 1, max: 40, description: "'clahe' contrast limit, as a multiple of the mean histogram bin" },
+  claheTiles: { type: 'integer', default: 8, min: 1, max: 32, description: "'clahe' tiles per side" },
+  localContrastRadius: { type: 'integer', default: 16, min: 1, max: 128, description: "'local-contrast' window radius, px of the aligned face" },
+};
+
+// Local contrast: output gray = 128 + LCN_GAIN * z, with z the local z-score; the local std
+// is floored at LCN_MIN_STD so flat regions are not blown up into noise
+const LCN_GAIN = 40;
+const LCN_MIN_STD = 4;
+
+function applyLut(gray, lut) {
+  const out = new Uint8ClampedArray(gray.length);
+  for (let i = 0; i < gray.length; i++) out[i] = lut[gray[i]];
+  return out;
+}
+
+function histogram(gray) {
+  const hist = new Uint32Array(256);
+  for (let i = 0; i < gray.length; i++) hist[gray[i]]++;
+  return hist;
+}
+
+/**
+ * Global histogram equalization (as OpenCV equalizeHist).
+ * @param {ArrayLike<number>} gray - 8-bit plane
+ * @returns {Uint8ClampedArray}
+ */
+export function equalizeHistU8(gray) {
+  const hist = histogram(gray);
+  let cdfMin = 0;
+  for (let v = 0; v < 256; v++) if (hist[v]) { cdfMin = hist[v]; break; }
+  const n = gray.length;
+  const lut = new Uint8ClampedArray(256);
+  if (n === cdfMin) return Uint8ClampedArray.from(gray);
+  let cdf = 0;
+  for (let v = 0; v < 256; v++) {
+    cdf += hist[v];
+    lut[v] = Math.round(((cdf - cdfMin) / (n - cdfMin)) * 255);
+  }
+  return applyLut(gray, lut);
+}
+
+// Contrast-limited equalization LUT of one tile
+function clippedLut(gray, width, x0, y0, x1, y1, clipLimit) {
+  const hist = new Float64Array(256);
+  for (let y = y0; y < y1; y++) for (let x = x0; x < x1; x++) hist[gray[y * width + x]]++;
+  const area = (x1 - x0) * (y1 - y0);
+  const clip = Math.max(1, (clipLimit * area) / 256);
+  let excess = 0;
+  for (let v = 0; v < 256; v++) if (hist[v] > clip) { excess += hist[v] - clip; hist[v] = clip; }
+  // Redistribute the clipped counts evenly over all bins
+  const add = excess / 256;
+  const lut = new Float64Array(256);
+  let cdf = 0;
+  for (let v = 0; v < 256; v++) {
+    cdf += hist[v] + add;
+    lut[v] = Math.min(255, (cdf * 255) / (area || 1));
+  }
+  return lut;
+}
+
+/**
+ * Contrast-limited adaptive histogram equalization: one clipped equalization per tile,
+ * blended bilinearly between tile centers.
+ * @param {ArrayLike<number>} gray - 8-bit plane
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [clipLimit]
+ * @param {number} [tiles] - tiles per side
+ * @returns {Uint8ClampedArray}
+ */
+export function claheU8(gray, width, height, clipLimit = 2, tiles = 8) {
+  const tx = Math.max(1, Math.min(tiles, width));
+  const ty = Math.max(1, Math.min(tiles, height));
+  const xEdge = (i) => Math.floor((i * width) / tx);
+  const yEdge = (j) => Math.floor((j * height) / ty);
+  const luts = [];
+  for (let j = 0; j < ty; j++) {
+    for (let i = 0; i < tx; i++) luts.push(clippedLut(gray, width, xEdge(i), yEdge(j), xEdge(i + 1), yEdge(j + 1), clipLimit));
+  }
+  const tileW = width / tx; const tileH = height / ty;
+  const out = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    const fy = Math.max(0, Math.min(ty - 1, (y + 0.5) / tileH - 0.5));
+    const j0 = Math.floor(fy); const j1 = Math.min(ty - 1, j0 + 1); const wy = fy - j0;
+    for (let x = 0; x < width; x++) {
+      const fx = Math.max(0, Math.min(tx - 1, (x + 0.5) / tileW - 0.5));
+      const i0 = Math.floor(fx); const i1 = Math.min(tx - 1, i0 + 1); const wx = fx - i0;
+      const v = gray[y * width + x];
+      const top = luts[j0 * tx + i0][v] * (1 - wx) + luts[j0 * tx + i1][v] * wx;
+      const bottom = luts[j1 * tx + i0][v] * (1 - wx) + luts[j1 * tx + i1][v] * wx;
+      out[y * width + x] = Math.round(top * (1 - wy) + bottom * wy);
+    }
+  }
+  return out;
+}
+
+/**
+ * Gamma correction: out = 255 * (in / 255)^gamma.
+ * @param {ArrayLike<number>} gray - 8-bit plane
+ * @param {number} [gamma] - 0 (default) picks the exponent that maps the mean gray to 128,
+ *   limited to [0.2, 5]
+ * @returns {{ gray:Uint8ClampedArray, gamma:number }} the plane and the exponent used
+ */
+export function gammaU8(gray, gamma = 0) {
+  let g = gamma;
+  if (!(g > 0)) {
+    let sum = 0;
+    for (let i = 0; i < gray.length; i++) sum += gray[i];
+    const mean = Math.min(254, Math.max(1, sum / (gray.length || 1))) / 255;
+    g = Math.max(0.2, Math.min(5, Math.log(0.5) / Math.log(mean)));
+  }
+  const lut = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) lut[v] = Math.round(255 * Math.pow(v / 255, g));
+  return { gray: applyLut(gray, lut), gamma: g };
+}
+
+/**
+ * Local contrast normalization: each pixel's z-score within a (2r+1)² window, mapped back
+ * to 8 bits around mid-gray. Windows are clipped at the borders.
+ * @param {ArrayLike<number>} gray - 8-bit plane
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [radius]
+ * @returns {Uint8ClampedArray}
+ */
+export function localContrastU8(gray, width, height, radius = 16) {
+  // Integral images of the values and their squares
+  const W1 = width + 1;
+  const sum = new Float64Array(W1 * (height + 1));
+  const sum2 = new Float64Array(W1 * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let row = 0; let row2 = 0;
+    for (let x = 0; x < width; x++) {
+      const v = gray[y * width + x];
+      row += v; row2 += v * v;
+      sum[(y + 1) * W1 + x + 1] = sum[y * W1 + x + 1] + row;
+      sum2[(y + 1) * W1 + x + 1] = sum2[y * W1 + x + 1] + row2;
+    }
+  }
+  const box = (img, x0, y0, x1, y1) => img[y1 * W1 + x1] - img[y0 * W1 + x1] - img[y1 * W1 + x0] + img[y0 * W1 + x0];
+  const out = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - radius); const y1 = Math.min(height, y + radius + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - radius); const x1 = Math.min(width, x + radius + 1);
+      const n = (x1 - x0) * (y1 - y0);
+      const mean = box(sum, x0, y0, x1, y1) / n;
+      const std = Math.sqrt(Math.max(0, box(sum2, x0, y0, x1, y1) / n - mean * mean));
+      out[y * width + x] = Math.round(128 + (LCN_GAIN * (gray[y * width + x] - mean)) / Math.max(std, LCN_MIN_STD));
+    }
+  }
+  return out;
+}
+
+/**
+ * Normalize an 8-bit gray plane with the method named in `opts.illumination`.
+ * @param {ArrayLike<number>} gray
+ * @param {number} width
+ * @param {number} height
+ * @param {{ illumination?:string, gamma?:number, claheClipLimit?:number, claheTiles?:number, localContrastRadius?:number }} [opts] - defaults from ILLUMINATION_OPTIONS
+ * @returns {ArrayLike<number>} `gray` itself for 'none'
+ */
+export function normalizeIlluminationU8(gray, width, height, opts = {}) {
+  const { illumination = 'none', gamma = 0, claheClipLimit = 2, claheTiles = 8, localContrastRadius = 16 } = opts;
+  switch (illumination) {
+    case 'none': return gray;
+    case 'equalize': return equalizeHistU8(gray);
+    case 'clahe': return claheU8(gray, width, height, claheClipLimit, claheTiles);
+    case 'gamma': return gammaU8(gray, gamma).gray;
+    case 'local-contrast': return localContrastU8(gray, width, height, localContrastRadius);
+    default: throw new RangeError(`Unknown illumination normalization: ${illumination}`);
+  }
+}
+
+/**
+ * Normalize an aligned RGBA face. The result is gray (R = G = B), so detectors measure it
+ * unchanged; with 'none' the input buffer is returned as is.
+ * @param {{width:number,height:number,data:Uint8ClampedArray}} aligned
+ * @param {object} [opts] - as for normalizeIlluminationU8
+ * @returns {{width:number,height:number,data:Uint8ClampedArray}}
+ */
+export function normalizeIllumination(aligned, opts = {}) {
+  if (!opts.illumination || opts.illumination === 'none') return aligned;
+  const { width, height, data } = aligned;
+  const gray = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; p < gray.length; i += 4, p++) gray[p] = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+  const norm = normalizeIlluminationU8(gray, width, height, opts);
+  const out = new Uint8ClampedArray(width * height * 4);
+  for (let p = 0, i = 0; p < norm.length; p++, i += 4) {
+    out[i] = out[i + 1] = out[i + 2] = norm[p];
+    out[i + 3] = 255;
+  }
+  return { width, height, data: out };
+}
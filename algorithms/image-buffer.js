@@ -0,0 +1,336 @@
+// Pure typed-array image helpers (no DOM, no OpenCV)
+// Images are plain { width, height, data } objects with RGBA bytes, like ImageData,
+// so the same code runs in the browser, in workers and in plain Node.
+
+/**
+ * True if `src` is a plain pixel buffer ({width,height,data}) rather than a DOM image.
+ * ImageData counts as a buffer since it carries its own pixels.
+ * @param {any} src
+ * @returns {boolean}
+ */
+export function isPixelBuffer(src) {
+  return !!(src && typeof src.width === 'number' && typeof src.height === 'number' && src.data && typeof src.data.length === 'number');
+}
+
+/**
+ * Normalize any supported source to an RGBA buffer.
+ * - {width,height,data} with 4 (RGBA), 3 (RGB) or 1 (gray) channels per pixel
+ * - ImageData
+ * - HTMLCanvasElement / OffscreenCanvas (read via getImageData)
+ * - HTMLImageElement / ImageBitmap (drawn to a temporary canvas; browser only)
+ * @param {any} src
+ * @returns {{width:number,height:number,data:Uint8ClampedArray}}
+ */
+export function toRgbaBuffer(src) {
+  if (isPixelBuffer(src)) {
+    const { width, height, data } = src;
+    const n = width * height;
+    const channels = n > 0 ? data.length / n : 4;
+    if (channels === 4) {
+      return { width, height, data: data instanceof Uint8ClampedArray ? data : new Uint8ClampedArray(data) };
+    }
+    if (channels !== 3 && channels !== 1) throw new Error(`Unsupported pixel buffer layout: ${data.length} values for ${width}x${height}`);
+    const out = new Uint8ClampedArray(n * 4);
+    for (let p = 0, i = 0; p < n; p++, i += 4) {
+      if (channels === 3) { out[i] = data[p * 3]; out[i + 1] = data[p * 3 + 1]; out[i + 2] = data[p * 3 + 2]; }
+      else { out[i] = out[i + 1] = out[i + 2] = data[p]; }
+      out[i + 3] = 255;
+    }
+    return { width, height, data: out };
+  }
+  if (src && typeof src.getContext === 'function') {
+    const { data, width, height } = src.getContext('2d').getImageData(0, 0, src.width, src.height);
+    return { width, height, data };
+  }
+  if (src && (src.naturalWidth || src.width) && (typeof OffscreenCanvas !== 'undefined' || typeof document !== 'undefined')) {
+    const w = src.naturalWidth || src.width; const h = src.naturalHeight || src.height;
+    let c;
+    if (typeof OffscreenCanvas !== 'undefined') c = new OffscreenCanvas(w, h);
+    else { c = document.createElement('canvas'); c.width = w; c.height = h; }
+    const ctx = c.getContext('2d');
+    ctx.drawImage(src, 0, 0);
+    const { data } = ctx.getImageData(0, 0, w, h);
+    return { width: w, height: h, data };
+  }
+  throw new Error('Unsupported src image type');
+}
+
+/**
+ * Warp an RGBA buffer with a forward 2D affine matrix using bilinear sampling.
+ * The matrix uses the Canvas setTransform layout [a,b,c,d,e,f]:
+ *   x' = a*x + c*y + e,  y' = b*x + d*y + f
+ * Pixels that map outside the source are transparent black, as with drawImage.
+ * @param {{width:number,height:number,data:Uint8ClampedArray}} img
+ * @param {number[]} matrix - [a,b,c,d,e,f]
+ * @param {number} dstW
+ * @param {number} dstH
+ * @returns {{width:number,height:number,data:Uint8ClampedArray}}
+ */
+export function warpAffineBilinear(img, matrix, dstW, dstH) {
+  const [a, b, c, d, e, f] = matrix;
+  const det = a * d - b * c;
+  if (!isFinite(det) || Math.abs(det) < 1e-12) throw new Error('Affine matrix is not invertible');
+  // Inverse of [[a c],[b d]]
+  const ia = d / det, ic = -c / det, ib = -b / det, id = a / det;
+  const { width: sw, height: sh, data: sd } = img;
+  const out = new Uint8ClampedArray(dstW * dstH * 4);
+  for (let y = 0; y < dstH; y++) {
+    for (let x = 0; x < dstW; x++) {
+      // Sample at pixel centers, as canvas does
+      const u = x + 0.5 - e; const v = y + 0.5 - f;
+      const sx = ia * u + ic * v - 0.5;
+      const sy = ib * u + id * v - 0.5;
+      const x0 = Math.floor(sx); const y0 = Math.floor(sy);
+      const fx = sx - x0; const fy = sy - y0;
+      const o = (y * dstW + x) * 4;
+      for (let ch = 0; ch < 4; ch++) {
+        let acc = 0;
+        for (let j = 0; j <= 1; j++) {
+          const yy = y0 + j;
+          if (yy < 0 || yy >= sh) continue;
+          const wy = j ? fy : 1 - fy;
+          for (let i = 0; i <= 1; i++) {
+            const xx = x0 + i;
+            if (xx < 0 || xx >= sw) continue;
+            const wx = i ? fx : 1 - fx;
+            acc += sd[(yy * sw + xx) * 4 + ch] * wx * wy;
+          }
+        }
+        out[o + ch] = acc;
+      }
+    }
+  }
+  return { width: dstW, height: dstH, data: out };
+}
+
+/**
+ * Copy a rectangle out of an RGBA buffer. Out-of-range pixels are transparent black,
+ * matching getImageData semantics.
+ * @param {{width:number,height:number,data:Uint8ClampedArray}} img
+ * @param {number} x0
+ * @param {number} y0
+ * @param {number} w
+ * @param {number} h
+ * @returns {{width:number,height:number,data:Uint8ClampedArray}}
+ */
+export function cropRgba(img, x0, y0, w, h) {
+  const out = new Uint8ClampedArray(w * h * 4);
+  for (let y = 0; y < h; y++) {
+    const sy = y0 + y;
+    if (sy < 0 || sy >= img.height) continue;
+    for (let x = 0; x < w; x++) {
+      const sx = x0 + x;
+      if (sx < 0 || sx >= img.width) continue;
+      const s = (sy * img.width + sx) * 4; const o = (y * w + x) * 4;
+      out[o] = img.data[s]; out[o + 1] = img.data[s + 1]; out[o + 2] = img.data[s + 2]; out[o + 3] = img.data[s + 3];
+    }
+  }
+  return { width: w, height: h, data: out };
+}
+
+/**
+ * Convert RGBA bytes to a Float32 luma plane (ITU-R BT.601 weights).
+ * @param {Uint8ClampedArray|Uint8Array} data
+ * @param {number} width
+ * @param {number} height
+ * @returns {Float32Array}
+ */
+export function rgbaToGray(data, width, height) {
+  const gray = new Float32Array(width * height);
+  for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+    gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return gray;
+}
+
+/**
+ * 3x3 box blur of a gray plane. Border pixels are left at 0.
+ * @param {Float32Array} gray
+ * @param {number} width
+ * @param {number} height
+ * @returns {Float32Array}
+ */
+export function boxBlur3(gray, width, height) {
+  const blur = new Float32Array(width * height);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      let s = 0;
+      for (let ky = -1; ky <= 1; ky++) {
+        for (let kx = -1; kx <= 1; kx++) {
+          s += gray[(y + ky) * width + (x + kx)];
+        }
+      }
+      blur[y * width + x] = s / 9;
+    }
+  }
+  return blur;
+}
+
+/**
+ * Convert RGBA bytes to an 8-bit gray plane, rounded like cv.cvtColor(RGBA2GRAY).
+ * @param {Uint8ClampedArray|Uint8Array} data
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8ClampedArray}
+ */
+export function rgbaToGrayU8(data, width, height) {
+  const gray = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+    gray[p] = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+  }
+  return gray;
+}
+
+// OpenCV BORDER_REFLECT_101 index mapping (gfedcb|abcdefgh|gfedcba)
+function reflect101(i, n) {
+  if (n === 1) return 0;
+  while (i < 0 || i >= n) i = i < 0 ? -i : 2 * n - 2 - i;
+  return i;
+}
+
+/**
+ * Separable Gaussian blur of an 8-bit plane, like cv.GaussianBlur with BORDER_DEFAULT.
+ * A sigma <= 0 is derived from ksize the way OpenCV does.
+ * @param {Uint8ClampedArray} src
+ * @param {number} width
+ * @param {number} height
+ * @param {number} ksize - odd kernel size
+ * @param {number} [sigma]
+ * @returns {Uint8ClampedArray}
+ */
+export function gaussianBlurU8(src, width, height, ksize, sigma = 0) {
+  const s = sigma > 0 ? sigma : 0.3 * ((ksize - 1) * 0.5 - 1) + 0.8;
+  const r = (ksize - 1) >> 1;
+  const kernel = new Float64Array(ksize);
+  let sum = 0;
+  for (let i = 0; i < ksize; i++) { kernel[i] = Math.exp(-((i - r) ** 2) / (2 * s * s)); sum += kernel[i]; }
+  for (let i = 0; i < ksize; i++) kernel[i] /= sum;
+  const tmp = new Float64Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let acc = 0;
+      for (let k = -r; k <= r; k++) acc += kernel[k + r] * src[y * width + reflect101(x + k, width)];
+      tmp[y * width + x] = acc;
+    }
+  }
+  const out = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let acc = 0;
+      for (let k = -r; k <= r; k++) acc += kernel[k + r] * tmp[reflect101(y + k, height) * width + x];
+      out[y * width + x] = Math.round(acc);
+    }
+  }
+  return out;
+}
+
+/**
+ * Absolute 3x3 Sobel Y derivative of an 8-bit plane, saturated to 8 bits,
+ * like cv.Sobel(src, dst, CV_64F, 0, 1, 3) followed by cv.convertScaleAbs.
+ * @param {Uint8ClampedArray} src
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8ClampedArray}
+ */
+export function sobelYAbsU8(src, width, height) {
+  const out = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    const up = reflect101(y - 1, height) * width;
+    const down = reflect101(y + 1, height) * width;
+    for (let x = 0; x < width; x++) {
+      const xl = reflect101(x - 1, width); const xr = reflect101(x + 1, width);
+      const g = (src[down + xl] + 2 * src[down + x] + src[down + xr])
+        - (src[up + xl] + 2 * src[up + x] + src[up + xr]);
+      out[y * width + x] = Math.round(Math.abs(g));
+    }
+  }
+  return out;
+}
+
+/**
+ * Otsu threshold of an 8-bit plane (same search as OpenCV's THRESH_OTSU).
+ * Pixels strictly above the returned value are foreground.
+ * @param {Uint8ClampedArray} src
+ * @returns {number}
+ */
+export function otsuThresholdU8(src) {
+  const hist = new Float64Array(256);
+  for (let i = 0; i < src.length; i++) hist[src[i]]++;
+  const n = src.length || 1;
+  let mu = 0;
+  for (let i = 0; i < 256; i++) { hist[i] /= n; mu += i * hist[i]; }
+  let q1 = 0; let mu1 = 0; let maxSigma = 0; let maxVal = 0;
+  const eps = 1.1920929e-7;
+  for (let i = 0; i < 256; i++) {
+    const p = hist[i];
+    const q1Prev = q1;
+    q1 += p;
+    const q2 = 1 - q1;
+    if (Math.min(q1, q2) < eps || Math.max(q1, q2) > 1 - eps) continue;
+    mu1 = (mu1 * q1Prev + i * p) / q1;
+    const mu2 = (mu - q1 * mu1) / q2;
+    const sigma = q1 * q2 * (mu1 - mu2) * (mu1 - mu2);
+    if (sigma > maxSigma) { maxSigma = sigma; maxVal = i; }
+  }
+  return maxVal;
+}
+
+/**
+ * Canny edge detector on an 8-bit plane, like cv.Canny(src, dst, low, high) with the
+ * default 3x3 Sobel aperture and L1 gradient magnitude.
+ * @param {Uint8ClampedArray} src
+ * @param {number} width
+ * @param {number} height
+ * @param {number} low - hysteresis low threshold
+ * @param {number} high - hysteresis high threshold
+ * @returns {Uint8ClampedArray} edge map (0 or 255)
+ */
+export function cannyU8(src, width, height, low, high) {
+  const n = width * height;
+  const gx = new Float32Array(n); const gy = new Float32Array(n); const mag = new Float32Array(n);
+  for (let y = 0; y < height; y++) {
+    const up = reflect101(y - 1, height) * width; const mid = y * width; const down = reflect101(y + 1, height) * width;
+    for (let x = 0; x < width; x++) {
+      const xl = reflect101(x - 1, width); const xr = reflect101(x + 1, width);
+      const dx = (src[up + xr] + 2 * src[mid + xr] + src[down + xr]) - (src[up + xl] + 2 * src[mid + xl] + src[down + xl]);
+      const dy = (src[down + xl] + 2 * src[down + x] + src[down + xr]) - (src[up + xl] + 2 * src[up + x] + src[up + xr]);
+      gx[mid + x] = dx; gy[mid + x] = dy; mag[mid + x] = Math.abs(dx) + Math.abs(dy);
+    }
+  }
+  const magAt = (x, y) => (x < 0 || y < 0 || x >= width || y >= height) ? 0 : mag[y * width + x];
+  // Non-maximum suppression: 0 = suppressed, 1 = weak, 2 = strong
+  const tg22 = Math.tan(Math.PI / 8); const tg67 = Math.tan(3 * Math.PI / 8);
+  const state = new Uint8Array(n);
+  const stack = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x; const m = mag[i];
+      if (m <= low) continue;
+      const ax = Math.abs(gx[i]); const ay = Math.abs(gy[i]);
+      let isMax;
+      if (ay < ax * tg22) isMax = m > magAt(x - 1, y) && m >= magAt(x + 1, y);
+      else if (ay > ax * tg67) isMax = m > magAt(x, y - 1) && m >= magAt(x, y + 1);
+      else {
+        const s = (gx[i] * gy[i]) < 0 ? -1 : 1;
+        isMax = m > magAt(x - s, y - 1) && m > magAt(x + s, y + 1);
+      }
+      if (!isMax) continue;
+      if (m > high) { state[i] = 2; stack.push(i); } else state[i] = 1;
+    }
+  }
+  // Hysteresis: grow strong edges through 8-connected weak pixels
+  while (stack.length) {
+    const i = stack.pop(); const x = i % width; const y = (i - x) / width;
+    for (let ky = -1; ky <= 1; ky++) {
+      for (let kx = -1; kx <= 1; kx++) {
+        const xx = x + kx; const yy = y + ky;
+        if (xx < 0 || yy < 0 || xx >= width || yy >= height) continue;
+        const j = yy * width + xx;
+        if (state[j] === 1) { state[j] = 2; stack.push(j); }
+      }
+    }
+  }
+  const out = new Uint8ClampedArray(n);
+  for (let i = 0; i < n; i++) if (state[i] === 2) out[i] = 255;
+  return out;
+}
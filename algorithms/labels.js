@@ -0,0 +1,267 @@
+// Ground-truth labels for batch evaluation (pure, no DOM)
+// Labels come from the image's parent folder name or from a manifest (labels.csv with
+// path,label columns, or JSON). Manifest paths are matched against the picked files by
+// relative path, falling back to the basename when that is unambiguous among both the
+// manifest entries and the picked files.
+
+const TRUE_LABELS = new Set(['glasses', 'withglasses', 'eyeglasses', 'yes', 'true', '1', 'y']);
+const FALSE_LABELS = new Set(['noglasses', 'withoutglasses', 'noeyeglasses', 'none', 'no', 'false', '0', 'n']);
+
+/**
+ * Interpret a label value: `glasses`/`no_glasses` and their variants, yes/no, true/false, 1/0.
+ * @param {unknown} value
+ * @returns {boolean|null} null when the value is not a recognised label
+ */
+export function parseLabel(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value === 1 ? true : (value === 0 ? false : null);
+  const t = String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (TRUE_LABELS.has(t)) return true;
+  if (FALSE_LABELS.has(t)) return false;
+  return null;
+}
+
+// Parent folder names that also give the glasses type
+const TYPE_FOLDERS = {
+  sunglasses: 'sunglasses',
+  clear: 'clear',
+  clearglasses: 'clear',
+  eyeglasses: 'clear',
+  prescription: 'clear',
+  prescriptionglasses: 'clear',
+  noglasses: 'none',
+  withoutglasses: 'none',
+  noeyeglasses: 'none',
+};
+
+function parentFolder(path) {
+  const parts = String(path || '').split(/[\\/]/);
+  return parts.length < 2 ? null : parts[parts.length - 2].toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/**
+ * Ground truth from the parent folder name (`glasses/`, `no_glasses/`, `with_glasses/`, ...).
+ * Glasses-type folders (`sunglasses/`, `clear/`, ...; see folderGlassesType) count as glasses.
+ * @param {string} path - relative path of the image
+ * @returns {boolean|null}
+ */
+export function folderTruth(path) {
+  const t = parentFolder(path);
+  if (t === null) return null;
+  if (t === 'glasses' || t === 'withglasses') return true;
+  if (TYPE_FOLDERS[t]) return TYPE_FOLDERS[t] !== 'none';
+  return null;
+}
+
+/**
+ * Glasses-type ground truth from the parent folder name: `sunglasses/`; `clear/`,
+ * `clear_glasses/`, `eyeglasses/` or `prescription/`; `no_glasses/` and its variants.
+ * A plain `glasses/` folder says nothing about the type.
+ * @param {string} path - relative path of the image
+ * @returns {'none'|'clear'|'sunglasses'|null}
+ */
+export function folderGlassesType(path) {
+  const t = parentFolder(path);
+  return (t !== null && TYPE_FOLDERS[t]) || null;
+}
+
+/**
+ * Normalize a path for matching: forward slashes, lower case, no leading "./" or "/".
+ * @param {string} path
+ * @returns {string}
+ */
+export function normalizeLabelPath(path) {
+  return String(path || '').trim().replace(/\\/g, '/').replace(/^(\.\/)+/, '').replace(/^\/+/, '').toLowerCase();
+}
+
+/**
+ * Split CSV text into rows at line breaks outside double-quoted fields, so a quoted field
+ * may span lines. Empty rows are kept (callers skip them).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitCsvRows(text) {
+  const rows = []; let start = 0; let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') quoted = !quoted;
+    else if (ch === '\n' && !quoted) {
+      rows.push(text.slice(start, text[i - 1] === '\r' ? i - 1 : i));
+      start = i + 1;
+    }
+  }
+  rows.push(text.slice(start));
+  return rows;
+}
+
+/**
+ * Minimal CSV row split: commas or semicolons, double-quoted fields with "" escapes.
+ * @param {string} line
+ * @param {string} sep - ',' or ';'
+ * @returns {string[]} trimmed fields
+ */
+export function splitCsvLine(line, sep) {
+  const out = []; let cur = ''; let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; } else if (ch === '"') quoted = false; else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === sep) { out.push(cur.trim()); cur = ''; } else cur += ch;
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+const PATH_COLUMNS = ['path', 'file', 'filename', 'image', 'relpath', 'name'];
+const LABEL_COLUMNS = ['label', 'glasses', 'withglasses', 'class', 'truth', 'gt'];
+
+// A path with a folder or a file extension
+const looksLikeFile = (cell) => /[\\/]|\.[a-z0-9]{2,5}$/i.test(cell || '');
+
+function parseCsvManifest(text) {
+  // Rows, not lines: a quoted path may hold a line break (result-export.js writes them so)
+  let lineNo = 1;
+  const lines = splitCsvRows(text).map((line) => {
+    const row = { line, lineNo };
+    lineNo += 1 + (line.match(/\n/g) || []).length;
+    return row;
+  }).filter(l => l.line.trim() !== '');
+  if (lines.length === 0) return { entries: [], invalid: [] };
+  const sep = lines[0].line.includes(',') || !lines[0].line.includes(';') ? ',' : ';';
+  let pathCol = 0; let labelCol = 1; let start = 0;
+  // The first row is a header when it names a column or its path cell is not a file name
+  // (`filename,has_glasses`); a data row with a misspelled label is reported as invalid.
+  // Known names pick the columns, otherwise the layout is path,label
+  const first = splitCsvLine(lines[0].line, sep);
+  const head = first.map(h => h.toLowerCase().replace(/[^a-z]/g, ''));
+  const hp = head.findIndex(h => PATH_COLUMNS.includes(h));
+  const hl = head.findIndex(h => LABEL_COLUMNS.includes(h));
+  if (hp >= 0 || hl >= 0 || !looksLikeFile(first[pathCol])) {
+    start = 1;
+    if (hp >= 0) pathCol = hp;
+    if (hl >= 0) labelCol = hl;
+    if (pathCol === labelCol) labelCol = pathCol === 0 ? 1 : 0;
+  }
+  const entries = []; const invalid = [];
+  for (const { line, lineNo } of lines.slice(start)) {
+    const cols = splitCsvLine(line, sep);
+    const truth = parseLabel(cols[labelCol]);
+    if (!cols[pathCol] || truth === null) { invalid.push({ line: lineNo, text: line }); continue; }
+    entries.push({ path: cols[pathCol], truth });
+  }
+  return { entries, invalid };
+}
+
+function parseJsonManifest(text) {
+  let data;
+  try { data = JSON.parse(text); } catch (err) { throw new TypeError(`label manifest: invalid JSON (${err.message})`); }
+  if (data && !Array.isArray(data) && Array.isArray(data.labels)) data = data.labels;
+  // Either [{ path, label }, ...] or { "<path>": <label>, ... }
+  const items = Array.isArray(data)
+    ? data.map(d => ({
+      path: d && (d.path ?? d.file ?? d.filename ?? d.image),
+      label: d && (d.label ?? d.glasses ?? d.withGlasses ?? d.truth),
+    }))
+    : (data && typeof data === 'object' ? Object.entries(data).map(([path, label]) => ({ path, label })) : null);
+  if (!items) throw new TypeError('label manifest: expected an array of { path, label } or an object of path -> label');
+  const entries = []; const invalid = [];
+  items.forEach((item, i) => {
+    const truth = parseLabel(item.label);
+    if (typeof item.path !== 'string' || item.path === '' || truth === null) invalid.push({ line: i + 1, text: JSON.stringify(item) });
+    else entries.push({ path: item.path, truth });
+  });
+  return { entries, invalid };
+}
+
+/**
+ * Parse a label manifest. JSON is detected by file extension or a leading `[`/`{`;
+ * anything else is read as CSV (`path,label`, header optional, `,` or `;` separated).
+ * Entries with an unrecognised label are returned in `invalid` rather than thrown.
+ * @param {string} text
+ * @param {string} [name] - file name, used to pick the format
+ * @returns {{ entries:Array<{path:string, truth:boolean}>, invalid:Array<{line:number, text:string}> }}
+ */
+export function parseLabelManifest(text, name = '') {
+  const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (/\.json$/i.test(name) || trimmed.startsWith('[') || trimmed.startsWith('{')) return parseJsonManifest(trimmed);
+  return parseCsvManifest(trimmed);
+}
+
+/**
+ * Index manifest entries for matching. Every path suffix of an entry (full path, then
+ * dropping leading folders, down to the basename) points at its label; suffixes shared by
+ * entries with different labels are ambiguous and never match.
+ * @param {Array<{path:string, truth:boolean}>} entries
+ * @returns {{ suffixes:Map<string, {truth:boolean, entry:number}>, ambiguous:Set<string>, entries:Array<{path:string, truth:boolean}> }}
+ */
+export function createGroundTruthMap(entries) {
+  const suffixes = new Map(); const ambiguous = new Set();
+  entries.forEach(({ path, truth }, entry) => {
+    const parts = normalizeLabelPath(path).split('/').filter(Boolean);
+    for (let i = 0; i < parts.length; i++) {
+      const key = parts.slice(i).join('/');
+      const prev = suffixes.get(key);
+      if (!prev) suffixes.set(key, { truth, entry });
+      else if (prev.truth !== truth) ambiguous.add(key);
+    }
+  });
+  return { suffixes, ambiguous, entries };
+}
+
+/**
+ * Refuse basename-only matches for basenames that several picked files share: a manifest
+ * entry `x.jpg` cannot tell `a/x.jpg` from `b/x.jpg`.
+ * @param {ReturnType<typeof createGroundTruthMap>} groundTruthMap
+ * @param {string[]} filePaths - relative paths of all picked images
+ * @returns {ReturnType<typeof createGroundTruthMap> & { sharedBasenames:Set<string> }}
+ */
+export function withPickedFiles(groundTruthMap, filePaths) {
+  const seen = new Set(); const sharedBasenames = new Set();
+  for (const p of filePaths) {
+    const base = normalizeLabelPath(p).split('/').pop();
+    if (seen.has(base)) sharedBasenames.add(base); else seen.add(base);
+  }
+  return { ...groundTruthMap, sharedBasenames };
+}
+
+/**
+ * Look up one file. The longest common path suffix wins; a basename-only match is
+ * reported as such, and refused for basenames several picked files share (withPickedFiles).
+ * @param {ReturnType<typeof createGroundTruthMap>} groundTruthMap
+ * @param {string} filePath - relative path (webkitRelativePath) or name of the image
+ * @returns {{ truth:boolean, matchedBy:'path'|'basename', entry:number }|null}
+ */
+export function lookupTruth(groundTruthMap, filePath) {
+  const parts = normalizeLabelPath(filePath).split('/').filter(Boolean);
+  for (let i = 0; i < parts.length; i++) {
+    const key = parts.slice(i).join('/');
+    if (groundTruthMap.ambiguous.has(key)) continue;
+    if (i === parts.length - 1 && groundTruthMap.sharedBasenames && groundTruthMap.sharedBasenames.has(key)) continue;
+    const hit = groundTruthMap.suffixes.get(key);
+    if (hit) return { truth: hit.truth, matchedBy: i === parts.length - 1 ? 'basename' : 'path', entry: hit.entry };
+  }
+  return null;
+}
+
+/**
+ * Match a list of files against a manifest and summarize the result. Basenames shared by
+ * several of the files never match on their own.
+ * @param {ReturnType<typeof createGroundTruthMap>} groundTruthMap
+ * @param {string[]} filePaths
+ * @returns {{ matched:number, byBasename:number, unmatched:string[], unusedEntries:string[] }}
+ */
+export function matchGroundTruth(groundTruthMap, filePaths) {
+  let matched = 0; let byBasename = 0; const unmatched = []; const used = new Set();
+  const picked = withPickedFiles(groundTruthMap, filePaths);
+  for (const p of filePaths) {
+    const hit = lookupTruth(picked, p);
+    if (!hit) { unmatched.push(p); continue; }
+    matched++;
+    if (hit.matchedBy === 'basename') byBasename++;
+    used.add(normalizeLabelPath(groundTruthMap.entries[hit.entry].path));
+  }
+  // By path: the index keeps only the first of repeated entries, the others are used too
+  const unusedEntries = groundTruthMap.entries.filter(e => !used.has(normalizeLabelPath(e.path))).map(e => e.path);
+  return { matched, byBasename, unmatched, unusedEntries };
+}
@@ -0,0 +1,284 @@
+// Landmark provider registry: how each landmark format gives its face geometry (pure, no DOM)
+// A provider declares where the eye corners, eye contours, nose-bridge points and face box
+// are in its landmarks, whether those are in pixels or normalized to [0, 1], and optionally
+// how to estimate the head pose. The detectors only call the accessors below, so any
+// registered name works as their `landmark_provider` argument.
+//
+// "Left" and "right" are the subject's, as in dlib and MediaPipe: on a frontal, unmirrored
+// photo the left eye is on the image right.
+
+import { poseFromFaceMesh, poseFromDlib68 } from './head-pose.js';
+
+const providers = new Map();
+
+/**
+ * Read one point as [x, y]: {x, y} objects and [x, y] arrays are accepted.
+ * @param {any} p
+ * @returns {[number, number]|null} null when missing or not finite
+ */
+export function readPoint(p) {
+  if (!p) return null;
+  const x = typeof p.x === 'number' ? p.x : p[0];
+  const y = typeof p.y === 'number' ? p.y : p[1];
+  return Number.isFinite(x) && Number.isFinite(y) ? [x, y] : null;
+}
+
+/**
+ * Register (or replace) a landmark provider.
+ * @param {string} name
+ * @param {{
+ *   label?: string,
+ *   coordinates: 'pixel'|'normalized'|((landmarks:any) => 'pixel'|'normalized'),
+ *   eyeCorners: (landmarks:any) => { rOuter:any, rInner:any, lInner:any, lOuter:any },
+ *   eyeContours?: (landmarks:any) => { right:any[], left:any[] }|null,
+ *   noseBridge?: (landmarks:any) => any[]|null,
+ *   faceBox?: (landmarks:any) => { x:number, y:number, width:number, height:number }|null,
+ *   headPose?: (landmarks:any, imgW:number, imgH:number) => { yaw:number, pitch:number, roll:number }|null,
+ * }} spec - accessors return points ({x,y} or [x,y]) and boxes in the provider's
+ *   `coordinates`; the registry scales them to pixels. Without `faceBox` the box is the extent
+ *   of all landmarks (an array of points); when `faceBox` returns null it is estimated from
+ *   the eye corners. `headPose` returns degrees (see head-pose.js)
+ *   and must not throw; without it the pose is unknown and the pose gate lets faces through.
+ */
+export function registerLandmarkProvider(name, spec) {
+  if (typeof name !== 'string' || !name) throw new TypeError('Landmark provider name must be a non-empty string');
+  if (!spec || typeof spec.eyeCorners !== 'function') throw new TypeError(`Landmark provider "${name}" needs an eyeCorners function`);
+  if (typeof spec.coordinates !== 'function' && !['pixel', 'normalized'].includes(spec.coordinates)) {
+    throw new TypeError(`Landmark provider "${name}": coordinates must be 'pixel', 'normalized' or a function`);
+  }
+  for (const key of ['eyeContours', 'noseBridge', 'faceBox', 'headPose']) {
+    if (spec[key] !== undefined && typeof spec[key] !== 'function') throw new TypeError(`Landmark provider "${name}": ${key} must be a function`);
+  }
+  providers.set(name, { name, label: spec.label || name, ...spec });
+}
+
+/**
+ * Look up a registered provider.
+ * @param {string} name
+ */
+export function getLandmarkProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) throw new Error(`Unsupported landmark_provider: ${name}`);
+  return provider;
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function hasLandmarkProvider(name) {
+  return providers.has(name);
+}
+
+/**
+ * Describe all registered providers, in registration order.
+ * @returns {Array<{ name:string, label:string, coordinates:string|null }>} `coordinates` is null when it depends on the landmarks
+ */
+export function listLandmarkProviders() {
+  return Array.from(providers.values(), p => ({ name: p.name, label: p.label, coordinates: typeof p.coordinates === 'string' ? p.coordinates : null }));
+}
+
+// Scale factors from the provider's coordinates to pixels
+function scaleOf(provider, landmarks, imgW, imgH) {
+  const coordinates = typeof provider.coordinates === 'function' ? provider.coordinates(landmarks) : provider.coordinates;
+  return coordinates === 'normalized' ? [imgW, imgH] : [1, 1];
+}
+
+function toPixels(points, [sx, sy]) {
+  return Array.from(points || [], p => {
+    const q = readPoint(p);
+    return q ? [q[0] * sx, q[1] * sy] : null;
+  }).filter(Boolean);
+}
+
+/**
+ * Eye corners in pixels. Throws for missing or malformed corners (locateEyes reports
+ * those as degenerate landmarks).
+ * @param {string} providerName
+ * @param {any} landmarks
+ * @param {number} imgW
+ * @param {number} imgH
+ * @returns {{ rOuter:[number,number], rInner:[number,number], lInner:[number,number], lOuter:[number,number] }}
+ */
+export function getProviderEyeCorners(providerName, landmarks, imgW, imgH) {
+  const provider = getLandmarkProvider(providerName);
+  if (!landmarks) throw new Error(`${providerName} landmarks missing`);
+  const [sx, sy] = scaleOf(provider, landmarks, imgW, imgH);
+  const corners = provider.eyeCorners(landmarks);
+  const out = {};
+  for (const key of ['rOuter', 'rInner', 'lInner', 'lOuter']) {
+    const p = readPoint(corners && corners[key]);
+    if (!p) throw new Error(`${providerName} landmarks missing an eye corner (${key})`);
+    out[key] = [p[0] * sx, p[1] * sy];
+  }
+  return out;
+}
+
+/**
+ * Eye contours in pixels, subject's right and left eye.
+ * @param {string} providerName
+ * @param {any} landmarks
+ * @param {number} imgW
+ * @param {number} imgH
+ * @returns {{ right:Array<[number,number]>, left:Array<[number,number]> }|null} null when the provider has none
+ */
+export function getEyeContours(providerName, landmarks, imgW, imgH) {
+  const provider = getLandmarkProvider(providerName);
+  if (!landmarks || !provider.eyeContours) return null;
+  const contours = provider.eyeContours(landmarks);
+  if (!contours) return null;
+  const scale = scaleOf(provider, landmarks, imgW, imgH);
+  return { right: toPixels(contours.right, scale), left: toPixels(contours.left, scale) };
+}
+
+/**
+ * Nose-bridge points in pixels, from between the eyes downwards.
+ * @param {string} providerName
+ * @param {any} landmarks
+ * @param {number} imgW
+ * @param {number} imgH
+ * @returns {Array<[number,number]>|null} null when the provider has none
+ */
+export function getNoseBridge(providerName, landmarks, imgW, imgH) {
+  const provider = getLandmarkProvider(providerName);
+  if (!landmarks || !provider.noseBridge) return null;
+  const points = provider.noseBridge(landmarks);
+  return points ? toPixels(points, scaleOf(provider, landmarks, imgW, imgH)) : null;
+}
+
+/**
+ * Axis-aligned face box in pixels: the provider's own, else the extent of all landmarks,
+ * else an estimate from the eye corners (see registerLandmarkProvider).
+ * @param {string} providerName
+ * @param {any} landmarks
+ * @param {number} imgW
+ * @param {number} imgH
+ * @returns {{x:number,y:number,width:number,height:number}|null} null if no usable points
+ */
+export function getProviderFaceBox(providerName, landmarks, imgW, imgH) {
+  const provider = getLandmarkProvider(providerName);
+  if (!landmarks) return null;
+  const [sx, sy] = scaleOf(provider, landmarks, imgW, imgH);
+  if (provider.faceBox) {
+    const box = provider.faceBox(landmarks);
+    if (box) {
+      if (![box.x, box.y, box.width, box.height].every(Number.isFinite)) return null;
+      return { x: box.x * sx, y: box.y * sy, width: box.width * sx, height: box.height * sy };
+    }
+  } else if (typeof landmarks.length === 'number') {
+    return boxOf(toPixels(landmarks, [sx, sy]));
+  }
+  let corners;
+  try {
+    corners = getProviderEyeCorners(providerName, landmarks, imgW, imgH);
+  } catch (_) {
+    return null;
+  }
+  const mid = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+  return boxFromEyes(mid(corners.rOuter, corners.rInner), mid(corners.lOuter, corners.lInner));
+}
+
+// Face box from the eye centers alone, in typical face proportions (eye centers about
+// 0.45 of the face width apart, a little above the middle of its height)
+function boxFromEyes(right, left) {
+  if (!right || !left) return null;
+  const d = Math.hypot(left[0] - right[0], left[1] - right[1]);
+  const cx = (right[0] + left[0]) / 2; const cy = (right[1] + left[1]) / 2;
+  return { x: cx - 1.1 * d, y: cy - 0.9 * d, width: 2.2 * d, height: 2.4 * d };
+}
+
+function boxOf(points) {
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  for (const [x, y] of points) {
+    if (x < x0) x0 = x; if (x > x1) x1 = x;
+    if (y < y0) y0 = y; if (y > y1) y1 = y;
+  }
+  return isFinite(x0) ? { x: x0, y: y0, width: x1 - x0, height: y1 - y0 } : null;
+}
+
+/**
+ * Estimate the head pose of one face. Never throws on bad landmarks.
+ * @param {string} providerName
+ * @param {any} landmarks
+ * @param {number} imgW
+ * @param {number} imgH
+ * @returns {{ yaw:number, pitch:number, roll:number }|null} degrees (see head-pose.js); null
+ *   when the provider cannot tell or the needed landmarks are missing or degenerate
+ */
+export function estimateHeadPose(providerName, landmarks, imgW, imgH) {
+  const provider = getLandmarkProvider(providerName);
+  if (!landmarks || !provider.headPose) return null;
+  return provider.headPose(landmarks, imgW, imgH);
+}
+
+// MediaPipe FaceMesh: 468 (478 with refineLandmarks) normalized points
+const MP_RIGHT_EYE = [33, 7, 163, 144, 145, 153, 154, 155, 133, 173, 157, 158, 159, 160, 161, 246];
+const MP_LEFT_EYE = [362, 382, 381, 380, 374, 373, 390, 249, 263, 466, 388, 387, 386, 385, 384, 398];
+const MP_NOSE_BRIDGE = [168, 6, 197, 195, 5];
+
+registerLandmarkProvider('mediapipe', {
+  label: 'MediaPipe FaceMesh (468/478 points, normalized)',
+  coordinates: 'normalized',
+  eyeCorners: lm => ({ rOuter: lm[33], rInner: lm[133], lInner: lm[362], lOuter: lm[263] }),
+  eyeContours: lm => ({ right: MP_RIGHT_EYE.map(i => lm[i]), left: MP_LEFT_EYE.map(i => lm[i]) }),
+  noseBridge: lm => MP_NOSE_BRIDGE.map(i => lm[i]),
+  headPose: (lm, imgW, imgH) => (typeof lm.length === 'number' ? poseFromFaceMesh(lm, imgW, imgH) : null),
+});
+
+// dlib 68 points (also face-api.js FaceLandmarks68), pixels: right eye 36-41 (36 outer,
+// 39 inner), left eye 42-47 (42 inner, 45 outer), nose bridge 27-30
+const DLIB68 = {
+  coordinates: 'pixel',
+  eyeCorners: lm => ({ rOuter: lm[36], rInner: lm[39], lInner: lm[42], lOuter: lm[45] }),
+  eyeContours: lm => ({ right: lm.slice(36, 42), left: lm.slice(42, 48) }),
+  noseBridge: lm => lm.slice(27, 31),
+  headPose: lm => (typeof lm.length === 'number' ? poseFromDlib68(lm) : null),
+};
+registerLandmarkProvider('faceapi', { label: 'face-api.js (68 points, pixels)', ...DLIB68 });
+registerLandmarkProvider('dlib-68', { label: 'dlib 68-point shape (pixels)', ...DLIB68 });
+
+// dlib 5 points (shape_predictor_5_face_landmarks), pixels: 0 left eye outer, 1 left eye
+// inner, 2 right eye outer, 3 right eye inner, 4 below the nose. There is no bridge or face
+// outline, so both are approximated from the eye corners and the nose point.
+registerLandmarkProvider('dlib-5', {
+  label: 'dlib 5-point shape (pixels)',
+  coordinates: 'pixel',
+  eyeCorners: lm => ({ rOuter: lm[2], rInner: lm[3], lInner: lm[1], lOuter: lm[0] }),
+  noseBridge: lm => {
+    const ri = readPoint(lm[3]); const li = readPoint(lm[1]); const nose = readPoint(lm[4]);
+    return ri && li && nose ? [[(ri[0] + li[0]) / 2, (ri[1] + li[1]) / 2], nose] : null;
+  },
+  // Five points span only the eyes and nose: estimate the box from the eye corners
+  faceBox: () => null,
+});
+
+// Generic object from another tracker: { leftEye, rightEye, noseBridge?, box?, pose?, coordinates? }.
+// Each eye is a center point or a contour (array of points); `coordinates` defaults to 'pixel'.
+// Without `box` the face box is estimated from the eyes.
+function eyeCornersOf(eye, side) {
+  if (readPoint(eye)) return [eye, eye];
+  const pts = Array.from(eye || [], readPoint).filter(Boolean);
+  if (pts.length === 0) return [null, null];
+  // Outer corner: the image-side extreme (image left for the right eye)
+  const byX = pts.slice().sort((a, b) => a[0] - b[0]);
+  const [first, last] = [byX[0], byX[byX.length - 1]];
+  return side === 'right' ? [first, last] : [last, first];
+}
+const isContour = eye => !readPoint(eye) && eye && typeof eye.length === 'number';
+
+registerLandmarkProvider('eyes', {
+  label: 'Generic { leftEye, rightEye } object',
+  coordinates: lm => (lm.coordinates === 'normalized' ? 'normalized' : 'pixel'),
+  eyeCorners: lm => {
+    const [rOuter, rInner] = eyeCornersOf(lm.rightEye, 'right');
+    const [lOuter, lInner] = eyeCornersOf(lm.leftEye, 'left');
+    return { rOuter, rInner, lInner, lOuter };
+  },
+  eyeContours: lm => (isContour(lm.rightEye) && isContour(lm.leftEye) ? { right: lm.rightEye, left: lm.leftEye } : null),
+  noseBridge: lm => lm.noseBridge || null,
+  faceBox: lm => lm.box || null,
+  headPose: lm => {
+    const p = lm.pose;
+    return p && [p.yaw, p.pitch, p.roll].every(Number.isFinite) ? { yaw: p.yaw, pitch: p.pitch, roll: p.roll } : null;
+  },
+});
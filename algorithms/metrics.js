@@ -0,0 +1,170 @@
+// Evaluation metrics over labeled measures (pure, no DOM)
+// ROC and precision-recall curves, their areas, a per-class measure histogram, a
+// per-pose breakdown and a glasses-type confusion matrix.
+// Scores follow the detectors' rule: higher measure means glasses; non-finite measures
+// are never counted as glasses.
+
+import { GLASSES_TYPES, classifyGlassesType } from './glasses-type.js';
+
+// Positive-class score, with rejected faces (NaN) ranked below everything
+function score(measure) {
+  return Number.isFinite(measure) ? measure : -Infinity;
+}
+
+// Cumulative tp/fp counts when lowering the threshold through each distinct score
+function cumulativeCounts(samples) {
+  const sorted = samples.map(s => ({ s: score(s.measure), truth: !!s.truth })).sort((a, b) => (b.s > a.s) - (b.s < a.s));
+  const steps = [];
+  let tp = 0; let fp = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    if (sorted[i].truth) tp++; else fp++;
+    // Emit one step per distinct score so ties move diagonally
+    if (i === sorted.length - 1 || sorted[i + 1].s !== sorted[i].s) steps.push({ threshold: sorted[i].s, tp, fp });
+  }
+  return steps;
+}
+
+function countClasses(samples) {
+  const positives = samples.filter(s => s.truth).length;
+  return { positives, negatives: samples.length - positives };
+}
+
+/**
+ * ROC curve (false-positive rate vs true-positive rate), from (0, 0) to (1, 1).
+ * Each point's threshold is the lowest measure still predicted as glasses (`measure >= threshold`).
+ * @param {Array<{measure:number, truth:boolean}>} samples
+ * @returns {{ points:Array<{fpr:number, tpr:number, threshold:number}>, auc:number }} auc is NaN without both classes
+ */
+export function rocCurve(samples) {
+  const { positives, negatives } = countClasses(samples);
+  const points = [{ fpr: 0, tpr: 0, threshold: Infinity }];
+  if (positives === 0 || negatives === 0) return { points, auc: NaN };
+  for (const { threshold, tp, fp } of cumulativeCounts(samples)) {
+    points.push({ fpr: fp / negatives, tpr: tp / positives, threshold });
+  }
+  let auc = 0;
+  for (let i = 1; i < points.length; i++) {
+    auc += (points[i].fpr - points[i - 1].fpr) * (points[i].tpr + points[i - 1].tpr) / 2;
+  }
+  return { points, auc };
+}
+
+/**
+ * Precision-recall curve and its area as average precision (sum of precision times recall gain).
+ * @param {Array<{measure:number, truth:boolean}>} samples
+ * @returns {{ points:Array<{recall:number, precision:number, threshold:number}>, auc:number }} auc is NaN without positives
+ */
+export function prCurve(samples) {
+  const { positives } = countClasses(samples);
+  const points = [];
+  if (positives === 0) return { points, auc: NaN };
+  let auc = 0; let prevRecall = 0;
+  for (const { threshold, tp, fp } of cumulativeCounts(samples)) {
+    const recall = tp / positives;
+    const precision = tp / (tp + fp);
+    auc += (recall - prevRecall) * precision;
+    prevRecall = recall;
+    points.push({ recall, precision, threshold });
+  }
+  return { points, auc };
+}
+
+/**
+ * Histogram of finite measures per ground-truth class over [min, max]; values outside are
+ * clamped into the edge bins. Samples with `truth` null/undefined go to `unlabeled`.
+ * @param {Array<{measure:number, truth?:boolean|null}>} samples
+ * @param {{ bins?:number, range?:[number, number] }} [options] - defaults: 20 bins over the data range
+ * @returns {{ edges:number[], glasses:number[], noGlasses:number[], unlabeled:number[], missing:number }}
+ */
+export function measureHistogram(samples, options = {}) {
+  const bins = options.bins || 20;
+  const finite = samples.filter(s => Number.isFinite(s.measure));
+  let [min, max] = options.range || [
+    finite.reduce((m, s) => Math.min(m, s.measure), Infinity),
+    finite.reduce((m, s) => Math.max(m, s.measure), -Infinity),
+  ];
+  if (!Number.isFinite(min) || !Number.isFinite(max)) { min = 0; max = 1; }
+  if (max <= min) max = min + 1;
+  const width = (max - min) / bins;
+  const edges = Array.from({ length: bins + 1 }, (_, i) => min + i * width);
+  const glasses = new Array(bins).fill(0);
+  const noGlasses = new Array(bins).fill(0);
+  const unlabeled = new Array(bins).fill(0);
+  for (const s of finite) {
+    const b = Math.max(0, Math.min(bins - 1, Math.floor((s.measure - min) / width)));
+    if (s.truth === true) glasses[b]++;
+    else if (s.truth === false) noGlasses[b]++;
+    else unlabeled[b]++;
+  }
+  return { edges, glasses, noGlasses, unlabeled, missing: samples.length - finite.length };
+}
+
+// Default pose bins, in degrees of |yaw| or |pitch|
+const POSE_EDGES = [0, 15, 30, 45, 90];
+
+function poseStats(samples, threshold) {
+  const measured = samples.filter(s => Number.isFinite(s.measure));
+  const labeled = measured.filter(s => s.truth === true || s.truth === false);
+  const correct = labeled.filter(s => (s.measure > threshold) === s.truth).length;
+  return {
+    images: samples.length,
+    measured: measured.length,
+    outOfRange: samples.filter(s => s.reason === 'pose_out_of_range').length,
+    labeled: labeled.length,
+    correct,
+    accuracy: labeled.length ? correct / labeled.length : NaN,
+  };
+}
+
+/**
+ * Results broken down by head pose: for yaw and for pitch, samples are grouped by |angle|
+ * into bins. Accuracy at `threshold` counts only measured, labeled samples, so faces the
+ * pose gate rejected (reason 'pose_out_of_range') are reported as `outOfRange` instead of
+ * as misses.
+ * @param {Array<{ measure:number, truth?:boolean|null, pose?:{yaw:number, pitch:number, roll:number}|null, reason?:string }>} samples
+ * @param {number} threshold - glasses when measure > threshold
+ * @param {{ edges?:number[] }} [options] - bin edges in degrees (default 0, 15, 30, 45, 90);
+ *   larger angles fall into the last bin
+ * @returns {{ rows:Array<{ axis:'yaw'|'pitch', from:number, to:number, images:number, measured:number, outOfRange:number, labeled:number, correct:number, accuracy:number }>, unknown:object }}
+ *   `unknown` has the same counts for samples without a pose
+ */
+export function poseBreakdown(samples, threshold, options = {}) {
+  const edges = options.edges || POSE_EDGES;
+  const withPose = samples.filter(s => s.pose && Number.isFinite(s.pose.yaw) && Number.isFinite(s.pose.pitch));
+  const rows = [];
+  for (const axis of ['yaw', 'pitch']) {
+    for (let i = 0; i < edges.length - 1; i++) {
+      const last = i === edges.length - 2;
+      const inBin = withPose.filter(s => {
+        const a = Math.abs(s.pose[axis]);
+        return a >= edges[i] && (last || a < edges[i + 1]);
+      });
+      rows.push({ axis, from: edges[i], to: edges[i + 1], ...poseStats(inBin, threshold) });
+    }
+  }
+  const posed = new Set(withPose);
+  return { rows, unknown: poseStats(samples.filter(s => !posed.has(s)), threshold) };
+}
+
+/**
+ * Glasses-type confusion matrix: rows are the true type, columns the predicted one, both
+ * in GLASSES_TYPES order ('none', 'clear', 'sunglasses'). Only samples with a type label
+ * and a classification (see classifyGlassesType) are counted.
+ * @param {Array<{ measure:number, lens?:object|null, typeTruth?:string|null }>} samples
+ * @param {number} threshold - glasses when measure > threshold
+ * @param {object} [opts] - sunglasses options (GLASSES_TYPE_OPTIONS)
+ * @returns {{ types:string[], matrix:number[][], labeled:number, correct:number, accuracy:number }}
+ */
+export function glassesTypeConfusion(samples, threshold, opts = {}) {
+  const matrix = GLASSES_TYPES.map(() => GLASSES_TYPES.map(() => 0));
+  let labeled = 0; let correct = 0;
+  for (const s of samples) {
+    const t = GLASSES_TYPES.indexOf(s.typeTruth);
+    const p = GLASSES_TYPES.indexOf(classifyGlassesType(s.lens, s.measure, threshold, opts));
+    if (t < 0 || p < 0) continue;
+    matrix[t][p]++;
+    labeled++;
+    if (t === p) correct++;
+  }
+  return { types: GLASSES_TYPES.slice(), matrix, labeled, correct, accuracy: labeled ? correct / labeled : NaN };
+}
@@ -0,0 +1,52 @@
+// Option schemas shared by the pure algorithms and the registry (no DOM interactions)
+// A schema maps option names to { type, default, min?, max?, values?, validate?, description? },
+// where type is 'number' | 'integer' | 'boolean' | 'string' | 'object'; `validate` (objects)
+// throws for malformed values.
+
+/**
+ * Validate user options against a schema and fill in defaults.
+ * Unknown keys and wrong types throw TypeError; out-of-range values throw RangeError.
+ * @param {Record<string, {type:string, default?:any, min?:number, max?:number, values?:any[], validate?:(value:any, name:string) => any}>} schema
+ * @param {Record<string, any>|undefined|null} options
+ * @param {string} [owner] - name used in error messages
+ * @returns {Record<string, any>} resolved options (every schema key present)
+ */
+export function resolveOptions(schema, options, owner = 'options') {
+  if (options != null && (typeof options !== 'object' || Array.isArray(options))) {
+    throw new TypeError(`${owner} must be an object`);
+  }
+  const given = options || {};
+  for (const key of Object.keys(given)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) throw new TypeError(`${owner}: unknown option "${key}"`);
+  }
+  const out = {};
+  for (const [key, spec] of Object.entries(schema)) {
+    const value = given[key] === undefined ? spec.default : given[key];
+    if (value === undefined) continue;
+    switch (spec.type) {
+      case 'number':
+      case 'integer':
+        if (typeof value !== 'number' || !isFinite(value)) throw new TypeError(`${owner}.${key} must be a finite number`);
+        if (spec.type === 'integer' && !Number.isInteger(value)) throw new TypeError(`${owner}.${key} must be an integer`);
+        if ((typeof spec.min === 'number' && value < spec.min) || (typeof spec.max === 'number' && value > spec.max)) {
+          throw new RangeError(`${owner}.${key} must be in [${spec.min ?? '-inf'}, ${spec.max ?? 'inf'}], got ${value}`);
+        }
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean') throw new TypeError(`${owner}.${key} must be a boolean`);
+        break;
+      case 'string':
+        if (typeof value !== 'string') throw new TypeError(`${owner}.${key} must be a string`);
+        if (spec.values && !spec.values.includes(value)) throw new RangeError(`${owner}.${key} must be one of ${spec.values.join(', ')}`);
+        break;
+      case 'object':
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) throw new TypeError(`${owner}.${key} must be an object`);
+        if (spec.validate) spec.validate(value, `${owner}.${key}`);
+        break;
+      default:
+        throw new TypeError(`${owner}.${key}: unsupported schema type "${spec.type}"`);
+    }
+    out[key] = value;
+  }
+  return out;
+}
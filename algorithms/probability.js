@@ -0,0 +1,200 @@
+// Calibrated glasses probability from a raw measure (pure, no DOM)
+// Fits a Platt (logistic) or isotonic model on labeled measures from a batch run, so
+// algorithms with different measure scales report comparable confidences. Models are
+// plain JSON objects and can be saved, shipped and loaded at detection time.
+
+export const PROBABILITY_MODEL_FORMAT = 'glasses-probability';
+export const PROBABILITY_MODEL_VERSION = 1;
+export const PROBABILITY_METHODS = ['platt', 'isotonic'];
+
+const sigmoid = (z) => (z >= 0 ? 1 / (1 + Math.exp(-z)) : Math.exp(z) / (1 + Math.exp(z)));
+
+// Labeled, finite measures only; rejected faces carry no evidence either way, and an
+// unlabeled sample must not count as a negative
+function usableSamples(samples) {
+  const out = samples
+    .filter(s => Number.isFinite(s.measure) && (s.truth === true || s.truth === false))
+    .map(s => ({ m: s.measure, t: s.truth ? 1 : 0 }));
+  const positives = out.reduce((n, s) => n + s.t, 0);
+  if (positives === 0 || positives === out.length) {
+    throw new RangeError('probability fit: need measured samples of both classes (glasses and no_glasses)');
+  }
+  return { data: out, positives };
+}
+
+/**
+ * Platt scaling: p = 1 / (1 + exp(-(a * measure + b))), fitted by Newton's method on
+ * Platt's smoothed targets (robust to separable data).
+ * @param {Array<{measure:number, truth:boolean}>} samples
+ * @returns {{ a:number, b:number }}
+ */
+export function fitPlatt(samples) {
+  const { data, positives } = usableSamples(samples);
+  const negatives = data.length - positives;
+  const hi = (positives + 1) / (positives + 2);
+  const lo = 1 / (negatives + 2);
+  const target = data.map(s => (s.t ? hi : lo));
+  let a = 0; let b = Math.log((positives + 1) / (negatives + 1));
+  const loss = (a0, b0) => data.reduce((acc, s, i) => {
+    const z = a0 * s.m + b0;
+    // -[t log p + (1 - t) log(1 - p)] written stably in z
+    return acc + (z >= 0 ? (1 - target[i]) * z + Math.log1p(Math.exp(-z)) : -target[i] * z + Math.log1p(Math.exp(z)));
+  }, 0);
+  let current = loss(a, b);
+  for (let iter = 0; iter < 100; iter++) {
+    let ga = 0; let gb = 0; let haa = 1e-12; let hab = 0; let hbb = 1e-12;
+    data.forEach((s, i) => {
+      const p = sigmoid(a * s.m + b);
+      const d = p - target[i]; const w = p * (1 - p);
+      ga += d * s.m; gb += d;
+      haa += w * s.m * s.m; hab += w * s.m; hbb += w;
+    });
+    if (Math.abs(ga) < 1e-9 && Math.abs(gb) < 1e-9) break;
+    const det = haa * hbb - hab * hab;
+    const da = -(hbb * ga - hab * gb) / det;
+    const db = -(haa * gb - hab * ga) / det;
+    // Backtracking line search keeps every step a descent step
+    let step = 1; let next = loss(a + da, b + db);
+    while (next > current + 1e-4 * step * (ga * da + gb * db) && step > 1e-10) {
+      step /= 2; next = loss(a + step * da, b + step * db);
+    }
+    if (step <= 1e-10) break;
+    a += step * da; b += step * db;
+    const improved = current - next;
+    current = next;
+    if (improved < 1e-12 * Math.max(1, Math.abs(current))) break;
+  }
+  return { a, b };
+}
+
+/**
+ * Isotonic regression (pool adjacent violators): a non-decreasing map from measure to
+ * the observed glasses rate, interpolated linearly between block centers.
+ * @param {Array<{measure:number, truth:boolean}>} samples
+ * @returns {{ x:number[], y:number[] }} knots, x ascending
+ */
+export function fitIsotonic(samples) {
+  const { data } = usableSamples(samples);
+  data.sort((p, q) => p.m - q.m);
+  // One initial block per distinct measure
+  const blocks = [];
+  for (const s of data) {
+    const last = blocks[blocks.length - 1];
+    if (last && last.m === s.m) { last.sum += s.t; last.n++; last.mSum += s.m; } else blocks.push({ m: s.m, sum: s.t, n: 1, mSum: s.m });
+  }
+  const stack = [];
+  for (const blk of blocks) {
+    stack.push({ sum: blk.sum, n: blk.n, mSum: blk.mSum });
+    while (stack.length > 1 && stack[stack.length - 2].sum / stack[stack.length - 2].n >= stack[stack.length - 1].sum / stack[stack.length - 1].n) {
+      const top = stack.pop(); const prev = stack[stack.length - 1];
+      prev.sum += top.sum; prev.n += top.n; prev.mSum += top.mSum;
+    }
+  }
+  return { x: stack.map(s => s.mSum / s.n), y: stack.map(s => s.sum / s.n) };
+}
+
+/**
+ * Probability of glasses for one measure. NaN when the measure is not finite.
+ * @param {object} model - a validated probability model
+ * @param {number} measure
+ * @returns {number}
+ */
+export function predictProbability(model, measure) {
+  if (!Number.isFinite(measure)) return NaN;
+  if (model.method === 'platt') return sigmoid(model.params.a * measure + model.params.b);
+  const { x, y } = model.params;
+  if (measure <= x[0]) return y[0];
+  if (measure >= x[x.length - 1]) return y[y.length - 1];
+  let i = 1;
+  while (x[i] < measure) i++;
+  const f = (measure - x[i - 1]) / (x[i] - x[i - 1]);
+  return y[i - 1] + f * (y[i] - y[i - 1]);
+}
+
+/**
+ * Fit a probability model on labeled measures and wrap it as an exportable JSON object.
+ * Throws a RangeError unless both classes have finite measures. Unlabeled samples
+ * (truth null or undefined) are ignored.
+ * @param {Array<{measure:number, truth:boolean|null}>} samples
+ * @param {{ method?:'platt'|'isotonic', algorithm?:string }} [options] - `algorithm` records which
+ *   measure the model belongs to; detect() refuses a model fitted for another algorithm
+ * @returns {{ format:string, version:number, method:string, algorithm:string|null, params:object, fit:{ n:number, positives:number, brier:number, logLoss:number } }}
+ */
+export function fitProbabilityModel(samples, options = {}) {
+  const method = options.method || 'platt';
+  if (!PROBABILITY_METHODS.includes(method)) throw new RangeError(`probability fit: method must be one of ${PROBABILITY_METHODS.join(', ')}`);
+  const params = method === 'platt' ? fitPlatt(samples) : fitIsotonic(samples);
+  const model = {
+    format: PROBABILITY_MODEL_FORMAT,
+    version: PROBABILITY_MODEL_VERSION,
+    method,
+    algorithm: options.algorithm || null,
+    params,
+  };
+  // Training-set quality, for the UI and for anyone reading the JSON later
+  const measured = usableSamples(samples).data.map(s => ({ measure: s.m, truth: s.t === 1 }));
+  let brier = 0; let logLoss = 0;
+  for (const s of measured) {
+    const p = Math.min(1 - 1e-12, Math.max(1e-12, predictProbability(model, s.measure)));
+    const t = s.truth ? 1 : 0;
+    brier += (p - t) ** 2;
+    logLoss -= t * Math.log(p) + (1 - t) * Math.log(1 - p);
+  }
+  model.fit = {
+    n: measured.length,
+    positives: measured.filter(s => s.truth).length,
+    brier: brier / measured.length,
+    logLoss: logLoss / measured.length,
+  };
+  return model;
+}
+
+/**
+ * Check a probability model's structure. Throws TypeError describing the first problem.
+ * @param {any} model
+ * @param {string} [owner] - name used in error messages
+ * @returns {object} the model itself
+ */
+export function validateProbabilityModel(model, owner = 'probabilityModel') {
+  const fail = (msg) => { throw new TypeError(`${owner}: ${msg}`); };
+  if (!model || typeof model !== 'object' || Array.isArray(model)) fail('must be an object');
+  if (model.format !== PROBABILITY_MODEL_FORMAT) fail(`format must be "${PROBABILITY_MODEL_FORMAT}"`);
+  if (model.version !== PROBABILITY_MODEL_VERSION) fail(`unsupported version ${model.version}`);
+  if (model.algorithm != null && typeof model.algorithm !== 'string') fail('algorithm must be a string or null');
+  const p = model.params;
+  if (!p || typeof p !== 'object') fail('params missing');
+  if (model.method === 'platt') {
+    if (!Number.isFinite(p.a) || !Number.isFinite(p.b)) fail('platt params a and b must be finite numbers');
+  } else if (model.method === 'isotonic') {
+    if (!Array.isArray(p.x) || !Array.isArray(p.y) || p.x.length === 0 || p.x.length !== p.y.length) fail('isotonic params x and y must be non-empty arrays of equal length');
+    for (let i = 0; i < p.x.length; i++) {
+      if (!Number.isFinite(p.x[i]) || !Number.isFinite(p.y[i]) || p.y[i] < 0 || p.y[i] > 1) fail(`isotonic knot ${i} is invalid`);
+      if (i > 0 && !(p.x[i] > p.x[i - 1])) fail('isotonic x must be strictly increasing');
+    }
+  } else {
+    fail(`method must be one of ${PROBABILITY_METHODS.join(', ')}`);
+  }
+  return model;
+}
+
+/**
+ * Load a model from JSON text (or an already parsed object) and validate it.
+ * @param {string|object} json
+ * @returns {object}
+ */
+export function loadProbabilityModel(json) {
+  let model = json;
+  if (typeof json === 'string') {
+    try { model = JSON.parse(json); } catch (err) { throw new TypeError(`probabilityModel: invalid JSON (${err.message})`); }
+  }
+  return validateProbabilityModel(model);
+}
+
+/**
+ * Serialize a model for download or storage.
+ * @param {object} model
+ * @returns {string}
+ */
+export function exportProbabilityModel(model) {
+  return JSON.stringify(validateProbabilityModel(model), null, 2);
+}
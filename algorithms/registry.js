@@ -0,0 +1,176 @@
+// Algorithm registry: one detect(name, ...) entry point over all pure detectors
+// Each algorithm registers with its default decision threshold, an option schema
+// (see options.js) and the typical range of its measure, so UIs can configure
+// sliders and callers can switch algorithms by name.
+
+import { resolveOptions } from './options.js';
+import { validateProbabilityModel, predictProbability } from './probability.js';
+import { MARGIN_OPTIONS, OCCLUSION_OPTIONS, decide } from './uncertainty.js';
+import { POSE_OPTIONS } from './head-pose.js';
+import { ILLUMINATION_OPTIONS } from './illumination.js';
+import { GLASSES_TYPE_OPTIONS, classifyGlassesType } from './glasses-type.js';
+import { getImageSize, getFaceBox, getEyeCenters } from './face-alignment.js';
+import detectGlasses, { BRIDGE_OPTIONS } from './glasses-detector.js';
+import detectGlassesSobelOtsu from './sobel-otsu-detector.js';
+import detectGlassesCanny from './canny-bridge-detector.js';
+import detectGlassesRim, { RIM_OPTIONS } from './rim-detector.js';
+import detectGlassesEnsemble, { ENSEMBLE_OPTIONS } from './ensemble-detector.js';
+
+const algorithms = new Map();
+
+/**
+ * Register (or replace) an algorithm.
+ * @param {string} name
+ * @param {{
+ *   detect: (provider:string, landmarks:any, src:any, options?:object) => { measure:number, withGlasses:boolean },
+ *   label?: string,
+ *   defaultThreshold: number,
+ *   measureRange: [number, number],
+ *   options?: Record<string, object>,
+ * }} spec - `options` is the schema of algorithm-specific options; `threshold`,
+ *   `uncertainMargin` and `probabilityModel` are added automatically. A detector that checks
+ *   for occlusion reports it as `occluded: true` in its result.
+ */
+export function registerAlgorithm(name, spec) {
+  if (typeof name !== 'string' || !name) throw new TypeError('Algorithm name must be a non-empty string');
+  if (!spec || typeof spec.detect !== 'function') throw new TypeError(`Algorithm "${name}" needs a detect function`);
+  if (typeof spec.defaultThreshold !== 'number') throw new TypeError(`Algorithm "${name}" needs a numeric defaultThreshold`);
+  if (!Array.isArray(spec.measureRange) || spec.measureRange.length !== 2) throw new TypeError(`Algorithm "${name}" needs a [min, max] measureRange`);
+  const [lo, hi] = spec.measureRange;
+  const options = {
+    threshold: { type: 'number', default: spec.defaultThreshold, min: lo, max: hi, description: 'Decision threshold: glasses when measure > threshold' },
+    ...MARGIN_OPTIONS,
+    ...(spec.options || {}),
+    probabilityModel: { type: 'object', validate: validateProbabilityModel, description: 'Calibration model (probability.js); adds result.probability' },
+  };
+  algorithms.set(name, { name, label: spec.label || name, detect: spec.detect, defaultThreshold: spec.defaultThreshold, measureRange: [lo, hi], options });
+}
+
+/**
+ * Look up a registered algorithm.
+ * @param {string} name
+ */
+export function getAlgorithm(name) {
+  const algo = algorithms.get(name);
+  if (!algo) throw new Error(`Unknown algorithm: ${name}`);
+  return algo;
+}
+
+/**
+ * Describe all registered algorithms (without their detect functions), in registration order.
+ * @returns {Array<{ name:string, label:string, defaultThreshold:number, measureRange:[number,number], options:object }>}
+ */
+export function listAlgorithms() {
+  return Array.from(algorithms.values(), ({ detect, ...info }) => info);
+}
+
+/**
+ * Run an algorithm by name. `withGlasses` is re-derived from `options.threshold`
+ * (default: the algorithm's defaultThreshold), so every algorithm shares the same
+ * threshold semantics: glasses when measure > threshold. `decision` adds the tri-state
+ * view ('glasses' | 'no_glasses' | 'uncertain', null without a measure) from the same
+ * threshold, `options.uncertainMargin` and the detector's `occluded` flag. `glassesType`
+ * ('none' | 'clear' | 'sunglasses') is re-derived the same way from the detector's `lens`
+ * features (see glasses-type.js; null when it reports none). With `options.probabilityModel`
+ * the result also carries a calibrated `probability`; a model fitted for a different
+ * algorithm is rejected with a RangeError.
+ * @param {string} name
+ * @param {string} provider - landmark provider ("mediapipe", "faceapi" or another one registered in landmark-registry.js)
+ * @param {any} landmarks
+ * @param {any} src
+ * @param {{ threshold?:number, probabilityModel?:object }} [options] - threshold, probability model and the algorithm's own options
+ * @returns {{ measure:number, withGlasses:boolean, decision:string|null, glassesType:string|null, algorithm:string, threshold:number, probability?:number }}
+ */
+export function detect(name, provider, landmarks, src, options) {
+  const algo = getAlgorithm(name);
+  const { probabilityModel, ...resolved } = resolveOptions(algo.options, options, name);
+  if (probabilityModel && probabilityModel.algorithm && probabilityModel.algorithm !== name) {
+    throw new RangeError(`${name}: probabilityModel was fitted for "${probabilityModel.algorithm}"`);
+  }
+  const { threshold } = resolved;
+  const res = algo.detect(provider, landmarks, src, resolved);
+  const withGlasses = isFinite(res.measure) ? res.measure > threshold : false;
+  const decision = decide(res.measure, threshold, { uncertainMargin: resolved.uncertainMargin, occluded: !!res.occluded });
+  const glassesType = classifyGlassesType(res.lens, res.measure, threshold, resolved);
+  const out = { ...res, withGlasses, decision, glassesType, algorithm: name, threshold };
+  if (probabilityModel) out.probability = predictProbability(probabilityModel, res.measure);
+  return out;
+}
+
+// The registry supplies `threshold`, `uncertainMargin` and `probabilityModel` itself; the
+// classifier model turns `bridge` into its own algorithm with a probability measure
+const { threshold: _bridgeThreshold, probabilityModel: _bridgeModel, uncertainMargin: _bridgeMargin, classifierModel, ...bridgeOptions } = BRIDGE_OPTIONS;
+const { threshold: _rimThreshold, uncertainMargin: _rimMargin, ...rimOptions } = RIM_OPTIONS;
+const { threshold: _ensembleThreshold, uncertainMargin: _ensembleMargin, ...ensembleOptions } = ENSEMBLE_OPTIONS;
+
+/**
+ * Run an algorithm by name on every face of an image (see detect()).
+ * @param {string} name
+ * @param {string} provider
+ * @param {any[]} facesLandmarks - one landmark set per face
+ * @param {any} src
+ * @param {object} [options]
+ * @returns {Array<{ faceIndex:number, box:{x:number,y:number,width:number,height:number}|null, eyes:{left:[number,number], right:[number,number]}|null, measure:number, withGlasses:boolean, glassesType:string|null, reason:string, pose:object|null, illumination:string, algorithm:string, threshold:number }>}
+ */
+export function detectAll(name, provider, facesLandmarks, src, options) {
+  const { width: imgW, height: imgH } = getImageSize(src);
+  return Array.from(facesLandmarks || [], (landmarks, faceIndex) => ({
+    faceIndex,
+    box: getFaceBox(provider, landmarks, imgW, imgH),
+    eyes: getEyeCenters(provider, landmarks, imgW, imgH),
+    ...detect(name, provider, landmarks, src, options),
+  }));
+}
+
+registerAlgorithm('bridge', {
+  label: 'Nasal bridge (gradient)',
+  detect: detectGlasses,
+  defaultThreshold: 0.07,
+  measureRange: [0, 0.5],
+  options: bridgeOptions,
+});
+
+registerAlgorithm('sobel-otsu', {
+  label: 'Sobel/Otsu ROIs',
+  detect: detectGlassesSobelOtsu,
+  defaultThreshold: 0.13,
+  measureRange: [0, 0.5],
+  options: { ...OCCLUSION_OPTIONS, ...POSE_OPTIONS, ...ILLUMINATION_OPTIONS, ...GLASSES_TYPE_OPTIONS },
+});
+
+registerAlgorithm('canny', {
+  label: 'Canny center column',
+  detect: detectGlassesCanny,
+  defaultThreshold: 0,
+  measureRange: [0, 1],
+  options: { ...POSE_OPTIONS, ...ILLUMINATION_OPTIONS, ...GLASSES_TYPE_OPTIONS },
+});
+
+registerAlgorithm('rim', {
+  label: 'Frame rims (under-eye and temples)',
+  detect: detectGlassesRim,
+  defaultThreshold: RIM_OPTIONS.threshold.default,
+  measureRange: [0, 1],
+  options: rimOptions,
+});
+
+registerAlgorithm('ensemble', {
+  label: 'Ensemble (bridge + rims + Sobel/Otsu)',
+  detect: detectGlassesEnsemble,
+  defaultThreshold: ENSEMBLE_OPTIONS.threshold.default,
+  measureRange: [0, 1],
+  options: ensembleOptions,
+});
+
+registerAlgorithm('classifier', {
+  label: 'Trained classifier (HOG + measures)',
+  detect: (provider, landmarks, src, options) => {
+    if (!options || !options.classifierModel) throw new TypeError('classifier: a classifierModel is required (train one with trainClassifier or on final.html)');
+    return detectGlasses(provider, landmarks, src, options);
+  },
+  defaultThreshold: 0.5,
+  measureRange: [0, 1],
+  options: { ...bridgeOptions, classifierModel },
+});
+
+export default detect;
@@ -0,0 +1,102 @@
+// Frame-rim glasses detector as a pure function (no DOM, no OpenCV)
+// The nasal-bridge strip misses rimless glasses with a thin bridge, and bridges hidden by
+// hair. Their lower rims under the eyes and the temple arms beside them are still there:
+// both run roughly horizontally across the aligned face, so each region is scored by the
+// share of its columns crossed by a strong vertical gradient.
+
+import { rgbaToGray, boxBlur3 } from './image-buffer.js';
+import { getImageSize, locateEyes, computeAlignmentMatrix, getAlignedFaceBuffer } from './face-alignment.js';
+import { resolveOptions } from './options.js';
+import { MARGIN_OPTIONS, decide } from './uncertainty.js';
+import { POSE_OPTIONS } from './head-pose.js';
+import { ILLUMINATION_OPTIONS, normalizeIllumination } from './illumination.js';
+import { GLASSES_TYPE_OPTIONS, measureLensFeatures, classifyGlassesType } from './glasses-type.js';
+
+/** Options accepted by detectGlassesRim (schema format from options.js). */
+export const RIM_OPTIONS = {
+  threshold: { type: 'number', default: 0.5, min: 0, max: 1, description: 'Decision threshold: glasses when measure > threshold' },
+  rimGradientThreshold: { type: 'number', default: 12, min: 0, max: 255, description: 'Min |vertical gradient| (8-bit gray) counted as a rim edge' },
+  ...MARGIN_OPTIONS,
+  ...POSE_OPTIONS,
+  ...ILLUMINATION_OPTIONS,
+  ...GLASSES_TYPE_OPTIONS,
+};
+
+/**
+ * Rim rectangles on an aligned face of side S (eye centers at (S/4, S/2) and (3S/4, S/2),
+ * face upright; see getLensRois in glasses-type.js). The under-eye boxes cover the band
+ * where the lower rims run, clear of the lower lids. The temple boxes lie on the eye line,
+ * outside the eye corners, where the arms leave the frame.
+ * @param {number} W
+ * @param {number} H
+ * @returns {{ underEye:Array<{x:number,y:number,width:number,height:number}>, temples:Array<{x:number,y:number,width:number,height:number}> }}
+ */
+export function getRimRois(W, H) {
+  const rect = (x0, y0, x1, y1) => {
+    const x = Math.max(0, Math.round(x0)); const y = Math.max(0, Math.round(y0));
+    return { x, y, width: Math.max(1, Math.min(Math.round(x1), W) - x), height: Math.max(1, Math.min(Math.round(y1), H) - y) };
+  };
+  return {
+    underEye: [0.25, 0.75].map(cx => rect(W * (cx - 0.14), H * 0.58, W * (cx + 0.14), H * 0.72)),
+    temples: [rect(W * 0.02, H * 0.4, W * 0.12, H * 0.58), rect(W * 0.88, H * 0.4, W * 0.98, H * 0.58)],
+  };
+}
+
+// Share of a rectangle's columns with |vertical gradient| above `thresh` in some row
+function columnCoverage(blur, width, height, rect, thresh) {
+  let covered = 0;
+  const y0 = Math.max(1, rect.y); const y1 = Math.min(height - 1, rect.y + rect.height);
+  for (let x = rect.x; x < rect.x + rect.width; x++) {
+    for (let y = y0; y < y1; y++) {
+      if (Math.abs(blur[(y - 1) * width + x] - blur[(y + 1) * width + x]) > thresh) { covered++; break; }
+    }
+  }
+  return covered / (rect.width || 1);
+}
+
+/**
+ * Rim measure of an aligned face: the column coverage of the under-eye and temple boxes,
+ * each averaged over both sides; `measure` is their mean.
+ * @param {{width:number,height:number,data:ArrayLike<number>}} aligned - RGBA buffer
+ * @param {{ rimGradientThreshold?:number }} [opts]
+ * @returns {{ measure:number, underEye:number, temple:number }}
+ */
+export function computeRimMeasure(aligned, opts = {}) {
+  const { width, height } = aligned;
+  const thresh = opts.rimGradientThreshold ?? RIM_OPTIONS.rimGradientThreshold.default;
+  const blur = boxBlur3(rgbaToGray(aligned.data, width, height), width, height);
+  const { underEye, temples } = getRimRois(width, height);
+  const mean = (rects) => rects.reduce((s, r) => s + columnCoverage(blur, width, height, r, thresh), 0) / rects.length;
+  const under = mean(underEye);
+  const temple = mean(temples);
+  return { measure: (under + temple) / 2, underEye: under, temple };
+}
+
+/**
+ * Detect eyeglasses from their rims (under the eyes and at the temples).
+ * Same signature and return shape as detectGlasses in glasses-detector.js, plus
+ * `rimScores: { underEye, temple }` (null without a measure).
+ *
+ * @param {string} landmark_provider - "mediapipe", "faceapi" or another registered provider (landmark-registry.js)
+ * @param {any} landmarks - provider-specific landmarks (see detectGlasses)
+ * @param {HTMLCanvasElement|HTMLImageElement|ImageData|{width:number,height:number,data:ArrayLike<number>}} src - source image
+ * @param {object} [options] - overrides for RIM_OPTIONS (threshold, rim gradient threshold, uncertain margin, pose gate, illumination)
+ * @returns {{ measure:number, withGlasses:boolean, decision:string|null, glassesType:string|null, lens:object|null, rimScores:{underEye:number, temple:number}|null, occluded:boolean, reason:string, pose:object|null, illumination:string }}
+ */
+export function detectGlassesRim(landmark_provider, landmarks, src, options) {
+  const opts = resolveOptions(RIM_OPTIONS, options, 'detectGlassesRim options');
+  const { width: imgW, height: imgH } = getImageSize(src);
+  const eyes = locateEyes(landmark_provider, landmarks, imgW, imgH, opts);
+  const { illumination } = opts;
+  if (eyes.reason !== 'ok') return { measure: NaN, withGlasses: false, decision: null, glassesType: null, lens: null, rimScores: null, occluded: false, reason: eyes.reason, pose: eyes.pose, illumination };
+  const { leftCenter, rightCenter } = eyes;
+
+  const aligned = getAlignedFaceBuffer(src, leftCenter, rightCenter, 256, 256);
+  const { measure, underEye, temple } = computeRimMeasure(normalizeIllumination(aligned, opts), opts);
+  const decision = decide(measure, opts.threshold, { uncertainMargin: opts.uncertainMargin });
+  const lens = measureLensFeatures(aligned, { provider: landmark_provider, landmarks, imgW, imgH, matrix: computeAlignmentMatrix(leftCenter, rightCenter, 256, 256) });
+  const glassesType = classifyGlassesType(lens, measure, opts.threshold, opts);
+  return { measure, withGlasses: measure > opts.threshold, decision, glassesType, lens, rimScores: { underEye, temple }, occluded: false, reason: 'ok', pose: eyes.pose, illumination };
+}
+
+export default detectGlassesRim;
@@ -0,0 +1,137 @@
+// Sobel/Otsu ROI glasses detector as a pure function (no DOM, no OpenCV)
+// Port of computeSobelYAligned + otsuAndMeasure from src/main.js (Python-parity measure):
+// Gaussian blur 11x11 -> |Sobel Y| -> Otsu threshold -> edge fraction in ROI_1 (bridge)
+// and ROI_2 (below-eye rims), combined as 0.3 * ROI_1 + 0.7 * ROI_2.
+
+import { rgbaToGrayU8, gaussianBlurU8, sobelYAbsU8, otsuThresholdU8 } from './image-buffer.js';
+import { getImageSize, locateEyes, computeAlignmentMatrix, getAlignedFaceBuffer } from './face-alignment.js';
+import { resolveOptions } from './options.js';
+import { MARGIN_OPTIONS, OCCLUSION_OPTIONS, grayRegionStats, checkOcclusion, decide } from './uncertainty.js';
+import { POSE_OPTIONS } from './head-pose.js';
+import { ILLUMINATION_OPTIONS, normalizeIllumination } from './illumination.js';
+import { GLASSES_TYPE_OPTIONS, measureLensFeatures, classifyGlassesType } from './glasses-type.js';
+
+/**
+ * Options accepted by detectGlassesSobelOtsu (schema format from options.js).
+ * The occlusion check looks at ROI_1, the nasal bridge.
+ */
+export const SOBEL_OTSU_OPTIONS = {
+  threshold: { type: 'number', default: 0.13, min: 0, max: 1, description: 'Decision threshold: glasses when measure > threshold' },
+  ...MARGIN_OPTIONS,
+  ...OCCLUSION_OPTIONS,
+  ...POSE_OPTIONS,
+  ...ILLUMINATION_OPTIONS,
+  ...GLASSES_TYPE_OPTIONS,
+};
+
+/**
+ * ROI rectangles on an aligned face of height H (same layout as the Python version).
+ * ROI_1 sits on the nasal bridge; ROI_2 is split into two boxes under the eyes.
+ * @param {number} W
+ * @param {number} H
+ * @returns {{ roi1:{x:number,y:number,width:number,height:number}, roi21:{x:number,y:number,width:number,height:number}, roi22:{x:number,y:number,width:number,height:number} }}
+ */
+export function getSobelOtsuRois(W, H) {
+  const d = Math.floor(H * 0.5);
+  // Clamp ROIs to image bounds
+  function clampRect(x0, y0, w0, h0) {
+    x0 = Math.max(0, Math.min(x0, W - 1));
+    y0 = Math.max(0, Math.min(y0, H - 1));
+    w0 = Math.max(1, Math.min(w0, W - x0));
+    h0 = Math.max(1, Math.min(h0, H - y0));
+    return { x: x0, y: y0, width: w0, height: h0 };
+  }
+  const y2 = Math.floor(d * 8 / 7);
+  const w2 = Math.floor(d * 1 / 2);
+  const h2 = Math.floor(d * 1 / 2);
+  return {
+    roi1: clampRect(Math.floor(d * 6 / 7), Math.floor(d * 3 / 4), Math.floor(d * 2 / 7), Math.floor(d * 2 / 4)),
+    roi21: clampRect(Math.floor(d * 1 / 4), y2, w2, h2),
+    roi22: clampRect(Math.floor(d * 5 / 4), y2, w2, h2),
+  };
+}
+
+function countAbove(plane, width, rect, thresh) {
+  let nz = 0;
+  for (let y = rect.y; y < rect.y + rect.height; y++) {
+    for (let x = rect.x; x < rect.x + rect.width; x++) {
+      if (plane[y * width + x] > thresh) nz++;
+    }
+  }
+  return nz;
+}
+
+/**
+ * Compute the Sobel Y edgeness plane of an aligned face.
+ * @param {{width:number,height:number,data:Uint8ClampedArray}} aligned - RGBA buffer
+ * @returns {Uint8ClampedArray} |Sobel Y| as an 8-bit plane
+ */
+export function computeSobelY(aligned) {
+  const { width, height } = aligned;
+  return computeSobelYGray(rgbaToGrayU8(aligned.data, width, height), width, height);
+}
+
+/**
+ * computeSobelY on an 8-bit gray plane (e.g. an illumination-normalized face).
+ * @param {ArrayLike<number>} gray
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8ClampedArray} |Sobel Y| as an 8-bit plane
+ */
+export function computeSobelYGray(gray, width, height) {
+  return sobelYAbsU8(gaussianBlurU8(gray, width, height, 11), width, height);
+}
+
+/**
+ * Otsu-threshold a Sobel Y plane and measure the edge fraction in the ROIs.
+ * @param {Uint8ClampedArray} sobelAbs
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ measure:number, measure1:number, measure2:number, otsu:number }}
+ */
+export function otsuAndMeasure(sobelAbs, width, height) {
+  const otsu = otsuThresholdU8(sobelAbs);
+  const { roi1, roi21, roi22 } = getSobelOtsuRois(width, height);
+  const measure1 = countAbove(sobelAbs, width, roi1, otsu) / (roi1.width * roi1.height || 1);
+  // ROI_2 is the horizontal concatenation of both under-eye boxes
+  const area2 = roi21.width * roi21.height + roi22.width * roi22.height;
+  const measure2 = (countAbove(sobelAbs, width, roi21, otsu) + countAbove(sobelAbs, width, roi22, otsu)) / (area2 || 1);
+  const measure = measure1 * 0.3 + measure2 * 0.7;
+  return { measure, measure1, measure2, otsu };
+}
+
+/**
+ * Detect eyeglasses using the Sobel/Otsu ROI measure.
+ * Same signature and return shape as detectGlasses in glasses-detector.js; always runs
+ * on typed arrays, so it works in browsers, workers and plain Node alike.
+ *
+ * @param {string} landmark_provider - "mediapipe", "faceapi" or another registered provider (landmark-registry.js)
+ * @param {any} landmarks - provider-specific landmarks (see detectGlasses)
+ * @param {HTMLCanvasElement|HTMLImageElement|ImageData|{width:number,height:number,data:ArrayLike<number>}} src - source image
+ * @param {object} [options] - overrides for SOBEL_OTSU_OPTIONS (threshold, uncertain margin, occlusion check, pose gate, illumination)
+ * @returns {{ measure:number, withGlasses:boolean, decision:string|null, glassesType:string|null, lens:object|null, occluded:boolean, reason:string, pose:object|null, illumination:string }}
+ */
+export function detectGlassesSobelOtsu(landmark_provider, landmarks, src, options) {
+  const opts = resolveOptions(SOBEL_OTSU_OPTIONS, options, 'detectGlassesSobelOtsu options');
+  const { width: imgW, height: imgH } = getImageSize(src);
+  const eyes = locateEyes(landmark_provider, landmarks, imgW, imgH, opts);
+  const { illumination } = opts;
+  if (eyes.reason !== 'ok') return { measure: NaN, withGlasses: false, decision: null, glassesType: null, lens: null, occluded: false, reason: eyes.reason, pose: eyes.pose, illumination };
+  const { leftCenter, rightCenter } = eyes;
+
+  const aligned = getAlignedFaceBuffer(src, leftCenter, rightCenter, 256, 256);
+  const sobelAbs = computeSobelY(normalizeIllumination(aligned, opts));
+  const { measure } = otsuAndMeasure(sobelAbs, aligned.width, aligned.height);
+  // Default threshold (0.13) is the one used by the realtime and batch OpenCV pages
+  const withGlasses = measure > opts.threshold;
+  const { roi1 } = getSobelOtsuRois(aligned.width, aligned.height);
+  // Occlusion is judged on the raw face: normalization would restore a covered bridge's contrast
+  const gray = rgbaToGrayU8(aligned.data, aligned.width, aligned.height);
+  const { occluded } = checkOcclusion(grayRegionStats(gray, aligned.width, roi1), opts);
+  const decision = decide(measure, opts.threshold, { uncertainMargin: opts.uncertainMargin, occluded });
+  const lens = measureLensFeatures(aligned, { provider: landmark_provider, landmarks, imgW, imgH, matrix: computeAlignmentMatrix(leftCenter, rightCenter, 256, 256) });
+  const glassesType = classifyGlassesType(lens, measure, opts.threshold, opts);
+  return { measure, withGlasses, decision, glassesType, lens, occluded, reason: 'ok', pose: eyes.pose, illumination };
+}
+
+export default detectGlassesSobelOtsu;
@@ -0,0 +1,68 @@
+// Tri-state decisions: glasses / no_glasses / uncertain (pure, no DOM)
+// A face is "uncertain" when its measure lies within a margin of the threshold, or when
+// the measured region looks occluded (a hand or hair over the nose bridge): almost no
+// texture, or mostly clipped black/white pixels.
+
+/** Margin option shared by every registered algorithm (schema format from options.js). */
+export const MARGIN_OPTIONS = {
+  uncertainMargin: { type: 'number', default: 0, min: 0, max: 1, description: 'Uncertain when |measure - threshold| <= margin (0 disables)' },
+};
+
+/** Occlusion-check options for detectors that look at a nose-bridge region. */
+export const OCCLUSION_OPTIONS = {
+  occlusionCheck: { type: 'boolean', default: true, description: 'Flag the face as uncertain when the measured region looks occluded' },
+  minRegionStd: { type: 'number', default: 3, min: 0, max: 128, description: 'Occluded when the gray-level std of the region is below this' },
+  maxSaturatedFraction: { type: 'number', default: 0.5, min: 0, max: 1, description: 'Occluded when more than this fraction of region pixels is clipped (<= 5 or >= 250)' },
+};
+
+export const DECISIONS = ['glasses', 'no_glasses', 'uncertain'];
+
+/**
+ * Gray-level statistics of a rectangle in a single-channel image.
+ * @param {ArrayLike<number>} gray - 8-bit range values, row-major
+ * @param {number} width - image width
+ * @param {{x:number,y:number,width:number,height:number}} rect
+ * @returns {{ mean:number, std:number, saturatedFraction:number }}
+ */
+export function grayRegionStats(gray, width, rect) {
+  let n = 0; let sum = 0; let sum2 = 0; let sat = 0;
+  for (let y = rect.y; y < rect.y + rect.height; y++) {
+    for (let x = rect.x; x < rect.x + rect.width; x++) {
+      const v = gray[y * width + x];
+      sum += v; sum2 += v * v; n++;
+      if (v <= 5 || v >= 250) sat++;
+    }
+  }
+  if (n === 0) return { mean: NaN, std: NaN, saturatedFraction: NaN };
+  const mean = sum / n;
+  return { mean, std: Math.sqrt(Math.max(0, sum2 / n - mean * mean)), saturatedFraction: sat / n };
+}
+
+/**
+ * Decide whether region statistics indicate an occlusion.
+ * @param {{ std:number, saturatedFraction:number }} stats
+ * @param {{ occlusionCheck?:boolean, minRegionStd?:number, maxSaturatedFraction?:number }} [opts] - defaults from OCCLUSION_OPTIONS
+ * @returns {{ occluded:boolean, cause:'low_variance'|'saturated'|null }}
+ */
+export function checkOcclusion(stats, opts = {}) {
+  const { occlusionCheck = true, minRegionStd = 3, maxSaturatedFraction = 0.5 } = opts;
+  if (!occlusionCheck || !stats) return { occluded: false, cause: null };
+  if (stats.saturatedFraction > maxSaturatedFraction) return { occluded: true, cause: 'saturated' };
+  if (stats.std < minRegionStd) return { occluded: true, cause: 'low_variance' };
+  return { occluded: false, cause: null };
+}
+
+/**
+ * Three-way decision for a measure. Returns null when there is no measure (see `reason`).
+ * @param {number} measure
+ * @param {number} threshold - glasses when measure > threshold
+ * @param {{ uncertainMargin?:number, occluded?:boolean }} [opts]
+ * @returns {'glasses'|'no_glasses'|'uncertain'|null}
+ */
+export function decide(measure, threshold, opts = {}) {
+  if (!Number.isFinite(measure)) return null;
+  const { uncertainMargin = 0, occluded = false } = opts;
+  if (occluded) return 'uncertain';
+  if (uncertainMargin > 0 && Math.abs(measure - threshold) <= uncertainMargin) return 'uncertain';
+  return measure > threshold ? 'glasses' : 'no_glasses';
+}
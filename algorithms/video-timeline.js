@@ -0,0 +1,118 @@
+// Glasses timeline of a recorded video (pure, no DOM)
+// Picks the times to sample at a fixed rate, turns the measure of each sampled frame into a
+// smoothed state with GlassesStream, and splits the timeline into segments where the state
+// stays the same (glasses on, off, or no face). Frame grabbing and landmarks are the page's
+// job (src/video.js); anything that yields one measure per timestamp can use this module.
+
+import { resolveOptions } from './options.js';
+import { GlassesStream } from './glasses-stream.js';
+
+/**
+ * Options of sampleTimes (schema format from options.js).
+ */
+export const TIMELINE_OPTIONS = {
+  sampleRate: { type: 'number', default: 2, min: 0.1, max: 60, description: 'Frames sampled per second of video' },
+};
+
+/**
+ * Timestamps to sample: 0, 1/sampleRate, 2/sampleRate, ... up to (not including) the end.
+ * @param {number} duration - video length, s
+ * @param {{ sampleRate?:number }} [options]
+ * @returns {number[]} times in seconds, rounded to the millisecond
+ */
+export function sampleTimes(duration, options) {
+  const { sampleRate } = resolveOptions(TIMELINE_OPTIONS, options, 'sampleTimes options');
+  if (typeof duration !== 'number' || !isFinite(duration) || duration < 0) {
+    throw new RangeError(`sampleTimes: duration must be a finite number of seconds, got ${duration}`);
+  }
+  const times = [];
+  for (let k = 0; k / sampleRate < duration; k++) times.push(Math.round((k / sampleRate) * 1000) / 1000);
+  return times;
+}
+
+/**
+ * Timeline that grows one sample at a time, for pages that measure while they show the
+ * result: each push costs one GlassesStream step instead of a rebuild.
+ * @param {object} [streamOptions] - STREAM_OPTIONS values (glasses-stream.js)
+ * @returns {{ entries:Array<{ time:number, faceCount:number, measure:number, smoothed:number, withGlasses:boolean|null }>, push:(sample:{ time:number, faceCount:number, measure:number }) => object }}
+ *   `push` appends the sample's entry to `entries` and returns it
+ */
+export function createTimelineBuilder(streamOptions) {
+  const stream = new GlassesStream(streamOptions);
+  const entries = [];
+  return {
+    entries,
+    push({ time, faceCount, measure }) {
+      const { smoothed, withGlasses } = stream.push(measure);
+      const entry = { time, faceCount, measure, smoothed, withGlasses };
+      entries.push(entry);
+      return entry;
+    },
+  };
+}
+
+/**
+ * Timeline entries from the per-sample measures, in time order. The smoothing window and
+ * grace period of GlassesStream count samples, not video frames.
+ * @param {Array<{ time:number, faceCount:number, measure:number }>} samples - measure of the primary face, NaN when no face was measured
+ * @param {object} [streamOptions] - STREAM_OPTIONS values (glasses-stream.js)
+ * @returns {Array<{ time:number, faceCount:number, measure:number, smoothed:number, withGlasses:boolean|null }>}
+ */
+export function buildTimeline(samples, streamOptions) {
+  const builder = createTimelineBuilder(streamOptions);
+  for (const sample of samples) builder.push(sample);
+  return builder.entries;
+}
+
+/**
+ * Runs of the same state. A segment lasts from its first sample to the first sample of the
+ * next one; the last one ends at `duration` (or one sample interval after its last sample).
+ * @param {Array<{ time:number, measure:number, withGlasses:boolean|null }>} entries - buildTimeline() result
+ * @param {number} [duration] - video length, s
+ * @returns {Array<{ withGlasses:boolean|null, start:number, end:number, firstSample:number, samples:number, meanMeasure:number }>}
+ *   `meanMeasure` is NaN when no sample of the segment was measured
+ */
+export function timelineSegments(entries, duration) {
+  const segments = [];
+  entries.forEach((e, i) => {
+    const last = segments[segments.length - 1];
+    if (last && last.withGlasses === e.withGlasses) {
+      last.samples++;
+    } else {
+      if (last) last.end = e.time;
+      segments.push({ withGlasses: e.withGlasses, start: e.time, end: e.time, firstSample: i, samples: 1, meanMeasure: NaN });
+    }
+  });
+  const last = segments[segments.length - 1];
+  if (last) {
+    const n = entries.length;
+    const step = n > 1 ? entries[n - 1].time - entries[n - 2].time : 0;
+    last.end = Number.isFinite(duration) ? Math.max(duration, entries[n - 1].time) : entries[n - 1].time + step;
+  }
+  for (const s of segments) {
+    const measures = entries.slice(s.firstSample, s.firstSample + s.samples).map(e => e.measure).filter(Number.isFinite);
+    if (measures.length) s.meanMeasure = measures.reduce((a, b) => a + b, 0) / measures.length;
+  }
+  return segments;
+}
+
+/**
+ * Seconds spent in each state.
+ * @param {Array<{ withGlasses:boolean|null, start:number, end:number }>} segments
+ * @returns {{ glasses:number, noGlasses:number, unknown:number, changes:number }} `changes` counts flips between glasses and no glasses
+ */
+export function timelineSummary(segments) {
+  const out = { glasses: 0, noGlasses: 0, unknown: 0, changes: 0 };
+  let previous = null;
+  for (const s of segments) {
+    const d = s.end - s.start;
+    if (s.withGlasses === true) out.glasses += d;
+    else if (s.withGlasses === false) out.noGlasses += d;
+    else out.unknown += d;
+    if (s.withGlasses !== null) {
+      if (previous !== null && previous !== s.withGlasses) out.changes++;
+      previous = s.withGlasses;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,246 @@
+// Runtime and model loader of the pages
+// Resolves OpenCV.js, MediaPipe (scripts, wasm and data files), face-api.js and the face-api
+// models from one asset base, so the pages run without internet. The base is set with
+// ?assets=<path or same-origin URL> (relative paths start at the site root) and remembered by the browser;
+// ?assets=cdn goes back to the default, which loads the runtimes from their CDNs and the
+// models from the site's models/ folder. A base on another origin is ignored, except for
+// DEFAULT_ASSET_BASE. Layout below the base: see RUNTIME_ASSETS in algorithms/asset-manifest.js.
+
+import {
+  RUNTIME_ASSETS, MODELS_DIR, MODELS_SOURCE, weightsManifestFile, validateWeightsManifest, formatAssetReport,
+} from '../algorithms/asset-manifest.js';
+
+/** Asset base used when none was picked with ?assets=; set to e.g. '.' for an offline deployment. */
+export const DEFAULT_ASSET_BASE = null;
+
+const STORAGE_KEY = 'glassesAssetBase';
+// Site root: this module lives in src/
+const SITE_ROOT = new URL('../', import.meta.url);
+
+const toBaseUrl = (base) => new URL(base.endsWith('/') ? base : `${base}/`, SITE_ROOT);
+
+// Absolute URL of a base from the query or storage; null for one on another origin, which a
+// crafted link could otherwise use to run scripts from anywhere on every later visit
+function sameOriginBase(base) {
+  let url;
+  try { url = toBaseUrl(base); } catch (e) { return null; }
+  if (url.origin === location.origin) return url.href;
+  console.warn('[assets] ignoring an asset base on another origin:', base);
+  return null;
+}
+
+function readAssetBase() {
+  const param = new URLSearchParams(location.search).get('assets');
+  let base = param && param !== 'cdn' ? sameOriginBase(param) : null;
+  try {
+    if (param === 'cdn') localStorage.removeItem(STORAGE_KEY);
+    else if (base) localStorage.setItem(STORAGE_KEY, param);
+    else {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      base = stored && sameOriginBase(stored);
+      if (stored && !base) localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (e) {
+    // Storage can be disabled; the query parameter still applies to this page
+  }
+  if (base || param === 'cdn') return base;
+  // Set by the deployment in this file, so it may point at another origin
+  return DEFAULT_ASSET_BASE ? toBaseUrl(DEFAULT_ASSET_BASE).href : null;
+}
+
+const assetBase = readAssetBase();
+
+/**
+ * Absolute URL of the local asset base, or null when the runtimes come from their CDNs.
+ * @returns {string|null}
+ */
+export function getAssetBase() {
+  return assetBase;
+}
+
+/**
+ * URL of a file of a runtime: below the asset base, or on the runtime's CDN.
+ * @param {string} runtime - key of RUNTIME_ASSETS
+ * @param {string} file
+ * @returns {string}
+ */
+export function runtimeUrl(runtime, file) {
+  const spec = RUNTIME_ASSETS[runtime];
+  if (!spec) throw new RangeError(`Unknown runtime "${runtime}"`);
+  return assetBase ? new URL(`${spec.dir}/${file}`, assetBase).href : `${spec.cdn}/${file}`;
+}
+
+/**
+ * URL of the face-api model folder, with a trailing slash.
+ * @returns {string}
+ */
+export function getModelBase() {
+  return new URL(`${MODELS_DIR}/`, assetBase || SITE_ROOT).href;
+}
+
+// Whether a file is served, and its size when the server tells it
+async function probe(url) {
+  try {
+    const res = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+    if (!res.ok) return { found: false };
+    const length = res.headers.get('Content-Length');
+    return { found: true, length: length === null ? null : Number(length) };
+  } catch (e) {
+    return { found: false };
+  }
+}
+
+// Missing files of the local copy of a runtime; nothing to check when it comes from its CDN
+async function checkRuntime(runtime) {
+  if (!assetBase) return [];
+  const spec = RUNTIME_ASSETS[runtime];
+  const found = await Promise.all(spec.files.map(f => probe(runtimeUrl(runtime, f))));
+  return spec.files
+    .filter((f, i) => !found[i].found)
+    .map(f => ({ file: `${spec.dir}/${f}`, url: runtimeUrl(runtime, f), source: `${spec.cdn}/${f}` }));
+}
+
+// Manifest and shards of one face-api net: missing files, and a manifest that does not
+// validate or does not match the size of its shards
+async function checkModel(net) {
+  const base = getModelBase();
+  const manifestFile = weightsManifestFile(net);
+  const entry = (f) => ({ file: `${MODELS_DIR}/${f}`, url: new URL(f, base).href, source: `${MODELS_SOURCE}/${f}` });
+  const result = { missing: [], invalid: [] };
+  let manifest;
+  try {
+    const res = await fetch(new URL(manifestFile, base), { cache: 'no-cache' });
+    if (!res.ok) { result.missing.push(entry(manifestFile)); return result; }
+    manifest = validateWeightsManifest(await res.json(), manifestFile);
+  } catch (err) {
+    // Unreachable, not JSON, or not a weight manifest
+    result.invalid.push({ ...entry(manifestFile), reason: err.message });
+    return result;
+  }
+  const shards = await Promise.all(manifest.paths.map(p => probe(new URL(p, base))));
+  manifest.paths.forEach((p, i) => { if (!shards[i].found) result.missing.push(entry(p)); });
+  if (!result.missing.length && shards.every(s => s.length !== null)) {
+    const bytes = shards.reduce((n, s) => n + s.length, 0);
+    if (bytes !== manifest.bytes) {
+      result.invalid.push({ ...entry(manifestFile), reason: `its shards hold ${bytes} bytes, the manifest describes ${manifest.bytes}` });
+    }
+  }
+  return result;
+}
+
+const modelChecks = new Map();
+
+/**
+ * Check the files a page needs before using them: every file of the runtimes when they
+ * are served from the asset base, and the weight manifest and shards of the face-api nets.
+ * Models that passed are not checked again on the page.
+ * @param {{ runtimes?:string[], models?:string[] }} assets - keys of RUNTIME_ASSETS and FACE_API_MODELS
+ * @returns {Promise<{ base:string, missing:Array<{ file:string, url:string, source:string }>, invalid:Array<{ file:string, url:string, source:string, reason:string }>, models:Object<string, boolean> }>}
+ *   `models` tells, per net, whether all its files are present and valid
+ */
+export async function checkAssets({ runtimes = [], models = [] } = {}) {
+  const runtimeMissing = await Promise.all(runtimes.map(checkRuntime));
+  const modelResults = await Promise.all(models.map((net) => {
+    if (!modelChecks.has(net)) {
+      modelChecks.set(net, checkModel(net).then((result) => {
+        // Problems are checked again next time (e.g. after the files were copied)
+        if (result.missing.length || result.invalid.length) modelChecks.delete(net);
+        return result;
+      }));
+    }
+    return modelChecks.get(net);
+  }));
+  const report = { base: assetBase || SITE_ROOT.href, missing: runtimeMissing.flat(), invalid: [], models: {} };
+  models.forEach((net, i) => {
+    const { missing, invalid } = modelResults[i];
+    report.missing.push(...missing);
+    report.invalid.push(...invalid);
+    report.models[net] = !missing.length && !invalid.length;
+  });
+  return report;
+}
+
+/**
+ * Error for assets that are missing or invalid; `report` is the checkAssets() result.
+ * @param {string} what - what could not be loaded
+ * @param {object} report
+ * @returns {Error}
+ */
+function assetError(what, report) {
+  const err = new Error(`Cannot load ${what}.\n${formatAssetReport(report)}`);
+  err.report = report;
+  return err;
+}
+
+const runtimes = new Map();
+
+/**
+ * Load a runtime script once per page. With a local asset base, all files of the runtime
+ * are checked first and the promise rejects with the exact list of missing ones.
+ * @param {string} runtime - key of RUNTIME_ASSETS
+ * @returns {Promise<void>} resolves when the script has run (OpenCV.js still initializes its wasm afterwards)
+ */
+export function loadRuntime(runtime) {
+  const spec = RUNTIME_ASSETS[runtime];
+  if (!spec) return Promise.reject(new RangeError(`Unknown runtime "${runtime}"`));
+  if (!runtimes.has(runtime)) {
+    const loaded = (async () => {
+      if (typeof window[spec.global] !== 'undefined') return;
+      const report = await checkAssets({ runtimes: [runtime] });
+      if (report.missing.length) throw assetError(spec.label, report);
+      const url = runtimeUrl(runtime, spec.script);
+      await new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = url;
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error(`Cannot load ${spec.label} from ${url}`));
+        document.head.appendChild(script);
+      });
+    })();
+    // A failed load is retried next time (e.g. after the files were copied)
+    runtimes.set(runtime, loaded.catch((err) => { runtimes.delete(runtime); throw err; }));
+  }
+  return runtimes.get(runtime);
+}
+
+/**
+ * Pick the face-api detector from the checked models: TinyFaceDetector, or SSD Mobilenet
+ * when the tiny model is missing. Rejects with the missing files when the landmark model
+ * or both detectors are unusable.
+ * @returns {Promise<{ detector:'tinyFaceDetector'|'ssdMobilenetv1', report:object }>}
+ */
+export async function resolveFaceApiModels() {
+  const report = await checkAssets({ models: ['tinyFaceDetector', 'ssdMobilenetv1', 'faceLandmark68Net'] });
+  const detector = ['tinyFaceDetector', 'ssdMobilenetv1'].find(net => report.models[net]);
+  if (!detector || !report.models.faceLandmark68Net) throw assetError('the face-api models', report);
+  return { detector, report };
+}
+
+/**
+ * Check the assets of a page at load time and show what is missing or invalid.
+ * @param {HTMLElement|null} el - hidden while everything is present
+ * @param {{ runtimes?:string[], models?:string[] }} assets
+ * @returns {Promise<object>} the checkAssets() report
+ */
+export async function showAssetReport(el, assets) {
+  const report = await checkAssets(assets);
+  const text = formatAssetReport(report);
+  if (text) console.warn('[assets]', text, report);
+  if (el) {
+    el.textContent = text;
+    el.hidden = !text;
+  }
+  return report;
+}
+
+/**
+ * Show why a runtime or model could not be loaded (the message lists the files).
+ * @param {HTMLElement|null} el - the page's asset report
+ * @param {Error} err - from loadRuntime(), waitForOpenCV() or getLandmarker()
+ */
+export function showAssetError(el, err) {
+  console.error('[assets]', err);
+  if (!el) return;
+  el.textContent = err.message;
+  el.hidden = false;
+}
@@ -0,0 +1,141 @@
+// Batch engine shared by batch.html, edge-batch/ and final.html
+// Runs a landmarker and a registry algorithm over a list of files (through the worker
+// pipeline in batch-pipeline.js) and reports per-image records in file order as events.
+// Pages listen to the events and render; see batch-view.js for the shared results UI.
+
+import { detectAll } from '../algorithms/registry.js';
+import { runPipeline, createMeasurePool } from './batch-pipeline.js';
+import { primaryFaceIndex } from './face-badges.js';
+import { truthForFile, typeTruthForFile } from './label-manifest.js';
+
+/**
+ * Events (CustomEvent, payload in `detail`):
+ * - 'start':    { total, poolSize, restored }
+ * - 'progress': { index, total, path } when an image starts
+ * - 'result':   { record, processed, total } for every image, in file order
+ * - 'done':     { records, processed, total, cancelled }
+ *
+ * A record is { index, file, path, truth, typeTruth, faces, primary, measure, reason, imageSize, scale }:
+ * `faces` are the per-face results (detectAll() shape), `primary` the largest face or null,
+ * `measure` its measure (NaN without one), `truth` the ground truth (manifest or folder name)
+ * or null, `typeTruth` the glasses type from the folder name ('none', 'clear', 'sunglasses')
+ * or null. Face boxes and eye centers are in pixels of the image scaled by `scale`;
+ * `imageSize` is the original size (both null when the image could not be decoded).
+ * `reason` is the primary face's reason, or 'no_face', 'decode_failed' or 'measure_failed'.
+ * Records replayed from a stored session (see session-store.js) have `restored: true`.
+ *
+ * @example
+ * const engine = new BatchEngine({ landmarker, algorithm: 'bridge', poolSize: 2 });
+ * engine.addEventListener('result', (e) => view.add(e.detail.record));
+ * await engine.run(files);
+ */
+export class BatchEngine extends EventTarget {
+  /**
+   * @param {{
+   *   landmarker?: { provider?:string, landmark:(canvas:HTMLCanvasElement) => Promise<{ provider:string, facesLandmarks:any[] }> },
+   *   provider?: string,
+   *   algorithm: string,
+   *   options?: object|(() => object),
+   *   poolSize?: number,
+   *   groundTruthMap?: object|null,
+   *   measureLocal?: (canvas:HTMLCanvasElement, landmarks:{ provider:string, facesLandmarks:any[] }) => any[],
+   *   maxSide?: number,
+   * }} config - `algorithm`/`options` are registry detect() arguments; `poolSize` 0 measures on
+   *   the main thread, with `measureLocal` when given (e.g. an OpenCV pipeline with previews).
+   *   `provider` names the landmark provider when there is no landmarker (replayed sessions)
+   */
+  constructor(config) {
+    super();
+    this.config = { options: {}, poolSize: 0, groundTruthMap: null, maxSide: 720, ...config };
+    this.records = [];
+    this.cancelled = false;
+  }
+
+  /**
+   * What the run uses, for export metadata. `measuredBy` is 'workers' (registry algorithm) or
+   * 'page' (the page's own measureLocal, or the registry algorithm on the main thread).
+   * @returns {{ provider:string|null, algorithm:string, options:object, groundTruth:'manifest'|'folders', workers:number, measuredBy:string, maxSide:number }}
+   */
+  describe() {
+    const { landmarker, provider, algorithm, options, poolSize, groundTruthMap, maxSide } = this.config;
+    return {
+      provider: provider || (landmarker && landmarker.provider) || null,
+      algorithm,
+      options: typeof options === 'function' ? options() : options,
+      groundTruth: groundTruthMap ? 'manifest' : 'folders',
+      workers: poolSize,
+      measuredBy: poolSize > 0 ? 'workers' : 'page',
+      maxSide,
+    };
+  }
+
+  /** Stop after the images already in flight. */
+  cancel() { this.cancelled = true; }
+
+  _emit(type, detail) { this.dispatchEvent(new CustomEvent(type, { detail })); }
+
+  _record({ index, file, path = file.webkitRelativePath || file.name, truth, faces, imageSize = null, scale = null, error }) {
+    const p = primaryFaceIndex(faces);
+    const primary = p >= 0 ? faces[p] : null;
+    return {
+      index,
+      file,
+      path,
+      // Stored truth is kept when reopening a session without its folder
+      truth: truth !== undefined ? truth : truthForFile(this.config.groundTruthMap, path),
+      typeTruth: typeTruthForFile(path),
+      faces,
+      primary,
+      measure: primary ? primary.measure : NaN,
+      reason: error || (primary ? (primary.reason || 'ok') : 'no_face'),
+      imageSize,
+      scale,
+    };
+  }
+
+  _report(record, total) {
+    this.records.push(record);
+    this._emit('result', { record, processed: this.records.length, total });
+  }
+
+  /**
+   * Process `files`; resolves with the records once every dispatched image is reported.
+   * `restored` results (from an earlier, interrupted run) are reported first without being
+   * measured again.
+   * @param {File[]} files
+   * @param {{ restored?:Array<{ file:File|null, path?:string, truth?:boolean|null, faces:any[], imageSize?:object, scale?:number }> }} [opts]
+   * @returns {Promise<{ records:object[], cancelled:boolean }>}
+   */
+  async run(files, { restored = [] } = {}) {
+    const { landmarker, algorithm, options, poolSize, measureLocal, maxSide } = this.config;
+    const total = restored.length + files.length;
+    const opts = () => (typeof options === 'function' ? options() : options);
+    this.records = [];
+    this.cancelled = false;
+    this._emit('start', { total, poolSize, restored: restored.length });
+    for (const item of restored) this._report({ ...this._record({ ...item, index: this.records.length }), restored: true }, total);
+    const offset = restored.length;
+    const pool = poolSize > 0 && files.length > 0 ? createMeasurePool(poolSize) : null;
+    try {
+      const { cancelled } = await runPipeline({
+        files,
+        pool,
+        algorithm,
+        options: opts,
+        maxSide,
+        landmark: (canvas) => landmarker.landmark(canvas),
+        measureLocal: (canvas, landmarks) => {
+          if (measureLocal) return measureLocal(canvas, landmarks);
+          return landmarks.facesLandmarks.length ? detectAll(algorithm, landmarks.provider, landmarks.facesLandmarks, canvas, opts()) : [];
+        },
+        onStart: (index, file) => this._emit('progress', { index: offset + index, total, path: file.webkitRelativePath || file.name }),
+        onResult: (item) => this._report(this._record({ ...item, index: offset + item.index }), total),
+        isCancelled: () => this.cancelled,
+      });
+      this._emit('done', { records: this.records, processed: this.records.length, total, cancelled });
+      return { records: this.records, cancelled };
+    } finally {
+      if (pool) pool.terminate();
+    }
+  }
+}
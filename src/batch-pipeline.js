@@ -0,0 +1,144 @@
+// Batch pipeline shared by the batch pages: decode -> landmarks -> measure, in file order
+// Files are decoded ahead of time with createImageBitmap. Landmarks run on the main thread
+// (MediaPipe and face-api need the page); alignment and measurement run in a WorkerPool on
+// OffscreenCanvas. Worker results arrive out of order and are handed to `onResult` in
+// file order. Without a pool every image is measured on the main thread by the page.
+
+import { WorkerPool } from './worker-pool.js';
+
+/**
+ * Pool of measurement workers (src/measure-worker.js).
+ * @param {number} size
+ * @returns {WorkerPool}
+ */
+export function createMeasurePool(size) {
+  return new WorkerPool(() => new Worker(new URL('./measure-worker.js', import.meta.url), { type: 'module' }), size);
+}
+
+/**
+ * Draw an image (or the current frame of a video) onto a new canvas whose longer side is at
+ * most `maxSide` (the pipeline input scale).
+ * @param {HTMLImageElement|ImageBitmap|HTMLCanvasElement|HTMLVideoElement} source
+ * @param {number} [maxSide]
+ * @returns {HTMLCanvasElement}
+ */
+export function drawScaled(source, maxSide = 720) {
+  const srcW = source.naturalWidth || source.videoWidth || source.width;
+  const srcH = source.naturalHeight || source.videoHeight || source.height;
+  const maxDim = Math.max(srcW, srcH);
+  const scale = maxDim > maxSide ? (maxSide / maxDim) : 1;
+  const c = document.createElement('canvas');
+  c.width = Math.round(srcW * scale); c.height = Math.round(srcH * scale);
+  c.getContext('2d').drawImage(source, 0, 0, c.width, c.height);
+  return c;
+}
+
+// Calls emit(item) for index 0, 1, 2, ... as soon as each one and all before it are in
+function createOrderedEmitter(emit) {
+  const ready = new Map();
+  let next = 0;
+  return (index, item) => {
+    ready.set(index, item);
+    while (ready.has(next)) {
+      const it = ready.get(next);
+      ready.delete(next);
+      next++;
+      emit(it);
+    }
+  };
+}
+
+/**
+ * Run the batch pipeline over `files`.
+ *
+ * `onResult` receives { index, file, faces, imageSize, scale, error? } in file order; `faces` are
+ * detectAll() results from the workers, or whatever `measureLocal` returned, in the pixels of
+ * the image scaled by `scale` (to at most `maxSide`); `imageSize` is the decoded image's size.
+ * `error` is 'decode_failed' (without imageSize) or 'measure_failed' (faces is then empty). Cancelling stops dispatching new files; files
+ * already in flight are still reported.
+ *
+ * @param {{
+ *   files: File[],
+ *   pool: WorkerPool|null,
+ *   landmark: (canvas:HTMLCanvasElement, file:File, index:number) => Promise<{ provider:string, facesLandmarks:any[] }>,
+ *   algorithm: string,
+ *   options?: object|(() => object),
+ *   measureLocal: (canvas:HTMLCanvasElement, landmarks:{ provider:string, facesLandmarks:any[] }, index:number) => any[]|Promise<any[]>,
+ *   onStart?: (index:number, file:File) => void,
+ *   onResult: (item:{ index:number, file:File, faces:any[], imageSize?:{ width:number, height:number }, scale?:number, error?:string }) => void,
+ *   isCancelled?: () => boolean,
+ *   maxSide?: number,
+ * }} params - `landmark` must return plain-data landmarks when a pool is used (they are
+ *   cloned to the workers); `algorithm` and `options` are the registry detect() arguments
+ *   used by the workers
+ * @returns {Promise<{ dispatched:number, cancelled:boolean }>}
+ */
+export async function runPipeline({ files, pool, landmark, algorithm, options = {}, measureLocal, onStart, onResult, isCancelled, maxSide = 720 }) {
+  const emit = createOrderedEmitter(onResult);
+  const lookahead = pool ? pool.size * 2 : 1;
+  const decodes = new Array(files.length);
+  const decode = (i) => createImageBitmap(files[i]).catch(() => null);
+  const inFlight = new Set();
+  let nextDecode = 0;
+  let i = 0;
+  let cancelled = false;
+
+  for (; i < files.length; i++) {
+    if (isCancelled && isCancelled()) { cancelled = true; break; }
+    // Keep a few files decoding ahead of the landmarker
+    for (; nextDecode < files.length && nextDecode <= i + lookahead; nextDecode++) decodes[nextDecode] = decode(nextDecode);
+    const file = files[i];
+    if (onStart) onStart(i, file);
+    const bitmap = await decodes[i];
+    decodes[i] = null;
+    if (!bitmap) { emit(i, { index: i, file, faces: [], error: 'decode_failed' }); continue; }
+    const canvas = drawScaled(bitmap, maxSide);
+    const imageSize = { width: bitmap.width, height: bitmap.height };
+    const scale = canvas.width / bitmap.width;
+    bitmap.close();
+
+    let landmarks;
+    try {
+      landmarks = await landmark(canvas, file, i);
+    } catch (err) {
+      console.warn('[pipeline] landmarks failed', file.name, err);
+      landmarks = { provider: null, facesLandmarks: [] };
+    }
+
+    if (!pool) {
+      // A failure on one image must not end the run, as in the worker branch below
+      let measured;
+      try {
+        measured = { faces: await measureLocal(canvas, landmarks, i) };
+      } catch (err) {
+        console.warn('[pipeline] measure failed', file.name, err);
+        measured = { faces: [], error: 'measure_failed' };
+      }
+      emit(i, { index: i, file, imageSize, scale, ...measured });
+      await new Promise(r => setTimeout(r)); // allow UI to paint
+      continue;
+    }
+    if (landmarks.facesLandmarks.length === 0) { emit(i, { index: i, file, imageSize, scale, faces: [] }); continue; }
+
+    // Bound the number of decoded images waiting in the pool
+    while (inFlight.size >= pool.size * 2) await Promise.race(inFlight);
+    const index = i;
+    const frame = await createImageBitmap(canvas);
+    const message = { algorithm, provider: landmarks.provider, facesLandmarks: landmarks.facesLandmarks, bitmap: frame, options: typeof options === 'function' ? options() : options };
+    const task = pool.run(message, [frame])
+      .then(res => ({ faces: res.faces }), (err) => {
+        console.warn('[pipeline] measure failed', file.name, err);
+        return { faces: [], error: 'measure_failed' };
+      })
+      .then((res) => {
+        inFlight.delete(task);
+        emit(index, { index, file, imageSize, scale, ...res });
+      });
+    inFlight.add(task);
+  }
+
+  await Promise.all(inFlight);
+  // Release images decoded ahead of a cancel
+  for (let k = i; k < nextDecode; k++) if (decodes[k]) decodes[k].then(b => b && b.close());
+  return { dispatched: i, cancelled };
+}
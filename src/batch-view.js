@@ -0,0 +1,327 @@
+// Results UI shared by the batch pages: thumbnails, live reclassification, summary and exports
+// Fed with BatchEngine records (batch-engine.js). Thumbnails keep what reclassification
+// needs in data-* attributes (measure, truth, occluded, faces, reason, pose, lens, typeTruth,
+// components), which the metrics, calibration, probability and fusion panels read as well.
+
+import { decide } from '../algorithms/uncertainty.js';
+import { encodeFaces, refreshThumbFaceBadges } from './face-badges.js';
+import { classifyGlassesType } from '../algorithms/glasses-type.js';
+import { renderMetricsPanel, parseLens, parseComponents } from './metrics-panel.js';
+import { loadGroundTruth, truthForFile, interleaveByTruth, reportGroundTruth } from './label-manifest.js';
+import { createCsv, createJson, createJsonl, createCocoAnnotations, runMetadata } from './result-export.js';
+
+// Least time between two refreshes while a run adds results: each one reclassifies every
+// thumbnail and redraws the metrics panel
+const LIVE_REFRESH_MS = 1000;
+
+// Human-readable text for the machine-readable `reason` of a result
+export const REASON_TEXT = {
+  no_face: 'No face detected',
+  face_too_small: 'Face too small',
+  degenerate_landmarks: 'Degenerate landmarks',
+  pose_out_of_range: 'Head pose out of range',
+  decode_failed: 'Could not decode image',
+  measure_failed: 'Measurement failed',
+};
+
+// Human-readable glasses type (glasses-type.js)
+export const GLASSES_TYPE_TEXT = {
+  none: 'No glasses',
+  clear: 'Clear glasses',
+  sunglasses: 'Sunglasses',
+};
+
+/**
+ * Read the picked folder and optional label manifest. Returns null (after telling the user)
+ * when there is nothing to run.
+ * @param {{ dirInput:HTMLInputElement, labelsInput?:HTMLInputElement|null, labelsStatusEl?:HTMLElement|null }} els
+ * @returns {Promise<{ files:File[], groundTruthMap:object|null }|null>} files interleaved by truth
+ */
+export async function pickBatchFiles({ dirInput, labelsInput, labelsStatusEl }) {
+  const allFiles = Array.from(dirInput.files || []);
+  const imgFiles = allFiles.filter(f => /\.(jpg|jpeg|png|bmp|webp)$/i.test(f.name));
+  if (imgFiles.length === 0) { alert('Please choose a folder with images.'); return null; }
+  // Ground truth from the label manifest if one is picked, else from folder names
+  let groundTruthMap = null;
+  try {
+    groundTruthMap = await loadGroundTruth(labelsInput, imgFiles.map(f => f.webkitRelativePath || f.name));
+  } catch (err) {
+    alert(`Could not read the label manifest: ${err.message}`);
+    return null;
+  }
+  reportGroundTruth(labelsStatusEl, groundTruthMap, imgFiles.map(f => f.webkitRelativePath || f.name));
+  const files = interleaveByTruth(imgFiles, f => truthForFile(groundTruthMap, f.webkitRelativePath || f.name));
+  return { files, groundTruthMap };
+}
+
+export class ResultsView {
+  /**
+   * @param {{
+   *   gridEl:HTMLElement, summaryEl:HTMLElement, downloadEl:HTMLAnchorElement, measureBadge:HTMLElement,
+   *   metricsEl?:HTMLElement|null, thresholdInput:HTMLInputElement, thresholdLabel?:HTMLElement|null,
+   *   marginInput?:HTMLInputElement|null, defaultThreshold?:() => number,
+   *   onSelect?:(record:object, thumbImg:HTMLImageElement) => void,
+   *   exportEl?:HTMLElement|null, page?:string,
+   * }} els - `defaultThreshold` is used while the slider holds no number; `onSelect` runs when a
+   *   thumbnail is clicked; `exportEl` holds buttons with data-export="json|jsonl|coco", shown
+   *   with the CSV link; `page` names the page in export metadata
+   */
+  constructor(els) {
+    this.els = els;
+    this.records = [];
+    this.run = {};
+    this.processed = 0;
+    this.total = 0;
+    // Pending timer of a refresh scheduled by add(), and when the last refresh ran
+    this._refreshTimer = null;
+    this._lastRefresh = 0;
+    const { thresholdInput, thresholdLabel, marginInput, exportEl } = els;
+    const showThreshold = () => { if (thresholdLabel) thresholdLabel.textContent = String(parseFloat(thresholdInput.value).toFixed(2)); };
+    showThreshold();
+    // Reclassify existing results live when the threshold or margin changes
+    thresholdInput.addEventListener('input', () => { showThreshold(); this.refresh(); });
+    if (marginInput) marginInput.addEventListener('input', () => this.refresh());
+    // Exports are built on click; they can be large and would slow down every refresh
+    els.downloadEl.addEventListener('click', () => this._updateCsvLink());
+    if (exportEl) {
+      for (const btn of exportEl.querySelectorAll('[data-export]')) {
+        btn.addEventListener('click', () => this.download(btn.dataset.export));
+      }
+    }
+  }
+
+  getThreshold() {
+    const v = parseFloat(this.els.thresholdInput.value);
+    if (!isNaN(v)) return v;
+    return this.els.defaultThreshold ? this.els.defaultThreshold() : 0;
+  }
+
+  getUncertainMargin() {
+    const v = this.els.marginInput ? parseFloat(this.els.marginInput.value) : NaN;
+    return isFinite(v) && v > 0 ? Math.min(v, 1) : 0;
+  }
+
+  /**
+   * Clear the grid and records for a new run of `total` images.
+   * @param {number} total
+   * @param {object} [run] - run description for export metadata (BatchEngine#describe())
+   */
+  reset(total, run = {}) {
+    this.records = [];
+    this.run = run;
+    this.processed = 0;
+    this.total = total;
+    this.els.gridEl.innerHTML = '';
+    this.els.downloadEl.style.display = 'none';
+    if (this.els.exportEl) this.els.exportEl.style.display = 'none';
+  }
+
+  /**
+   * Save the results as 'json', 'jsonl' or 'coco' annotations, classified like the grid.
+   * @param {'json'|'jsonl'|'coco'} format
+   */
+  download(format) {
+    const run = runMetadata({ page: this.els.page || null, ...this.run }, this.getThreshold(), this.getUncertainMargin());
+    const [blob, name] = {
+      json: () => [createJson(this.records, run), 'glasses_results.json'],
+      jsonl: () => [createJsonl(this.records, run), 'glasses_results.jsonl'],
+      coco: () => [createCocoAnnotations(this.records, run), 'glasses_annotations.coco.json'],
+    }[format]();
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+  }
+
+  /**
+   * Add one BatchEngine record: a classified thumbnail and the badge. Stats and metrics are
+   * refreshed at most once per LIVE_REFRESH_MS, so large runs and replayed sessions stay fast.
+   * @param {object} record
+   */
+  add(record) {
+    const { gridEl } = this.els;
+    const { path, faces, primary, measure, reason, truth, typeTruth } = record;
+    this.records.push(record);
+
+    const thumb = document.createElement('div');
+    thumb.className = 'thumb';
+    const thumbImg = document.createElement('img');
+    // Reopened sessions have no file unless their folder is picked again
+    if (record.file) thumbImg.src = URL.createObjectURL(record.file);
+    thumbImg.alt = path; thumb.appendChild(thumbImg);
+    const cap = document.createElement('div'); cap.className = 'cap'; cap.textContent = path.split('/').slice(-1)[0]; thumb.appendChild(cap);
+    thumb.dataset.measure = String(measure);
+    thumb.dataset.path = path;
+    thumb.dataset.reason = reason;
+    thumb.dataset.occluded = primary && primary.occluded ? '1' : '0';
+    thumb.dataset.faces = encodeFaces(faces);
+    if (primary && isFinite(primary.probability)) thumb.dataset.probability = String(primary.probability);
+    if (primary && primary.pose) thumb.dataset.pose = [primary.pose.yaw, primary.pose.pitch, primary.pose.roll].map(v => v.toFixed(1)).join(',');
+    if (primary && primary.lens) {
+      const { eyeLuminance, eyeContrast, irisVisibility } = primary.lens;
+      thumb.dataset.lens = [eyeLuminance.toFixed(1), eyeContrast.toFixed(3), Number.isFinite(irisVisibility) ? irisVisibility.toFixed(3) : ''].join(',');
+    }
+    // Ensemble component scores, kept at full precision for fitting fusion models
+    if (primary && primary.components) {
+      const { bridge, rim, sobelOtsu } = primary.components;
+      thumb.dataset.components = [bridge, rim, sobelOtsu].join(',');
+    }
+    if (truth !== null) thumb.dataset.truth = truth ? '1' : '0';
+    if (typeTruth) thumb.dataset.typeTruth = typeTruth;
+    gridEl.appendChild(thumb);
+    thumb.addEventListener('click', () => {
+      for (const el of gridEl.querySelectorAll('.thumb.selected')) el.classList.remove('selected');
+      thumb.classList.add('selected');
+      this.refresh();
+      if (this.els.onSelect && record.file) this.els.onSelect(record, thumbImg);
+    });
+
+    this.processed = Math.max(this.processed, record.index + 1);
+    const threshold = this.getThreshold();
+    this._classifyThumb(thumb, threshold, this.getUncertainMargin());
+    refreshThumbFaceBadges(thumb, threshold);
+    this._showBadge(thumb);
+    if (this._refreshTimer === null) {
+      const wait = Math.max(0, this._lastRefresh + LIVE_REFRESH_MS - performance.now());
+      this._refreshTimer = setTimeout(() => { this._refreshTimer = null; this.refresh(); }, wait);
+    }
+  }
+
+  /** Mark the run as over (finished or cancelled) so the summary reports it as done. */
+  finish() {
+    this.total = this.processed;
+    this.refresh();
+    this._updateCsvLink();
+  }
+
+  // CSV of the records, classified like the grid; built on click and when the run ends
+  _updateCsvLink() {
+    const { downloadEl } = this.els;
+    if (downloadEl.href) URL.revokeObjectURL(downloadEl.href);
+    downloadEl.href = URL.createObjectURL(createCsv(this.records, this.getThreshold(), this.getUncertainMargin(), this.run.options || {}));
+  }
+
+  // Color and title of one thumbnail at `threshold`; returns its decision and ground truth
+  _classifyThumb(t, threshold, uncertainMargin) {
+    const measureVal = parseFloat(t.dataset.measure || 'NaN');
+    const occluded = t.dataset.occluded === '1';
+    const decision = decide(measureVal, threshold, { uncertainMargin, occluded });
+    const predicted = decision === 'glasses';
+    const truthStr = typeof t.dataset.truth !== 'undefined' ? t.dataset.truth : '';
+    const hasTruth = truthStr !== '';
+    const truth = hasTruth ? (truthStr === '1') : null;
+    t.classList.remove('ok', 'warn', 'blue', 'yellow', 'uncertain');
+    if (decision === 'uncertain') {
+      t.classList.add('uncertain');
+    } else if (hasTruth) {
+      if (predicted === truth) { t.classList.add(predicted ? 'blue' : 'ok'); } else { t.classList.add(predicted ? 'warn' : 'yellow'); }
+    } else {
+      // Prediction-only coloring without ground truth
+      t.classList.add(predicted ? 'warn' : 'ok');
+    }
+    const label = decision === 'uncertain' ? `Uncertain${occluded ? ', occluded' : ''}` : `${predicted ? 'With' : 'No'} Glasses`;
+    const probability = parseFloat(t.dataset.probability || 'NaN');
+    const type = this._glassesType(t, threshold);
+    const typeTruth = t.dataset.typeTruth;
+    const typeText = type ? ` • ${GLASSES_TYPE_TEXT[type]}${typeTruth ? ` (GT: ${GLASSES_TYPE_TEXT[typeTruth]})` : ''}` : '';
+    const components = parseComponents(t.dataset.components);
+    const componentText = components ? ` • bridge ${components.bridge.toFixed(3)}, rim ${components.rim.toFixed(3)}, Sobel/Otsu ${components.sobelOtsu.toFixed(3)}` : '';
+    t.title = isFinite(measureVal)
+      ? `${label} (${measureVal.toFixed(3)})${isFinite(probability) ? ` • p=${probability.toFixed(2)}` : ''}${hasTruth ? ` • GT: ${truth ? 'With' : 'No'} Glasses` : ''}${typeText}${componentText}`
+      : (REASON_TEXT[t.dataset.reason] || 'No face detected');
+    return { decision, predicted, truth };
+  }
+
+  // Glasses type of one thumbnail at `threshold`, with the run's sunglasses options
+  _glassesType(t, threshold) {
+    return classifyGlassesType(parseLens(t.dataset.lens), parseFloat(t.dataset.measure || 'NaN'), threshold, this.run.options || {});
+  }
+
+  // Result badge for one thumbnail (the latest image, or the selected one)
+  _showBadge(t) {
+    const { measureBadge } = this.els;
+    if (!measureBadge) return;
+    const m = parseFloat(t.dataset.measure || 'NaN');
+    const threshold = this.getThreshold();
+    const decision = decide(m, threshold, { uncertainMargin: this.getUncertainMargin(), occluded: t.dataset.occluded === '1' });
+    const glasses = decision === 'glasses';
+    const type = this._glassesType(t, threshold);
+    measureBadge.textContent = isFinite(m)
+      ? `${decision === 'uncertain' ? 'Uncertain' : `${glasses ? 'With' : 'No'} Glasses`} (${m.toFixed(3)})${type === 'sunglasses' ? ` • ${GLASSES_TYPE_TEXT[type]}` : ''}`
+      : (REASON_TEXT[t.dataset.reason] || 'No face');
+    measureBadge.classList.toggle('warn', glasses);
+    measureBadge.classList.toggle('ok', decision === 'no_glasses');
+  }
+
+  /** Reclassify every thumbnail at the current threshold and margin; update the summary and metrics. */
+  refresh() {
+    if (this._refreshTimer !== null) { clearTimeout(this._refreshTimer); this._refreshTimer = null; }
+    this._lastRefresh = performance.now();
+    const { gridEl, summaryEl, downloadEl, metricsEl, thresholdInput } = this.els;
+    const threshold = this.getThreshold();
+    const uncertainMargin = this.getUncertainMargin();
+    const thumbs = Array.from(gridEl.children || []);
+    let uncertainCount = 0;
+    let gtTotal = 0; let gtCorrect = 0; let gtFp = 0; let gtFn = 0;
+    for (const t of thumbs) {
+      const { decision, predicted, truth } = this._classifyThumb(t, threshold, uncertainMargin);
+      if (decision === 'uncertain') {
+        // Not scored: neither correct nor wrong
+        uncertainCount++;
+      } else if (truth !== null) {
+        gtTotal++;
+        if (predicted === truth) { gtCorrect++; } else { if (predicted && !truth) gtFp++; if (!predicted && truth) gtFn++; }
+      }
+      refreshThumbFaceBadges(t, threshold);
+    }
+    const selected = gridEl.querySelector('.thumb.selected');
+    if (selected) this._showBadge(selected);
+    // Curves, histogram and confusion matrix follow the threshold live
+    renderMetricsPanel(metricsEl, gridEl, threshold, [parseFloat(thresholdInput.min), parseFloat(thresholdInput.max)], this.run.options || {});
+    if (thumbs.length === 0) return;
+
+    downloadEl.style.display = 'inline-block';
+    if (this.els.exportEl) this.els.exportEl.style.display = 'inline-flex';
+    const isDone = this.processed >= this.total;
+    const prefix = isDone ? `Done: ${thumbs.length} images.` : `Processed: ${this.processed}/${this.total}.`;
+    const uncertainNote = uncertainCount > 0 ? ` Uncertain: ${uncertainCount} (not scored).` : '';
+    if (gtTotal > 0) {
+      const pct = ((gtCorrect / gtTotal) * 100).toFixed(1);
+      const wrong = gtTotal - gtCorrect; const wrongPct = ((wrong / gtTotal) * 100).toFixed(1);
+      summaryEl.textContent = `${prefix} Correct: ${gtCorrect}/${gtTotal} (${pct}%). Wrong: ${wrong} (${wrongPct}%). FP: ${gtFp}, FN: ${gtFn}.${uncertainNote} Click Download CSV.`;
+    } else {
+      summaryEl.textContent = `${prefix}${uncertainNote} Click Download CSV.`;
+    }
+  }
+}
+
+/**
+ * Drive a ResultsView, a status line and a progress bar from a BatchEngine's events.
+ * @param {import('./batch-engine.js').BatchEngine} engine
+ * @param {ResultsView} view
+ * @param {{ statusEl?:HTMLElement|null, progressEl?:HTMLProgressElement|null }} els
+ */
+export function connectEngine(engine, view, { statusEl, progressEl }) {
+  let workers = 0;
+  engine.addEventListener('start', (e) => {
+    workers = e.detail.poolSize;
+    view.reset(e.detail.total, engine.describe());
+    if (progressEl) progressEl.value = 0;
+    if (statusEl) statusEl.textContent = 'Starting...';
+  });
+  engine.addEventListener('progress', (e) => {
+    const { index, total, path } = e.detail;
+    if (statusEl) statusEl.textContent = `Processing ${index + 1}/${total}${workers ? ` (${workers} workers)` : ''}: ${path}`;
+  });
+  engine.addEventListener('result', (e) => {
+    const { record, processed, total } = e.detail;
+    view.add(record);
+    if (progressEl) progressEl.value = Math.round((processed / total) * 100);
+  });
+  engine.addEventListener('done', (e) => {
+    const { processed, total, cancelled } = e.detail;
+    view.finish();
+    if (statusEl) statusEl.textContent = cancelled ? `Cancelled after ${processed}/${total} images.` : `Finished ${processed} images.`;
+  });
+}
@@ -1,523 +1,226 @@
-// Utilities shared with main.js (duplicated here to avoid module graph changes)
-function waitForOpenCV() {
-  return new Promise(resolve => {
-    if (typeof cv !== 'undefined' && cv.Mat) return resolve();
-    const timer = setInterval(() => {
-      if (typeof cv !== 'undefined' && cv.Mat) { clearInterval(timer); resolve(); }
-    }, 50);
-  });
-}
-
-function leastSquaresKAndB(points) {
-  const n = points.length;
-  let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
-  for (const [x, y] of points) { sumX += x; sumY += y; sumXY += x * y; sumXX += x * x; }
-  const k = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX + 1e-6);
-  const b = (sumY - k * sumX) / n;
-  return { k, b };
-}
-
-function getEyeCornerPoints(landmarks, width, height) {
-  const idx = { rOuter: 33, rInner: 133, lInner: 362, lOuter: 263 };
-  const scalePoint = p => ([p.x * width, p.y * height]);
-  const rOuter = scalePoint(landmarks[idx.rOuter]);
-  const rInner = scalePoint(landmarks[idx.rInner]);
-  const lInner = scalePoint(landmarks[idx.lInner]);
-  const lOuter = scalePoint(landmarks[idx.lOuter]);
-  return { rOuter, rInner, lInner, lOuter };
-}
-
-function getCentersFromCorners(imgW, imgH, corners) {
-  const { rOuter, rInner, lInner, lOuter } = corners;
-  const p = [rOuter, rInner, lInner, lOuter];
-  const { k, b } = leastSquaresKAndB(p);
-  const xLeft = (lOuter[0] + lInner[0]) / 2;
-  const xRight = (rOuter[0] + rInner[0]) / 2;
-  const leftCenter = [Math.round(xLeft), Math.round(xLeft * k + b)];
-  const rightCenter = [Math.round(xRight), Math.round(xRight * k + b)];
-  return { leftCenter, rightCenter };
-}
-
-function getAlignedFaceFromCenters(srcCanvas, leftCenter, rightCenter, desiredW = 256, desiredH = 256) {
-  const dx = rightCenter[0] - leftCenter[0];
-  const dy = rightCenter[1] - leftCenter[1];
-  const dist = Math.hypot(dx, dy);
-  const desiredDist = desiredW * 0.5;
-  const scale = desiredDist / (dist || 1);
-  const angle = Math.atan2(dy, dx) * 180 / Math.PI;
-  const eyesCenter = [(leftCenter[0] + rightCenter[0]) * 0.5, (leftCenter[1] + rightCenter[1]) * 0.5];
-  const M = cv.getRotationMatrix2D(new cv.Point(eyesCenter[0], eyesCenter[1]), angle, scale);
-  M.doublePtr(0, 2)[0] += (desiredW * 0.5 - eyesCenter[0]);
-  M.doublePtr(1, 2)[0] += (desiredH * 0.5 - eyesCenter[1]);
-  const src = cv.imread(srcCanvas);
-  const dst = new cv.Mat();
-  const dsize = new cv.Size(desiredW, desiredH);
-  cv.warpAffine(src, dst, M, dsize, cv.INTER_LINEAR, cv.BORDER_CONSTANT, new cv.Scalar());
-  src.delete(); M.delete();
-  return dst;
-}
-
-function computeSobelYAligned(aligned) {
-  const gray = new cv.Mat();
-  try {
-    const ch = aligned.channels();
-    if (ch === 4) { cv.cvtColor(aligned, gray, cv.COLOR_RGBA2GRAY); }
-    else if (ch === 3) { cv.cvtColor(aligned, gray, cv.COLOR_RGB2GRAY); }
-    else { aligned.copyTo(gray); }
-    const blurred = new cv.Mat();
-    cv.GaussianBlur(gray, blurred, new cv.Size(11, 11), 0, 0, cv.BORDER_DEFAULT);
-    const sobel = new cv.Mat();
-    cv.Sobel(blurred, sobel, cv.CV_64F, 0, 1, 3);
-    const sobelAbs = new cv.Mat();
-    cv.convertScaleAbs(sobel, sobelAbs);
-    blurred.delete(); sobel.delete();
-    return sobelAbs;
-  } finally {
-    gray.delete();
-  }
-}
-
-function otsuAndMeasure(sobelAbs) {
-  const gray = new cv.Mat();
-  if (sobelAbs.channels() !== 1) {
-    const tmp = new cv.Mat();
-    try {
-      const ch = sobelAbs.channels();
-      if (ch === 4) cv.cvtColor(sobelAbs, tmp, cv.COLOR_RGBA2GRAY);
-      else if (ch === 3) cv.cvtColor(sobelAbs, tmp, cv.COLOR_RGB2GRAY);
-      else sobelAbs.copyTo(tmp);
-      tmp.copyTo(gray);
-    } finally {
-      tmp.delete();
-    }
-  } else {
-    sobelAbs.copyTo(gray);
-  }
-  const thresh = new cv.Mat();
-  cv.threshold(gray, thresh, 0, 255, cv.THRESH_BINARY + cv.THRESH_OTSU);
-  const H = thresh.rows; const W = thresh.cols;
-  const d = Math.floor(H * 0.5);
-  function clampRect(x0, y0, w0, h0) {
-    x0 = Math.max(0, Math.min(x0, W - 1));
-    y0 = Math.max(0, Math.min(y0, H - 1));
-    w0 = Math.max(1, Math.min(w0, W - x0));
-    h0 = Math.max(1, Math.min(h0, H - y0));
-    return new cv.Rect(x0, y0, w0, h0);
-  }
-  let x = Math.floor(d * 6 / 7);
-  let y = Math.floor(d * 3 / 4);
-  let w = Math.floor(d * 2 / 7);
-  let h = Math.floor(d * 2 / 4);
-  let x21 = Math.floor(d * 1 / 4);
-  let x22 = Math.floor(d * 5 / 4);
-  let w2 = Math.floor(d * 1 / 2);
-  let y2 = Math.floor(d * 8 / 7);
-  let h2 = Math.floor(d * 1 / 2);
-  const roi1 = thresh.roi(clampRect(x, y, w, h));
-  const roi21 = thresh.roi(clampRect(x21, y2, w2, h2));
-  const roi22 = thresh.roi(clampRect(x22, y2, w2, h2));
-  const roiVec = new cv.MatVector();
-  roiVec.push_back(roi21);
-  roiVec.push_back(roi22);
-  const roi2 = new cv.Mat();
-  cv.hconcat(roiVec, roi2);
-  roiVec.delete();
-  const measure1 = cv.countNonZero(roi1) / (roi1.rows * roi1.cols || 1);
-  const measure2 = cv.countNonZero(roi2) / (roi2.rows * roi2.cols || 1);
-  const measure = measure1 * 0.3 + measure2 * 0.7;
-  gray.delete(); thresh.delete(); roi1.delete(); roi21.delete(); roi22.delete(); roi2.delete();
-  return { measure };
-}
-
+import { getFaceBox } from '../algorithms/face-alignment.js';
+import { primaryFaceIndex } from './face-badges.js';
+import { setupCalibration } from './calibration-panel.js';
+import { setupProbabilityFit } from './probability-panel.js';
+import { getSobelOtsuRois, computeSobelYGray, otsuAndMeasure } from '../algorithms/sobel-otsu-detector.js';
+import { drawScaled } from './batch-pipeline.js';
+import { readPoolSize } from './worker-pool.js';
+import { BatchEngine } from './batch-engine.js';
+import { ResultsView, connectEngine, pickBatchFiles } from './batch-view.js';
+import { getLandmarker } from './landmark-providers.js';
+import { showAssetReport, showAssetError } from './asset-loader.js';
+import { setupSessionsPanel, persistRun } from './sessions-panel.js';
+import { setupResultsImport } from './result-import.js';
+import { waitForOpenCV, alignFaceCv, toGrayMat, regionOcclusion, normalizeIlluminationCv, lensFeaturesCv, clearCanvases } from './opencv-face.js';
+
+// Upper bound on faces landmarked per image (group photos)
+const MAX_FACES = 5;
+
+// Source image, measure label on the aligned face, and the Sobel plane with its ROIs
 function drawPreview(canvases, img, sobelAbs, measure) {
   const { preview, aligned, sobel } = canvases;
   const pctx = preview.getContext('2d');
   preview.width = img.width; preview.height = img.height;
   pctx.drawImage(img, 0, 0);
-  // Ensure sobel canvas shows correct (non-flipped) orientation
-  cv.imshow(sobel, sobelAbs);
   const actx = aligned.getContext('2d');
   actx.font = '12px system-ui';
   actx.fillStyle = '#fff';
   actx.fillText(`measure: ${measure.toFixed(3)}`, 6, 16);
 
-  // Draw ROI overlays on Sobel canvas (like realtime)
-  try {
-    const sctx = sobel.getContext('2d');
-    const d = Math.floor(sobel.height * 0.5);
-    const x = Math.floor(d * 6 / 7);
-    const y = Math.floor(d * 3 / 4);
-    const w = Math.floor(d * 2 / 7);
-    const h = Math.floor(d * 2 / 4);
-    const x21 = Math.floor(d * 1 / 4);
-    const x22 = Math.floor(d * 5 / 4);
-    const w2 = Math.floor(d * 1 / 2);
-    const y2 = Math.floor(d * 8 / 7);
-    const h2 = Math.floor(d * 1 / 2);
-    sctx.save();
-    sctx.strokeStyle = '#22d3ee';
-    sctx.lineWidth = 2;
-    sctx.strokeRect(x, y, w, h);
-    sctx.strokeRect(x21, y2, w2, h2);
-    sctx.strokeRect(x22, y2, w2, h2);
-    sctx.fillStyle = '#fff';
-    sctx.font = '12px system-ui';
-    sctx.fillText(`measure: ${measure.toFixed(3)}`, 8, 16);
-    sctx.restore();
-  } catch (_) {}
+  const sctx = sobel.getContext('2d');
+  const rgba = new Uint8ClampedArray(sobelAbs.length * 4);
+  for (let i = 0; i < sobelAbs.length; i++) {
+    rgba[4 * i] = rgba[4 * i + 1] = rgba[4 * i + 2] = sobelAbs[i];
+    rgba[4 * i + 3] = 255;
+  }
+  sctx.putImageData(new ImageData(rgba, sobel.width, sobel.height), 0, 0);
+  // ROI overlays (like realtime)
+  const { roi1, roi21, roi22 } = getSobelOtsuRois(sobel.width, sobel.height);
+  sctx.save();
+  sctx.strokeStyle = '#22d3ee';
+  sctx.lineWidth = 2;
+  for (const r of [roi1, roi21, roi22]) sctx.strokeRect(r.x, r.y, r.width, r.height);
+  sctx.fillStyle = '#fff';
+  sctx.font = '12px system-ui';
+  sctx.fillText(`measure: ${measure.toFixed(3)}`, 8, 16);
+  sctx.restore();
 }
 
-function createCsv(rows) {
-  const header = ['path', 'measure', 'withGlasses'];
-  const lines = [header.join(',')].concat(rows.map(r => [r.path, r.measure.toFixed(6), r.withGlasses ? 1 : 0].join(',')));
-  return new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8;' });
-}
+const preview = document.getElementById('preview');
+const alignedCanvas = document.getElementById('aligned');
+const sobelCanvas = document.getElementById('sobel');
+alignedCanvas.width = 256; alignedCanvas.height = 256;
+sobelCanvas.width = 256; sobelCanvas.height = 256;
+const illuminationSelect = document.getElementById('illuminationSelect');
 
-async function runBatch(files, groundTruthMap = null) {
-  const statusEl = document.getElementById('status');
-  const progressEl = document.getElementById('progress');
-  const summaryEl = document.getElementById('summary');
-  const downloadEl = document.getElementById('downloadCsv');
-  const measureBadge = document.getElementById('measureBadge');
-  const gridEl = document.getElementById('thumbGrid');
-  const thresholdInput = document.getElementById('thresholdInput');
-  const thresholdLabel = document.getElementById('thresholdLabel');
+// Illumination normalization picked on the page, for both the OpenCV and the worker path
+function illuminationOptions() {
+  return { illumination: illuminationSelect ? illuminationSelect.value : 'none' };
+}
 
-  const preview = document.getElementById('preview');
-  const alignedCanvas = document.getElementById('aligned');
-  const sobelCanvas = document.getElementById('sobel');
-  alignedCanvas.width = 256; alignedCanvas.height = 256;
-  sobelCanvas.width = 256; sobelCanvas.height = 256;
-  if (gridEl) gridEl.innerHTML = '';
-  if (thresholdInput && thresholdLabel) {
-    thresholdLabel.textContent = String(parseFloat(thresholdInput.value).toFixed(2));
-    thresholdInput.addEventListener('input', () => {
-      thresholdLabel.textContent = String(parseFloat(thresholdInput.value).toFixed(2));
-      // Reclassify existing grid items and regenerate CSV when threshold changes
-      if (gridEl) reclassifyGridAndCsv();
-    });
-  }
+// Measure one face with the OpenCV pipeline. On success the aligned (illumination-normalized)
+// Mat and the Sobel plane are returned for preview; the caller must delete the Mat.
+function measureFaceCv(tmp, landmarks, opts) {
+  const { reason, eyes, pose, aligned } = alignFaceCv(tmp, 'mediapipe', landmarks);
+  const { illumination } = opts;
+  if (!aligned) return { measure: NaN, occluded: false, lens: null, reason, eyes, pose, illumination, aligned: null, sobelAbs: null };
+  // A hand or hair over the bridge (ROI_1) makes the measure meaningless; judged before
+  // normalization, which would restore a covered bridge's contrast
+  const gray = toGrayMat(aligned);
+  const { occluded } = regionOcclusion(gray, getSobelOtsuRois(aligned.cols, aligned.rows).roi1);
+  gray.delete();
+  // Eye-region darkness for the glasses type (sunglasses), on the raw face as well
+  const lens = lensFeaturesCv(aligned, tmp, 'mediapipe', landmarks, eyes);
+  const normalized = normalizeIlluminationCv(aligned, opts);
+  const measured = normalized || aligned;
+  if (normalized) aligned.delete();
+  // Sobel/Otsu measure with the pure detector's helpers, so both paths measure alike
+  const measuredGray = toGrayMat(measured);
+  const sobelAbs = computeSobelYGray(measuredGray.data, measured.cols, measured.rows);
+  measuredGray.delete();
+  const { measure } = otsuAndMeasure(sobelAbs, measured.cols, measured.rows);
+  return { measure, occluded, lens, reason, eyes, pose, illumination, aligned: measured, sobelAbs };
+}
 
-  await waitForOpenCV();
-  const { FaceMesh } = window;
-  const faceMesh = new FaceMesh({ locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4/${file}` });
-  faceMesh.setOptions({
-    staticImageMode: true,
-    maxNumFaces: 1,
-    refineLandmarks: true,
-    minDetectionConfidence: 0.5,
-    minTrackingConfidence: 0.5
-  });
-  const resultsQueue = [];
-  faceMesh.onResults((res) => {
-    const resolver = resultsQueue.shift();
-    if (resolver) resolver(res);
+// Measure every face with OpenCV. Only the primary (largest) face keeps its aligned Mat and
+// Sobel plane for preview; the caller must delete the Mat.
+function measureFaces(tmp, facesLandmarks, opts = illuminationOptions()) {
+  const faces = facesLandmarks.map((landmarks, faceIndex) => ({
+    faceIndex,
+    box: getFaceBox('mediapipe', landmarks, tmp.width, tmp.height),
+    ...measureFaceCv(tmp, landmarks, opts),
+  }));
+  const p = primaryFaceIndex(faces);
+  faces.forEach((face, idx) => {
+    if (idx === p) return;
+    if (face.aligned) face.aligned.delete();
+    face.aligned = null; face.sobelAbs = null;
   });
-  const baseMinEyeDistPx = 40;
-  function getThreshold() {
-    return thresholdInput && !isNaN(parseFloat(thresholdInput.value)) ? parseFloat(thresholdInput.value) : 0.13;
-  }
-
-  const totalFiles = files.length;
-  let processedCount = 0;
-  // Accumulate results in file order for stable CSV generation
-  // rows declared earlier for stable CSV order
-
-  function reclassifyGridAndCsv() {
-    if (!gridEl) return;
-    const threshold = getThreshold();
-    const thumbs = Array.from(gridEl.children || []);
-    let gtTotal = 0;
-    let gtCorrect = 0;
-    let gtFp = 0; // saw non-existent glasses
-    let gtFn = 0; // failed to see glasses
-    for (const t of thumbs) {
-      const measureStr = t.dataset && t.dataset.measure ? t.dataset.measure : 'NaN';
-      const measureVal = parseFloat(measureStr);
-      const path = (t.dataset && t.dataset.path) || '';
-      const predicted = isFinite(measureVal) ? (measureVal > threshold) : false;
-      const truthStr = (t.dataset && typeof t.dataset.truth !== 'undefined') ? t.dataset.truth : '';
-      const hasTruth = truthStr !== '' && truthStr !== null;
-      const truth = hasTruth ? (truthStr === '1') : null;
-      // Reset any previous classes
-      t.classList.remove('ok', 'warn', 'blue', 'yellow');
-      if (hasTruth) {
-        gtTotal++;
-        if (predicted === truth) {
-          gtCorrect++;
-        } else {
-          if (predicted && !truth) gtFp++;
-          if (!predicted && truth) gtFn++;
-        }
-        if (predicted === truth) {
-          t.classList.add(predicted ? 'blue' : 'ok');
-        } else {
-          t.classList.add(predicted ? 'warn' : 'yellow');
-        }
-      } else {
-        // Fallback to prediction-only coloring if no ground truth
-        t.classList.add(predicted ? 'warn' : 'ok');
-      }
-      t.title = isFinite(measureVal)
-        ? `${predicted ? 'With' : 'No'} Glasses (${measureVal.toFixed(3)})${hasTruth ? ` • GT: ${truth ? 'With' : 'No'} Glasses` : ''}`
-        : 'No face detected';
-      // UI classification only; CSV will be generated from the stable rows array
-    }
-    // Update badge for selected item, if any
-    const selected = gridEl.querySelector('.thumb.selected');
-    if (selected) {
-      const m = parseFloat(selected.dataset.measure || 'NaN');
-      const wgSel = isFinite(m) ? (m > threshold) : false;
-      measureBadge.textContent = isFinite(m) ? `${wgSel ? 'With' : 'No'} Glasses (${m.toFixed(3)})` : 'No face';
-      measureBadge.classList.toggle('warn', wgSel);
-      measureBadge.classList.toggle('ok', !wgSel);
-    }
-    // Regenerate CSV download based on current threshold
-    // Build CSV from file-order rows and current threshold
-    const rowsForCsv = rows.map(r => ({
-      path: r.path,
-      measure: r.measure,
-      withGlasses: isFinite(r.measure) ? (r.measure > threshold) : false
-    }));
-    const blob = createCsv(rowsForCsv);
-    const url = URL.createObjectURL(blob);
-    downloadEl.href = url;
-    downloadEl.style.display = 'inline-block';
-    const isDone = processedCount >= totalFiles;
-    const prefix = isDone ? `Done: ${thumbs.length} images.` : `Processed: ${processedCount}/${totalFiles}.`;
-    if (gtTotal > 0) {
-      const pct = ((gtCorrect / gtTotal) * 100).toFixed(1);
-      const wrong = gtTotal - gtCorrect;
-      const wrongPct = ((wrong / gtTotal) * 100).toFixed(1);
-      summaryEl.textContent = `${prefix} Correct: ${gtCorrect}/${gtTotal} (${pct}%). Wrong: ${wrong} (${wrongPct}%). FP: ${gtFp}, FN: ${gtFn}. Click Download CSV.`;
-    } else {
-      summaryEl.textContent = `${prefix} Click Download CSV.`;
-    }
-  }
-
-  function createScaledCanvasFromImage(imageEl, maxSide = 720) {
-    const maxDim = Math.max(imageEl.width, imageEl.height);
-    const scale = maxDim > maxSide ? (maxSide / maxDim) : 1;
-    const w = Math.round(imageEl.width * scale);
-    const h = Math.round(imageEl.height * scale);
-    const c = document.createElement('canvas');
-    c.width = w; c.height = h;
-    const ctx = c.getContext('2d');
-    ctx.drawImage(imageEl, 0, 0, w, h);
-    return c;
-  }
+  return { faces, primary: p >= 0 ? faces[p] : null };
+}
 
-  // Helper to (re)analyze and display outputs for a given HTMLImageElement
-  async function showResultsForImage(imageEl) {
-    const tmp = createScaledCanvasFromImage(imageEl, 720);
-    const results = await new Promise((resolve) => {
-      resultsQueue.push(resolve);
-      faceMesh.send({ image: tmp });
-    });
-    let measure = NaN; let withGlasses = false;
-    if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-      const landmarks = results.multiFaceLandmarks[0];
-      const corners = getEyeCornerPoints(landmarks, tmp.width, tmp.height);
-      const { leftCenter, rightCenter } = getCentersFromCorners(tmp.width, tmp.height, corners);
-      const eyeDx = rightCenter[0] - leftCenter[0];
-      const eyeDy = rightCenter[1] - leftCenter[1];
-      const eyeDist = Math.hypot(eyeDx, eyeDy);
-      const dynamicMinEyeDist = Math.max(baseMinEyeDistPx, Math.round(0.055 * Math.min(tmp.width, tmp.height)));
-      if (!isFinite(eyeDist) || eyeDist < dynamicMinEyeDist) {
-        // too small/invalid face region
-        const pctx = preview.getContext('2d');
-        pctx.clearRect(0, 0, preview.width, preview.height);
-        const actx = alignedCanvas.getContext('2d');
-        actx.clearRect(0, 0, alignedCanvas.width, alignedCanvas.height);
-        const sctx = sobelCanvas.getContext('2d');
-        sctx.clearRect(0, 0, sobelCanvas.width, sobelCanvas.height);
-        measureBadge.textContent = 'No face';
-        measureBadge.classList.remove('ok', 'warn');
-        return;
-      }
-      let aligned = getAlignedFaceFromCenters(tmp, leftCenter, rightCenter, 256, 256);
-      // Ensure orientation matches realtime measurement expectations (flip vertically)
-      const alignedFlipped = new cv.Mat();
-      cv.flip(aligned, alignedFlipped, 0);
-      aligned.delete();
-      aligned = alignedFlipped;
-      cv.imshow(alignedCanvas, aligned);
-      const sobelAbs = computeSobelYAligned(aligned);
-      ({ measure } = otsuAndMeasure(sobelAbs));
-      withGlasses = measure > getThreshold();
-      drawPreview({ preview, aligned: alignedCanvas, sobel: sobelCanvas }, imageEl, sobelAbs, measure);
-      aligned.delete(); sobelAbs.delete();
-    } else {
-      // Clear canvases when no face
-      const pctx = preview.getContext('2d');
-      pctx.clearRect(0, 0, preview.width, preview.height);
-      const actx = alignedCanvas.getContext('2d');
-      actx.clearRect(0, 0, alignedCanvas.width, alignedCanvas.height);
-      const sctx = sobelCanvas.getContext('2d');
-      sctx.clearRect(0, 0, sobelCanvas.width, sobelCanvas.height);
-    }
-    measureBadge.textContent = isFinite(measure) ? `${withGlasses ? 'With' : 'No'} Glasses (${measure.toFixed(3)})` : 'No face';
-    measureBadge.classList.toggle('warn', withGlasses);
-    measureBadge.classList.toggle('ok', !withGlasses);
+// Show the primary face's aligned/Sobel previews (or clear them) and release its Mat
+function showPrimaryPreview(primary, imageEl) {
+  if (primary && primary.aligned) {
+    cv.imshow(alignedCanvas, primary.aligned);
+    drawPreview({ preview, aligned: alignedCanvas, sobel: sobelCanvas }, imageEl, primary.sobelAbs, primary.measure);
+    primary.aligned.delete();
+    primary.aligned = null; primary.sobelAbs = null;
+  } else {
+    clearCanvases(preview, alignedCanvas, sobelCanvas);
   }
+}
 
-  const rows = [];
-  let cancelled = false;
-  document.getElementById('cancelBtn').onclick = () => { cancelled = true; };
-
-  for (let i = 0; i < files.length; i++) {
-    if (cancelled) break;
-    const f = files[i];
-    statusEl.textContent = `Processing ${i + 1}/${files.length}: ${f.webkitRelativePath || f.name}`;
-    progressEl.value = Math.round(((i + 1) / files.length) * 100);
-
-    const img = await new Promise((resolve, reject) => {
-      const url = URL.createObjectURL(f);
-      const im = new Image();
-      im.onload = () => resolve(im);
-      im.onerror = reject;
-      im.src = url;
-    });
-
-    // Draw to a scaled temp canvas for pipeline input (match realtime scale)
-    const tmp = createScaledCanvasFromImage(img, 720);
+// Re-analyze a clicked thumbnail on the main thread to show its previews
+async function showResultsForImage(imageEl) {
+  await waitForOpenCV();
+  const landmarker = await getLandmarker('mediapipe', { maxFaces: MAX_FACES });
+  const tmp = drawScaled(imageEl, 720);
+  const { facesLandmarks } = await landmarker.landmark(tmp);
+  showPrimaryPreview(measureFaces(tmp, facesLandmarks).primary, tmp);
+}
 
-    // Run facemesh
-    const results = await new Promise((resolve) => {
-      resultsQueue.push(resolve);
-      faceMesh.send({ image: tmp });
-    });
+const view = new ResultsView({
+  gridEl: document.getElementById('thumbGrid'),
+  summaryEl: document.getElementById('summary'),
+  downloadEl: document.getElementById('downloadCsv'),
+  measureBadge: document.getElementById('measureBadge'),
+  metricsEl: document.getElementById('metricsPanel'),
+  thresholdInput: document.getElementById('thresholdInput'),
+  thresholdLabel: document.getElementById('thresholdLabel'),
+  marginInput: document.getElementById('uncertainMarginInput'),
+  exportEl: document.getElementById('exportButtons'),
+  page: 'batch',
+  defaultThreshold: () => 0.13,
+  onSelect: (record, thumbImg) => showResultsForImage(thumbImg),
+});
 
-    let measure = NaN; let withGlasses = false;
-    if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-      const landmarks = results.multiFaceLandmarks[0];
-      const corners = getEyeCornerPoints(landmarks, tmp.width, tmp.height);
-      const { leftCenter, rightCenter } = getCentersFromCorners(tmp.width, tmp.height, corners);
-      const eyeDx = rightCenter[0] - leftCenter[0];
-      const eyeDy = rightCenter[1] - leftCenter[1];
-      const eyeDist = Math.hypot(eyeDx, eyeDy);
-      const dynamicMinEyeDist = Math.max(baseMinEyeDistPx, Math.round(0.055 * Math.min(tmp.width, tmp.height)));
-      if (!isFinite(eyeDist) || eyeDist < dynamicMinEyeDist) {
-        const pctx = preview.getContext('2d');
-        pctx.clearRect(0, 0, preview.width, preview.height);
-        const actx = alignedCanvas.getContext('2d');
-        actx.clearRect(0, 0, alignedCanvas.width, alignedCanvas.height);
-        const sctx = sobelCanvas.getContext('2d');
-        sctx.clearRect(0, 0, sobelCanvas.width, sobelCanvas.height);
-        measureBadge.textContent = 'No face';
-        measureBadge.classList.remove('ok', 'warn');
-        return;
-      }
-      let aligned = getAlignedFaceFromCenters(tmp, leftCenter, rightCenter, 256, 256);
-      const alignedFlipped = new cv.Mat();
-      cv.flip(aligned, alignedFlipped, 0);
-      aligned.delete();
-      aligned = alignedFlipped;
-      cv.imshow(alignedCanvas, aligned);
-      const sobelAbs = computeSobelYAligned(aligned);
-      ({ measure } = otsuAndMeasure(sobelAbs));
-      withGlasses = measure > getThreshold();
-      drawPreview({ preview, aligned: alignedCanvas, sobel: sobelCanvas }, img, sobelAbs, measure);
-      aligned.delete(); sobelAbs.delete();
-    }
+// Past runs stored in IndexedDB, side by side; Open replays one into the grid
+const sessions = setupSessionsPanel({
+  panelEl: document.getElementById('sessionsPanel'),
+  page: 'batch',
+  view,
+  statusEl: document.getElementById('status'),
+  progressEl: document.getElementById('progress'),
+  dirInput: document.getElementById('dirInput'),
+});
 
-    const filePath = f.webkitRelativePath || f.name;
-    rows.push({ path: filePath, measure, withGlasses });
-    measureBadge.textContent = isFinite(measure) ? `${withGlasses ? 'With' : 'No'} Glasses (${measure.toFixed(3)})` : 'No face';
-    measureBadge.classList.toggle('warn', withGlasses);
-    measureBadge.classList.toggle('ok', !withGlasses);
-    if (gridEl) {
-      const thumb = document.createElement('div');
-      let truth = null;
-      const pathForTruth = (f.webkitRelativePath || filePath || '').toLowerCase();
-      const parts = pathForTruth.split('/');
-      const parent = parts.length > 1 ? parts[parts.length - 2] : '';
-      if (parent === 'glasses') truth = true;
-      else if (parent === 'no_glasses') truth = false;
-      // Assign border class based on prediction vs truth (if available)
-      const cls = (() => {
-        if (truth === null) return withGlasses ? 'warn' : 'ok';
-        if (withGlasses === truth) return withGlasses ? 'blue' : 'ok';
-        return withGlasses ? 'warn' : 'yellow';
-      })();
-      thumb.className = `thumb ${cls}`;
-      thumb.title = isFinite(measure)
-        ? `${withGlasses ? 'With' : 'No'} Glasses (${measure.toFixed(3)})${truth === null ? '' : ` • GT: ${truth ? 'With' : 'No'} Glasses`}`
-        : 'No face detected';
-      const thumbImg = document.createElement('img');
-      thumbImg.src = img.src;
-      thumbImg.alt = filePath;
-      thumb.appendChild(thumbImg);
-      const cap = document.createElement('div');
-      cap.className = 'cap';
-      cap.textContent = filePath.split('/').slice(-1)[0];
-      thumb.appendChild(cap);
-      thumb.dataset.measure = String(measure);
-      thumb.dataset.path = filePath;
-      if (truth !== null) thumb.dataset.truth = truth ? '1' : '0';
-      gridEl.appendChild(thumb);
-      thumb.addEventListener('click', () => {
-        // mark selection
-        for (const el of gridEl.querySelectorAll('.thumb.selected')) el.classList.remove('selected');
-        thumb.classList.add('selected');
-        showResultsForImage(img);
-        console.log('[batch] clicked', { filePath, measure, withGlasses });
-      });
-      // Update running progress and stats in the UI
-      processedCount = Math.min(totalFiles, (i + 1));
-      reclassifyGridAndCsv();
-    }
-    await new Promise(r => setTimeout(r)); // allow UI to paint
-  }
+// Re-evaluate an exported results file: stored measures, no images or models needed
+setupResultsImport({
+  inputEl: document.getElementById('resultsInput'),
+  view,
+  algorithm: () => 'sobel-otsu',
+  dirInput: document.getElementById('dirInput'),
+  labelsInput: document.getElementById('labelsInput'),
+  labelsStatusEl: document.getElementById('labelsStatus'),
+  statusEl: document.getElementById('status'),
+  progressEl: document.getElementById('progress'),
+});
 
-  // Finalize by classifying with current threshold and updating summary + CSV
-  reclassifyGridAndCsv();
-}
+let engine = null;
+document.getElementById('cancelBtn').addEventListener('click', () => { if (engine) engine.cancel(); });
 
 document.getElementById('startBtn').addEventListener('click', async () => {
-  const input = document.getElementById('dirInput');
-  const allFiles = Array.from(input.files || []);
-  const imgFiles = allFiles.filter(f => /\.(jpg|jpeg|png|bmp|webp)$/i.test(f.name));
-  if (imgFiles.length === 0) {
-    alert('Please choose a folder with images.');
+  const picked = await pickBatchFiles({
+    dirInput: document.getElementById('dirInput'),
+    labelsInput: document.getElementById('labelsInput'),
+    labelsStatusEl: document.getElementById('labelsStatus'),
+  });
+  if (!picked) return;
+  if (engine) engine.cancel();
+  document.getElementById('status').textContent = 'Loading OpenCV and FaceMesh...';
+  let landmarker;
+  try {
+    await waitForOpenCV();
+    landmarker = await getLandmarker('mediapipe', { maxFaces: MAX_FACES });
+  } catch (err) {
+    document.getElementById('status').textContent = 'Cannot load OpenCV or FaceMesh.';
+    showAssetError(document.getElementById('assetReport'), err);
     return;
   }
-  function parentFolderName(file) {
-    const p = (file.webkitRelativePath || file.name).split('/');
-    return p.length > 1 ? p[p.length - 2].toLowerCase() : '';
-  }
-  function classifyFolder(name) {
-    const s = String(name || '').toLowerCase();
-    const t = s.replace(/[^a-z]/g, '');
-    if (t === 'glasses' || t === 'withglasses') return 'glasses';
-    if (t === 'noglasses' || t === 'withoutglasses' || t === 'noeyeglasses') return 'no_glasses';
-    return '';
-  }
-  const glassesFiles = imgFiles.filter(f => classifyFolder(parentFolderName(f)) === 'glasses');
-  const noGlassesFiles = imgFiles.filter(f => classifyFolder(parentFolderName(f)) === 'no_glasses');
-  const interleaved = [];
-  let i = 0, j = 0;
-  while (i < glassesFiles.length || j < noGlassesFiles.length) {
-    if (i < glassesFiles.length) interleaved.push(glassesFiles[i++]);
-    if (j < noGlassesFiles.length) interleaved.push(noGlassesFiles[j++]);
-  }
-  const files = interleaved.length > 0 ? interleaved : imgFiles;
-  document.getElementById('downloadCsv').style.display = 'none';
-  document.getElementById('progress').value = 0;
-  document.getElementById('status').textContent = 'Starting...';
-  runBatch(files, null);
+  // Workers measure with the pure Sobel/Otsu port ("sobel-otsu"); with 0 workers the OpenCV
+  // pipeline runs on the main thread and the preview panes follow every image
+  const options = illuminationOptions();
+  engine = new BatchEngine({
+    landmarker,
+    algorithm: 'sobel-otsu',
+    options,
+    poolSize: readPoolSize(document.getElementById('workersInput')),
+    groundTruthMap: picked.groundTruthMap,
+    measureLocal: (tmp, { facesLandmarks }) => {
+      const { faces, primary } = measureFaces(tmp, facesLandmarks, options);
+      showPrimaryPreview(primary, tmp);
+      return faces;
+    },
+  });
+  connectEngine(engine, view, { statusEl: document.getElementById('status'), progressEl: document.getElementById('progress') });
+  // Store every result so the run can be resumed or reopened from the session list
+  const { restored, pending } = await persistRun(engine, { page: 'batch', files: picked.files, provider: 'mediapipe', algorithm: 'sobel-otsu', illumination: options.illumination, threshold: () => view.getThreshold() });
+  engine.addEventListener('done', () => sessions.refresh());
+  engine.run(pending, { restored }).catch((err) => {
+    console.error('[batch] run failed', err);
+    document.getElementById('status').textContent = `Run failed: ${err.message}`;
+  });
 });
 
+// Threshold calibration from the labeled results in the grid
+setupCalibration({
+  gridEl: document.getElementById('thumbGrid'),
+  thresholdInput: document.getElementById('thresholdInput'),
+  button: document.getElementById('calibrateBtn'),
+  criterionSelect: document.getElementById('calibrationCriterion'),
+  summaryEl: document.getElementById('calibrationSummary'),
+});
 
+// Probability model fitted on this page's measure (same as the "sobel-otsu" registry algorithm)
+setupProbabilityFit({
+  gridEl: document.getElementById('thumbGrid'),
+  algorithm: () => 'sobel-otsu',
+  methodSelect: document.getElementById('probabilityMethod'),
+  button: document.getElementById('fitProbabilityBtn'),
+  downloadEl: document.getElementById('downloadProbabilityModel'),
+  summaryEl: document.getElementById('probabilitySummary'),
+});
 
-// Initialize threshold label immediately on page load (not only after Start)
-(function initThresholdLabel() {
-  const thrInput = document.getElementById('thresholdInput');
-  const thrLabel = document.getElementById('thresholdLabel');
-  if (thrInput && thrLabel) {
-    thrLabel.textContent = String(parseFloat(thrInput.value).toFixed(2));
-    thrInput.addEventListener('input', () => {
-      thrLabel.textContent = String(parseFloat(thrInput.value).toFixed(2));
-    });
-  }
-})();
\ No newline at end of file
+// Report missing local runtime files before the first run
+showAssetReport(document.getElementById('assetReport'), { runtimes: ['opencv', 'faceMesh'] });
@@ -0,0 +1,55 @@
+// Threshold calibration controls shared by the batch pages
+// Reads the primary-face measure and folder ground truth from the results grid, sweeps the
+// slider's positions and applies the threshold picked by the selected criterion.
+
+import { sweepThresholds, gridThresholds, CALIBRATION_CRITERIA } from '../algorithms/calibration.js';
+import { collectGridMeasures } from './metrics-panel.js';
+
+/**
+ * Labeled samples from the thumbnails of a results grid (thumbs without ground truth are skipped).
+ * @param {HTMLElement} gridEl
+ * @returns {Array<{measure:number, truth:boolean}>}
+ */
+export function collectLabeledMeasures(gridEl) {
+  return collectGridMeasures(gridEl).filter(s => s.truth !== null);
+}
+
+function formatPoint(p) {
+  return `t=${p.threshold.toFixed(3)} (acc ${(p.accuracy * 100).toFixed(1)}%, J ${p.youden.toFixed(3)}, BER ${(p.balancedError * 100).toFixed(1)}%)`;
+}
+
+/**
+ * Wire the Calibrate button. Applying a threshold sets the slider and fires its `input`
+ * event, so the page's own listener recolors the grid and regenerates the CSV.
+ * @param {{ gridEl:HTMLElement, thresholdInput:HTMLInputElement, button:HTMLElement, criterionSelect:HTMLSelectElement, summaryEl:HTMLElement }} els
+ */
+export function setupCalibration({ gridEl, thresholdInput, button, criterionSelect, summaryEl }) {
+  if (!button || !gridEl || !thresholdInput) return;
+  if (criterionSelect && criterionSelect.options.length === 0) {
+    for (const [key, { label }] of Object.entries(CALIBRATION_CRITERIA)) {
+      const opt = document.createElement('option');
+      opt.value = key; opt.textContent = label;
+      criterionSelect.appendChild(opt);
+    }
+  }
+  button.addEventListener('click', () => {
+    const samples = collectLabeledMeasures(gridEl);
+    const positives = samples.filter(s => s.truth).length;
+    if (positives === 0 || positives === samples.length) {
+      if (summaryEl) summaryEl.textContent = `Calibration needs images from both glasses/ and no_glasses/ folders (${samples.length} labeled so far).`;
+      return;
+    }
+    // Sweep exactly the slider positions so the applied value is representable
+    const min = parseFloat(thresholdInput.min); const max = parseFloat(thresholdInput.max);
+    const step = parseFloat(thresholdInput.step);
+    const sweep = sweepThresholds(samples, { thresholds: gridThresholds(min, max, step) });
+    const criterion = (criterionSelect && criterionSelect.value) || 'accuracy';
+    const chosen = sweep.best[criterion];
+    thresholdInput.value = String(chosen.threshold);
+    thresholdInput.dispatchEvent(new Event('input'));
+    if (summaryEl) {
+      const lines = Object.entries(CALIBRATION_CRITERIA).map(([key, { label }]) => `${label}: ${formatPoint(sweep.best[key])}`);
+      summaryEl.textContent = `Calibrated on ${sweep.positives} glasses / ${sweep.negatives} no-glasses images; applied ${CALIBRATION_CRITERIA[criterion].label} threshold ${chosen.threshold.toFixed(3)}. ${lines.join(' • ')}`;
+    }
+  });
+}
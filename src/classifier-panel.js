@@ -0,0 +1,69 @@
+// Classifier controls of final.html
+// Trains a logistic regression or small MLP on the feature vectors of the labeled results
+// of the current run (final.js asks bridge-based algorithms for them) and offers the model
+// as a JSON download; the page can load such a file back for the classifier algorithm.
+
+import { trainClassifier, exportClassifierModel, loadClassifierModel } from '../algorithms/classifier.js';
+
+/**
+ * Labeled feature vectors of a results view: the primary face of every labeled image
+ * measured in this page session. Restored and imported results carry no features.
+ * @param {{ records:Array<object> }} view - ResultsView (batch-view.js)
+ * @returns {Array<{ features:Float32Array, truth:boolean }>}
+ */
+export function collectLabeledFeatures(view) {
+  return view.records
+    .filter(r => r.truth !== null && r.primary && r.primary.features)
+    .map(r => ({ features: r.primary.features, truth: r.truth }));
+}
+
+/**
+ * Wire the Train button and the model download link.
+ * @param {{ view:object, typeSelect:HTMLSelectElement, button:HTMLElement, downloadEl:HTMLAnchorElement, summaryEl:HTMLElement }} els
+ */
+export function setupClassifierTraining({ view, typeSelect, button, downloadEl, summaryEl }) {
+  if (!button || !view) return;
+  button.addEventListener('click', () => {
+    const samples = collectLabeledFeatures(view);
+    const type = (typeSelect && typeSelect.value) || 'logistic';
+    // The features were computed with the run's normalization; the model must be used with it
+    const illumination = (view.run.options && view.run.options.illumination) || 'none';
+    if (summaryEl) summaryEl.textContent = `Training ${type} on ${samples.length} labeled faces…`;
+    button.disabled = true;
+    // Let the message paint first: training blocks the page for a moment
+    setTimeout(() => {
+      let model;
+      try {
+        model = trainClassifier(samples, { type, illumination });
+      } catch (err) {
+        if (summaryEl) summaryEl.textContent = `Cannot train: ${err.message} Run the bridge algorithm on labeled images first.`;
+        return;
+      } finally {
+        button.disabled = false;
+      }
+      const blob = new Blob([exportClassifierModel(model)], { type: 'application/json' });
+      if (downloadEl) {
+        if (downloadEl.href) URL.revokeObjectURL(downloadEl.href);
+        downloadEl.href = URL.createObjectURL(blob);
+        downloadEl.download = `glasses-classifier-${type}.json`;
+        downloadEl.style.display = 'inline-block';
+      }
+      if (summaryEl) {
+        const { train, validation, bestEpoch, epochs } = model.training;
+        const part = (name, q) => `${name} ${q.n} (${(q.accuracy * 100).toFixed(1)}%, log loss ${q.logLoss.toFixed(3)})`;
+        summaryEl.textContent = `${type} model: ${part('train', train)}${validation ? `, ${part('validation', validation)}` : ''}; best epoch ${bestEpoch} of ${epochs}.`;
+      }
+    }, 0);
+  });
+}
+
+/**
+ * Read and validate the classifier model picked in a file input.
+ * @param {HTMLInputElement|null} inputEl
+ * @returns {Promise<object|null>} null when no file is selected; throws TypeError for an invalid model
+ */
+export async function readClassifierModel(inputEl) {
+  const file = inputEl && inputEl.files && inputEl.files[0];
+  if (!file) return null;
+  return loadClassifierModel(await file.text());
+}
@@ -0,0 +1,80 @@
+// Per-face badges shared by the realtime and batch pages (multi-face support)
+// A face entry is { faceIndex, measure, box?, withGlasses? }; measure may be NaN when a face
+// was rejected. A boolean withGlasses (e.g. a GlassesStream state) overrides the threshold.
+
+/**
+ * Index (into `faces`) of the primary face: the one with the largest box, else the first.
+ * Image-level coloring and metrics use this face. Returns -1 when there are no faces.
+ * @param {Array<{ box?:{width:number,height:number}|null }>} faces
+ * @returns {number}
+ */
+export function primaryFaceIndex(faces) {
+  if (!faces || faces.length === 0) return -1;
+  let best = 0; let bestArea = -1;
+  faces.forEach((f, i) => {
+    const area = f.box ? f.box.width * f.box.height : 0;
+    if (area > bestArea) { best = i; bestArea = area; }
+  });
+  return best;
+}
+
+/**
+ * Serialize faces for a thumbnail's data-faces attribute (NaN survives as null).
+ * @param {Array<{ faceIndex:number, measure:number, box?:object|null }>} faces
+ * @returns {string}
+ */
+export function encodeFaces(faces) {
+  return JSON.stringify(faces.map(f => ({ i: f.faceIndex, m: isFinite(f.measure) ? f.measure : null, box: f.box || null })));
+}
+
+/**
+ * Inverse of encodeFaces.
+ * @param {string|undefined} str
+ * @returns {Array<{ faceIndex:number, measure:number, box:object|null }>}
+ */
+export function decodeFaces(str) {
+  try {
+    return JSON.parse(str || '[]').map(f => ({ faceIndex: f.i, measure: f.m === null ? NaN : f.m, box: f.box }));
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Render one small badge per face into `container`, colored by the current threshold.
+ * @param {HTMLElement} container
+ * @param {Array<{ faceIndex:number, measure:number, withGlasses?:boolean|null }>} faces
+ * @param {number} threshold
+ * @param {{ compact?:boolean }} [opts] - compact: index and measure only (thumbnail overlays)
+ */
+export function renderFaceBadges(container, faces, threshold, opts = {}) {
+  container.innerHTML = '';
+  for (const f of faces) {
+    const el = document.createElement('span');
+    const measured = isFinite(f.measure);
+    const glasses = measured && (typeof f.withGlasses === 'boolean' ? f.withGlasses : f.measure > threshold);
+    el.className = `${opts.compact ? 'face-badge' : 'badge'} ${measured ? (glasses ? 'warn' : 'ok') : ''}`.trim();
+    const label = measured ? `${glasses ? 'With' : 'No'} Glasses (${f.measure.toFixed(3)})` : 'No measure';
+    el.textContent = opts.compact ? `#${f.faceIndex + 1}` : `Face ${f.faceIndex + 1}: ${label}`;
+    el.title = `Face ${f.faceIndex + 1}: ${label}`;
+    container.appendChild(el);
+  }
+}
+
+/**
+ * Ensure a thumbnail has a face-badge overlay and refresh it from its data-faces attribute.
+ * Nothing is shown for single-face (or faceless) images.
+ * @param {HTMLElement} thumb
+ * @param {number} threshold
+ */
+export function refreshThumbFaceBadges(thumb, threshold) {
+  const faces = decodeFaces(thumb.dataset.faces);
+  let overlay = thumb.querySelector('.faces');
+  if (faces.length < 2) { if (overlay) overlay.remove(); return; }
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.className = 'faces';
+    thumb.appendChild(overlay);
+  }
+  renderFaceBadges(overlay, faces, threshold, { compact: true });
+}
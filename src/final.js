@@ -1,38 +1,33 @@
-// Wrapper UI to test the pure algorithm from algorithms/glasses-detector.js
-// Uses MediaPipe FaceMesh or face-api.js as the landmark provider and calls detectGlasses
+// Wrapper UI to test the pure algorithms from algorithms/
+// Uses MediaPipe FaceMesh or face-api.js as the landmark provider and runs the algorithm
+// picked by name from the registry (preselect with ?algorithm=<name>)
 
-import detectGlasses from '../algorithms/glasses-detector.js';
+import { listAlgorithms, getAlgorithm } from '../algorithms/registry.js';
+import { setupCalibration } from './calibration-panel.js';
+import { setupProbabilityFit, readProbabilityModel } from './probability-panel.js';
+import { setupFusionFit, readFusionModel } from './fusion-panel.js';
+import { setupClassifierTraining, readClassifierModel } from './classifier-panel.js';
+import { readPoolSize } from './worker-pool.js';
+import { BatchEngine } from './batch-engine.js';
+import { ResultsView, connectEngine, pickBatchFiles } from './batch-view.js';
+import { getLandmarker } from './landmark-providers.js';
+import { showAssetReport, showAssetError } from './asset-loader.js';
+import { setupSessionsPanel, persistRun } from './sessions-panel.js';
+import { setupResultsImport } from './result-import.js';
 
-function createCsv(rows) {
-  const header = ['path', 'measure', 'withGlasses'];
-  const lines = [header.join(',')].concat(rows.map(r => [r.path, isFinite(r.measure) ? r.measure.toFixed(6) : 'NaN', r.withGlasses ? 1 : 0].join(',')));
-  return new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8;' });
-}
-
-function createScaledCanvasFromImage(imageEl, maxSide = 720) {
-  const maxDim = Math.max(imageEl.width, imageEl.height);
-  const scale = maxDim > maxSide ? (maxSide / maxDim) : 1;
-  const w = Math.round(imageEl.width * scale);
-  const h = Math.round(imageEl.height * scale);
-  const c = document.createElement('canvas');
-  c.width = w; c.height = h;
-  const ctx = c.getContext('2d');
-  ctx.drawImage(imageEl, 0, 0, w, h);
-  return c;
-}
+// Upper bound on faces landmarked per image (group photos, meeting-room frames)
+const MAX_FACES = 5;
 
 async function main() {
   const statusEl = document.getElementById('status');
-  const progressEl = document.getElementById('progress');
-  const summaryEl = document.getElementById('summary');
-  const downloadEl = document.getElementById('downloadCsv');
-  const measureBadge = document.getElementById('measureBadge');
+  const assetReportEl = document.getElementById('assetReport');
   const gridEl = document.getElementById('thumbGrid');
   const thresholdInput = document.getElementById('thresholdInput');
   const thresholdLabel = document.getElementById('thresholdLabel');
   const providerSelect = document.getElementById('providerSelect');
+  const algorithmSelect = document.getElementById('algorithmSelect');
+  const illuminationSelect = document.getElementById('illuminationSelect');
 
-  const preview = document.getElementById('preview');
   const alignedCanvas = document.getElementById('aligned');
   const sobelCanvas = document.getElementById('sobel');
   alignedCanvas.style.width = '256px'; alignedCanvas.style.height = '256px';
@@ -41,232 +36,269 @@ async function main() {
   sobelCanvas.width = 256; sobelCanvas.height = 256;
 
   gridEl.innerHTML = '';
-  thresholdInput.value = '0.07';
-  thresholdInput.disabled = true;
-  thresholdLabel.textContent = '0.07';
-
-  // Maintain state for reclassification on threshold changes
-  let rows = [];
-  let processedCount = 0;
-  let totalFiles = 0;
+  for (const algo of listAlgorithms()) {
+    const opt = document.createElement('option');
+    opt.value = algo.name; opt.textContent = algo.label;
+    algorithmSelect.appendChild(opt);
+  }
+  const requestedAlgorithm = new URLSearchParams(location.search).get('algorithm');
+  if (requestedAlgorithm && listAlgorithms().some(a => a.name === requestedAlgorithm)) algorithmSelect.value = requestedAlgorithm;
+  function showAlgorithmThreshold() {
+    const algo = getAlgorithm(algorithmSelect.value);
+    const [lo, hi] = algo.measureRange;
+    thresholdInput.min = String(lo); thresholdInput.max = String(hi);
+    thresholdInput.step = String((hi - lo) / 100);
+    thresholdInput.value = String(algo.defaultThreshold);
+    thresholdLabel.textContent = algo.defaultThreshold.toFixed(2);
+  }
+  showAlgorithmThreshold();
 
-  // MediaPipe FaceMesh setup
-  const { FaceMesh } = window;
-  const faceMesh = new FaceMesh({ locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4/${file}` });
-  faceMesh.setOptions({ staticImageMode: true, maxNumFaces: 1, refineLandmarks: true, minDetectionConfidence: 0.5, minTrackingConfidence: 0.5 });
-  const resultsQueue = [];
-  faceMesh.onResults((res) => { const r = resultsQueue.shift(); if (r) r(res); });
+  const view = new ResultsView({
+    gridEl,
+    summaryEl: document.getElementById('summary'),
+    downloadEl: document.getElementById('downloadCsv'),
+    measureBadge: document.getElementById('measureBadge'),
+    metricsEl: document.getElementById('metricsPanel'),
+    thresholdInput,
+    thresholdLabel,
+    marginInput: document.getElementById('uncertainMarginInput'),
+    defaultThreshold: () => getAlgorithm(algorithmSelect.value).defaultThreshold,
+    exportEl: document.getElementById('exportButtons'),
+    page: 'final',
+  });
+  algorithmSelect.addEventListener('change', () => {
+    showAlgorithmThreshold();
+    view.refresh();
+  });
 
-  // face-api.js setup (loaded via script tag in final.html)
-  async function waitForFaceApi() {
-    return new Promise(resolve => {
-      if (window.faceapi) return resolve();
-      const timer = setInterval(() => { if (window.faceapi) { clearInterval(timer); resolve(); } }, 50);
-    });
-  }
-  let faceApiModelsLoaded = false;
-  let faceApiDetectorType = null; // 'tiny' | 'ssd'
-  async function ensureFaceApiModels(modelBase = './models') {
-    await waitForFaceApi();
-    const fa = window.faceapi;
-    if (faceApiModelsLoaded) return { fa, detectorType: faceApiDetectorType };
-    // Try TinyFaceDetector first; if unavailable, fall back to SSD Mobilenet
-    try {
-      await fa.nets.tinyFaceDetector.loadFromUri(modelBase);
-      faceApiDetectorType = 'tiny';
-    } catch (e) {
-      console.warn('[final] tinyFaceDetector not found, trying ssdMobilenetv1', e);
-      await fa.nets.ssdMobilenetv1.loadFromUri(modelBase);
-      faceApiDetectorType = 'ssd';
-    }
-    await fa.nets.faceLandmark68Net.loadFromUri(modelBase);
-    faceApiModelsLoaded = true;
-    return { fa, detectorType: faceApiDetectorType };
+  // Calibrated probability model loaded from JSON (see probability-panel.js)
+  let probabilityModel = null;
+  // Fusion model for the ensemble algorithm (see fusion-panel.js)
+  let fusionModel = null;
+  // Trained classifier for the classifier algorithm (see classifier-panel.js)
+  let classifierModel = null;
+  function getDetectOptions(algorithm, illumination = 'none') {
+    // Ask for diagnostics where the algorithm supports them, to fill the preview panes
+    const opts = { threshold: view.getThreshold(), uncertainMargin: view.getUncertainMargin() };
+    const schema = getAlgorithm(algorithm).options;
+    if (schema.diagnostics) opts.diagnostics = true;
+    if (schema.illumination) opts.illumination = illumination;
+    // A model fitted on another algorithm's measure would be meaningless here
+    if (probabilityModel && (!probabilityModel.algorithm || probabilityModel.algorithm === algorithm)) opts.probabilityModel = probabilityModel;
+    if (schema.fusionModel && fusionModel) opts.fusionModel = fusionModel;
+    if (schema.classifierModel && classifierModel) opts.classifierModel = classifierModel;
+    // Feature vectors for training a classifier on this run
+    if (schema.features) opts.features = true;
+    return opts;
   }
 
-  function reclassifyGridAndCsv(rows, processedCount, totalFiles) {
-    const thumbs = Array.from(gridEl.children || []);
-    let gtTotal = 0; let gtCorrect = 0; let gtFp = 0; let gtFn = 0;
-    for (const t of thumbs) {
-      const measureVal = parseFloat(t.dataset.measure || 'NaN');
-      const predicted = (t.dataset && t.dataset.wg === '1');
-      const truthStr = (t.dataset && typeof t.dataset.truth !== 'undefined') ? t.dataset.truth : '';
-      const hasTruth = truthStr !== '' && truthStr !== null;
-      const truth = hasTruth ? (truthStr === '1') : null;
-      t.classList.remove('ok', 'warn', 'blue', 'yellow');
-      if (hasTruth) {
-        gtTotal++;
-        if (predicted === truth) { gtCorrect++; } else { if (predicted && !truth) gtFp++; if (!predicted && truth) gtFn++; }
-        if (predicted === truth) { t.classList.add(predicted ? 'blue' : 'ok'); } else { t.classList.add(predicted ? 'warn' : 'yellow'); }
-      } else {
-        t.classList.add(predicted ? 'warn' : 'ok');
-      }
-      t.title = isFinite(measureVal)
-        ? `${predicted ? 'With' : 'No'} Glasses (${isFinite(measureVal) ? measureVal.toFixed(3) : 'NaN'})${hasTruth ? ` • GT: ${truth ? 'With' : 'No'} Glasses` : ''}`
-        : 'No face detected';
+  // Draw the aligned face with the measured strip, and the strip's gradient profile
+  function drawDiagnostics(diag) {
+    const actx = alignedCanvas.getContext('2d');
+    const sctx = sobelCanvas.getContext('2d');
+    actx.clearRect(0, 0, alignedCanvas.width, alignedCanvas.height);
+    sctx.clearRect(0, 0, sobelCanvas.width, sobelCanvas.height);
+    if (!diag || !diag.aligned) return;
+    const a = diag.aligned;
+    if (typeof a.getContext === 'function') actx.drawImage(a, 0, 0, alignedCanvas.width, alignedCanvas.height);
+    else {
+      const c = document.createElement('canvas'); c.width = a.width; c.height = a.height;
+      c.getContext('2d').putImageData(new ImageData(a.data, a.width, a.height), 0, 0);
+      actx.drawImage(c, 0, 0, alignedCanvas.width, alignedCanvas.height);
     }
-    const selected = gridEl.querySelector('.thumb.selected');
-    if (selected) {
-      const m = parseFloat(selected.dataset.measure || 'NaN');
-      const wgSel = (selected.dataset && selected.dataset.wg === '1');
-      measureBadge.textContent = isFinite(m) ? `${wgSel ? 'With' : 'No'} Glasses (${m.toFixed(3)})` : 'No face';
-      measureBadge.classList.toggle('warn', wgSel);
-      measureBadge.classList.toggle('ok', !wgSel);
+    if (diag.strip) {
+      const k = alignedCanvas.width / a.width;
+      actx.save();
+      actx.strokeStyle = '#22d3ee'; actx.lineWidth = 2;
+      actx.strokeRect(diag.strip.x * k, diag.strip.y * k, diag.strip.width * k, diag.strip.height * k);
+      actx.restore();
     }
-    const rowsForCsv = rows.map(r => ({ path: r.path, measure: r.measure, withGlasses: r.withGlasses }));
-    const blob = createCsv(rowsForCsv);
-    const url = URL.createObjectURL(blob);
-    downloadEl.href = url;
-    downloadEl.style.display = 'inline-block';
-    const isDone = processedCount >= totalFiles;
-    const prefix = isDone ? `Done: ${thumbs.length} images.` : `Processed: ${processedCount}/${totalFiles}.`;
-    if (gtTotal > 0) {
-      const pct = ((gtCorrect / gtTotal) * 100).toFixed(1);
-      const wrong = gtTotal - gtCorrect; const wrongPct = ((wrong / gtTotal) * 100).toFixed(1);
-      summaryEl.textContent = `${prefix} Correct: ${gtCorrect}/${gtTotal} (${pct}%). Wrong: ${wrong} (${wrongPct}%). FP: ${gtFp}, FN: ${gtFn}. Click Download CSV.`;
-    } else {
-      summaryEl.textContent = `${prefix} Click Download CSV.`;
+    if (diag.rowProfile && diag.rowProfile.length) {
+      const prof = diag.rowProfile; const W = sobelCanvas.width; const H = sobelCanvas.height;
+      const max = Math.max(1, ...prof);
+      sctx.save();
+      sctx.fillStyle = '#22d3ee';
+      const rowH = H / prof.length;
+      for (let y = 0; y < prof.length; y++) sctx.fillRect(0, y * rowH, (prof[y] / max) * W, Math.max(1, rowH - 0.5));
+      sctx.fillStyle = '#fff'; sctx.font = '12px system-ui';
+      sctx.fillText('|gradient| per strip row', 8, 16);
+      sctx.restore();
     }
   }
 
-  let cancelled = false;
-  document.getElementById('cancelBtn').onclick = () => { cancelled = true; };
-  document.getElementById('startBtn').addEventListener('click', async () => {
-    cancelled = false;
-    const input = document.getElementById('dirInput');
-    const allFiles = Array.from(input.files || []);
-    const imgFiles = allFiles.filter(f => /\.(jpg|jpeg|png|bmp|webp)$/i.test(f.name));
-    if (imgFiles.length === 0) { alert('Please choose a folder with images.'); return; }
+  // Past runs stored in IndexedDB, side by side; Open replays one into the grid
+  const sessions = setupSessionsPanel({
+    panelEl: document.getElementById('sessionsPanel'),
+    page: 'final',
+    view,
+    statusEl,
+    progressEl: document.getElementById('progress'),
+    dirInput: document.getElementById('dirInput'),
+  });
 
-    function parentFolderName(file) {
-      const p = (file.webkitRelativePath || file.name).split('/');
-      return p.length > 1 ? p[p.length - 2].toLowerCase() : '';
-    }
-    function classifyFolder(name) {
-      const s = String(name || '').toLowerCase();
-      const t = s.replace(/[^a-z]/g, '');
-      if (t === 'glasses' || t === 'withglasses') return 'glasses';
-      if (t === 'noglasses' || t === 'withoutglasses' || t === 'noeyeglasses') return 'no_glasses';
-      return '';
-    }
-    const glassesFiles = imgFiles.filter(f => classifyFolder(parentFolderName(f)) === 'glasses');
-    const noGlassesFiles = imgFiles.filter(f => classifyFolder(parentFolderName(f)) === 'no_glasses');
-    const interleaved = []; let i = 0, j = 0;
-    while (i < glassesFiles.length || j < noGlassesFiles.length) {
-      if (i < glassesFiles.length) interleaved.push(glassesFiles[i++]);
-      if (j < noGlassesFiles.length) interleaved.push(noGlassesFiles[j++]);
-    }
-    const files = interleaved.length > 0 ? interleaved : imgFiles;
+  // Re-evaluate an exported results file: stored measures, no images or models needed
+  setupResultsImport({
+    inputEl: document.getElementById('resultsInput'),
+    view,
+    algorithm: () => algorithmSelect.value,
+    dirInput: document.getElementById('dirInput'),
+    labelsInput: document.getElementById('labelsInput'),
+    labelsStatusEl: document.getElementById('labelsStatus'),
+    statusEl,
+    progressEl: document.getElementById('progress'),
+    // The slider range follows the algorithm the results were measured with
+    onImport: (run) => {
+      if (!run || run.algorithm === algorithmSelect.value || !listAlgorithms().some(a => a.name === run.algorithm)) return;
+      algorithmSelect.value = run.algorithm;
+      showAlgorithmThreshold();
+    },
+  });
 
-    downloadEl.style.display = 'none';
-    progressEl.value = 0; statusEl.textContent = 'Starting...'; gridEl.innerHTML = '';
+  let engine = null;
+  document.getElementById('cancelBtn').addEventListener('click', () => { if (engine) engine.cancel(); });
+  document.getElementById('startBtn').addEventListener('click', async () => {
+    const picked = await pickBatchFiles({
+      dirInput: document.getElementById('dirInput'),
+      labelsInput: document.getElementById('labelsInput'),
+      labelsStatusEl: document.getElementById('labelsStatus'),
+    });
+    if (!picked) return;
+    if (engine) engine.cancel();
 
-    rows = []; processedCount = 0; totalFiles = files.length;
     const provider = (providerSelect && providerSelect.value) || 'mediapipe';
-
-    // Prepare provider-specific dependencies
-    let faceApi = null;
-    let faceApiDetector = null;
-    if (provider === 'faceapi') {
-      try {
-        const { fa, detectorType } = await ensureFaceApiModels('./models');
-        faceApi = fa;
-        faceApiDetector = detectorType;
-      } catch (e) {
-        console.error('[final] Failed to load face-api models', e);
-        alert('Failed to load face-api models. Ensure ./models contains the model files.');
+    const algorithm = algorithmSelect.value;
+    // Fixed for the run, so every image is normalized alike
+    const illumination = (illuminationSelect && illuminationSelect.value) || 'none';
+    if (getAlgorithm(algorithm).options.classifierModel) {
+      if (!classifierModel) { alert('Load a classifier model first (Classifier row).'); return; }
+      if (classifierModel.features.illumination !== illumination) {
+        alert(`This classifier was trained with illumination "${classifierModel.features.illumination}"; select it before starting.`);
         return;
       }
     }
+    let landmarker;
+    try {
+      landmarker = await getLandmarker(provider, { maxFaces: MAX_FACES });
+    } catch (err) {
+      statusEl.textContent = `Cannot load the ${provider === 'faceapi' ? 'face-api' : 'FaceMesh'} landmarker.`;
+      showAssetError(assetReportEl, err);
+      return;
+    }
 
-    for (let idx = 0; idx < files.length; idx++) {
-      if (cancelled) break;
-      const f = files[idx];
-      statusEl.textContent = `Processing ${idx + 1}/${files.length}: ${f.webkitRelativePath || f.name}`;
-      progressEl.value = Math.round(((idx + 1) / files.length) * 100);
-
-      const img = await new Promise((resolve, reject) => {
-        const url = URL.createObjectURL(f);
-        const im = new Image();
-        im.onload = () => resolve(im);
-        im.onerror = reject;
-        im.src = url;
-      });
+    // The same registry algorithm runs in the workers or, with 0 workers, on the main thread
+    engine = new BatchEngine({
+      landmarker,
+      algorithm,
+      options: () => getDetectOptions(algorithm, illumination),
+      poolSize: readPoolSize(document.getElementById('workersInput')),
+      groundTruthMap: picked.groundTruthMap,
+    });
+    connectEngine(engine, view, { statusEl, progressEl: document.getElementById('progress') });
+    engine.addEventListener('result', (e) => {
+      const { record } = e.detail;
+      const diag = record.primary ? record.primary.diagnostics || null : null;
+      drawDiagnostics(diag);
+      // Diagnostics hold a full aligned image per face; records are kept for the whole run
+      for (const face of record.faces) delete face.diagnostics;
+    });
+    // Store every result so the run can be resumed or reopened from the session list
+    const { restored, pending } = await persistRun(engine, { page: 'final', files: picked.files, provider, algorithm, illumination, threshold: () => view.getThreshold() });
+    engine.addEventListener('done', () => sessions.refresh());
+    engine.run(pending, { restored }).catch((err) => {
+      console.error('[final] run failed', err);
+      statusEl.textContent = `Run failed: ${err.message}`;
+    });
+  });
 
-      const tmp = createScaledCanvasFromImage(img, 720);
+  // Threshold calibration from the labeled results in the grid
+  setupCalibration({
+    gridEl,
+    thresholdInput,
+    button: document.getElementById('calibrateBtn'),
+    criterionSelect: document.getElementById('calibrationCriterion'),
+    summaryEl: document.getElementById('calibrationSummary'),
+  });
 
-      let measure = NaN; let withGlasses = false;
-      if (provider === 'mediapipe') {
-        const results = await new Promise((resolve) => { resultsQueue.push(resolve); faceMesh.send({ image: tmp }); });
-        if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-          const landmarks = results.multiFaceLandmarks[0];
-          const res = detectGlasses('mediapipe', landmarks, tmp);
-          measure = res.measure; withGlasses = res.withGlasses;
-        }
-      } else if (provider === 'faceapi' && faceApi) {
-        try {
-          const options = faceApiDetector === 'ssd'
-            ? new faceApi.SsdMobilenetv1Options({ minConfidence: 0.5 })
-            : new faceApi.TinyFaceDetectorOptions();
-          const det = await faceApi.detectSingleFace(tmp, options).withFaceLandmarks();
-          if (det && det.landmarks && det.landmarks.positions) {
-            const landmarks = det.landmarks.positions; // array of {x,y}
-            const res = detectGlasses('faceapi', landmarks, tmp);
-            measure = res.measure; withGlasses = res.withGlasses;
-          }
-        } catch (e) {
-          console.warn('[final] face-api detection failed', e);
-        }
+  // Probability model: fit/export from the grid, or load one for the next run
+  const probabilitySummary = document.getElementById('probabilitySummary');
+  setupProbabilityFit({
+    gridEl,
+    algorithm: () => algorithmSelect.value,
+    methodSelect: document.getElementById('probabilityMethod'),
+    button: document.getElementById('fitProbabilityBtn'),
+    downloadEl: document.getElementById('downloadProbabilityModel'),
+    summaryEl: probabilitySummary,
+  });
+  const modelInput = document.getElementById('probabilityModelInput');
+  if (modelInput) {
+    modelInput.addEventListener('change', async () => {
+      try {
+        probabilityModel = await readProbabilityModel(modelInput);
+      } catch (err) {
+        probabilityModel = null;
+        probabilitySummary.textContent = `Invalid model: ${err.message}`;
+        return;
       }
+      if (!probabilityModel) { probabilitySummary.textContent = ''; return; }
+      const target = probabilityModel.algorithm || 'any algorithm';
+      probabilitySummary.textContent = `Loaded ${probabilityModel.method} model for ${target}; the next run adds a probability column.`
+        + (probabilityModel.algorithm && probabilityModel.algorithm !== algorithmSelect.value ? ` It is ignored while "${algorithmSelect.value}" is selected.` : '');
+    });
+  }
 
-      const filePath = f.webkitRelativePath || f.name;
-      rows.push({ path: filePath, measure, withGlasses });
-      const thumb = document.createElement('div');
-      let truth = null;
-      const parts = (filePath || '').toLowerCase().split('/');
-      const parent = parts.length > 1 ? parts[parts.length - 2] : '';
-      if (parent === 'glasses') truth = true; else if (parent === 'no_glasses') truth = false;
-      const cls = (() => {
-        if (truth === null) return withGlasses ? 'warn' : 'ok';
-        if (withGlasses === truth) return withGlasses ? 'blue' : 'ok';
-        return withGlasses ? 'warn' : 'yellow';
-      })();
-      thumb.className = `thumb ${cls}`;
-      thumb.title = isFinite(measure)
-        ? `${withGlasses ? 'With' : 'No'} Glasses (${isFinite(measure) ? measure.toFixed(3) : 'NaN'})${truth === null ? '' : ` • GT: ${truth ? 'With' : 'No'} Glasses`}`
-        : 'No face detected';
-      const thumbImg = document.createElement('img');
-      thumbImg.src = img.src; thumbImg.alt = filePath; thumb.appendChild(thumbImg);
-      const cap = document.createElement('div'); cap.className = 'cap'; cap.textContent = filePath.split('/').slice(-1)[0]; thumb.appendChild(cap);
-      thumb.dataset.measure = String(measure);
-      thumb.dataset.path = filePath;
-      thumb.dataset.wg = withGlasses ? '1' : '0';
-      if (truth !== null) thumb.dataset.truth = truth ? '1' : '0';
-      gridEl.appendChild(thumb);
-
-      // For preview panes
-      document.getElementById('measureBadge').textContent = isFinite(measure) ? `${withGlasses ? 'With' : 'No'} Glasses (${measure.toFixed(3)})` : 'No face';
-      document.getElementById('measureBadge').classList.toggle('warn', withGlasses);
-      document.getElementById('measureBadge').classList.toggle('ok', !withGlasses);
-
-      processedCount = Math.min(totalFiles, idx + 1);
-      reclassifyGridAndCsv(rows, processedCount, totalFiles);
-      await new Promise(r => setTimeout(r));
-    }
-
-    reclassifyGridAndCsv(rows, processedCount, totalFiles);
+  // Fusion model: fit/export from the ensemble's component scores, or load one for the next run
+  const fusionSummary = document.getElementById('fusionSummary');
+  setupFusionFit({
+    gridEl,
+    button: document.getElementById('fitFusionBtn'),
+    downloadEl: document.getElementById('downloadFusionModel'),
+    summaryEl: fusionSummary,
   });
+  const fusionInput = document.getElementById('fusionModelInput');
+  if (fusionInput) {
+    fusionInput.addEventListener('change', async () => {
+      try {
+        fusionModel = await readFusionModel(fusionInput);
+      } catch (err) {
+        fusionModel = null;
+        fusionSummary.textContent = `Invalid model: ${err.message}`;
+        return;
+      }
+      if (!fusionModel) { fusionSummary.textContent = ''; return; }
+      fusionSummary.textContent = 'Loaded fusion model; the next ensemble run uses it instead of the weights.'
+        + (algorithmSelect.value !== 'ensemble' ? ` It is ignored while "${algorithmSelect.value}" is selected.` : '');
+    });
+  }
 
-  (function initThresholdLabel() {
-    const thrInput = document.getElementById('thresholdInput');
-    const thrLabel = document.getElementById('thresholdLabel');
-    thrLabel.textContent = String(parseFloat(thrInput.value).toFixed(2));
-    thrInput.addEventListener('input', () => {
-      thrLabel.textContent = String(parseFloat(thrInput.value).toFixed(2));
-      // Reclassify existing results live when the threshold changes
-      reclassifyGridAndCsv(rows, processedCount, totalFiles);
+  // Classifier: train/export on the run's feature vectors, or load one for the classifier algorithm
+  const classifierSummary = document.getElementById('classifierSummary');
+  setupClassifierTraining({
+    view,
+    typeSelect: document.getElementById('classifierType'),
+    button: document.getElementById('trainClassifierBtn'),
+    downloadEl: document.getElementById('downloadClassifierModel'),
+    summaryEl: classifierSummary,
+  });
+  const classifierInput = document.getElementById('classifierModelInput');
+  if (classifierInput) {
+    classifierInput.addEventListener('change', async () => {
+      try {
+        classifierModel = await readClassifierModel(classifierInput);
+      } catch (err) {
+        classifierModel = null;
+        classifierSummary.textContent = `Invalid model: ${err.message}`;
+        return;
+      }
+      if (!classifierModel) { classifierSummary.textContent = ''; return; }
+      classifierSummary.textContent = `Loaded ${classifierModel.type} classifier (illumination "${classifierModel.features.illumination}"); select "Trained classifier" to use it.`;
     });
-  })();
+  }
+
+  // Report missing runtime files and face-api weights before the first run
+  showAssetReport(assetReportEl, {
+    runtimes: ['faceMesh', 'faceApi'],
+    models: ['tinyFaceDetector', 'ssdMobilenetv1', 'faceLandmark68Net'],
+  });
 }
 
 main();
@@ -0,0 +1,48 @@
+// Fusion-model controls of final.html
+// Fits a logistic fusion of the ensemble's component scores (bridge, rim, Sobel/Otsu) on
+// the labeled results in the grid and offers it as a JSON download; the page can load such
+// a file back for the ensemble algorithm.
+
+import { fitFusionModel, exportFusionModel, loadFusionModel } from '../algorithms/fusion.js';
+import { collectLabeledMeasures } from './calibration-panel.js';
+
+/**
+ * Wire the Fit button and the model download link. Only results measured with the
+ * ensemble algorithm carry component scores.
+ * @param {{ gridEl:HTMLElement, button:HTMLElement, downloadEl:HTMLAnchorElement, summaryEl:HTMLElement }} els
+ */
+export function setupFusionFit({ gridEl, button, downloadEl, summaryEl }) {
+  if (!button || !gridEl) return;
+  button.addEventListener('click', () => {
+    let model;
+    try {
+      model = fitFusionModel(collectLabeledMeasures(gridEl));
+    } catch (err) {
+      if (summaryEl) summaryEl.textContent = `Cannot fit: ${err.message} Run the ensemble algorithm on labeled images first.`;
+      return;
+    }
+    const blob = new Blob([exportFusionModel(model)], { type: 'application/json' });
+    if (downloadEl) {
+      if (downloadEl.href) URL.revokeObjectURL(downloadEl.href);
+      downloadEl.href = URL.createObjectURL(blob);
+      downloadEl.download = 'glasses-fusion.json';
+      downloadEl.style.display = 'inline-block';
+    }
+    if (summaryEl) {
+      const { n, positives, accuracy, logLoss } = model.fit;
+      const weights = Object.entries(model.weights).map(([name, w]) => `${name} ${w.toFixed(2)}`).join(', ');
+      summaryEl.textContent = `Fusion on ${n} measured faces (${positives} glasses): ${weights}, bias ${model.bias.toFixed(2)}; training accuracy ${(accuracy * 100).toFixed(1)}%, log loss ${logLoss.toFixed(3)}.`;
+    }
+  });
+}
+
+/**
+ * Read and validate the fusion model picked in a file input.
+ * @param {HTMLInputElement|null} inputEl
+ * @returns {Promise<object|null>} null when no file is selected; throws TypeError for an invalid model
+ */
+export async function readFusionModel(inputEl) {
+  const file = inputEl && inputEl.files && inputEl.files[0];
+  if (!file) return null;
+  return loadFusionModel(await file.text());
+}
@@ -0,0 +1,89 @@
+// Ground truth for the batch pages: an optional label manifest, else parent folder names
+// The manifest replaces folder inference entirely when loaded; files it does not cover
+// stay unlabeled and are listed in the report.
+
+import { parseLabelManifest, createGroundTruthMap, withPickedFiles, lookupTruth, matchGroundTruth, folderTruth, folderGlassesType } from '../algorithms/labels.js';
+
+/**
+ * Read and index the manifest picked in a file input, for the given images.
+ * @param {HTMLInputElement|null} inputEl
+ * @param {string[]} filePaths - relative paths of the images to label; basenames several of
+ *   them share are not matched on their own (see withPickedFiles)
+ * @returns {Promise<(ReturnType<typeof withPickedFiles> & { name:string, invalid:Array<{line:number, text:string}> })|null>}
+ *   null when no manifest is selected; throws TypeError for malformed JSON
+ */
+export async function loadGroundTruth(inputEl, filePaths) {
+  const file = inputEl && inputEl.files && inputEl.files[0];
+  if (!file) return null;
+  const { entries, invalid } = parseLabelManifest(await file.text(), file.name);
+  return { ...withPickedFiles(createGroundTruthMap(entries), filePaths), name: file.name, invalid };
+}
+
+/**
+ * Ground truth of one file: from the manifest when one is loaded, else from its folder.
+ * @param {object|null} groundTruthMap - result of loadGroundTruth
+ * @param {string} path - webkitRelativePath or name
+ * @returns {boolean|null}
+ */
+export function truthForFile(groundTruthMap, path) {
+  if (groundTruthMap) {
+    const hit = lookupTruth(groundTruthMap, path);
+    return hit ? hit.truth : null;
+  }
+  return folderTruth(path);
+}
+
+/**
+ * Glasses-type ground truth of one file. Manifests only label glasses / no glasses, so the
+ * type always comes from the folder name (`sunglasses/`, `clear/`, `no_glasses/`, ...).
+ * @param {string} path - webkitRelativePath or name
+ * @returns {'none'|'clear'|'sunglasses'|null}
+ */
+export function typeTruthForFile(path) {
+  return folderGlassesType(path);
+}
+
+/**
+ * Alternate glasses / no-glasses files so partial runs stay balanced; unlabeled files are
+ * appended. Returns the input order when nothing is labeled.
+ * @param {File[]} files
+ * @param {(f:File) => boolean|null} truthOf
+ * @returns {File[]}
+ */
+export function interleaveByTruth(files, truthOf) {
+  const pos = []; const neg = []; const rest = [];
+  for (const f of files) {
+    const t = truthOf(f);
+    if (t === true) pos.push(f); else if (t === false) neg.push(f); else rest.push(f);
+  }
+  if (pos.length + neg.length === 0) return files;
+  const out = [];
+  for (let i = 0; i < Math.max(pos.length, neg.length); i++) {
+    if (i < pos.length) out.push(pos[i]);
+    if (i < neg.length) out.push(neg[i]);
+  }
+  return out.concat(rest);
+}
+
+/**
+ * Show how the manifest matched the picked files; full lists go to the console.
+ * @param {HTMLElement|null} statusEl
+ * @param {object|null} groundTruthMap
+ * @param {string[]} filePaths
+ */
+export function reportGroundTruth(statusEl, groundTruthMap, filePaths) {
+  if (!statusEl) return;
+  if (!groundTruthMap) { statusEl.textContent = ''; return; }
+  const { matched, byBasename, unmatched, unusedEntries } = matchGroundTruth(groundTruthMap, filePaths);
+  const parts = [`Labels (${groundTruthMap.name}): ${matched}/${filePaths.length} images matched${byBasename ? ` (${byBasename} by basename)` : ''}.`];
+  if (unmatched.length) {
+    const shown = unmatched.slice(0, 5).map(p => p.split('/').pop()).join(', ');
+    parts.push(`Unmatched: ${unmatched.length} (${shown}${unmatched.length > 5 ? ', …' : ''}).`);
+  }
+  if (unusedEntries.length) parts.push(`${unusedEntries.length} manifest entries matched no image.`);
+  if (groundTruthMap.invalid.length) parts.push(`${groundTruthMap.invalid.length} manifest rows skipped (unrecognised label).`);
+  statusEl.textContent = parts.join(' ');
+  if (unmatched.length || unusedEntries.length || groundTruthMap.invalid.length) {
+    console.warn('[labels]', { unmatched, unusedEntries, invalid: groundTruthMap.invalid });
+  }
+}
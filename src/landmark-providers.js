@@ -0,0 +1,96 @@
+// Landmark providers for the batch pages: MediaPipe FaceMesh and face-api.js behind one interface
+// A landmarker is { provider, landmark(canvas) }; landmark() resolves to
+// { provider, facesLandmarks } with one plain-data landmark array per face ({x, y} points),
+// ready to be passed to detect()/detectAll() or cloned to a worker.
+// Scripts, wasm and models come from the asset loader (local asset base or CDN).
+
+import { loadRuntime, runtimeUrl, getModelBase, resolveFaceApiModels } from './asset-loader.js';
+
+/**
+ * MediaPipe FaceMesh landmarker. Loads the FaceMesh script; its wasm and data files come
+ * from the same place. FaceMesh answers through a single onResults callback, so requests
+ * are queued in order. Rejects with the missing files when the local copy is incomplete.
+ * @param {{ maxFaces?:number }} [opts]
+ * @returns {Promise<{ provider:'mediapipe', landmark:(canvas:HTMLCanvasElement) => Promise<{ provider:string, facesLandmarks:any[] }> }>}
+ */
+export async function createFaceMeshLandmarker({ maxFaces = 5 } = {}) {
+  await loadRuntime('faceMesh');
+  const { FaceMesh } = window;
+  const faceMesh = new FaceMesh({ locateFile: (file) => runtimeUrl('faceMesh', file) });
+  faceMesh.setOptions({
+    staticImageMode: true,
+    maxNumFaces: maxFaces,
+    refineLandmarks: true,
+    minDetectionConfidence: 0.5,
+    minTrackingConfidence: 0.5
+  });
+  const resultsQueue = [];
+  faceMesh.onResults((res) => {
+    const resolver = resultsQueue.shift();
+    if (resolver) resolver(res);
+  });
+  return {
+    provider: 'mediapipe',
+    async landmark(canvas) {
+      const results = await new Promise((resolve) => {
+        resultsQueue.push(resolve);
+        faceMesh.send({ image: canvas });
+      });
+      return { provider: 'mediapipe', facesLandmarks: results.multiFaceLandmarks || [] };
+    },
+  };
+}
+
+/**
+ * face-api.js landmarker (68 points). Loads the face-api script, then TinyFaceDetector, or
+ * SSD Mobilenet when the tiny model is missing or invalid, plus the landmark model from the
+ * asset loader's model folder. The weight manifests are validated first; rejects with the
+ * missing or invalid files when no detector or the landmark model is usable.
+ * @param {{ maxFaces?:number }} [opts]
+ * @returns {Promise<{ provider:'faceapi', detectorType:'tiny'|'ssd', landmark:(canvas:HTMLCanvasElement) => Promise<{ provider:string, facesLandmarks:any[] }> }>}
+ */
+export async function createFaceApiLandmarker({ maxFaces = 5 } = {}) {
+  const [{ detector }] = await Promise.all([resolveFaceApiModels(), loadRuntime('faceApi')]);
+  const fa = window.faceapi;
+  const modelBase = getModelBase();
+  const detectorType = detector === 'tinyFaceDetector' ? 'tiny' : 'ssd';
+  await fa.nets[detector].loadFromUri(modelBase);
+  await fa.nets.faceLandmark68Net.loadFromUri(modelBase);
+  return {
+    provider: 'faceapi',
+    detectorType,
+    async landmark(canvas) {
+      const options = detectorType === 'ssd'
+        ? new fa.SsdMobilenetv1Options({ minConfidence: 0.5 })
+        : new fa.TinyFaceDetectorOptions();
+      const dets = await fa.detectAllFaces(canvas, options).withFaceLandmarks();
+      const facesLandmarks = (dets || [])
+        .filter(det => det && det.landmarks && det.landmarks.positions)
+        .slice(0, maxFaces)
+        // face-api points keep x/y behind getters; copy them so they survive cloning
+        .map(det => det.landmarks.positions.map(p => ({ x: p.x, y: p.y })));
+      return { provider: 'faceapi', facesLandmarks };
+    },
+  };
+}
+
+// One landmarker per provider and page (FaceMesh graphs and face-api models load once)
+const landmarkers = new Map();
+
+/**
+ * Landmarker for a provider name, created on first use and reused afterwards.
+ * @param {'mediapipe'|'faceapi'} provider
+ * @param {{ maxFaces?:number }} [opts] - used on first creation only
+ * @returns {Promise<{ provider:string, landmark:Function }>}
+ */
+export function getLandmarker(provider, opts = {}) {
+  if (!landmarkers.has(provider)) {
+    let created;
+    if (provider === 'mediapipe') created = createFaceMeshLandmarker(opts);
+    else if (provider === 'faceapi') created = createFaceApiLandmarker(opts);
+    else return Promise.reject(new RangeError(`Unknown landmark provider "${provider}"`));
+    // A failed load (e.g. missing models) is retried next time
+    landmarkers.set(provider, created.catch((err) => { landmarkers.delete(provider); throw err; }));
+  }
+  return landmarkers.get(provider);
+}
@@ -4,6 +4,19 @@
   - Image processing: OpenCV.js
 */
 
+import { getFaceBox } from '../algorithms/face-alignment.js';
+import { poseWithinLimits } from '../algorithms/head-pose.js';
+import { estimateHeadPose } from '../algorithms/landmark-registry.js';
+import { renderFaceBadges } from './face-badges.js';
+import { GlassesStream } from '../algorithms/glasses-stream.js';
+import { normalizeIlluminationCv } from './opencv-face.js';
+import { loadRuntime, runtimeUrl, showAssetReport } from './asset-loader.js';
+
+// Upper bound on faces tracked per frame
+const MAX_FACES = 4;
+// Hysteresis band below the slider threshold before a face flips back to "no glasses"
+const HYSTERESIS = 0.02;
+
 // DOM elements
 const videoEl = document.getElementById('video');
 const outputCanvas = document.getElementById('output');
@@ -15,8 +28,10 @@ const sobelCtx = sobelCanvas.getContext('2d');
 const roisCanvas = document.getElementById('rois');
 const roisCtx = roisCanvas.getContext('2d');
 const resultEl = document.getElementById('result');
+const faceBadgesEl = document.getElementById('faceBadges');
 const toggleBtn = document.getElementById('toggleBtn');
 const resetBtn = document.getElementById('resetBtn');
+const illuminationSelect = document.getElementById('illuminationSelect');
 const debugToggle = document.getElementById('debugToggle');
 const debugLogEl = document.getElementById('debugLog');
 const thresholdInput = document.getElementById('thresholdInput');
@@ -44,9 +59,10 @@ function dlog(...args) {
 const processCanvas = document.createElement('canvas');
 const processCtx = processCanvas.getContext('2d');
 
-// Utility to wait for OpenCV.js to be ready
-function waitForOpenCV() {
-  return new Promise(resolve => {
+// Utility to load OpenCV.js (asset-loader.js) and wait for it to be ready
+async function waitForOpenCV() {
+  await loadRuntime('opencv');
+  await new Promise(resolve => {
     if (typeof cv !== 'undefined' && cv.Mat) return resolve();
     const timer = setInterval(() => {
       if (typeof cv !== 'undefined' && cv.Mat) {
@@ -280,17 +296,45 @@ function drawRoisPreview(sobelAbs, measure) {
   }
 }
 
-function updateResultBadge(measure) {
-  const threshold = thresholdInput && !isNaN(parseFloat(thresholdInput.value)) ? parseFloat(thresholdInput.value) : 0.13;
-  const isGlasses = measure > threshold;
-  const text = `${isGlasses ? 'With Glasses' : 'No Glasses'} (${measure.toFixed(3)})`;
+function getThreshold() {
+  return thresholdInput && !isNaN(parseFloat(thresholdInput.value)) ? parseFloat(thresholdInput.value) : 0.13;
+}
+
+// Stream options from the slider: switch on above the threshold, off below it minus HYSTERESIS
+function getStreamThresholds() {
+  const threshold = getThreshold();
+  return { onThreshold: threshold, offThreshold: Math.max(0, threshold - HYSTERESIS) };
+}
+
+function updateResultBadge(state) {
+  const isGlasses = state.withGlasses;
+  const text = `${isGlasses ? 'With Glasses' : 'No Glasses'} (${state.smoothed.toFixed(3)})${state.missed ? ' • face lost' : ''}`;
   resultEl.textContent = text;
   resultEl.classList.toggle('ok', !isGlasses);
   resultEl.classList.toggle('warn', isGlasses);
 }
 
+// Per-face label above each face box on the mirrored output canvas
+function drawFaceLabel(box, faceIndex, state) {
+  if (!box) return;
+  const measure = state.smoothed;
+  const measured = state.withGlasses !== null && isFinite(measure);
+  const isGlasses = measured && state.withGlasses;
+  const color = !measured ? '#9ca3af' : (isGlasses ? '#f87171' : '#34d399');
+  // Mirror the box horizontally to match the displayed frame
+  const x = outputCanvas.width - box.x - box.width;
+  outputCtx.save();
+  outputCtx.strokeStyle = color; outputCtx.lineWidth = 2;
+  outputCtx.strokeRect(x, box.y, box.width, box.height);
+  outputCtx.font = '14px system-ui, sans-serif';
+  outputCtx.fillStyle = color;
+  const text = `#${faceIndex + 1} ${measured ? `${isGlasses ? 'Glasses' : 'No glasses'} ${measure.toFixed(3)}` : '—'}`;
+  outputCtx.fillText(text, x, Math.max(14, box.y - 6));
+  outputCtx.restore();
+}
+
 async function init() {
-  await waitForOpenCV();
+  await Promise.all([waitForOpenCV(), loadRuntime('faceMesh'), loadRuntime('cameraUtils')]);
 
   // Setup camera stream
   const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'user', width: 720, height: 540 } });
@@ -308,9 +352,9 @@ async function init() {
 
   // Setup MediaPipe FaceMesh
   const { FaceMesh } = window;
-  const faceMesh = new FaceMesh({ locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4/${file}` });
+  const faceMesh = new FaceMesh({ locateFile: (file) => runtimeUrl('faceMesh', file) });
   faceMesh.setOptions({
-    maxNumFaces: 1,
+    maxNumFaces: MAX_FACES,
     refineLandmarks: true,
     minDetectionConfidence: 0.5,
     minTrackingConfidence: 0.5,
@@ -318,8 +362,43 @@ async function init() {
 
   // State for pause/reset and smoothing
   let paused = false;
-  let recentMeasures = [];
-  const maxWindow = 7; // temporal smoothing window
+  // One GlassesStream per tracked face: 7-frame moving average, hysteresis around the
+  // slider threshold and a short grace period for dropped frames. FaceMesh reorders its
+  // results when a face leaves or enters, so faces follow their track by box position
+  let tracks = [];
+  function newTrack() {
+    const track = { stream: new GlassesStream({ window: 7, graceFrames: 3, ...getStreamThresholds() }), box: null };
+    track.stream.onchange = (ev) => dlog('state', tracks.indexOf(track), ev.withGlasses, ev.smoothed);
+    return track;
+  }
+  // Track of each face box, in frame order: the nearest unclaimed track whose last box center
+  // lies within the face's size, closest pairs first; other faces start a new track
+  function matchTracks(boxes) {
+    const center = (b) => [b.x + b.width / 2, b.y + b.height / 2];
+    const pairs = [];
+    boxes.forEach((box, f) => {
+      if (!box) return;
+      const [fx, fy] = center(box);
+      tracks.forEach((track, t) => {
+        if (!track.box) return;
+        const [tx, ty] = center(track.box);
+        const d = Math.hypot(fx - tx, fy - ty);
+        if (d < Math.max(box.width, box.height)) pairs.push({ f, t, d });
+      });
+    });
+    pairs.sort((a, b) => a.d - b.d);
+    const matched = boxes.map(() => null); const claimed = new Set();
+    for (const { f, t } of pairs) {
+      if (matched[f] || claimed.has(t)) continue;
+      matched[f] = tracks[t]; claimed.add(t);
+    }
+    return matched.map(track => track || newTrack());
+  }
+  if (thresholdInput) {
+    thresholdInput.addEventListener('input', () => {
+      for (const { stream } of tracks) stream.configure(getStreamThresholds());
+    });
+  }
   const minEyeDistPx = 40; // gate small/false faces
 
   toggleBtn.addEventListener('click', () => {
@@ -334,37 +413,15 @@ async function init() {
     roisCtx.clearRect(0, 0, roisCanvas.width, roisCanvas.height);
     resultEl.textContent = '—';
     resultEl.classList.remove('ok', 'warn');
+    if (faceBadgesEl) faceBadgesEl.innerHTML = '';
   }
 
-  resetBtn.addEventListener('click', () => {
-    recentMeasures = [];
-    clearOutputs();
-    if (debugLogEl) debugLogEl.textContent = '';
-  });
-
-  faceMesh.onResults((results) => {
+  // Measure one face. Panels (aligned/Sobel/ROIs) are drawn for the first face only.
+  // Returns the raw measure, or NaN when the face is gated out.
+  function measureFace(landmarks, showPanels) {
     let aligned = null;
     let sobelAbs = null;
     try {
-      dlog('frame:start', Date.now());
-      if (paused) return;
-      // Draw raw frame to processing canvas (no mirror)
-      processCtx.drawImage(results.image, 0, 0, outputCanvas.width, outputCanvas.height);
-      // Draw mirrored frame to output for UI
-      outputCtx.save();
-      outputCtx.scale(-1, 1);
-      outputCtx.drawImage(results.image, -outputCanvas.width, 0, outputCanvas.width, outputCanvas.height);
-      outputCtx.restore();
-      dlog('frame:drew');
-
-      if (!results.multiFaceLandmarks || results.multiFaceLandmarks.length === 0) {
-        recentMeasures = [];
-        clearOutputs();
-        dlog('no-face');
-        return;
-      }
-
-      const landmarks = results.multiFaceLandmarks[0];
       const corners = getEyeCornerPoints(landmarks, outputCanvas.width, outputCanvas.height);
       dlog('corners', corners);
       // Draw overlays in mirrored coordinate system but compute centers from unmirrored coords
@@ -381,10 +438,14 @@ async function init() {
       const eyeDy = rightCenter[1] - leftCenter[1];
       const eyeDist = Math.hypot(eyeDx, eyeDy);
       if (!isFinite(eyeDist) || eyeDist < minEyeDistPx) {
-        recentMeasures = [];
-        clearOutputs();
         dlog('gate:eyeDist', eyeDist);
-        return;
+        return NaN;
+      }
+      // Gate by head pose: on turned or nodding faces the ROIs miss the nose bridge
+      const pose = estimateHeadPose('mediapipe', landmarks, outputCanvas.width, outputCanvas.height);
+      if (!poseWithinLimits(pose)) {
+        dlog('gate:pose', pose);
+        return NaN;
       }
 
       // Aligned face (flip vertically to match measurement orientation)
@@ -393,31 +454,89 @@ async function init() {
       cv.flip(aligned, alignedFlipped, 0);
       aligned.delete();
       aligned = alignedFlipped;
-      cv.imshow(alignedCanvas, aligned);
+      // Lighting normalization picked on the page; the aligned panel shows the normalized face
+      const normalized = normalizeIlluminationCv(aligned, { illumination: illuminationSelect ? illuminationSelect.value : 'none' });
+      if (normalized) {
+        aligned.delete();
+        aligned = normalized;
+      }
+      if (showPanels) cv.imshow(alignedCanvas, aligned);
       dlog('aligned:ok');
 
       // Sobel Y and measurement
       sobelAbs = computeSobelYAligned(aligned);
       const { measure } = otsuAndMeasure(sobelAbs);
-      if (!isFinite(measure)) return;
       dlog('measure', measure);
-      // temporal smoothing (simple moving average)
-      recentMeasures.push(measure);
-      if (recentMeasures.length > maxWindow) recentMeasures.shift();
-      const smoothed = recentMeasures.reduce((a, b) => a + b, 0) / recentMeasures.length;
-      drawRoisPreview(sobelAbs, smoothed);
-      updateResultBadge(smoothed);
-
-      // ROIs panel just mirrors sobel for now (debug panel)
-      cv.imshow(roisCanvas, sobelAbs);
+      if (showPanels && isFinite(measure)) {
+        drawRoisPreview(sobelAbs, measure);
+        // ROIs panel just mirrors sobel for now (debug panel)
+        cv.imshow(roisCanvas, sobelAbs);
+      }
+      return measure;
+    } finally {
+      try { if (aligned) aligned.delete(); } catch (_) {}
+      try { if (sobelAbs) sobelAbs.delete(); } catch (_) {}
+    }
+  }
+
+  resetBtn.addEventListener('click', () => {
+    tracks = [];
+    clearOutputs();
+    if (debugLogEl) debugLogEl.textContent = '';
+  });
+
+  faceMesh.onResults((results) => {
+    try {
+      dlog('frame:start', Date.now());
+      if (paused) return;
+      // Draw raw frame to processing canvas (no mirror)
+      processCtx.drawImage(results.image, 0, 0, outputCanvas.width, outputCanvas.height);
+      // Draw mirrored frame to output for UI
+      outputCtx.save();
+      outputCtx.scale(-1, 1);
+      outputCtx.drawImage(results.image, -outputCanvas.width, 0, outputCanvas.width, outputCanvas.height);
+      outputCtx.restore();
+      dlog('frame:drew');
+
+      const faceLandmarks = results.multiFaceLandmarks || [];
+      if (faceLandmarks.length === 0) dlog('no-face');
+      const boxes = faceLandmarks.map(landmarks => getFaceBox('mediapipe', landmarks, outputCanvas.width, outputCanvas.height));
+      const matched = matchTracks(boxes);
+      const states = faceLandmarks.map((landmarks, faceIndex) => {
+        const track = matched[faceIndex];
+        track.box = boxes[faceIndex] || track.box;
+        const state = track.stream.push(measureFace(landmarks, faceIndex === 0));
+        if (faceLandmarks.length > 1) drawFaceLabel(boxes[faceIndex], faceIndex, state);
+        return state;
+      });
+      // Faces missing from this frame keep their state for the grace period, then are dropped
+      const missing = tracks
+        .filter(track => !matched.includes(track))
+        .map(track => ({ track, state: track.stream.push(NaN) }))
+        .filter(({ state }) => state.withGlasses !== null);
+      tracks = [...matched, ...missing.map(m => m.track)];
+      states.push(...missing.map(m => m.state));
+      const faces = states.map((state, faceIndex) => ({ faceIndex, measure: state.smoothed, withGlasses: state.withGlasses }));
+
+      if (states.length > 0 && states[0].withGlasses !== null) {
+        updateResultBadge(states[0]);
+      } else {
+        alignedCtx.clearRect(0, 0, alignedCanvas.width, alignedCanvas.height);
+        sobelCtx.clearRect(0, 0, sobelCanvas.width, sobelCanvas.height);
+        roisCtx.clearRect(0, 0, roisCanvas.width, roisCanvas.height);
+        resultEl.textContent = '—';
+        resultEl.classList.remove('ok', 'warn');
+      }
+      if (faceBadgesEl) {
+        if (faces.length > 1) renderFaceBadges(faceBadgesEl, faces, getThreshold());
+        else faceBadgesEl.innerHTML = '';
+      }
     } catch (err) {
       console.error('onResults error:', err);
       dlog('error', String(err && err.message ? err.message : err));
-      recentMeasures = [];
+      tracks = [];
       clearOutputs();
     } finally {
-      try { if (aligned) aligned.delete(); } catch (_) {}
-      try { if (sobelAbs) sobelAbs.delete(); } catch (_) {}
       dlog('frame:end');
     }
   });
@@ -441,6 +560,7 @@ async function init() {
   camera.start();
 }
 
+showAssetReport(document.getElementById('assetReport'), { runtimes: ['opencv', 'faceMesh', 'cameraUtils'] });
 init().catch(err => {
   console.error(err);
   resultEl.textContent = 'Error: ' + err.message;
@@ -0,0 +1,27 @@
+// Batch measurement worker: aligns and measures every face of one image off the main thread
+// Message in:  { id, algorithm, provider, facesLandmarks, bitmap, options } (bitmap transferred)
+// Message out: { id, faces } with detectAll() results, or { id, error }
+// Landmarks must be plain data ({x, y} points); the image is drawn on an OffscreenCanvas.
+
+import { detectAll } from '../algorithms/registry.js';
+
+// Canvases cannot be cloned back to the page; diagnostics carry the aligned face as ImageData
+function cloneable(face) {
+  const diag = face.diagnostics;
+  if (!diag || !diag.aligned || typeof diag.aligned.getContext !== 'function') return face;
+  const a = diag.aligned;
+  return { ...face, diagnostics: { ...diag, aligned: a.getContext('2d').getImageData(0, 0, a.width, a.height) } };
+}
+
+self.onmessage = ({ data }) => {
+  const { id, algorithm, provider, facesLandmarks, bitmap, options } = data;
+  try {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+    const faces = detectAll(algorithm, provider, facesLandmarks, canvas, options).map(cloneable);
+    self.postMessage({ id, faces });
+  } catch (err) {
+    self.postMessage({ id, error: err && err.message ? err.message : String(err) });
+  }
+};
@@ -0,0 +1,320 @@
+// Canvas results panel shared by the batch pages
+// ROC and PR curves with their areas, a measure histogram split by ground truth, a
+// confusion matrix at the current threshold and, when poses are known, a per-pose table;
+// with glasses-type folder labels, a none / clear / sunglasses confusion table.
+// Redrawn from the results grid on every
+// reclassification, so it follows the threshold slider live.
+
+import { rocCurve, prCurve, measureHistogram, poseBreakdown, glassesTypeConfusion } from '../algorithms/metrics.js';
+import { confusionAt } from '../algorithms/calibration.js';
+
+const COLORS = {
+  bg: '#0f1629',
+  axis: '#334155',
+  text: '#9fb3c8',
+  strong: '#e8ecf1',
+  curve: '#3b82f6',
+  marker: '#f59e0b',
+  glasses: '#ef4444',
+  noGlasses: '#10b981',
+  unlabeled: '#64748b',
+};
+const PAD = { l: 34, r: 8, t: 20, b: 26 };
+const PARTS = ['roc', 'pr', 'histogram', 'confusion'];
+
+// data-pose holds "yaw,pitch,roll" in degrees
+function parsePose(str) {
+  if (!str) return null;
+  const [yaw, pitch, roll] = str.split(',').map(Number);
+  return [yaw, pitch, roll].every(Number.isFinite) ? { yaw, pitch, roll } : null;
+}
+
+/**
+ * Lens features from data-lens, "eyeLuminance,eyeContrast,irisVisibility" (the last empty
+ * when unknown).
+ * @param {string|undefined} str
+ * @returns {{ eyeLuminance:number, eyeContrast:number, irisVisibility:number|null }|null}
+ */
+export function parseLens(str) {
+  if (!str) return null;
+  const [eyeLuminance, eyeContrast, iris] = str.split(',');
+  const lens = { eyeLuminance: Number(eyeLuminance), eyeContrast: Number(eyeContrast), irisVisibility: iris ? Number(iris) : null };
+  return Number.isFinite(lens.eyeLuminance) && Number.isFinite(lens.eyeContrast) ? lens : null;
+}
+
+/**
+ * Ensemble component scores from data-components, "bridge,rim,sobelOtsu".
+ * @param {string|undefined} str
+ * @returns {{ bridge:number, rim:number, sobelOtsu:number }|null}
+ */
+export function parseComponents(str) {
+  if (!str) return null;
+  const [bridge, rim, sobelOtsu] = str.split(',').map(Number);
+  return [bridge, rim, sobelOtsu].every(Number.isFinite) ? { bridge, rim, sobelOtsu } : null;
+}
+
+/**
+ * Measures, ground truth (true/false, or null when unlabeled), reason, head pose (null
+ * when unknown), lens features, glasses-type truth and ensemble component scores of every
+ * thumbnail in a grid.
+ * @param {HTMLElement} gridEl
+ * @returns {Array<{measure:number, truth:boolean|null, reason:string|null, pose:{yaw:number, pitch:number, roll:number}|null, lens:object|null, typeTruth:string|null, components:object|null}>}
+ */
+export function collectGridMeasures(gridEl) {
+  return Array.from(gridEl.children || []).map(t => {
+    const data = t.dataset || {};
+    const truthStr = data.truth;
+    return {
+      measure: parseFloat(data.measure || 'NaN'),
+      truth: truthStr === '1' ? true : (truthStr === '0' ? false : null),
+      reason: data.reason || null,
+      pose: parsePose(data.pose),
+      lens: parseLens(data.lens),
+      typeTruth: data.typeTruth || null,
+      components: parseComponents(data.components),
+    };
+  });
+}
+
+// One canvas per part, created on first render
+function getCanvases(container) {
+  const out = {};
+  for (const part of PARTS) {
+    let c = container.querySelector(`canvas[data-part="${part}"]`);
+    if (!c) {
+      c = document.createElement('canvas');
+      c.dataset.part = part;
+      c.width = 240; c.height = 200;
+      container.appendChild(c);
+    }
+    out[part] = c;
+  }
+  return out;
+}
+
+function beginPlot(canvas, title) {
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = COLORS.bg;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.font = '12px system-ui, sans-serif';
+  ctx.fillStyle = COLORS.strong;
+  ctx.textAlign = 'left'; ctx.textBaseline = 'alphabetic';
+  ctx.fillText(title, PAD.l, 14);
+  const w = canvas.width - PAD.l - PAD.r;
+  const h = canvas.height - PAD.t - PAD.b;
+  return { ctx, x0: PAD.l, y0: PAD.t, w, h };
+}
+
+// Unit-square axes with 0 and 1 ticks and axis titles
+function drawUnitAxes({ ctx, x0, y0, w, h }, xLabel, yLabel) {
+  ctx.strokeStyle = COLORS.axis; ctx.lineWidth = 1;
+  ctx.strokeRect(x0 + 0.5, y0 + 0.5, w, h);
+  ctx.fillStyle = COLORS.text; ctx.font = '10px system-ui, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.fillText('0', x0, y0 + h + 12); ctx.fillText('1', x0 + w, y0 + h + 12);
+  ctx.fillText(xLabel, x0 + w / 2, y0 + h + 22);
+  ctx.textAlign = 'right';
+  ctx.fillText('1', x0 - 4, y0 + 8); ctx.fillText('0', x0 - 4, y0 + h);
+  ctx.save();
+  ctx.translate(10, y0 + h / 2); ctx.rotate(-Math.PI / 2);
+  ctx.textAlign = 'center'; ctx.fillText(yLabel, 0, 0);
+  ctx.restore();
+}
+
+function drawPolyline(plot, pts, color) {
+  const { ctx, x0, y0, w, h } = plot;
+  if (pts.length === 0) return;
+  ctx.strokeStyle = color; ctx.lineWidth = 2;
+  ctx.beginPath();
+  pts.forEach(([x, y], i) => {
+    const px = x0 + x * w; const py = y0 + (1 - y) * h;
+    if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+  });
+  ctx.stroke();
+}
+
+function drawMarker(plot, x, y) {
+  if (!isFinite(x) || !isFinite(y)) return;
+  const { ctx, x0, y0, w, h } = plot;
+  ctx.fillStyle = COLORS.marker;
+  ctx.beginPath(); ctx.arc(x0 + x * w, y0 + (1 - y) * h, 4, 0, Math.PI * 2); ctx.fill();
+}
+
+function drawNote(plot, text) {
+  const { ctx, x0, y0, w, h } = plot;
+  ctx.fillStyle = COLORS.text; ctx.font = '11px system-ui, sans-serif';
+  ctx.textAlign = 'center'; ctx.fillText(text, x0 + w / 2, y0 + h / 2);
+}
+
+function drawRoc(canvas, labeled, current) {
+  const roc = rocCurve(labeled);
+  const plot = beginPlot(canvas, `ROC  AUC ${isFinite(roc.auc) ? roc.auc.toFixed(3) : '—'}`);
+  drawUnitAxes(plot, 'FPR', 'TPR');
+  if (!isFinite(roc.auc)) { drawNote(plot, 'Needs both classes'); return; }
+  // Chance diagonal
+  plot.ctx.setLineDash([3, 3]);
+  drawPolyline(plot, [[0, 0], [1, 1]], COLORS.axis);
+  plot.ctx.setLineDash([]);
+  drawPolyline(plot, roc.points.map(p => [p.fpr, p.tpr]), COLORS.curve);
+  drawMarker(plot, 1 - current.tnr, current.tpr);
+}
+
+function drawPr(canvas, labeled, current) {
+  const pr = prCurve(labeled);
+  const plot = beginPlot(canvas, `PR  AP ${isFinite(pr.auc) ? pr.auc.toFixed(3) : '—'}`);
+  drawUnitAxes(plot, 'Recall', 'Precision');
+  if (!isFinite(pr.auc)) { drawNote(plot, 'Needs glasses labels'); return; }
+  drawPolyline(plot, pr.points.map(p => [p.recall, p.precision]), COLORS.curve);
+  const predicted = current.tp + current.fp;
+  if (predicted > 0) drawMarker(plot, current.tpr, current.tp / predicted);
+}
+
+function drawHistogram(canvas, samples, threshold, range) {
+  const hist = measureHistogram(samples, { bins: 25, range });
+  const plot = beginPlot(canvas, `Measure histogram${hist.missing ? `  (${hist.missing} no measure)` : ''}`);
+  const { ctx, x0, y0, w, h } = plot;
+  const n = hist.glasses.length;
+  const peak = Math.max(1, ...hist.glasses.map((g, i) => g + hist.noGlasses[i] + hist.unlabeled[i]));
+  const bw = w / n;
+  // Stacked bars: no glasses at the bottom, then glasses, then unlabeled
+  for (let i = 0; i < n; i++) {
+    let base = y0 + h;
+    for (const [count, color] of [[hist.noGlasses[i], COLORS.noGlasses], [hist.glasses[i], COLORS.glasses], [hist.unlabeled[i], COLORS.unlabeled]]) {
+      if (!count) continue;
+      const bh = (count / peak) * h;
+      ctx.fillStyle = color;
+      ctx.fillRect(x0 + i * bw + 1, base - bh, Math.max(1, bw - 2), bh);
+      base -= bh;
+    }
+  }
+  ctx.strokeStyle = COLORS.axis; ctx.lineWidth = 1;
+  ctx.strokeRect(x0 + 0.5, y0 + 0.5, w, h);
+  const [lo, hi] = [hist.edges[0], hist.edges[n]];
+  ctx.fillStyle = COLORS.text; ctx.font = '10px system-ui, sans-serif';
+  ctx.textAlign = 'left'; ctx.fillText(lo.toFixed(2), x0, y0 + h + 12);
+  ctx.textAlign = 'right'; ctx.fillText(hi.toFixed(2), x0 + w, y0 + h + 12);
+  ctx.fillText(String(peak), x0 - 4, y0 + 8);
+  ctx.textAlign = 'center'; ctx.fillText('measure', x0 + w / 2, y0 + h + 22);
+  if (isFinite(threshold) && hi > lo) {
+    const tx = x0 + Math.max(0, Math.min(1, (threshold - lo) / (hi - lo))) * w;
+    ctx.strokeStyle = COLORS.marker; ctx.lineWidth = 2;
+    ctx.beginPath(); ctx.moveTo(tx, y0); ctx.lineTo(tx, y0 + h); ctx.stroke();
+  }
+}
+
+function drawConfusion(canvas, current, threshold) {
+  const plot = beginPlot(canvas, `Confusion @ ${isFinite(threshold) ? threshold.toFixed(3) : '—'}`);
+  const { ctx, x0, y0, w, h } = plot;
+  const total = current.tp + current.fp + current.tn + current.fn;
+  if (total === 0) { drawNote(plot, 'No labeled images'); return; }
+  // Rows: truth (glasses, no glasses); columns: prediction (glasses, no glasses)
+  const cells = [
+    [current.tp, 'TP', '#3b82f6'], [current.fn, 'FN', '#f59e0b'],
+    [current.fp, 'FP', '#ef4444'], [current.tn, 'TN', '#10b981'],
+  ];
+  const cw = w / 2; const ch = h / 2;
+  cells.forEach(([count, label, color], i) => {
+    const cx = x0 + (i % 2) * cw; const cy = y0 + Math.floor(i / 2) * ch;
+    ctx.globalAlpha = 0.25 + 0.6 * (count / total);
+    ctx.fillStyle = color; ctx.fillRect(cx + 1, cy + 1, cw - 2, ch - 2);
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = COLORS.strong; ctx.textAlign = 'center';
+    ctx.font = '16px system-ui, sans-serif';
+    ctx.fillText(String(count), cx + cw / 2, cy + ch / 2);
+    ctx.font = '10px system-ui, sans-serif';
+    ctx.fillText(`${label} ${((count / total) * 100).toFixed(1)}%`, cx + cw / 2, cy + ch / 2 + 14);
+  });
+  ctx.fillStyle = COLORS.text; ctx.font = '10px system-ui, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.fillText('pred glasses', x0 + cw / 2, y0 + h + 12);
+  ctx.fillText('pred none', x0 + cw * 1.5, y0 + h + 12);
+  ctx.fillText(`acc ${(((current.tp + current.tn) / total) * 100).toFixed(1)}%`, x0 + w / 2, y0 + h + 22);
+  ctx.save();
+  ctx.translate(10, y0 + h / 2); ctx.rotate(-Math.PI / 2);
+  ctx.fillText('truth: glasses | none', 0, 0);
+  ctx.restore();
+}
+
+// Per-pose table: images, measured, rejected by the pose gate and accuracy per |yaw| and
+// |pitch| bin. Hidden while no thumbnail has a pose (e.g. imported CSV results).
+function renderPoseTable(container, samples, threshold) {
+  let el = container.querySelector('[data-part="pose"]');
+  if (!samples.some(s => s.pose)) { if (el) el.remove(); return; }
+  if (!el) {
+    el = document.createElement('div');
+    el.dataset.part = 'pose';
+    el.className = 'pose-breakdown';
+    container.appendChild(el);
+  }
+  const { rows, unknown } = poseBreakdown(samples, threshold);
+  const table = document.createElement('table');
+  const head = table.createTHead().insertRow();
+  for (const h of ['Pose', 'Images', 'Measured', 'Out of range', 'Accuracy']) {
+    const th = document.createElement('th'); th.textContent = h; head.appendChild(th);
+  }
+  const body = table.createTBody();
+  const accuracy = (r) => (r.labeled ? `${(r.accuracy * 100).toFixed(1)}% of ${r.labeled}` : '—');
+  for (const r of rows) {
+    if (r.images === 0) continue;
+    const cells = [`|${r.axis}| ${r.from}–${r.to}°`, r.images, r.measured, r.outOfRange, accuracy(r)];
+    const row = body.insertRow();
+    for (const text of cells) row.insertCell().textContent = String(text);
+  }
+  if (unknown.images > 0) {
+    const row = body.insertRow();
+    for (const text of ['unknown', unknown.images, unknown.measured, unknown.outOfRange, accuracy(unknown)]) row.insertCell().textContent = String(text);
+  }
+  el.replaceChildren(table);
+}
+
+// Glasses-type confusion table (rows: folder type, columns: predicted type). Hidden while
+// no thumbnail has a type label.
+function renderTypeTable(container, samples, threshold, typeOptions) {
+  let el = container.querySelector('[data-part="glasses-type"]');
+  if (!samples.some(s => s.typeTruth)) { if (el) el.remove(); return; }
+  if (!el) {
+    el = document.createElement('div');
+    el.dataset.part = 'glasses-type';
+    el.className = 'pose-breakdown';
+    container.appendChild(el);
+  }
+  const { types, matrix, labeled, accuracy } = glassesTypeConfusion(samples, threshold, typeOptions);
+  const table = document.createElement('table');
+  const head = table.createTHead().insertRow();
+  for (const h of ['Truth ↓ predicted →', ...types]) {
+    const th = document.createElement('th'); th.textContent = h; head.appendChild(th);
+  }
+  const body = table.createTBody();
+  types.forEach((t, i) => {
+    const row = body.insertRow();
+    for (const text of [t, ...matrix[i]]) row.insertCell().textContent = String(text);
+  });
+  const foot = table.createTFoot().insertRow();
+  foot.insertCell().textContent = 'Accuracy';
+  const cell = foot.insertCell();
+  cell.colSpan = types.length;
+  cell.textContent = labeled ? `${(accuracy * 100).toFixed(1)}% of ${labeled}` : '—';
+  el.replaceChildren(table);
+}
+
+/**
+ * Redraw the metrics panel from the results grid.
+ * @param {HTMLElement|null} container - element receiving the panel's canvases
+ * @param {HTMLElement} gridEl - results grid (thumbs with data-measure / data-truth)
+ * @param {number} threshold - current decision threshold (measure > threshold)
+ * @param {[number, number]} [range] - histogram range, e.g. the slider's min/max
+ * @param {object} [typeOptions] - sunglasses options of the run (GLASSES_TYPE_OPTIONS)
+ */
+export function renderMetricsPanel(container, gridEl, threshold, range, typeOptions = {}) {
+  if (!container || !gridEl) return;
+  const canvases = getCanvases(container);
+  const samples = collectGridMeasures(gridEl);
+  const labeled = samples.filter(s => s.truth !== null);
+  const current = confusionAt(labeled, threshold);
+  drawRoc(canvases.roc, labeled, current);
+  drawPr(canvases.pr, labeled, current);
+  drawHistogram(canvases.histogram, samples, threshold, range);
+  drawConfusion(canvases.confusion, current, threshold);
+  renderPoseTable(container, samples, threshold);
+  renderTypeTable(container, samples, threshold, typeOptions);
+}
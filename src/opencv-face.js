@@ -0,0 +1,129 @@
+// OpenCV.js face alignment shared by the OpenCV batch pages (batch.html, edge-batch/)
+// Eye location and the eye-distance and pose gates come from algorithms/face-alignment.js,
+// so these pages reject the same faces (with the same `reason`) as the pure algorithms.
+
+import { locateEyes, computeAlignmentMatrix } from '../algorithms/face-alignment.js';
+import { grayRegionStats, checkOcclusion } from '../algorithms/uncertainty.js';
+import { normalizeIlluminationU8 } from '../algorithms/illumination.js';
+import { measureLensFeatures } from '../algorithms/glasses-type.js';
+import { loadRuntime } from './asset-loader.js';
+
+/**
+ * Load OpenCV.js (asset-loader.js) and wait until its wasm is initialized.
+ * Rejects with the missing files when the local copy is incomplete.
+ * @returns {Promise<void>}
+ */
+export async function waitForOpenCV() {
+  await loadRuntime('opencv');
+  await new Promise(resolve => {
+    if (typeof cv !== 'undefined' && cv.Mat) return resolve();
+    const timer = setInterval(() => {
+      if (typeof cv !== 'undefined' && cv.Mat) { clearInterval(timer); resolve(); }
+    }, 50);
+  });
+}
+
+function getAlignedFaceFromCenters(srcCanvas, leftCenter, rightCenter, desiredW = 256, desiredH = 256) {
+  const dx = rightCenter[0] - leftCenter[0];
+  const dy = rightCenter[1] - leftCenter[1];
+  const dist = Math.hypot(dx, dy);
+  const desiredDist = desiredW * 0.5;
+  const scale = desiredDist / (dist || 1);
+  const angle = Math.atan2(dy, dx) * 180 / Math.PI;
+  const eyesCenter = [(leftCenter[0] + rightCenter[0]) * 0.5, (leftCenter[1] + rightCenter[1]) * 0.5];
+  const M = cv.getRotationMatrix2D(new cv.Point(eyesCenter[0], eyesCenter[1]), angle, scale);
+  M.doublePtr(0, 2)[0] += (desiredW * 0.5 - eyesCenter[0]);
+  M.doublePtr(1, 2)[0] += (desiredH * 0.5 - eyesCenter[1]);
+  const src = cv.imread(srcCanvas);
+  const dst = new cv.Mat();
+  const dsize = new cv.Size(desiredW, desiredH);
+  cv.warpAffine(src, dst, M, dsize, cv.INTER_LINEAR, cv.BORDER_CONSTANT, new cv.Scalar());
+  src.delete(); M.delete();
+  return dst;
+}
+
+/**
+ * Align one face to 256x256, flipped vertically to the measurement orientation of the
+ * realtime page. `aligned` is null unless reason is 'ok'; the caller must delete it.
+ * `eyes` are the eye centers in canvas pixels (null for degenerate landmarks); `pose` is the
+ * head pose in degrees (see algorithms/head-pose.js), null when unknown.
+ * @param {HTMLCanvasElement} canvas
+ * @param {"mediapipe"|"faceapi"} provider
+ * @param {any} landmarks
+ * @returns {{ reason:string, eyes:{ left:[number,number], right:[number,number] }|null, pose:{ yaw:number, pitch:number, roll:number }|null, aligned:any }}
+ */
+export function alignFaceCv(canvas, provider, landmarks) {
+  const located = locateEyes(provider, landmarks, canvas.width, canvas.height);
+  const eyes = located.reason !== 'degenerate_landmarks' ? { left: located.leftCenter, right: located.rightCenter } : null;
+  const { pose } = located;
+  if (located.reason !== 'ok') return { reason: located.reason, eyes, pose, aligned: null };
+  const aligned = getAlignedFaceFromCenters(canvas, located.leftCenter, located.rightCenter, 256, 256);
+  const flipped = new cv.Mat();
+  cv.flip(aligned, flipped, 0);
+  aligned.delete();
+  return { reason: 'ok', eyes, pose, aligned: flipped };
+}
+
+/**
+ * Single-channel copy of an RGBA, RGB or gray Mat; the caller must delete it.
+ * @param {any} mat
+ * @returns {any}
+ */
+export function toGrayMat(mat) {
+  const gray = new cv.Mat();
+  const ch = mat.channels();
+  if (ch === 4) cv.cvtColor(mat, gray, cv.COLOR_RGBA2GRAY);
+  else if (ch === 3) cv.cvtColor(mat, gray, cv.COLOR_RGB2GRAY);
+  else mat.copyTo(gray);
+  return gray;
+}
+
+/**
+ * Illumination normalization (see algorithms/illumination.js) of an aligned face Mat, with
+ * the same implementation the pure detectors use, so both paths measure alike.
+ * @param {any} mat - RGBA, RGB or gray aligned face
+ * @param {{ illumination?:string }} [opts] - ILLUMINATION_OPTIONS values
+ * @returns {any|null} a normalized CV_8UC1 Mat the caller must delete, or null for 'none'
+ */
+export function normalizeIlluminationCv(mat, opts = {}) {
+  if (!opts.illumination || opts.illumination === 'none') return null;
+  const gray = toGrayMat(mat);
+  gray.data.set(normalizeIlluminationU8(gray.data, gray.cols, gray.rows, opts));
+  return gray;
+}
+
+/**
+ * Lens features (see algorithms/glasses-type.js) of a face aligned by alignFaceCv, for the
+ * glasses-type classification. The OpenCV alignment matches computeAlignmentMatrix, which
+ * maps the iris landmarks into the aligned face.
+ * @param {any} aligned - RGBA Mat from alignFaceCv, before illumination normalization
+ * @param {HTMLCanvasElement} canvas - the canvas the landmarks were taken on
+ * @param {"mediapipe"|"faceapi"} provider
+ * @param {any} landmarks
+ * @param {{ left:[number,number], right:[number,number] }} eyes - from alignFaceCv
+ * @returns {{ eyeLuminance:number, cheekLuminance:number, eyeContrast:number, irisVisibility:number|null }}
+ */
+export function lensFeaturesCv(aligned, canvas, provider, landmarks, eyes) {
+  const { cols: width, rows: height } = aligned;
+  return measureLensFeatures({ width, height, data: aligned.data }, {
+    provider, landmarks, imgW: canvas.width, imgH: canvas.height, matrix: computeAlignmentMatrix(eyes.left, eyes.right, width, height),
+  });
+}
+
+/**
+ * Occlusion check (see algorithms/uncertainty.js) on one rectangle of a gray Mat.
+ * @param {any} gray - CV_8UC1
+ * @param {{x:number,y:number,width:number,height:number}} rect
+ * @returns {{ occluded:boolean, cause:string|null }}
+ */
+export function regionOcclusion(gray, rect) {
+  return checkOcclusion(grayRegionStats(gray.data, gray.cols, rect));
+}
+
+/**
+ * Clear preview canvases.
+ * @param {...HTMLCanvasElement} canvases
+ */
+export function clearCanvases(...canvases) {
+  for (const c of canvases) c.getContext('2d').clearRect(0, 0, c.width, c.height);
+}
@@ -0,0 +1,48 @@
+// Probability-model controls shared by the batch pages
+// Fits a Platt or isotonic model on the labeled measures in the results grid and offers
+// it as a JSON download; final.html can load such a file back for detection.
+
+import { fitProbabilityModel, exportProbabilityModel, loadProbabilityModel } from '../algorithms/probability.js';
+import { collectLabeledMeasures } from './calibration-panel.js';
+
+/**
+ * Wire the Fit button and the model download link.
+ * @param {{ gridEl:HTMLElement, algorithm:() => string, methodSelect:HTMLSelectElement, button:HTMLElement, downloadEl:HTMLAnchorElement, summaryEl:HTMLElement }} els
+ *   `algorithm` returns the registry name of the measure shown in the grid
+ */
+export function setupProbabilityFit({ gridEl, algorithm, methodSelect, button, downloadEl, summaryEl }) {
+  if (!button || !gridEl) return;
+  button.addEventListener('click', () => {
+    const samples = collectLabeledMeasures(gridEl);
+    const method = (methodSelect && methodSelect.value) || 'platt';
+    let model;
+    try {
+      model = fitProbabilityModel(samples, { method, algorithm: algorithm() });
+    } catch (err) {
+      if (summaryEl) summaryEl.textContent = `Cannot fit: ${err.message}`;
+      return;
+    }
+    const blob = new Blob([exportProbabilityModel(model)], { type: 'application/json' });
+    if (downloadEl) {
+      if (downloadEl.href) URL.revokeObjectURL(downloadEl.href);
+      downloadEl.href = URL.createObjectURL(blob);
+      downloadEl.download = `glasses-probability-${model.algorithm}-${method}.json`;
+      downloadEl.style.display = 'inline-block';
+    }
+    if (summaryEl) {
+      const { n, positives, brier, logLoss } = model.fit;
+      summaryEl.textContent = `${method} model for ${model.algorithm} on ${n} measured images (${positives} glasses): Brier ${brier.toFixed(3)}, log loss ${logLoss.toFixed(3)}.`;
+    }
+  });
+}
+
+/**
+ * Read and validate the model picked in a file input.
+ * @param {HTMLInputElement|null} inputEl
+ * @returns {Promise<object|null>} null when no file is selected; throws TypeError for an invalid model
+ */
+export async function readProbabilityModel(inputEl) {
+  const file = inputEl && inputEl.files && inputEl.files[0];
+  if (!file) return null;
+  return loadProbabilityModel(await file.text());
+}
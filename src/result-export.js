@@ -0,0 +1,343 @@
+// Result exports shared by the batch pages: CSV, JSON, JSONL and COCO annotations, plus the
+// video page's timeline (CSV of samples and segments, JSON). Batch exports are built from
+// BatchEngine records and classified at export time with the current threshold and
+// uncertain margin, like the grid. Boxes and eye centers are converted back from the
+// scaled canvas the pipeline measured on to the original image's pixels.
+
+import { decide } from '../algorithms/uncertainty.js';
+import { classifyGlassesType } from '../algorithms/glasses-type.js';
+
+// Reported in every JSON/JSONL/annotation export; bump when measures or fields change
+export const SOFTWARE = { name: 'glasses-detector-js', version: '1.7.0' };
+export const EXPORT_FORMAT = 'glasses-results';
+export const EXPORT_VERSION = 1;
+
+export const TIMELINE_FORMAT = 'glasses-timeline';
+export const TIMELINE_VERSION = 1;
+
+export const CSV_COLUMNS = ['path', 'faceIndex', 'measure', 'withGlasses', 'decision', 'reason', 'probability', 'yaw', 'pitch', 'roll', 'illumination', 'glassesType', 'eyeLuminance', 'eyeContrast', 'irisVisibility', 'bridgeScore', 'rimScore', 'sobelOtsuScore'];
+
+export const TIMELINE_CSV_COLUMNS = ['time', 'faceCount', 'measure', 'smoothed', 'withGlasses', 'segment'];
+export const SEGMENT_CSV_COLUMNS = ['segment', 'withGlasses', 'start', 'end', 'duration', 'samples', 'meanMeasure'];
+
+// CSV cell as splitCsvLine (algorithms/labels.js) reads it back: quoted, with doubled quotes,
+// when it holds a comma, a quote or a line break (paths may contain any of them)
+function csvCell(v) {
+  const text = String(v);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const round1 = (v) => Math.round(v * 10) / 10;
+
+// Original-image pixels from scaled-canvas pixels (records without a scale are left as is)
+function unscale(v, scale) {
+  return round2(scale > 0 ? v / scale : v);
+}
+
+function exportBox(box, scale) {
+  if (!box) return null;
+  return { x: unscale(box.x, scale), y: unscale(box.y, scale), width: unscale(box.width, scale), height: unscale(box.height, scale) };
+}
+
+function exportEyes(eyes, scale) {
+  if (!eyes) return null;
+  return { left: eyes.left.map(v => unscale(v, scale)), right: eyes.right.map(v => unscale(v, scale)) };
+}
+
+// Head pose in degrees, to 0.1°
+function exportPose(pose) {
+  if (!pose) return null;
+  return { yaw: round1(pose.yaw), pitch: round1(pose.pitch), roll: round1(pose.roll) };
+}
+
+// Lens features (glasses-type.js), luminance to 0.1 gray level, ratios to 0.001
+function exportLens(lens) {
+  if (!lens) return null;
+  const round3 = (v) => Math.round(v * 1000) / 1000;
+  return {
+    eyeLuminance: round1(lens.eyeLuminance),
+    cheekLuminance: Number.isFinite(lens.cheekLuminance) ? round1(lens.cheekLuminance) : null,
+    eyeContrast: round3(lens.eyeContrast),
+    irisVisibility: Number.isFinite(lens.irisVisibility) ? round3(lens.irisVisibility) : null,
+  };
+}
+
+// Ensemble component scores (fusion.js) and the rim detector's parts, to 1e-6 like the measure
+function exportScores(scores) {
+  if (!scores) return null;
+  return Object.fromEntries(Object.entries(scores).map(([k, v]) => [k, Number.isFinite(v) ? Math.round(v * 1e6) / 1e6 : null]));
+}
+
+/**
+ * One entry per face, in file order; images without a face get one entry with a null
+ * faceIndex. Classified at `threshold` / `uncertainMargin`; the glasses type with the
+ * run's sunglasses options.
+ * @param {object[]} records - BatchEngine records
+ * @param {number} threshold
+ * @param {number} [uncertainMargin]
+ * @param {object} [typeOptions] - GLASSES_TYPE_OPTIONS values, e.g. the run's options
+ * @returns {Array<{ path:string, truth:boolean|null, typeTruth:string|null, imageSize:object|null, faceIndex:number|null, box:object|null, eyes:object|null, measure:number, withGlasses:boolean, decision:string|null, glassesType:string|null, occluded:boolean, reason:string, probability:number|null, pose:object|null, illumination:string|null, lens:object|null, components:object|null, rimScores:object|null }>}
+ */
+export function faceRows(records, threshold, uncertainMargin = 0, typeOptions = {}) {
+  const rows = [];
+  for (const r of records) {
+    const base = { path: r.path, truth: r.truth, typeTruth: r.typeTruth || null, imageSize: r.imageSize || null };
+    if (r.faces.length === 0) {
+      rows.push({ ...base, faceIndex: null, box: null, eyes: null, measure: NaN, withGlasses: false, decision: null, glassesType: null, occluded: false, reason: r.reason, probability: null, pose: null, illumination: null, lens: null, components: null, rimScores: null });
+    }
+    for (const f of r.faces) {
+      rows.push({
+        ...base,
+        faceIndex: f.faceIndex,
+        box: exportBox(f.box, r.scale),
+        eyes: exportEyes(f.eyes, r.scale),
+        measure: f.measure,
+        withGlasses: Number.isFinite(f.measure) && f.measure > threshold,
+        decision: decide(f.measure, threshold, { uncertainMargin, occluded: !!f.occluded }),
+        glassesType: classifyGlassesType(f.lens, f.measure, threshold, typeOptions),
+        occluded: !!f.occluded,
+        reason: f.reason || 'ok',
+        probability: Number.isFinite(f.probability) ? f.probability : null,
+        pose: exportPose(f.pose),
+        illumination: f.illumination || null,
+        lens: exportLens(f.lens),
+        components: exportScores(f.components),
+        rimScores: exportScores(f.rimScores),
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * CSV with one row per face (faceless images get one row with an empty faceIndex).
+ * @param {object[]} records - BatchEngine records
+ * @param {number} threshold
+ * @param {number} [uncertainMargin]
+ * @param {object} [typeOptions] - as for faceRows
+ * @returns {Blob}
+ */
+export function createCsv(records, threshold, uncertainMargin = 0, typeOptions = {}) {
+  const lines = [CSV_COLUMNS.join(',')].concat(faceRows(records, threshold, uncertainMargin, typeOptions).map(r => [
+    r.path,
+    r.faceIndex ?? '',
+    Number.isFinite(r.measure) ? r.measure.toFixed(6) : 'NaN',
+    r.withGlasses ? 1 : 0,
+    r.decision || '',
+    r.reason || '',
+    r.probability !== null ? r.probability.toFixed(6) : '',
+    r.pose ? r.pose.yaw : '',
+    r.pose ? r.pose.pitch : '',
+    r.pose ? r.pose.roll : '',
+    r.illumination || '',
+    r.glassesType || '',
+    r.lens ? r.lens.eyeLuminance : '',
+    r.lens ? r.lens.eyeContrast : '',
+    r.lens && r.lens.irisVisibility !== null ? r.lens.irisVisibility : '',
+    r.components ? r.components.bridge ?? '' : '',
+    r.components ? r.components.rim ?? '' : '',
+    r.components ? r.components.sobelOtsu ?? '' : '',
+  ].map(csvCell).join(',')));
+  return new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8;' });
+}
+
+/**
+ * Run metadata written at the top of the JSON and JSONL exports.
+ * @param {{ page:string, provider:string|null, algorithm:string, options?:object, groundTruth?:string, workers?:number, maxSide?:number }} run
+ * @param {number} threshold
+ * @param {number} uncertainMargin
+ * @returns {object}
+ */
+export function runMetadata(run, threshold, uncertainMargin) {
+  return { exportedAt: new Date().toISOString(), software: { ...SOFTWARE }, ...run, threshold, uncertainMargin };
+}
+
+// JSON has no NaN: rejected faces export a null measure
+const finiteOrNull = (v) => (Number.isFinite(v) ? v : null);
+
+/**
+ * JSON document: { format, version, run, images: [{ path, width, height, truth, typeTruth, reason, faces }] }.
+ * @param {object[]} records - BatchEngine records
+ * @param {object} run - runMetadata()
+ * @returns {Blob}
+ */
+export function createJson(records, run) {
+  const rows = faceRows(records, run.threshold, run.uncertainMargin, run.options || {});
+  const images = records.map(r => ({
+    path: r.path,
+    width: r.imageSize ? r.imageSize.width : null,
+    height: r.imageSize ? r.imageSize.height : null,
+    truth: r.truth,
+    typeTruth: r.typeTruth || null,
+    reason: r.reason,
+    faces: [],
+  }));
+  const byPath = new Map(images.map(img => [img.path, img]));
+  for (const { path, faceIndex, box, eyes, measure, withGlasses, decision, glassesType, occluded, reason, probability, pose, illumination, lens, components, rimScores } of rows) {
+    if (faceIndex !== null) byPath.get(path).faces.push({ faceIndex, box, eyes, measure: finiteOrNull(measure), withGlasses, decision, glassesType, occluded, reason, probability, pose, illumination, lens, components, rimScores });
+  }
+  const doc = { format: EXPORT_FORMAT, version: EXPORT_VERSION, run, images };
+  return new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+}
+
+/**
+ * JSON Lines: a { type: 'run', ... } line, then one { type: 'face', ... } line per CSV row,
+ * each carrying provider, algorithm and threshold so lines stand on their own.
+ * @param {object[]} records - BatchEngine records
+ * @param {object} run - runMetadata()
+ * @returns {Blob}
+ */
+export function createJsonl(records, run) {
+  const lines = [JSON.stringify({ type: 'run', format: EXPORT_FORMAT, version: EXPORT_VERSION, ...run })];
+  for (const { path, truth, imageSize, faceIndex, box, eyes, measure, ...rest } of faceRows(records, run.threshold, run.uncertainMargin, run.options || {})) {
+    lines.push(JSON.stringify({
+      type: 'face',
+      path,
+      width: imageSize ? imageSize.width : null,
+      height: imageSize ? imageSize.height : null,
+      truth,
+      provider: run.provider,
+      algorithm: run.algorithm,
+      threshold: run.threshold,
+      faceIndex,
+      box,
+      eyes,
+      measure: finiteOrNull(measure),
+      ...rest,
+    }));
+  }
+  return new Blob([lines.join('\n') + '\n'], { type: 'application/x-ndjson' });
+}
+
+/**
+ * COCO-style annotations for labeling tools (CVAT, Label Studio, ...): one `face` box per
+ * detected face with attributes `glasses` (the decision at the current threshold),
+ * `uncertain`, `glassesType`, `measure` and `occluded`. Images that failed to decode and faces without a
+ * box are left out.
+ * @param {object[]} records - BatchEngine records
+ * @param {object} run - runMetadata()
+ * @returns {Blob}
+ */
+export function createCocoAnnotations(records, run) {
+  const images = []; const annotations = [];
+  const ids = new Map();
+  for (const r of records) {
+    if (!r.imageSize) continue;
+    const id = images.length + 1;
+    ids.set(r.path, id);
+    images.push({ id, file_name: r.path, width: r.imageSize.width, height: r.imageSize.height });
+  }
+  for (const row of faceRows(records, run.threshold, run.uncertainMargin, run.options || {})) {
+    const imageId = ids.get(row.path);
+    if (!imageId || !row.box) continue;
+    const { x, y, width, height } = row.box;
+    annotations.push({
+      id: annotations.length + 1,
+      image_id: imageId,
+      category_id: 1,
+      bbox: [x, y, width, height],
+      area: round2(width * height),
+      iscrowd: 0,
+      attributes: {
+        glasses: row.decision === 'glasses',
+        uncertain: row.decision === 'uncertain',
+        glassesType: row.glassesType,
+        measure: finiteOrNull(row.measure),
+        occluded: row.occluded,
+      },
+    });
+  }
+  const doc = {
+    info: { description: `${run.algorithm} glasses detection (${run.page})`, version: SOFTWARE.version, date_created: run.exportedAt },
+    images,
+    annotations,
+    categories: [{ id: 1, name: 'face', supercategory: 'person' }],
+  };
+  return new Blob([JSON.stringify(doc)], { type: 'application/json' });
+}
+
+// Timeline state as a CSV cell: 1 glasses, 0 no glasses, empty for no face
+const stateCell = (withGlasses) => (withGlasses === null ? '' : (withGlasses ? 1 : 0));
+const round3 = (v) => Math.round(v * 1000) / 1000;
+
+// Segment index of every timeline entry
+function segmentOfEntry(segments) {
+  const out = [];
+  segments.forEach((s, i) => { for (let k = 0; k < s.samples; k++) out.push(i); });
+  return out;
+}
+
+/**
+ * CSV of a video timeline, one row per sampled frame; `segment` is the row's index into
+ * the segments CSV.
+ * @param {Array<{ time:number, faceCount:number, measure:number, smoothed:number, withGlasses:boolean|null }>} entries - buildTimeline() result (algorithms/video-timeline.js)
+ * @param {object[]} segments - timelineSegments() result
+ * @returns {Blob}
+ */
+export function createTimelineCsv(entries, segments) {
+  const segmentOf = segmentOfEntry(segments);
+  const lines = [TIMELINE_CSV_COLUMNS.join(',')].concat(entries.map((e, i) => [
+    e.time,
+    e.faceCount,
+    Number.isFinite(e.measure) ? e.measure.toFixed(6) : 'NaN',
+    Number.isFinite(e.smoothed) ? e.smoothed.toFixed(6) : 'NaN',
+    stateCell(e.withGlasses),
+    segmentOf[i],
+  ].join(',')));
+  return new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8;' });
+}
+
+/**
+ * CSV of the segments of continuous glasses-on (1), glasses-off (0) or no-face (empty) state.
+ * @param {Array<{ withGlasses:boolean|null, start:number, end:number, samples:number, meanMeasure:number }>} segments - timelineSegments() result
+ * @returns {Blob}
+ */
+export function createSegmentsCsv(segments) {
+  const lines = [SEGMENT_CSV_COLUMNS.join(',')].concat(segments.map((s, i) => [
+    i,
+    stateCell(s.withGlasses),
+    s.start,
+    round3(s.end),
+    round3(s.end - s.start),
+    s.samples,
+    Number.isFinite(s.meanMeasure) ? s.meanMeasure.toFixed(6) : 'NaN',
+  ].join(',')));
+  return new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8;' });
+}
+
+/**
+ * JSON document of a video timeline: { format, version, run, summary, samples, segments }.
+ * @param {object[]} entries - buildTimeline() result
+ * @param {object[]} segments - timelineSegments() result
+ * @param {object} run - runMetadata(), with the video, sample rate and stream options
+ * @param {object} summary - timelineSummary() result
+ * @returns {Blob}
+ */
+export function createTimelineJson(entries, segments, run, summary) {
+  const segmentOf = segmentOfEntry(segments);
+  const doc = {
+    format: TIMELINE_FORMAT,
+    version: TIMELINE_VERSION,
+    run,
+    summary: { glasses: round3(summary.glasses), noGlasses: round3(summary.noGlasses), unknown: round3(summary.unknown), changes: summary.changes },
+    samples: entries.map((e, i) => ({
+      time: e.time,
+      faceCount: e.faceCount,
+      measure: finiteOrNull(e.measure),
+      smoothed: finiteOrNull(e.smoothed),
+      withGlasses: e.withGlasses,
+      segment: segmentOf[i],
+    })),
+    segments: segments.map((s, i) => ({
+      segment: i,
+      withGlasses: s.withGlasses,
+      start: s.start,
+      end: round3(s.end),
+      duration: round3(s.end - s.start),
+      samples: s.samples,
+      meanMeasure: finiteOrNull(s.meanMeasure),
+    })),
+  };
+  return new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+}
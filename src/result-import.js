@@ -0,0 +1,239 @@
+// Re-evaluation of an earlier run from its exported results (CSV, JSON or JSONL)
+// The stored measures are replayed through a BatchEngine into the results view, so metrics,
+// calibration and threshold changes work without the dataset or the landmark models.
+// Thumbnails show images only when the run's folder is picked as well.
+
+import { splitCsvLine, splitCsvRows } from '../algorithms/labels.js';
+import { BatchEngine } from './batch-engine.js';
+import { connectEngine } from './batch-view.js';
+import { loadGroundTruth, reportGroundTruth } from './label-manifest.js';
+import { EXPORT_FORMAT, EXPORT_VERSION } from './result-export.js';
+
+// Reasons that describe the whole image rather than a face
+const IMAGE_ERRORS = new Set(['decode_failed', 'measure_failed']);
+
+function newImage(path) {
+  return { path, truth: undefined, imageSize: null, faces: [], error: undefined };
+}
+
+// Exported measures are null (JSON) or 'NaN' (CSV) for rejected faces
+function toMeasure(v) {
+  if (v === null || v === undefined || v === '') return NaN;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+function importFace(f) {
+  const face = {
+    faceIndex: Number(f.faceIndex) || 0,
+    box: f.box || null,
+    eyes: f.eyes || null,
+    measure: toMeasure(f.measure),
+    occluded: !!f.occluded,
+    reason: f.reason || 'ok',
+  };
+  const p = f.probability === null || f.probability === '' ? NaN : Number(f.probability);
+  if (Number.isFinite(p)) face.probability = p;
+  if (f.pose && ['yaw', 'pitch', 'roll'].every(k => Number.isFinite(f.pose[k]))) face.pose = { yaw: f.pose.yaw, pitch: f.pose.pitch, roll: f.pose.roll };
+  if (typeof f.illumination === 'string' && f.illumination !== '') face.illumination = f.illumination;
+  // Lens features let the glasses type be reclassified; the cheek luminance is informational
+  const lens = f.lens || {};
+  const eyeLuminance = toMeasure(lens.eyeLuminance); const eyeContrast = toMeasure(lens.eyeContrast);
+  if (Number.isFinite(eyeLuminance) && Number.isFinite(eyeContrast)) {
+    const iris = toMeasure(lens.irisVisibility);
+    face.lens = { eyeLuminance, cheekLuminance: toMeasure(lens.cheekLuminance), eyeContrast, irisVisibility: Number.isFinite(iris) ? iris : null };
+  }
+  // Ensemble component scores let a fusion model be fitted from the imported results
+  const c = f.components || {};
+  const components = { bridge: toMeasure(c.bridge), rim: toMeasure(c.rim), sobelOtsu: toMeasure(c.sobelOtsu) };
+  if (Object.values(components).every(Number.isFinite)) face.components = components;
+  return face;
+}
+
+function imageSizeOf(width, height) {
+  return width > 0 && height > 0 ? { width, height } : null;
+}
+
+function parseCsvResults(text) {
+  // Quoted paths may hold commas, quotes and line breaks (result-export.js)
+  const lines = splitCsvRows(text).filter(l => l.trim() !== '');
+  if (lines.length === 0) return { format: 'csv', run: null, images: [] };
+  const sep = lines[0].includes(',') || !lines[0].includes(';') ? ',' : ';';
+  const head = splitCsvLine(lines[0], sep).map(h => h.toLowerCase());
+  const col = (name) => head.indexOf(name.toLowerCase());
+  const c = {
+    path: col('path'), faceIndex: col('faceIndex'), measure: col('measure'), reason: col('reason'), probability: col('probability'),
+    yaw: col('yaw'), pitch: col('pitch'), roll: col('roll'), illumination: col('illumination'),
+    eyeLuminance: col('eyeLuminance'), eyeContrast: col('eyeContrast'), irisVisibility: col('irisVisibility'),
+    bridgeScore: col('bridgeScore'), rimScore: col('rimScore'), sobelOtsuScore: col('sobelOtsuScore'),
+  };
+  if (c.path < 0 || c.measure < 0) throw new TypeError('results file: expected a CSV header with at least path and measure columns');
+  const images = new Map();
+  for (const line of lines.slice(1)) {
+    const cols = splitCsvLine(line, sep);
+    const path = cols[c.path];
+    if (!path) continue;
+    if (!images.has(path)) images.set(path, newImage(path));
+    const image = images.get(path);
+    const reason = c.reason >= 0 ? cols[c.reason] : '';
+    const measure = toMeasure(cols[c.measure]);
+    // Per-face exports leave faceIndex empty on faceless images; older exports (path,measure,
+    // withGlasses) have one row per image and no reason, so a NaN there means no face
+    const faceless = c.faceIndex >= 0
+      ? cols[c.faceIndex] === ''
+      : reason === 'no_face' || IMAGE_ERRORS.has(reason) || (!reason && !Number.isFinite(measure));
+    if (faceless) {
+      if (IMAGE_ERRORS.has(reason)) image.error = reason;
+      continue;
+    }
+    image.faces.push(importFace({
+      faceIndex: c.faceIndex >= 0 ? cols[c.faceIndex] : image.faces.length,
+      measure,
+      reason,
+      probability: c.probability >= 0 ? cols[c.probability] : null,
+      // Empty pose cells give NaN, which importFace drops
+      pose: c.yaw >= 0 ? { yaw: parseFloat(cols[c.yaw]), pitch: parseFloat(cols[c.pitch]), roll: parseFloat(cols[c.roll]) } : null,
+      illumination: c.illumination >= 0 ? cols[c.illumination] : null,
+      lens: c.eyeLuminance >= 0 && c.eyeContrast >= 0
+        ? { eyeLuminance: cols[c.eyeLuminance], eyeContrast: cols[c.eyeContrast], irisVisibility: c.irisVisibility >= 0 ? cols[c.irisVisibility] : null }
+        : null,
+      components: c.bridgeScore >= 0 && c.rimScore >= 0 && c.sobelOtsuScore >= 0
+        ? { bridge: cols[c.bridgeScore], rim: cols[c.rimScore], sobelOtsu: cols[c.sobelOtsuScore] }
+        : null,
+    }));
+  }
+  return { format: 'csv', run: null, images: [...images.values()] };
+}
+
+function parseJsonResults(text) {
+  let doc;
+  try { doc = JSON.parse(text); } catch (err) { throw new TypeError(`results file: invalid JSON (${err.message})`); }
+  if (doc && Array.isArray(doc.images) && Array.isArray(doc.annotations)) throw new TypeError('results file: annotation exports have no per-image results; import the JSON or CSV export instead');
+  if (!doc || doc.format !== EXPORT_FORMAT || !Array.isArray(doc.images)) throw new TypeError(`results file: expected a "${EXPORT_FORMAT}" JSON export`);
+  if (doc.version > EXPORT_VERSION) throw new TypeError(`results file: version ${doc.version} is newer than this page reads (${EXPORT_VERSION})`);
+  const images = doc.images.filter(img => img && typeof img.path === 'string' && img.path !== '').map(img => ({
+    path: img.path,
+    truth: typeof img.truth === 'boolean' ? img.truth : null,
+    imageSize: imageSizeOf(img.width, img.height),
+    faces: (Array.isArray(img.faces) ? img.faces : []).map(importFace),
+    error: IMAGE_ERRORS.has(img.reason) ? img.reason : undefined,
+  }));
+  return { format: 'json', run: doc.run || null, images };
+}
+
+function parseJsonlResults(text) {
+  let run = null;
+  const images = new Map();
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (line.trim() === '') return;
+    let row;
+    try { row = JSON.parse(line); } catch (err) { throw new TypeError(`results file: invalid JSON on line ${i + 1} (${err.message})`); }
+    if (row.type === 'run') {
+      const { type, format, version, ...rest } = row;
+      if (version > EXPORT_VERSION) throw new TypeError(`results file: version ${version} is newer than this page reads (${EXPORT_VERSION})`);
+      run = rest;
+      return;
+    }
+    if (row.type !== 'face' || typeof row.path !== 'string' || row.path === '') return;
+    if (!images.has(row.path)) {
+      images.set(row.path, { ...newImage(row.path), truth: typeof row.truth === 'boolean' ? row.truth : null, imageSize: imageSizeOf(row.width, row.height) });
+    }
+    const image = images.get(row.path);
+    if (row.faceIndex === null || row.faceIndex === undefined) {
+      if (IMAGE_ERRORS.has(row.reason)) image.error = row.reason;
+      return;
+    }
+    image.faces.push(importFace(row));
+  });
+  if (!run && images.size === 0) throw new TypeError(`results file: expected "${EXPORT_FORMAT}" JSON lines`);
+  return { format: 'jsonl', run, images: [...images.values()] };
+}
+
+/**
+ * Parse a results file exported by the batch pages. The format is picked by extension
+ * (.csv, .json, .jsonl) or content: a leading `{` whose first line is a run or face line is
+ * JSONL, any other `{` is JSON, the rest is CSV (header required; the older path,measure,
+ * withGlasses layout is read as one face per image). Face boxes and eye centers (JSON and
+ * JSONL only) are in original-image pixels; the CSV carries no boxes, occlusion or truth.
+ * Throws TypeError for malformed or unsupported files (e.g. annotation exports).
+ * @param {string} text
+ * @param {string} [name] - file name, used to pick the format
+ * @returns {{ format:'csv'|'json'|'jsonl', run:object|null, images:Array<{ path:string, truth:boolean|null|undefined, imageSize:object|null, faces:object[], error?:string }> }}
+ *   `truth` is undefined when the file does not record it
+ */
+export function parseResultsFile(text, name = '') {
+  const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (/\.(jsonl|ndjson)$/i.test(name)) return parseJsonlResults(trimmed);
+  if (/\.json$/i.test(name)) return parseJsonResults(trimmed);
+  if (trimmed.startsWith('{')) {
+    const first = trimmed.split(/\r?\n/, 1)[0];
+    let row = null;
+    try { row = JSON.parse(first); } catch (_) { /* a multi-line JSON document */ }
+    return row && (row.type === 'run' || row.type === 'face') ? parseJsonlResults(trimmed) : parseJsonResults(trimmed);
+  }
+  return parseCsvResults(trimmed);
+}
+
+/**
+ * Wire a file input that replays an exported results file into `view`.
+ * Ground truth comes from the label manifest when one is picked, else from the file (JSON,
+ * JSONL), else from folder names. The file's threshold and uncertain margin, when recorded,
+ * are applied to the sliders.
+ * @param {{
+ *   inputEl:HTMLInputElement|null, view:import('./batch-view.js').ResultsView, algorithm:() => string,
+ *   dirInput?:HTMLInputElement|null, labelsInput?:HTMLInputElement|null, labelsStatusEl?:HTMLElement|null,
+ *   statusEl?:HTMLElement|null, progressEl?:HTMLProgressElement|null, onImport?:(run:object|null) => void,
+ * }} els - `algorithm` names the page's algorithm for files without run metadata (CSV);
+ *   `onImport` runs before the sliders are set (e.g. to select the file's algorithm)
+ */
+export function setupResultsImport({ inputEl, view, algorithm, dirInput, labelsInput, labelsStatusEl, statusEl, progressEl, onImport }) {
+  if (!inputEl) return;
+  inputEl.addEventListener('change', async () => {
+    const file = inputEl.files && inputEl.files[0];
+    if (!file) return;
+    let parsed; let groundTruthMap;
+    try {
+      parsed = parseResultsFile(await file.text(), file.name);
+      groundTruthMap = await loadGroundTruth(labelsInput, parsed.images.map(img => img.path));
+    } catch (err) {
+      alert(`Could not import ${file.name}: ${err.message}`);
+      return;
+    } finally {
+      // Picking the same file again re-imports it
+      inputEl.value = '';
+    }
+    const { run, images } = parsed;
+    if (images.length === 0) { alert(`${file.name} has no results.`); return; }
+    reportGroundTruth(labelsStatusEl, groundTruthMap, images.map(img => img.path));
+
+    if (onImport) onImport(run);
+    const { thresholdInput, marginInput } = view.els;
+    if (run && Number.isFinite(run.threshold)) { thresholdInput.value = String(run.threshold); thresholdInput.dispatchEvent(new Event('input')); }
+    if (run && marginInput && Number.isFinite(run.uncertainMargin)) marginInput.value = String(run.uncertainMargin);
+
+    const picked = new Map(Array.from((dirInput && dirInput.files) || []).map(f => [f.webkitRelativePath || f.name, f]));
+    // Boxes are already in original pixels, hence scale 1
+    const restored = images.map(img => ({
+      file: picked.get(img.path) || null,
+      path: img.path,
+      truth: groundTruthMap ? undefined : img.truth,
+      faces: img.faces,
+      imageSize: img.imageSize,
+      scale: 1,
+      error: img.error,
+    }));
+    const engine = new BatchEngine({
+      algorithm: (run && run.algorithm) || algorithm(),
+      provider: (run && run.provider) || null,
+      options: (run && run.options) || {},
+      groundTruthMap,
+    });
+    connectEngine(engine, view, { statusEl, progressEl });
+    await engine.run([], { restored });
+    const shown = restored.filter(r => r.file).length;
+    if (statusEl) {
+      statusEl.textContent = `Imported ${images.length} images from ${file.name}`
+        + (shown ? ` (${shown} with thumbnails).` : '. Pick the run\'s folder as well to see the images.');
+    }
+  });
+}
@@ -0,0 +1,231 @@
+// Batch sessions persisted in IndexedDB, so a crashed or cancelled run can be resumed
+// Every processed image is stored as soon as the engine reports it, keyed by session and
+// path, with the file's size and mtime so a resumed run only skips files that are unchanged.
+
+const DB_NAME = 'glasses-detector';
+const DB_VERSION = 1;
+const SESSIONS = 'sessions';
+const RECORDS = 'records';
+
+// Images that failed are measured again on resume
+const RETRY_REASONS = new Set(['decode_failed', 'measure_failed']);
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function complete(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the sessions database.
+ * @returns {Promise<IDBDatabase>} rejects where IndexedDB is unavailable (e.g. some private modes)
+ */
+export function openSessionDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB is not available')); return; }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore(SESSIONS, { keyPath: 'id', autoIncrement: true });
+        const records = db.createObjectStore(RECORDS, { keyPath: ['sessionId', 'path'] });
+        records.createIndex('sessionId', 'sessionId');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Let a later call try again
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+/**
+ * Top-level folder of a picked directory ('' for loose files).
+ * @param {File[]} files
+ * @returns {string}
+ */
+export function folderOf(files) {
+  const path = files.length ? (files[0].webkitRelativePath || '') : '';
+  return path.includes('/') ? path.split('/')[0] : '';
+}
+
+/**
+ * Store a new session.
+ * @param {{ page:string, folder:string, provider:string, algorithm:string, illumination?:string, threshold:number, total:number }} fields
+ * @returns {Promise<object>} the session, with its `id`
+ */
+export async function createSession(fields) {
+  const db = await openSessionDb();
+  const now = Date.now();
+  const session = { ...fields, processed: 0, status: 'running', createdAt: now, updatedAt: now };
+  const tx = db.transaction(SESSIONS, 'readwrite');
+  session.id = await request(tx.objectStore(SESSIONS).add(session));
+  await complete(tx);
+  return session;
+}
+
+/**
+ * Merge `patch` into a stored session.
+ * @param {number} id
+ * @param {object} patch
+ * @returns {Promise<object|null>} the updated session, or null when it no longer exists
+ */
+export async function updateSession(id, patch) {
+  const db = await openSessionDb();
+  const tx = db.transaction(SESSIONS, 'readwrite');
+  const store = tx.objectStore(SESSIONS);
+  const current = await request(store.get(id));
+  const session = current ? { ...current, ...patch, id, updatedAt: Date.now() } : null;
+  if (session) store.put(session);
+  await complete(tx);
+  return session;
+}
+
+/**
+ * All stored sessions, newest first.
+ * @param {{ page?:string }} [filter]
+ * @returns {Promise<object[]>}
+ */
+export async function listSessions({ page } = {}) {
+  const db = await openSessionDb();
+  const sessions = await request(db.transaction(SESSIONS).objectStore(SESSIONS).getAll());
+  return sessions.filter(s => !page || s.page === page).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Stored records of a session, in processing order.
+ * @param {number} sessionId
+ * @returns {Promise<object[]>}
+ */
+export async function getSessionRecords(sessionId) {
+  const db = await openSessionDb();
+  const index = db.transaction(RECORDS).objectStore(RECORDS).index('sessionId');
+  const records = await request(index.getAll(sessionId));
+  return records.sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Delete a session and its records.
+ * @param {number} sessionId
+ */
+export async function deleteSession(sessionId) {
+  const db = await openSessionDb();
+  const tx = db.transaction([SESSIONS, RECORDS], 'readwrite');
+  tx.objectStore(SESSIONS).delete(sessionId);
+  const keys = await request(tx.objectStore(RECORDS).index('sessionId').getAllKeys(sessionId));
+  for (const key of keys) tx.objectStore(RECORDS).delete(key);
+  await complete(tx);
+}
+
+/**
+ * Latest session of `page` on the same folder, provider, algorithm and illumination
+ * normalization that did not finish.
+ * @param {{ page:string, folder:string, provider:string, algorithm:string, illumination?:string }} key
+ * @returns {Promise<object|null>}
+ */
+export async function findUnfinishedSession({ page, folder, provider, algorithm, illumination = 'none' }) {
+  const sessions = await listSessions({ page });
+  return sessions.find(s => s.folder === folder && s.provider === provider && s.algorithm === algorithm
+    && (s.illumination || 'none') === illumination && s.status !== 'done') || null;
+}
+
+// Plain per-face data (no canvases, Mats or diagnostics), safe for structured cloning
+function storedFaces(faces) {
+  return faces.map(f => ({
+    faceIndex: f.faceIndex,
+    box: f.box ? { x: f.box.x, y: f.box.y, width: f.box.width, height: f.box.height } : null,
+    eyes: f.eyes ? { left: [...f.eyes.left], right: [...f.eyes.right] } : null,
+    measure: f.measure,
+    withGlasses: !!f.withGlasses,
+    decision: f.decision ?? null,
+    occluded: !!f.occluded,
+    reason: f.reason || 'ok',
+    probability: Number.isFinite(f.probability) ? f.probability : null,
+    pose: f.pose ? { yaw: f.pose.yaw, pitch: f.pose.pitch, roll: f.pose.roll } : null,
+    illumination: f.illumination || null,
+    lens: f.lens ? { eyeLuminance: f.lens.eyeLuminance, cheekLuminance: f.lens.cheekLuminance, eyeContrast: f.lens.eyeContrast, irisVisibility: f.lens.irisVisibility ?? null } : null,
+    components: f.components ? { bridge: f.components.bridge, rim: f.components.rim, sobelOtsu: f.components.sobelOtsu } : null,
+    rimScores: f.rimScores ? { underEye: f.rimScores.underEye, temple: f.rimScores.temple } : null,
+  }));
+}
+
+/**
+ * Store one BatchEngine record and the session's progress in a single transaction.
+ * @param {object} session
+ * @param {object} record - BatchEngine record
+ * @param {number} processed - images done in the session so far
+ */
+export async function saveRecord(session, record, processed) {
+  const db = await openSessionDb();
+  const tx = db.transaction([SESSIONS, RECORDS], 'readwrite');
+  tx.objectStore(RECORDS).put({
+    sessionId: session.id,
+    path: record.path,
+    order: record.index,
+    size: record.file ? record.file.size : null,
+    lastModified: record.file ? record.file.lastModified : null,
+    provider: session.provider,
+    algorithm: session.algorithm,
+    measure: record.measure,
+    status: record.reason,
+    truth: record.truth,
+    imageSize: record.imageSize,
+    scale: record.scale,
+    faces: storedFaces(record.faces),
+  });
+  const sessions = tx.objectStore(SESSIONS);
+  const current = await request(sessions.get(session.id));
+  if (current) sessions.put({ ...current, processed, updatedAt: Date.now() });
+  await complete(tx);
+}
+
+/**
+ * Split picked files into those already done in stored `records` (same path, size and
+ * mtime, not failed) and those still to process.
+ * @param {File[]} files
+ * @param {object[]} records - from getSessionRecords()
+ * @returns {{ restored:Array<{ file:File, faces:any[], imageSize:object|null, scale:number|null }>, pending:File[] }}
+ */
+export function matchStoredRecords(files, records) {
+  const byPath = new Map(records.map(r => [r.path, r]));
+  const restored = []; const pending = [];
+  for (const file of files) {
+    const r = byPath.get(file.webkitRelativePath || file.name);
+    if (r && r.size === file.size && r.lastModified === file.lastModified && !RETRY_REASONS.has(r.status)) restored.push({ file, faces: r.faces, imageSize: r.imageSize ?? null, scale: r.scale ?? null });
+    else pending.push(file);
+  }
+  return { restored, pending };
+}
+
+/**
+ * Persist every new result of `engine` into `session` and its final status.
+ * Storage errors are logged and never stop the run.
+ * @param {import('./batch-engine.js').BatchEngine} engine
+ * @param {object} session
+ * @param {{ threshold?:() => number }} [opts] - threshold stored with the session when the run ends
+ */
+export function recordSession(engine, session, { threshold } = {}) {
+  const warn = (err) => console.warn('[sessions] could not store results', err);
+  engine.addEventListener('result', (e) => {
+    const { record, processed } = e.detail;
+    if (!record.restored) saveRecord(session, record, processed).catch(warn);
+  });
+  engine.addEventListener('done', (e) => {
+    const { processed, total, cancelled } = e.detail;
+    const patch = { processed, total, status: cancelled && processed < total ? 'cancelled' : 'done' };
+    if (threshold) patch.threshold = threshold();
+    updateSession(session.id, patch).catch(warn);
+  });
+}
@@ -0,0 +1,142 @@
+// Session list shared by the batch pages: past runs from IndexedDB side by side, with
+// Open (replay the stored results into the grid) and Delete, and the resume prompt shown
+// when a folder with an unfinished session is picked again.
+
+import { rocCurve } from '../algorithms/metrics.js';
+import { confusionAt } from '../algorithms/calibration.js';
+import { BatchEngine } from './batch-engine.js';
+import { connectEngine } from './batch-view.js';
+import {
+  folderOf, createSession, updateSession, listSessions, getSessionRecords, deleteSession,
+  findUnfinishedSession, matchStoredRecords, recordSession,
+} from './session-store.js';
+
+/**
+ * Start persisting a run: resume the folder's unfinished session when the user agrees,
+ * else create a new one. Without IndexedDB the run simply is not persisted.
+ * @param {{ page:string, files:File[], provider:string, algorithm:string, illumination?:string, threshold:number }} params
+ * @returns {Promise<{ session:object|null, restored:Array<{ file:File, faces:any[] }>, pending:File[] }>}
+ */
+export async function resumeOrCreateSession({ page, files, provider, algorithm, illumination = 'none', threshold }) {
+  const folder = folderOf(files);
+  try {
+    const previous = await findUnfinishedSession({ page, folder, provider, algorithm, illumination });
+    if (previous) {
+      const { restored, pending } = matchStoredRecords(files, await getSessionRecords(previous.id));
+      const started = new Date(previous.createdAt).toLocaleString();
+      if (restored.length > 0 && confirm(`An unfinished run on "${folder || 'these files'}" (${algorithm}, started ${started}) already has ${restored.length} of ${files.length} images. Resume it and skip them?`)) {
+        const session = await updateSession(previous.id, { total: files.length, status: 'running' });
+        return { session, restored, pending };
+      }
+    }
+    const session = await createSession({ page, folder, provider, algorithm, illumination, threshold, total: files.length });
+    return { session, restored: [], pending: files };
+  } catch (err) {
+    console.warn('[sessions] results will not be stored', err);
+    return { session: null, restored: [], pending: files };
+  }
+}
+
+/**
+ * Resume or create a session, and persist the engine's results into it.
+ * @param {import('./batch-engine.js').BatchEngine} engine
+ * @param {{ page:string, files:File[], provider:string, algorithm:string, illumination?:string, threshold:() => number }} params
+ * @returns {Promise<{ restored:Array<{ file:File, faces:any[] }>, pending:File[] }>} what to pass to engine.run()
+ */
+export async function persistRun(engine, { page, files, provider, algorithm, illumination, threshold }) {
+  const { session, restored, pending } = await resumeOrCreateSession({ page, files, provider, algorithm, illumination, threshold: threshold() });
+  if (session) recordSession(engine, session, { threshold });
+  return { restored, pending };
+}
+
+// Accuracy at the session's threshold and ROC AUC over the primary-face measures
+function summarize(records, threshold) {
+  const labeled = records.filter(r => r.truth === true || r.truth === false).map(r => ({ measure: r.measure, truth: r.truth }));
+  const measured = records.filter(r => Number.isFinite(r.measure)).length;
+  return {
+    measured,
+    labeled: labeled.length,
+    accuracy: confusionAt(labeled, threshold).accuracy,
+    auc: rocCurve(labeled).auc,
+  };
+}
+
+const pct = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(1)}%` : '—');
+
+/**
+ * Render the session list into `panelEl` and wire Open/Delete.
+ * Open replays a session's stored results through a BatchEngine into `view`; thumbnails
+ * show images when the session's folder is currently picked in `dirInput`.
+ * @param {{
+ *   panelEl:HTMLElement, page:string, view:import('./batch-view.js').ResultsView,
+ *   statusEl?:HTMLElement|null, progressEl?:HTMLProgressElement|null, dirInput?:HTMLInputElement|null,
+ * }} els - inside a closed <details>, the list (which reads every stored record) is only
+ *   built when it is opened
+ * @returns {{ refresh:() => Promise<void> }}
+ */
+export function setupSessionsPanel({ panelEl, page, view, statusEl, progressEl, dirInput }) {
+  if (!panelEl) return { refresh: async () => {} };
+
+  async function open(session) {
+    const records = await getSessionRecords(session.id);
+    const picked = new Map(Array.from((dirInput && dirInput.files) || []).map(f => [f.webkitRelativePath || f.name, f]));
+    const restored = records.map(r => ({ file: picked.get(r.path) || null, path: r.path, truth: r.truth, faces: r.faces, imageSize: r.imageSize ?? null, scale: r.scale ?? null }));
+    const engine = new BatchEngine({ algorithm: session.algorithm, provider: session.provider, options: { illumination: session.illumination || 'none' } });
+    connectEngine(engine, view, { statusEl, progressEl });
+    await engine.run([], { restored });
+    if (statusEl) statusEl.textContent = `Opened session from ${new Date(session.createdAt).toLocaleString()} (${records.length} images).`;
+  }
+
+  const details = panelEl.closest('details');
+  async function refresh() {
+    if (details && !details.open) return;
+    let sessions;
+    try {
+      sessions = await listSessions({ page });
+    } catch (err) {
+      panelEl.textContent = `Sessions are not available: ${err.message}`;
+      return;
+    }
+    if (sessions.length === 0) { panelEl.textContent = 'No stored sessions yet.'; return; }
+    const table = document.createElement('table');
+    const head = table.createTHead().insertRow();
+    for (const h of ['Started', 'Folder', 'Provider', 'Algorithm', 'Illumination', 'Images', 'Status', 'Threshold', 'Accuracy', 'AUC', '']) {
+      const th = document.createElement('th'); th.textContent = h; head.appendChild(th);
+    }
+    const body = table.createTBody();
+    for (const session of sessions) {
+      const s = summarize(await getSessionRecords(session.id), session.threshold);
+      const row = body.insertRow();
+      const cells = [
+        new Date(session.createdAt).toLocaleString(),
+        session.folder || '—',
+        session.provider,
+        session.algorithm,
+        // Sessions stored before normalization existed ran without it
+        session.illumination || 'none',
+        `${session.processed}/${session.total} (${s.measured} measured)`,
+        // A "running" session that is not running any more was interrupted
+        session.status === 'running' ? 'interrupted' : session.status,
+        Number.isFinite(session.threshold) ? session.threshold.toFixed(3) : '—',
+        s.labeled ? `${pct(s.accuracy)} of ${s.labeled}` : '—',
+        Number.isFinite(s.auc) ? s.auc.toFixed(3) : '—',
+      ];
+      for (const text of cells) row.insertCell().textContent = text;
+      const actions = row.insertCell();
+      const openBtn = document.createElement('button'); openBtn.textContent = 'Open';
+      openBtn.addEventListener('click', () => open(session));
+      const deleteBtn = document.createElement('button'); deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', async () => {
+        if (!confirm('Delete this session and its stored results?')) return;
+        await deleteSession(session.id);
+        refresh();
+      });
+      actions.append(openBtn, deleteBtn);
+    }
+    panelEl.replaceChildren(table);
+  }
+
+  if (details) details.addEventListener('toggle', () => { if (details.open) refresh(); });
+  refresh();
+  return { refresh };
+}
@@ -0,0 +1,150 @@
+// Canvas chart of a video glasses timeline (video.html)
+// Top: the per-sample measure (dots), its smoothed value (line) and the on/off thresholds.
+// Below it, the state band (glasses, no glasses, no face) and the face count per sample.
+// Colors follow the metrics panel.
+
+const COLORS = {
+  bg: '#0f1629',
+  axis: '#334155',
+  text: '#9fb3c8',
+  strong: '#e8ecf1',
+  curve: '#3b82f6',
+  marker: '#f59e0b',
+  glasses: '#ef4444',
+  noGlasses: '#10b981',
+  unknown: '#64748b',
+};
+const PAD = { l: 40, r: 10, t: 20, b: 22 };
+const BAND = 14;
+const FACES = 24;
+const GAP = 6;
+
+// Tick spacing of the time axis: about one label per 80 px
+function timeStep(duration, width) {
+  const raw = duration / Math.max(1, width / 80);
+  return [0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 1800, 3600].find(s => s >= raw) || 3600;
+}
+
+function formatTime(t) {
+  const m = Math.floor(t / 60); const s = t - m * 60;
+  return m ? `${m}:${String(Math.floor(s)).padStart(2, '0')}` : `${Number.isInteger(s) ? s : s.toFixed(1)}s`;
+}
+
+function layout(canvas) {
+  const w = canvas.width - PAD.l - PAD.r;
+  const h = canvas.height - PAD.t - PAD.b - BAND - FACES - 2 * GAP;
+  return { x0: PAD.l, y0: PAD.t, w, h, bandY: PAD.t + h + GAP, facesY: PAD.t + h + 2 * GAP + BAND };
+}
+
+/**
+ * Draw the timeline.
+ * @param {HTMLCanvasElement} canvas
+ * @param {{
+ *   entries: Array<{ time:number, faceCount:number, measure:number, smoothed:number }>,
+ *   segments: Array<{ withGlasses:boolean|null, start:number, end:number }>,
+ *   duration: number,
+ *   range: [number, number],
+ *   onThreshold: number,
+ *   offThreshold: number,
+ *   cursor?: number|null,
+ * }} data - buildTimeline() entries and timelineSegments() segments (algorithms/video-timeline.js);
+ *   `range` is the algorithm's measureRange, `cursor` the video's current time
+ */
+export function drawTimeline(canvas, { entries, segments, duration, range, onThreshold, offThreshold, cursor = null }) {
+  const ctx = canvas.getContext('2d');
+  const { x0, y0, w, h, bandY, facesY } = layout(canvas);
+  const [lo, hi] = range;
+  const span = duration > 0 ? duration : 1;
+  const px = (t) => x0 + (t / span) * w;
+  const py = (m) => y0 + (1 - (Math.min(hi, Math.max(lo, m)) - lo) / (hi - lo || 1)) * h;
+
+  ctx.fillStyle = COLORS.bg;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.font = '12px system-ui, sans-serif';
+  ctx.textAlign = 'left'; ctx.textBaseline = 'alphabetic';
+  ctx.fillStyle = COLORS.strong;
+  ctx.fillText('Measure (dots), smoothed (line), on/off thresholds', x0, 14);
+
+  // Measure axes
+  ctx.strokeStyle = COLORS.axis; ctx.lineWidth = 1;
+  ctx.strokeRect(x0 + 0.5, y0 + 0.5, w, h);
+  ctx.fillStyle = COLORS.text; ctx.font = '10px system-ui, sans-serif';
+  ctx.textAlign = 'right';
+  ctx.fillText(String(hi), x0 - 4, y0 + 8); ctx.fillText(String(lo), x0 - 4, y0 + h);
+  ctx.fillText('state', x0 - 4, bandY + BAND - 3);
+
+  // Time ticks
+  const step = timeStep(span, w);
+  ctx.textAlign = 'center';
+  for (let t = 0; t <= span + 1e-9; t += step) {
+    ctx.fillStyle = COLORS.axis;
+    ctx.fillRect(Math.round(px(t)), facesY + FACES, 1, 4);
+    ctx.fillStyle = COLORS.text;
+    ctx.fillText(formatTime(t), px(t), canvas.height - 6);
+  }
+
+  // Hysteresis thresholds
+  ctx.save();
+  ctx.setLineDash([4, 4]); ctx.strokeStyle = COLORS.marker; ctx.lineWidth = 1;
+  for (const t of new Set([onThreshold, offThreshold])) {
+    if (!Number.isFinite(t)) continue;
+    ctx.beginPath(); ctx.moveTo(x0, py(t)); ctx.lineTo(x0 + w, py(t)); ctx.stroke();
+  }
+  ctx.restore();
+
+  // Raw measures
+  ctx.fillStyle = COLORS.text;
+  for (const e of entries) {
+    if (Number.isFinite(e.measure)) ctx.fillRect(px(e.time) - 1.5, py(e.measure) - 1.5, 3, 3);
+  }
+
+  // Smoothed measure; gaps where nothing was measured
+  ctx.strokeStyle = COLORS.curve; ctx.lineWidth = 2;
+  ctx.beginPath();
+  let drawing = false;
+  for (const e of entries) {
+    if (!Number.isFinite(e.smoothed)) { drawing = false; continue; }
+    if (drawing) ctx.lineTo(px(e.time), py(e.smoothed)); else ctx.moveTo(px(e.time), py(e.smoothed));
+    drawing = true;
+  }
+  ctx.stroke();
+
+  // State band
+  for (const s of segments) {
+    ctx.fillStyle = s.withGlasses === true ? COLORS.glasses : (s.withGlasses === false ? COLORS.noGlasses : COLORS.unknown);
+    ctx.fillRect(px(s.start), bandY, Math.max(1, px(s.end) - px(s.start)), BAND);
+  }
+
+  // Face count per sample, as bars up to the next sample
+  const maxFaces = Math.max(1, ...entries.map(e => e.faceCount));
+  ctx.fillStyle = COLORS.curve;
+  entries.forEach((e, i) => {
+    if (!e.faceCount) return;
+    const next = i + 1 < entries.length ? entries[i + 1].time : span;
+    const bh = (e.faceCount / maxFaces) * FACES;
+    ctx.fillRect(px(e.time), facesY + FACES - bh, Math.max(1, px(next) - px(e.time) - 1), bh);
+  });
+  ctx.fillStyle = COLORS.text; ctx.textAlign = 'right';
+  ctx.fillText(`faces ${maxFaces}`, x0 - 4, facesY + FACES - 3);
+
+  // Playback position
+  if (Number.isFinite(cursor)) {
+    ctx.fillStyle = COLORS.strong;
+    ctx.fillRect(Math.round(px(cursor)), y0, 1, facesY + FACES - y0);
+  }
+}
+
+/**
+ * Video time under a mouse event on the chart, or null outside the plot.
+ * @param {HTMLCanvasElement} canvas
+ * @param {MouseEvent} event
+ * @param {number} duration
+ * @returns {number|null}
+ */
+export function timeAtEvent(canvas, event, duration) {
+  const rect = canvas.getBoundingClientRect();
+  const x = (event.clientX - rect.left) * (canvas.width / (rect.width || 1));
+  const { x0, w } = layout(canvas);
+  if (x < x0 || x > x0 + w || !(duration > 0)) return null;
+  return ((x - x0) / w) * duration;
+}
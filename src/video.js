@@ -0,0 +1,290 @@
+// Video-file mode: glasses timeline of a recorded video (video.html)
+// Seeks through a local video at the sample rate, landmarks every sampled frame with the
+// chosen provider and measures the primary face with a registry algorithm. The measures are
+// smoothed into glasses on / off / no face (algorithms/video-timeline.js), charted, and
+// exported as CSV or JSON with the segments. Smoothing and threshold changes redraw the
+// timeline from the stored measures without measuring again.
+
+import { listAlgorithms, getAlgorithm, detectAll } from '../algorithms/registry.js';
+import { sampleTimes, createTimelineBuilder, timelineSegments, timelineSummary } from '../algorithms/video-timeline.js';
+import { getLandmarker } from './landmark-providers.js';
+import { drawScaled } from './batch-pipeline.js';
+import { primaryFaceIndex } from './face-badges.js';
+import { drawTimeline, timeAtEvent } from './timeline-chart.js';
+import { runMetadata, createTimelineCsv, createSegmentsCsv, createTimelineJson } from './result-export.js';
+import { showAssetReport, showAssetError } from './asset-loader.js';
+
+// Upper bound on faces landmarked per frame; the timeline follows the largest
+const MAX_FACES = 5;
+// Off threshold below the slider, as a share of the measure range (0.02 on the Sobel/Otsu
+// range, like the realtime page's hysteresis)
+const HYSTERESIS_SHARE = 0.04;
+// Algorithms that need a trained model, which this page does not load
+const NEEDS_MODEL = ['classifier'];
+
+const videoInput = document.getElementById('videoInput');
+const videoEl = document.getElementById('videoPlayer');
+const chartEl = document.getElementById('timelineChart');
+const statusEl = document.getElementById('status');
+const progressEl = document.getElementById('progress');
+const summaryEl = document.getElementById('summary');
+const assetReportEl = document.getElementById('assetReport');
+const providerSelect = document.getElementById('providerSelect');
+const algorithmSelect = document.getElementById('algorithmSelect');
+const illuminationSelect = document.getElementById('illuminationSelect');
+const sampleRateInput = document.getElementById('sampleRateInput');
+const smoothingSelect = document.getElementById('smoothingSelect');
+const windowInput = document.getElementById('windowInput');
+const graceInput = document.getElementById('graceInput');
+const thresholdInput = document.getElementById('thresholdInput');
+const thresholdLabel = document.getElementById('thresholdLabel');
+const exportLinks = document.getElementById('exportLinks');
+// Fixed for a run: the stored measures and the threshold range depend on them
+const runControls = [videoInput, providerSelect, algorithmSelect, illuminationSelect, sampleRateInput];
+
+// Measures of the last run: { time, faceCount, measure } per sample, and what produced them
+let samples = [];
+let run = null;
+// Timeline of `samples` with the stream options in `key`; extended as samples arrive
+let timeline = null;
+let renderFrame = null;
+let cancelled = false;
+let running = false;
+
+for (const algo of listAlgorithms()) {
+  if (NEEDS_MODEL.includes(algo.name)) continue;
+  const opt = document.createElement('option');
+  opt.value = algo.name; opt.textContent = algo.label;
+  algorithmSelect.appendChild(opt);
+}
+const requestedAlgorithm = new URLSearchParams(location.search).get('algorithm');
+if (requestedAlgorithm && [...algorithmSelect.options].some(o => o.value === requestedAlgorithm)) algorithmSelect.value = requestedAlgorithm;
+
+function showAlgorithmThreshold() {
+  const algo = getAlgorithm(algorithmSelect.value);
+  const [lo, hi] = algo.measureRange;
+  thresholdInput.min = String(lo); thresholdInput.max = String(hi);
+  thresholdInput.step = String((hi - lo) / 100);
+  thresholdInput.value = String(algo.defaultThreshold);
+  thresholdLabel.textContent = algo.defaultThreshold.toFixed(2);
+}
+showAlgorithmThreshold();
+
+const readInt = (el, fallback) => {
+  const v = parseInt(el.value, 10);
+  return Number.isFinite(v) ? v : fallback;
+};
+
+// GlassesStream options from the controls; the window and grace period count samples
+function streamOptions() {
+  const [lo, hi] = getAlgorithm(run ? run.algorithm : algorithmSelect.value).measureRange;
+  const onThreshold = parseFloat(thresholdInput.value);
+  return {
+    smoothing: smoothingSelect.value,
+    window: readInt(windowInput, 5),
+    onThreshold,
+    offThreshold: onThreshold - HYSTERESIS_SHARE * (hi - lo),
+    graceFrames: readInt(graceInput, 2),
+  };
+}
+
+function setDownload(id, blob) {
+  const a = document.getElementById(id);
+  if (a.href) URL.revokeObjectURL(a.href);
+  a.href = URL.createObjectURL(blob);
+}
+
+const formatSeconds = (s) => `${s.toFixed(1)} s`;
+
+function setRunning(value) {
+  running = value;
+  for (const el of runControls) el.disabled = value;
+}
+
+// Timeline entries of the stored measures: new samples are pushed onto the current
+// timeline, which is rebuilt only when the smoothing or threshold options change
+function timelineEntries(options) {
+  const key = JSON.stringify(options);
+  if (!timeline || timeline.key !== key) timeline = { key, builder: createTimelineBuilder(options) };
+  const { entries } = timeline.builder;
+  for (let i = entries.length; i < samples.length; i++) timeline.builder.push(samples[i]);
+  return entries;
+}
+
+/**
+ * Update the timeline from the stored measures and redraw the chart; with `exports`, also
+ * refresh the download links (skipped per sample while a run is in progress).
+ */
+function render({ exports = false } = {}) {
+  if (renderFrame !== null) { cancelAnimationFrame(renderFrame); renderFrame = null; }
+  if (!run) return;
+  const options = streamOptions();
+  let entries;
+  try {
+    entries = timelineEntries(options);
+  } catch (err) {
+    // Out-of-range window or grace period
+    summaryEl.textContent = err.message;
+    return;
+  }
+  const segments = timelineSegments(entries, run.complete ? run.video.duration : undefined);
+  const summary = timelineSummary(segments);
+  drawTimeline(chartEl, {
+    entries,
+    segments,
+    duration: run.video.duration,
+    range: getAlgorithm(run.algorithm).measureRange,
+    onThreshold: options.onThreshold,
+    offThreshold: options.offThreshold,
+    cursor: running ? null : videoEl.currentTime,
+  });
+  summaryEl.textContent = `Glasses ${formatSeconds(summary.glasses)}, no glasses ${formatSeconds(summary.noGlasses)}, no face ${formatSeconds(summary.unknown)}; `
+    + `${summary.changes} change${summary.changes === 1 ? '' : 's'} over ${segments.length} segment${segments.length === 1 ? '' : 's'} and ${entries.length} samples.`;
+  if (!exports) return;
+  const meta = runMetadata({
+    page: 'video',
+    provider: run.provider,
+    algorithm: run.algorithm,
+    options: run.options,
+    video: run.video,
+    sampleRate: run.sampleRate,
+    complete: run.complete,
+    stream: options,
+  }, options.onThreshold, 0);
+  setDownload('downloadTimelineCsv', createTimelineCsv(entries, segments));
+  setDownload('downloadSegmentsCsv', createSegmentsCsv(segments));
+  setDownload('downloadTimelineJson', createTimelineJson(entries, segments, meta, summary));
+  exportLinks.style.display = 'inline-flex';
+}
+
+// Resolves once the video has moved to `time` and the frame can be drawn
+function seekTo(time) {
+  return new Promise((resolve, reject) => {
+    const done = () => { cleanup(); resolve(); };
+    const fail = () => { cleanup(); reject(new Error(`Cannot seek to ${time}s`)); };
+    const cleanup = () => { videoEl.removeEventListener('seeked', done); videoEl.removeEventListener('error', fail); };
+    videoEl.addEventListener('seeked', done);
+    videoEl.addEventListener('error', fail);
+    videoEl.currentTime = time;
+  });
+}
+
+// Load the picked file; recordings without a duration in their header (e.g. MediaRecorder
+// WebM) report Infinity until the browser has seen their end, so seek there once
+async function openVideo(file) {
+  if (videoEl.src) URL.revokeObjectURL(videoEl.src);
+  videoEl.src = URL.createObjectURL(file);
+  await new Promise((resolve, reject) => {
+    videoEl.onloadeddata = () => resolve();
+    videoEl.onerror = () => reject(new Error(`Cannot decode ${file.name}`));
+  });
+  if (!Number.isFinite(videoEl.duration)) await seekTo(Number.MAX_SAFE_INTEGER);
+}
+
+document.getElementById('startBtn').addEventListener('click', async () => {
+  const file = videoInput.files && videoInput.files[0];
+  if (!file) { alert('Select a video file first.'); return; }
+  if (running) return;
+  const provider = providerSelect.value || 'mediapipe';
+  const algorithm = algorithmSelect.value;
+  const sampleRate = parseFloat(sampleRateInput.value);
+  // Fixed for the run, so every frame is normalized alike
+  const options = getAlgorithm(algorithm).options.illumination ? { illumination: illuminationSelect.value || 'none' } : {};
+
+  // Locked from here, so the loading below cannot pick up changed controls
+  setRunning(true);
+  statusEl.textContent = 'Loading landmarks and video...';
+  let landmarker;
+  let times;
+  try {
+    landmarker = await getLandmarker(provider, { maxFaces: MAX_FACES });
+  } catch (err) {
+    statusEl.textContent = `Cannot load the ${provider === 'faceapi' ? 'face-api' : 'FaceMesh'} landmarker.`;
+    showAssetError(assetReportEl, err);
+    setRunning(false);
+    return;
+  }
+  try {
+    await openVideo(file);
+    times = sampleTimes(videoEl.duration, { sampleRate });
+  } catch (err) {
+    statusEl.textContent = err.message;
+    setRunning(false);
+    return;
+  }
+
+  samples = [];
+  timeline = null;
+  run = {
+    provider,
+    algorithm,
+    options,
+    sampleRate,
+    complete: false,
+    video: { name: file.name, duration: videoEl.duration, width: videoEl.videoWidth, height: videoEl.videoHeight },
+  };
+  cancelled = false;
+  exportLinks.style.display = 'none';
+  progressEl.max = times.length; progressEl.value = 0;
+  try {
+    for (let i = 0; i < times.length && !cancelled; i++) {
+      await seekTo(times[i]);
+      const frame = drawScaled(videoEl);
+      const { facesLandmarks } = await landmarker.landmark(frame);
+      let faces = [];
+      try {
+        faces = detectAll(algorithm, landmarker.provider, facesLandmarks, frame, options);
+      } catch (err) {
+        console.warn('[video] measure failed at', times[i], err);
+      }
+      const primary = primaryFaceIndex(faces);
+      samples.push({ time: times[i], faceCount: faces.length, measure: primary >= 0 ? faces[primary].measure : NaN });
+      progressEl.value = i + 1;
+      statusEl.textContent = `Sample ${i + 1}/${times.length} at ${formatSeconds(times[i])}`;
+      // At most one redraw per frame
+      if (renderFrame === null) renderFrame = requestAnimationFrame(() => { renderFrame = null; render(); });
+    }
+    run.complete = !cancelled;
+    statusEl.textContent = cancelled ? `Cancelled after ${samples.length}/${times.length} samples.` : `Finished ${samples.length} samples.`;
+  } catch (err) {
+    console.error('[video]', err);
+    statusEl.textContent = `Stopped after ${samples.length}/${times.length} samples: ${err.message}`;
+  } finally {
+    setRunning(false);
+  }
+  render({ exports: true });
+});
+
+document.getElementById('cancelBtn').addEventListener('click', () => { cancelled = true; });
+
+// Smoothing and threshold only change how the stored measures are read
+thresholdInput.addEventListener('input', () => {
+  thresholdLabel.textContent = parseFloat(thresholdInput.value).toFixed(2);
+  render({ exports: !running });
+});
+for (const el of [smoothingSelect, windowInput, graceInput]) el.addEventListener('change', () => render({ exports: !running }));
+
+// Measures of another algorithm do not fit its threshold range: measure again
+algorithmSelect.addEventListener('change', () => {
+  showAlgorithmThreshold();
+  if (!run || run.algorithm === algorithmSelect.value) { render({ exports: true }); return; }
+  run = null; samples = []; timeline = null;
+  chartEl.getContext('2d').clearRect(0, 0, chartEl.width, chartEl.height);
+  summaryEl.textContent = '';
+  exportLinks.style.display = 'none';
+  statusEl.textContent = 'Algorithm changed: press Start to measure again.';
+});
+
+// Click the chart to see that moment; the cursor follows playback
+chartEl.addEventListener('click', (e) => {
+  if (!run || running) return;
+  const t = timeAtEvent(chartEl, e, run.video.duration);
+  if (t !== null) videoEl.currentTime = t;
+});
+videoEl.addEventListener('timeupdate', () => { if (!running) render(); });
+
+// Report missing runtime files and face-api weights before the first run
+showAssetReport(assetReportEl, {
+  runtimes: ['faceMesh', 'faceApi'],
+  models: ['tinyFaceDetector', 'ssdMobilenetv1', 'faceLandmark68Net'],
+});
@@ -0,0 +1,108 @@
+// Fixed-size pool of Web Workers with a task queue
+// Each worker runs one task at a time; a task is one postMessage answered by one message.
+// Replies carry the task `id`; a reply with an `error` string rejects the task's promise.
+
+/**
+ * Whether the worker pipeline can run here (module workers, OffscreenCanvas, createImageBitmap).
+ * @returns {boolean}
+ */
+export function workersSupported() {
+  return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function';
+}
+
+/**
+ * Default pool size: one worker per spare core, at most 4 (landmarking on the main thread
+ * is the other bottleneck, more workers mostly sit idle).
+ * @returns {number}
+ */
+export function defaultPoolSize() {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(4, cores - 1));
+}
+
+/**
+ * Pool size from a "Workers" input: empty means default, 0 means main thread only.
+ * Returns 0 when workers are not supported.
+ * @param {HTMLInputElement|null} inputEl
+ * @returns {number}
+ */
+export function readPoolSize(inputEl) {
+  if (!workersSupported()) return 0;
+  const raw = inputEl ? String(inputEl.value).trim() : '';
+  const v = parseInt(raw, 10);
+  if (raw === '' || !Number.isFinite(v)) return defaultPoolSize();
+  return Math.max(0, Math.min(16, v));
+}
+
+export class WorkerPool {
+  /**
+   * @param {() => Worker} createWorker - factory, e.g. () => new Worker(url, { type: 'module' })
+   * @param {number} size - number of workers (>= 1)
+   */
+  constructor(createWorker, size) {
+    if (!(size >= 1)) throw new RangeError(`WorkerPool: size must be at least 1 (got ${size})`);
+    this._queue = [];
+    this._pending = new Map();
+    this._nextId = 1;
+    this._idle = [];
+    this._workers = Array.from({ length: size }, () => {
+      const worker = createWorker();
+      worker.onmessage = (e) => this._settle(worker, e.data);
+      worker.onerror = (e) => {
+        // An uncaught error leaves no reply; fail the task the worker was running
+        e.preventDefault();
+        this._settle(worker, { id: worker._taskId, error: e.message || 'worker error' });
+      };
+      this._idle.push(worker);
+      return worker;
+    });
+  }
+
+  get size() { return this._workers.length; }
+
+  /** Tasks queued or running. */
+  get pending() { return this._pending.size; }
+
+  /**
+   * Queue a task. `transfer` lists transferable objects in `message` (e.g. ImageBitmaps).
+   * @param {object} message - posted as { ...message, id }
+   * @param {Transferable[]} [transfer]
+   * @returns {Promise<any>} the worker's reply
+   */
+  run(message, transfer = []) {
+    if (!this._workers.length) return Promise.reject(new Error('WorkerPool: terminated'));
+    const id = this._nextId++;
+    const promise = new Promise((resolve, reject) => this._pending.set(id, { resolve, reject }));
+    this._queue.push({ id, message, transfer });
+    this._dispatch();
+    return promise;
+  }
+
+  /** Stop all workers; queued and running tasks are rejected. */
+  terminate() {
+    for (const w of this._workers) w.terminate();
+    this._workers = []; this._idle = []; this._queue = [];
+    for (const { reject } of this._pending.values()) reject(new Error('WorkerPool: terminated'));
+    this._pending.clear();
+  }
+
+  _dispatch() {
+    while (this._idle.length && this._queue.length) {
+      const worker = this._idle.pop();
+      const { id, message, transfer } = this._queue.shift();
+      worker._taskId = id;
+      worker.postMessage({ ...message, id }, transfer);
+    }
+  }
+
+  _settle(worker, data) {
+    const task = data && this._pending.get(data.id);
+    worker._taskId = null;
+    if (this._workers.includes(worker)) this._idle.push(worker);
+    if (task) {
+      this._pending.delete(data.id);
+      if (data.error) task.reject(new Error(data.error)); else task.resolve(data);
+    }
+    this._dispatch();
+  }
+}